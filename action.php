@@ -22,11 +22,23 @@
  * @license    http://www.gnu.org/copyleft/gpl.html GNU GPL v3 or later
  */
 
+use block_massaction\action_registry;
+use block_massaction\action_result;
 use block_massaction\actions;
+use block_massaction\bundle;
+use block_massaction\date_shifter;
+use block_massaction\duplication_jobs;
+use block_massaction\module_settings;
+use block_massaction\section_actions;
+use block_massaction\undo;
+use block_massaction\form\availability_form;
+use block_massaction\form\bundle_import_form;
+use block_massaction\form\competencies_form;
+use block_massaction\form\module_settings_form;
+use block_massaction\form\shiftdates_form;
+use block_massaction\form\tags_form;
 use block_massaction\form\course_select_form;
-use block_massaction\task\duplicate_task;
 use core\output\notification;
-use core\task\manager;
 
 require('../../config.php');
 
@@ -34,6 +46,7 @@ $instanceid = required_param('instance_id', PARAM_INT);
 $massactionrequest = required_param('request', PARAM_TEXT);
 $returnurl = required_param('return_url', PARAM_TEXT);
 $deletionconfirmed = optional_param('del_confirm', 0, PARAM_BOOL);
+$shiftconfirmed = optional_param('shift_confirm', 0, PARAM_BOOL);
 
 require_login();
 
@@ -41,63 +54,29 @@ require_login();
 $blockcontext = context_block::instance($instanceid);
 require_capability('block/massaction:use', $blockcontext);
 
-$data = block_massaction\massactionutils::extract_modules_from_json($massactionrequest);
-$modulerecords = $data->modulerecords;
-
 $context = $blockcontext->get_course_context();
+
+$data = json_decode($massactionrequest);
+if (in_array($data->action ?? '', section_actions::ACTIONS)) {
+    // Section actions are being applied to the selected sections instead of course modules.
+    $sectionrecords = section_actions::get_sections($context->instanceid, array_map('intval', (array) ($data->sectionIds ?? [])));
+    $modulerecords = [];
+} else if (($data->action ?? '') === 'importbundle') {
+    // The imported activities do not depend on the selected course modules.
+    $modulerecords = [];
+} else {
+    $data = block_massaction\massactionutils::extract_modules_from_json($massactionrequest);
+    $modulerecords = $data->modulerecords;
+}
+
 // Dispatch the submitted action.
+// The actions which are not being passed to actions::perform_action() cannot be reverted, so they have to discard the last snapshot
+// as soon as they change anything.
 
 // Redirect to course by default.
 $redirect = true;
 
 switch ($data->action) {
-    case 'moveleft':
-        require_capability('moodle/course:manageactivities', $context);
-        require_capability('block/massaction:indent', $blockcontext);
-        block_massaction\actions::adjust_indentation($modulerecords, -1);
-        break;
-    case 'moveright':
-        require_capability('moodle/course:manageactivities', $context);
-        require_capability('block/massaction:indent', $blockcontext);
-        block_massaction\actions::adjust_indentation($modulerecords, 1);
-        break;
-    case 'hide':
-        require_capability('moodle/course:activityvisibility', $context);
-        require_capability('block/massaction:activityshowhide', $blockcontext);
-        block_massaction\actions::set_visibility($modulerecords, false);
-        break;
-    case 'show':
-        require_capability('moodle/course:activityvisibility', $context);
-        require_capability('block/massaction:activityshowhide', $blockcontext);
-        block_massaction\actions::set_visibility($modulerecords, true);
-        break;
-    case 'makeavailable':
-        require_capability('moodle/course:activityvisibility', $context);
-        require_capability('block/massaction:activityshowhide', $blockcontext);
-        if (empty($CFG->allowstealth)) {
-            throw new invalid_parameter_exception('The "makeavailable" action is deactivated.');
-        }
-        block_massaction\actions::set_visibility($modulerecords, true, false);
-        break;
-    case 'duplicate':
-        require_capability('moodle/backup:backuptargetimport', $context);
-        require_capability('moodle/restore:restoretargetimport', $context);
-        require_capability('block/massaction:duplicate', $blockcontext);
-        if (get_config('block_massaction', 'duplicatemaxactivities') < count($modulerecords)) {
-            $duplicatetask = new duplicate_task();
-            $duplicatetask->set_userid($USER->id);
-            $duplicatetask->set_custom_data(['modules' => $modulerecords]);
-            manager::queue_adhoc_task($duplicatetask);
-            redirect(
-                $returnurl,
-                get_string('backgroundtaskinformation', 'block_massaction'),
-                null,
-                notification::NOTIFY_SUCCESS
-            );
-        } else {
-            block_massaction\actions::duplicate($modulerecords);
-        }
-        break;
     case 'delete':
         require_capability('moodle/course:manageactivities', $context);
         require_capability('block/massaction:delete', $blockcontext);
@@ -105,79 +84,67 @@ switch ($data->action) {
             $redirect = false;
             block_massaction\actions::print_deletion_confirmation($modulerecords, $massactionrequest, $instanceid, $returnurl);
         } else {
-            block_massaction\actions::perform_deletion($modulerecords);
-        }
-        break;
-    case 'showdescription':
-        require_capability('moodle/course:manageactivities', $context);
-        require_capability('block/massaction:descriptionshowhide', $blockcontext);
-        block_massaction\actions::show_description($modulerecords, true);
-        break;
-    case 'hidedescription':
-        require_capability('moodle/course:manageactivities', $context);
-        require_capability('block/massaction:descriptionshowhide', $blockcontext);
-        block_massaction\actions::show_description($modulerecords, false);
-        break;
-    case 'contentchangednotification':
-        require_capability('moodle/course:manageactivities', $context);
-        require_capability('block/massaction:sendcontentchangednotifications', $blockcontext);
-        block_massaction\actions::send_content_changed_notifications($modulerecords);
-        break;
-    case 'moveto':
-        if (!isset($data->moveToTarget)) {
-            throw new moodle_exception('missingparam', 'block_massaction');
-        }
-        require_capability('moodle/course:manageactivities', $context);
-        require_capability('block/massaction:movetosection', $blockcontext);
-        block_massaction\actions::perform_moveto($modulerecords, $data->moveToTarget);
-        break;
-    case 'duplicateto':
-        if (!isset($data->duplicateToTarget)) {
-            throw new moodle_exception('missingparam', 'block_massaction');
-        }
-        require_capability('moodle/backup:backuptargetimport', $context);
-        require_capability('moodle/restore:restoretargetimport', $context);
-        require_capability('block/massaction:movetosection', $blockcontext);
-        if (get_config('block_massaction', 'duplicatemaxactivities') < count($modulerecords)) {
-            $duplicatetask = new duplicate_task();
-            $duplicatetask->set_userid($USER->id);
-            $duplicatetask->set_custom_data(['modules' => $modulerecords, 'sectionid' => $data->duplicateToTarget]);
-            manager::queue_adhoc_task($duplicatetask);
-            redirect(
-                $returnurl,
-                get_string('backgroundtaskinformation', 'block_massaction'),
-                null,
-                notification::NOTIFY_SUCCESS
-            );
-        } else {
-            block_massaction\actions::duplicate($modulerecords, $data->duplicateToTarget);
+            undo::discard_snapshot($context->instanceid);
+            $event = actions::create_action_event($data->action, $modulerecords, $context);
+            $result = new action_result($data->action, $modulerecords);
+            block_massaction\actions::perform_deletion($modulerecords, $result);
+            $event->trigger();
+            $result->save($context->instanceid);
         }
         break;
     case 'duplicatetocourse':
+    case 'movetocourse':
         $PAGE->set_context($context);
         $PAGE->set_url($CFG->wwwroot . '/blocks/massaction/action.php');
-        $targetcourseid = optional_param('targetcourseid', 0, PARAM_INT);
+        $targetcourses = optional_param('targetcourses', '', PARAM_SEQUENCE);
+        $move = $data->action === 'movetocourse';
+        if ($move) {
+            actions::require_modules_in_course($modulerecords, $blockcontext);
+            actions::require_action_capabilities($data->action, $blockcontext);
+        }
 
         $options = [
             'request' => $massactionrequest,
             'instance_id' => $instanceid,
             'return_url' => $returnurl,
             'sourcecourseid' => $context->instanceid,
+            'move' => $move,
         ];
 
         $courseselectform = new course_select_form(null, $options);
         if ($courseselectform->is_cancelled()) {
             redirect($returnurl);
         }
-        if (empty($targetcourseid)) {
+        if ($coursedata = $courseselectform->get_data()) {
+            $targetcourseids = $courseselectform->get_target_course_ids($coursedata);
+        } else {
+            $targetcourseids = $targetcourses === '' ? [] : array_map('intval', explode(',', $targetcourses));
+        }
+        if ($move) {
+            // Modules can only be moved to a single course.
+            $targetcourseids = array_slice($targetcourseids, 0, 1);
+        }
+        $maxtargetcourses = actions::get_max_target_courses();
+        if ($maxtargetcourses > 0 && count($targetcourseids) > $maxtargetcourses) {
+            // The course select form refuses this already, but the target courses are being passed on by the section select form.
+            throw new moodle_exception('toomanytargetcourses', 'block_massaction', '', (object) [
+                'count' => count($targetcourseids),
+                'max' => $maxtargetcourses,
+            ]);
+        }
+        if (empty($targetcourseids)) {
             $redirect = false;
             actions::print_course_select_form($courseselectform);
         } else {
-            $options['targetcourseid'] = $targetcourseid;
+            $options['targetcourseids'] = $targetcourseids;
 
             require_capability('moodle/backup:backuptargetimport', $context);
-            require_capability('moodle/restore:restoretargetimport', context_course::instance($targetcourseid));
-            require_capability('block/massaction:duplicatetocourse', $blockcontext);
+            foreach ($targetcourseids as $targetcourseid) {
+                require_capability('moodle/restore:restoretargetimport', context_course::instance($targetcourseid));
+            }
+            if (!$move) {
+                require_capability('block/massaction:duplicatetocourse', $blockcontext);
+            }
 
             $sectionselectform = new block_massaction\form\section_select_form(null, $options);
             if ($sectionselectform->is_cancelled()) {
@@ -186,17 +153,66 @@ switch ($data->action) {
                 actions::print_course_select_form($courseselectform);
                 break;
             } else if ($data = $sectionselectform->get_data()) {
-                // We validate the section number and default to 'same section than source course' if it is not a proper section
+                // We validate the section numbers and default to 'same section than source course' if it is not a proper section
                 // number.
-                $targetsectionnum = property_exists($data, 'targetsectionnum') && is_numeric($data->targetsectionnum)
-                    ? $data->targetsectionnum : -1;
-
-                if (get_config('block_massaction', 'duplicatemaxactivities') < count($modulerecords)) {
-                    $duplicatetask = new duplicate_task();
-                    $duplicatetask->set_userid($USER->id);
-                    $duplicatetask->set_custom_data(['modules' => $modulerecords, 'sectionnum' => $targetsectionnum,
-                        'courseid' => $targetcourseid]);
-                    manager::queue_adhoc_task($duplicatetask);
+                $targetsectionnums = [];
+                foreach ($targetcourseids as $targetcourseid) {
+                    $targetsectionnum = $data->targetsectionnum[$targetcourseid] ?? -1;
+                    $targetsectionnums[$targetcourseid] = is_numeric($targetsectionnum) ? (int) $targetsectionnum : -1;
+                }
+                undo::discard_snapshot($context->instanceid);
+
+                if (count($targetsectionnums) > 1) {
+                    // Duplicating to several courses is always being done in the background, one task per target course.
+                    duplication_jobs::queue_to_courses($modulerecords, $targetsectionnums);
+                    redirect(
+                        $returnurl,
+                        get_string('backgroundtaskinformation', 'block_massaction'),
+                        null,
+                        notification::NOTIFY_SUCCESS
+                    );
+                }
+
+                $targetcourseid = array_key_first($targetsectionnums);
+                $targetsectionnum = $targetsectionnums[$targetcourseid];
+                if ($move) {
+                    $userdata = !empty($data->userdata);
+                    if (get_config('block_massaction', 'duplicatemaxactivities') < count($modulerecords)) {
+                        duplication_jobs::queue($modulerecords, [
+                            'sectionnum' => $targetsectionnum,
+                            'courseid' => $targetcourseid,
+                            'move' => true,
+                            'userdata' => $userdata,
+                        ]);
+                        redirect(
+                            $returnurl,
+                            get_string('backgroundtaskinformation', 'block_massaction'),
+                            null,
+                            notification::NOTIFY_SUCCESS
+                        );
+                    }
+                    $result = new action_result('movetocourse', $modulerecords);
+                    $movedcmids = actions::move_to_course(
+                        $modulerecords,
+                        $targetcourseid,
+                        $targetsectionnum,
+                        $userdata,
+                        $result->get_progress_callback()
+                    );
+                    $result->save($context->instanceid);
+                    if (count($movedcmids) < count($modulerecords)) {
+                        redirect(
+                            $returnurl,
+                            get_string('movetocourse_incomplete', 'block_massaction', (object) [
+                                'moved' => count($movedcmids),
+                                'total' => count($modulerecords),
+                            ]),
+                            null,
+                            notification::NOTIFY_WARNING
+                        );
+                    }
+                } else if (get_config('block_massaction', 'duplicatemaxactivities') < count($modulerecords)) {
+                    duplication_jobs::queue($modulerecords, ['sectionnum' => $targetsectionnum, 'courseid' => $targetcourseid]);
                     redirect(
                         $returnurl,
                         get_string('backgroundtaskinformation', 'block_massaction'),
@@ -204,14 +220,23 @@ switch ($data->action) {
                         notification::NOTIFY_SUCCESS
                     );
                 } else {
-                    block_massaction\actions::duplicate_to_course($modulerecords, $targetcourseid, $targetsectionnum);
+                    $result = new action_result('duplicatetocourse', $modulerecords);
+                    block_massaction\actions::duplicate_to_course(
+                        $modulerecords,
+                        $targetcourseid,
+                        $targetsectionnum,
+                        $result->get_progress_callback()
+                    );
+                    $result->save($context->instanceid);
                 }
 
                 redirect(
                     $returnurl,
                     get_string('actionexecuted', 'block_massaction'),
                     null,
-                    notification::NOTIFY_SUCCESS
+                    isset($result) && $result->count(action_result::FAILED) > 0
+                        ? notification::NOTIFY_WARNING
+                        : notification::NOTIFY_SUCCESS
                 );
             } else {
                 $redirect = false;
@@ -219,8 +244,288 @@ switch ($data->action) {
             }
         }
         break;
+    case 'duplicatesectionstocourse':
+        actions::require_action_capabilities($data->action, $blockcontext);
+        $PAGE->set_context($context);
+        $PAGE->set_url($CFG->wwwroot . '/blocks/massaction/action.php');
+
+        $courseselectform = new course_select_form(null, [
+            'request' => $massactionrequest,
+            'instance_id' => $instanceid,
+            'return_url' => $returnurl,
+            'sourcecourseid' => $context->instanceid,
+            'sections' => true,
+        ]);
+        if ($courseselectform->is_cancelled()) {
+            redirect($returnurl);
+        } else if ($coursedata = $courseselectform->get_data()) {
+            undo::discard_snapshot($context->instanceid);
+            $result = new action_result($data->action, []);
+            $queued = false;
+            foreach ($courseselectform->get_target_course_ids($coursedata) as $targetcourseid) {
+                require_capability('moodle/restore:restoretargetimport', context_course::instance($targetcourseid));
+                $queued = section_actions::duplicate_to_course($sectionrecords, $targetcourseid, $result) || $queued;
+            }
+            $result->save($context->instanceid);
+            if ($queued) {
+                redirect(
+                    $returnurl,
+                    get_string('backgroundtaskinformation', 'block_massaction'),
+                    null,
+                    notification::NOTIFY_SUCCESS
+                );
+            }
+        } else {
+            $redirect = false;
+            actions::print_course_select_form($courseselectform);
+        }
+        break;
+    case 'exportbundle':
+        actions::require_modules_in_course($modulerecords, $blockcontext);
+        actions::require_action_capabilities($data->action, $blockcontext);
+        $filename = clean_filename(get_string('exportbundle_filename', 'block_massaction', (object) [
+            'course' => get_course($context->instanceid)->shortname,
+            'date' => userdate(time(), '%Y%m%d'),
+        ]));
+        undo::discard_snapshot($context->instanceid);
+        $bundlepath = bundle::export($modulerecords);
+        actions::create_action_event($data->action, $modulerecords, $context)->trigger();
+        // The export either contains all the modules or fails as a whole.
+        $result = new action_result($data->action, $modulerecords);
+        $result->add_remaining_successes();
+        $result->save($context->instanceid);
+        send_temp_file($bundlepath, $filename);
+        break;
+    case 'importbundle':
+        actions::require_action_capabilities($data->action, $blockcontext);
+        $PAGE->set_context($context);
+        $PAGE->set_url($CFG->wwwroot . '/blocks/massaction/action.php');
+
+        $importform = new bundle_import_form(null, [
+            'request' => $massactionrequest,
+            'instance_id' => $instanceid,
+            'return_url' => $returnurl,
+            'courseid' => $context->instanceid,
+        ]);
+        if ($importform->is_cancelled()) {
+            redirect($returnurl);
+        } else if ($formdata = $importform->get_data()) {
+            $bundlepath = make_request_directory() . '/bundle.zip';
+            $importform->save_file('bundlefile', $bundlepath, true);
+            undo::discard_snapshot($context->instanceid);
+            $result = new action_result($data->action, []);
+            $newcmids = bundle::import($bundlepath, $context->instanceid, (int) $formdata->sectionnum, $result);
+            if (!empty($newcmids)) {
+                // The event lists the imported modules, which only exist after the import.
+                $newmodules = array_map(fn($cmid) => (object) ['id' => $cmid], $newcmids);
+                actions::create_action_event($data->action, $newmodules, $context)->trigger();
+            }
+            $result->save($context->instanceid);
+            redirect(
+                $returnurl,
+                get_string('importbundle_done', 'block_massaction', count($newcmids)),
+                null,
+                $result->count(action_result::FAILED) > 0 ? notification::NOTIFY_WARNING : notification::NOTIFY_SUCCESS
+            );
+        } else {
+            $redirect = false;
+            actions::print_action_form($importform);
+        }
+        break;
+    case 'restrictaccess':
+        actions::require_modules_in_course($modulerecords, $blockcontext);
+        actions::require_action_capabilities($data->action, $blockcontext);
+        $PAGE->set_context($context);
+        $PAGE->set_url($CFG->wwwroot . '/blocks/massaction/action.php');
+
+        $availabilityform = new availability_form(null, [
+            'request' => $massactionrequest,
+            'instance_id' => $instanceid,
+            'return_url' => $returnurl,
+            'courseid' => $context->instanceid,
+        ]);
+        if ($availabilityform->is_cancelled()) {
+            redirect($returnurl);
+        } else if ($formdata = $availabilityform->get_data()) {
+            undo::discard_snapshot($context->instanceid);
+            $event = actions::create_action_event($data->action, $modulerecords, $context);
+            $result = new action_result($data->action, $modulerecords);
+            actions::set_availability($modulerecords, $formdata->availabilitymode, $formdata, $result);
+            $event->trigger();
+            $result->save($context->instanceid);
+        } else {
+            $redirect = false;
+            actions::print_action_form($availabilityform);
+        }
+        break;
+    case 'tags':
+        actions::require_modules_in_course($modulerecords, $blockcontext);
+        actions::require_action_capabilities($data->action, $blockcontext);
+        $PAGE->set_context($context);
+        $PAGE->set_url($CFG->wwwroot . '/blocks/massaction/action.php');
+
+        $tagsform = new tags_form(null, [
+            'request' => $massactionrequest,
+            'instance_id' => $instanceid,
+            'return_url' => $returnurl,
+        ]);
+        if ($tagsform->is_cancelled()) {
+            redirect($returnurl);
+        } else if ($formdata = $tagsform->get_data()) {
+            undo::discard_snapshot($context->instanceid);
+            $event = actions::create_action_event($data->action, $modulerecords, $context);
+            $result = new action_result($data->action, $modulerecords);
+            actions::set_tags($modulerecords, $formdata->tagsmode, $formdata->tags, $result);
+            $event->trigger();
+            $result->save($context->instanceid);
+        } else {
+            $redirect = false;
+            actions::print_action_form($tagsform);
+        }
+        break;
+    case 'competencies':
+        actions::require_modules_in_course($modulerecords, $blockcontext);
+        actions::require_action_capabilities($data->action, $blockcontext);
+        $PAGE->set_context($context);
+        $PAGE->set_url($CFG->wwwroot . '/blocks/massaction/action.php');
+
+        $competenciesform = new competencies_form(null, [
+            'request' => $massactionrequest,
+            'instance_id' => $instanceid,
+            'return_url' => $returnurl,
+            'courseid' => $context->instanceid,
+        ]);
+        if ($competenciesform->is_cancelled()) {
+            redirect($returnurl);
+        } else if ($formdata = $competenciesform->get_data()) {
+            undo::discard_snapshot($context->instanceid);
+            $event = actions::create_action_event($data->action, $modulerecords, $context);
+            $result = new action_result($data->action, $modulerecords);
+            actions::set_competencies(
+                $modulerecords,
+                $formdata->competenciesmode,
+                array_map('intval', $formdata->competencyids),
+                $result
+            );
+            $event->trigger();
+            $result->save($context->instanceid);
+        } else {
+            $redirect = false;
+            actions::print_action_form($competenciesform);
+        }
+        break;
+    case 'shiftdates':
+        actions::require_modules_in_course($modulerecords, $blockcontext);
+        actions::require_action_capabilities($data->action, $blockcontext);
+        $PAGE->set_context($context);
+        $PAGE->set_url($CFG->wwwroot . '/blocks/massaction/action.php');
+
+        if ($shiftconfirmed) {
+            require_sesskey();
+            undo::discard_snapshot($context->instanceid);
+            $offset = required_param('shift_offset', PARAM_INT);
+            $days = optional_param('shift_days', 0, PARAM_INT);
+            $event = actions::create_action_event($data->action, $modulerecords, $context, ['offset' => $offset, 'days' => $days]);
+            $result = new action_result($data->action, $modulerecords);
+            date_shifter::shift($modulerecords, $offset, $days, $result);
+            $event->trigger();
+            $result->save($context->instanceid);
+            break;
+        }
+
+        $shiftdatesform = new shiftdates_form(null, [
+            'request' => $massactionrequest,
+            'instance_id' => $instanceid,
+            'return_url' => $returnurl,
+        ]);
+        if ($shiftdatesform->is_cancelled()) {
+            redirect($returnurl);
+        } else if ($formdata = $shiftdatesform->get_data()) {
+            // A number of days is being added as calendar days, so the dates keep their time of day across a change of the
+            // daylight saving time.
+            $offset = $formdata->shiftmode === date_shifter::MODE_ANCHOR
+                ? date_shifter::get_anchor_offset($modulerecords, $formdata->anchordate)
+                : 0;
+            $days = $formdata->shiftmode === date_shifter::MODE_ANCHOR ? 0 : (int) $formdata->offsetdays;
+            $changes = date_shifter::get_changes($modulerecords, $offset, $days);
+            if (empty($changes) || ($offset === 0 && $days === 0)) {
+                redirect($returnurl, get_string('shiftdates_nochanges', 'block_massaction'), null, notification::NOTIFY_WARNING);
+            }
+            $redirect = false;
+            actions::print_date_shift_confirmation($changes, $offset, $days, $massactionrequest, $instanceid, $returnurl);
+        } else {
+            $redirect = false;
+            actions::print_action_form($shiftdatesform);
+        }
+        break;
+    case 'modulesettings':
+        actions::require_modules_in_course($modulerecords, $blockcontext);
+        actions::require_action_capabilities($data->action, $blockcontext);
+        $PAGE->set_context($context);
+        $PAGE->set_url($CFG->wwwroot . '/blocks/massaction/action.php');
+
+        $modulesettingsform = new module_settings_form(null, [
+            'request' => $massactionrequest,
+            'instance_id' => $instanceid,
+            'return_url' => $returnurl,
+            'courseid' => $context->instanceid,
+            'applicablesettings' => module_settings::get_applicable_settings($modulerecords),
+        ]);
+        if ($modulesettingsform->is_cancelled()) {
+            redirect($returnurl);
+        } else if ($formdata = $modulesettingsform->get_data()) {
+            undo::discard_snapshot($context->instanceid);
+            $event = actions::create_action_event($data->action, $modulerecords, $context);
+            $result = new action_result($data->action, $modulerecords);
+            module_settings::apply($modulerecords, $formdata, $result);
+            $event->trigger();
+            $result->save($context->instanceid);
+        } else {
+            $redirect = false;
+            actions::print_action_form($modulesettingsform);
+        }
+        break;
     default:
-        throw new moodle_exception('invalidaction', 'block_massaction', $data->action);
+        $pluginaction = action_registry::get_action($data->action, $context->instanceid);
+        if ($pluginaction?->get_form_class() !== null) {
+            // An action contributed by another plugin which asks for its parameters first.
+            actions::require_modules_in_course($modulerecords, $blockcontext);
+            actions::require_action_capabilities($data->action, $blockcontext);
+            $PAGE->set_context($context);
+            $PAGE->set_url($CFG->wwwroot . '/blocks/massaction/action.php');
+
+            $formclass = $pluginaction->get_form_class();
+            $pluginactionform = new $formclass(null, [
+                'request' => $massactionrequest,
+                'instance_id' => $instanceid,
+                'return_url' => $returnurl,
+                'courseid' => $context->instanceid,
+                'action' => $pluginaction,
+            ]);
+            if ($pluginactionform->is_cancelled()) {
+                redirect($returnurl);
+            } else if ($formdata = $pluginactionform->get_data()) {
+                undo::discard_snapshot($context->instanceid);
+                $result = new action_result($data->action, $modulerecords);
+                $pluginaction->execute($modulerecords, $blockcontext, $formdata, $result);
+                $result->add_remaining_successes();
+                $result->save($context->instanceid);
+            } else {
+                $redirect = false;
+                actions::print_action_form($pluginactionform);
+            }
+        } else if (in_array($data->action, section_actions::ACTIONS)) {
+            // Apart from duplicating them to another course, the section actions are only being performed by the web service. It
+            // checks the session key and the block only calls it after the deletion of sections has been confirmed.
+            throw new moodle_exception('invalidaction', 'block_massaction', '', $data->action);
+        } else if (actions::perform_action($data->action, $modulerecords, $blockcontext, $data)) {
+            redirect(
+                $returnurl,
+                get_string('backgroundtaskinformation', 'block_massaction'),
+                null,
+                notification::NOTIFY_SUCCESS
+            );
+        }
 }
 
 if ($redirect) {
@@ -0,0 +1,10 @@
+define("block_massaction/actionpreview",["exports","core/str","core/modal_events","core/modal_save_cancel","core/templates","core_courseformat/courseeditor","block_massaction/checkboxmanager","block_massaction/renamer","block_massaction/selectionfilter"],(function(_exports,Str,_modal_events,_modal_save_cancel,_templates,_courseeditor,_checkboxmanager,_renamer,_selectionfilter){function _interopRequireDefault(obj){return obj&&obj.__esModule?obj:{default:obj}}function _getRequireWildcardCache(nodeInterop){if("function"!=typeof WeakMap)return null;var cacheBabelInterop=new WeakMap,cacheNodeInterop=new WeakMap;return(_getRequireWildcardCache=function(nodeInterop){return nodeInterop?cacheNodeInterop:cacheBabelInterop})(nodeInterop)}Object.defineProperty(_exports,"__esModule",{value:!0}),_exports.getSectionPreviewRows=_exports.getPreviewRows=_exports.confirmSectionAction=_exports.confirmAction=void 0,Str=function(obj,nodeInterop){if(!nodeInterop&&obj&&obj.__esModule)return obj;if(null===obj||"object"!=typeof obj&&"function"!=typeof obj)return{default:obj};var cache=_getRequireWildcardCache(nodeInterop);if(cache&&cache.has(obj))return cache.get(obj);var newObj={},hasPropertyDescriptor=Object.defineProperty&&Object.getOwnPropertyDescriptor;for(var key in obj)if("default"!==key&&Object.prototype.hasOwnProperty.call(obj,key)){var desc=hasPropertyDescriptor?Object.getOwnPropertyDescriptor(obj,key):null;desc&&(desc.get||desc.set)?Object.defineProperty(newObj,key,desc):newObj[key]=obj[key]}newObj.default=obj,cache&&cache.set(obj,newObj);return newObj}
+/**
+   * Action preview amd module: Shows the changes an action will apply to the selected modules before it is being executed.
+   *
+   * @module     block_massaction/actionpreview
+   * @copyright  2026 University of Regina
+   * @license    http://www.gnu.org/copyleft/gpl.html GNU GPL v3 or later
+   */(Str),_modal_events=_interopRequireDefault(_modal_events),_modal_save_cancel=_interopRequireDefault(_modal_save_cancel),_templates=_interopRequireDefault(_templates);const getPreviewRows=async(submitData,state)=>{const sectionTitle=section=>section?(0,_checkboxmanager.getTitleOfSection)(section):"",sectionByNumber=number=>[...state.section.values()].find((section=>section.number===parseInt(number))),visibilityString=visibility=>Str.get_string("filter_visibility_"+visibility,"block_massaction"),newNames=new Map;if("rename"===submitData.action){const modules=(0,_checkboxmanager.sortByDisplayOrder)(submitData.moduleIds).map((moduleId=>state.cm.get(moduleId.toString()))).filter((module=>void 0!==module)).map((module=>{var _state$section$get$nu,_state$section$get;return{...module,sectionnumber:null!==(_state$section$get$nu=null===(_state$section$get=state.section.get(module.sectionid.toString()))||void 0===_state$section$get?void 0:_state$section$get.number)&&void 0!==_state$section$get$nu?_state$section$get$nu:0}}));(0,_renamer.getNewNames)(modules,submitData.rename).forEach(((row,index)=>newNames.set(modules[index].id.toString(),row.newname)))}const rows=submitData.moduleIds.map((moduleId=>state.cm.get(moduleId.toString()))).filter((module=>void 0!==module)).map((async module=>{var _newNames$get;const section=state.section.get(module.sectionid.toString());let before="",after="";switch(submitData.action){case"hide":case"show":case"makeavailable":{const targetState={hide:"hidden",show:"visible",makeavailable:"stealth"}[submitData.action];before=await visibilityString((0,_selectionfilter.getVisibilityState)(module)),after=await visibilityString(targetState);break}case"moveleft":case"moveright":{var _module$indent;const indent=null!==(_module$indent=module.indent)&&void 0!==_module$indent?_module$indent:0,newIndent=Math.min(16,Math.max(0,indent+("moveright"===submitData.action?1:-1)));before=await Str.get_string("preview_indent","block_massaction",indent),after=await Str.get_string("preview_indent","block_massaction",newIndent);break}case"moveto":before=sectionTitle(section),after=sectionTitle(sectionByNumber(submitData.moveToTarget));break;case"duplicate":before=sectionTitle(section),after=await Str.get_string("preview_copyin","block_massaction",sectionTitle(section));break;case"duplicateto":before=sectionTitle(section),after=await Str.get_string("preview_copyin","block_massaction",sectionTitle(sectionByNumber(submitData.duplicateToTarget)));break;case"rename":before=module.name,after=null!==(_newNames$get=newNames.get(module.id.toString()))&&void 0!==_newNames$get?_newNames$get:module.name;break;default:before=sectionTitle(section),after=await Str.get_string("preview_result_"+submitData.action,"block_massaction")}return{name:module.name,before:before,after:after}}));return Promise.all(rows)};_exports.getPreviewRows=getPreviewRows;const getSectionPreviewRows=async(action,sectionIds,target,sections)=>{const visibilityString=visible=>Str.get_string("filter_visibility_"+(visible?"visible":"hidden"),"block_massaction"),targetSection=sections.find((section=>section.number===parseInt(target))),rows=sections.filter((section=>sectionIds.includes(section.id.toString()))).map((async section=>{let before=await Str.get_string("preview_position","block_massaction",section.number),after="";switch(action){case"hidesections":case"showsections":before=await visibilityString(section.visible),after=await visibilityString("showsections"===action);break;case"movesections":after=0!==parseInt(target)&&targetSection?await Str.get_string("movesections_after","block_massaction",targetSection.title):await Str.get_string("movesections_top","block_massaction");break;case"duplicatesections":after=await Str.get_string("preview_copyafter","block_massaction",section.title);break;case"duplicatesectionstocourse":after=await Str.get_string("preview_result_duplicatetocourse","block_massaction");break;default:after=await Str.get_string("preview_result_"+action,"block_massaction")}return{name:(0,_checkboxmanager.getTitleOfSection)(section),before:before,after:after}}));return Promise.all(rows)};_exports.getSectionPreviewRows=getSectionPreviewRows;_exports.confirmAction=async(submitData,actionText)=>{const rows=await getPreviewRows(submitData,(0,_courseeditor.getCurrentCourseEditor)().stateManager.state);return showConfirmation({rows:rows},actionText)};_exports.confirmSectionAction=async(action,sectionIds,target,sections,actionText)=>{const rows=await getSectionPreviewRows(action,sectionIds,target,sections);return showConfirmation({rows:rows,sections:!0},actionText)};const showConfirmation=async(context,actionText)=>{const modal=await _modal_save_cancel.default.create({title:Str.get_string("preview_title","block_massaction",actionText),body:_templates.default.render("block_massaction/action_preview",context),buttons:{save:Str.get_string("preview_confirm","block_massaction")},large:!0,removeOnClose:!0});return new Promise((resolve=>{modal.getRoot().on(_modal_events.default.save,(()=>resolve(!0))),modal.getRoot().on(_modal_events.default.hidden,(()=>resolve(!1))),modal.show()}))}}));
+
+//# sourceMappingURL=actionpreview.min.js.map
\ No newline at end of file
@@ -0,0 +1,10 @@
+define("block_massaction/actionresult",["exports","core/templates","./massactionblock"],(function(_exports,_templates,_massactionblock){var obj;
+/**
+   * Action result amd module: Shows the outcome of the last action and highlights the skipped and failed course modules.
+   *
+   * @module     block_massaction/actionresult
+   * @copyright  2026 University of Regina
+   * @license    http://www.gnu.org/copyleft/gpl.html GNU GPL v3 or later
+   */Object.defineProperty(_exports,"__esModule",{value:!0}),_exports.render=_exports.init=void 0,_templates=(obj=_templates)&&obj.__esModule?obj:{default:obj};const cssIds_RESULT_CONTAINER="block-massaction-result",HIGHLIGHTED_STATUSES=["skipped","failed"];_exports.init=()=>{const container=document.getElementById(cssIds_RESULT_CONTAINER);null!==container&&(container.addEventListener("click",(event=>{event.target.closest('[data-action="dismissresult"]')&&clear()})),highlightModules())};_exports.render=result=>{const container=document.getElementById(cssIds_RESULT_CONTAINER);return null===container?Promise.resolve():(clear(),null===result?Promise.resolve():_templates.default.renderForPromise("block_massaction/action_result",result).then((_ref=>{let{html:html,js:js}=_ref;return _templates.default.replaceNodeContents(container,html,js),highlightModules(),!0})))};const clear=()=>{document.getElementById(cssIds_RESULT_CONTAINER).innerHTML="",HIGHLIGHTED_STATUSES.forEach((status=>document.querySelectorAll(".block-massaction-result-"+status).forEach((element=>element.classList.remove("block-massaction-result-"+status)))))},highlightModules=()=>{document.querySelectorAll("#".concat(cssIds_RESULT_CONTAINER," [data-cmid]")).forEach((item=>{var _document$getElementB;HIGHLIGHTED_STATUSES.includes(item.dataset.status)&&(null===(_document$getElementB=document.getElementById(_massactionblock.usedMoodleCssClasses.MODULE_ID_PREFIX+item.dataset.cmid))||void 0===_document$getElementB||_document$getElementB.classList.add("block-massaction-result-"+item.dataset.status))}))}}));
+
+//# sourceMappingURL=actionresult.min.js.map
\ No newline at end of file
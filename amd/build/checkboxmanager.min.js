@@ -7,6 +7,6 @@ define("block_massaction/checkboxmanager",["exports","core/templates","core/noti
    * @copyright  2022 ISB Bayern
    * @author     Philipp Memmel
    * @license    http://www.gnu.org/copyleft/gpl.html GNU GPL v3 or later
-   */Object.defineProperty(_exports,"__esModule",{value:!0}),_exports.setSectionSelection=_exports.initCheckboxManager=_exports.getTitleOfSection=_exports.getSelectedModIds=void 0,_templates=_interopRequireDefault(_templates),_events=_interopRequireDefault(_events);let localStateUpdating=!1,sectionsChanged=!1,sections=[],moduleNames=[];const sectionBoxes={};_exports.initCheckboxManager=()=>{const courseEditor=(0,_courseeditor.getCurrentCourseEditor)(),eventsToListen_SECTION_UPDATED="section:updated",eventsToListen_CHANGE_FINISHED="transaction:end";courseEditor.stateManager.target.addEventListener(_events.default.stateChanged,(event=>{event.detail.action===eventsToListen_SECTION_UPDATED&&(sectionsChanged=!0),event.detail.action===eventsToListen_CHANGE_FINISHED&&rebuildLocalState()})),sectionsChanged=!0,rebuildLocalState()};const rebuildLocalState=()=>{if(localStateUpdating)return;localStateUpdating=!0;for(const prop of Object.getOwnPropertyNames(sectionBoxes))delete sectionBoxes[prop];const courseEditor=(0,_courseeditor.getCurrentCourseEditor)(),state=courseEditor.stateManager.state,courseItems=courseEditor.getExporter().allItemsArray(state);sections=[],courseItems.forEach((item=>{if("section"===item.type){let sectioninfo={...state.section.get(item.id)};sectioninfo.title=getTitleOfSection(sectioninfo),sections.push(sectioninfo)}})),moduleNames=[...courseEditor.stateManager.state.cm.values()];const sectionsUnfiltered=sections;sections=filterVisibleSections(sections),updateSelectionAndMoveToDropdowns(sections,sectionsUnfiltered),addCheckboxesToDataStructure(),localStateUpdating=!1},getTitleOfSection=section=>{let title=section.title;return"mod_subsection"===section.component&&(title=" - "+title),title};_exports.getTitleOfSection=getTitleOfSection;_exports.getSelectedModIds=()=>{const moduleIds=[];for(let sectionNumber in sectionBoxes)for(let i=0;i<sectionBoxes[sectionNumber].length;i++){document.getElementById(sectionBoxes[sectionNumber][i].boxId).checked&&moduleIds.push(sectionBoxes[sectionNumber][i].moduleId)}return moduleIds};const setSectionSelection=(value,sectionNumber)=>{const boxIds=[];if(void 0===sectionNumber||sectionNumber!==_massactionblock.constants.SECTION_SELECT_DESCRIPTION_VALUE){if(void 0!==sectionNumber&&sectionNumber===_massactionblock.constants.SECTION_NUMBER_ALL_PLACEHOLDER)for(const sectionId in sectionBoxes)for(let j=0;j<sectionBoxes[sectionId].length;j++)boxIds.push(sectionBoxes[sectionId][j].boxId);else sectionBoxes[sectionNumber].forEach((box=>boxIds.push(box.boxId)));for(let i=0;i<boxIds.length;i++)document.getElementById(boxIds[i]).checked=value;document.getElementById(_massactionblock.cssIds.SECTION_SELECT).value=_massactionblock.constants.SECTION_SELECT_DESCRIPTION_VALUE}};_exports.setSectionSelection=setSectionSelection;const addCheckboxesToDataStructure=()=>{sections.forEach((section=>{sectionBoxes[section.number]=[];const moduleIds=section.cmlist;if(moduleIds&&moduleIds.length>0&&""!==moduleIds[0]){moduleNames.filter((modinfo=>moduleIds.includes(modinfo.id.toString()))).forEach((modinfo=>{if("subsection"!==modinfo.module){const boxId=_massactionblock.usedMoodleCssClasses.BOX_ID_PREFIX+modinfo.id.toString();sectionBoxes[section.number].push({moduleId:modinfo.id.toString(),boxId:boxId})}}))}}))},filterVisibleSections=sections=>sections.filter((section=>0!==section.cmlist.length)).filter((section=>section.cmlist.every((moduleid=>null!==document.getElementById(_massactionblock.usedMoodleCssClasses.MODULE_ID_PREFIX+moduleid))))),updateSelectionAndMoveToDropdowns=(sections,sectionsUnfiltered)=>{sectionsChanged?(_templates.default.renderForPromise("block_massaction/section_select",{sections:sectionsUnfiltered}).then((_ref=>{let{html:html,js:js}=_ref;return _templates.default.replaceNode("#"+_massactionblock.cssIds.SECTION_SELECT,html,js),disableInvisibleAndEmptySections(sections),document.getElementById(_massactionblock.cssIds.SECTION_SELECT).addEventListener("change",(event=>setSectionSelection(!0,event.target.value)),!1),!0})).catch((ex=>(0,_notification.exception)(ex))),_templates.default.renderForPromise("block_massaction/moveto_select",{sections:sectionsUnfiltered}).then((_ref2=>{let{html:html,js:js}=_ref2;return _templates.default.replaceNode("#"+_massactionblock.cssIds.MOVETO_SELECT,html,js),disableUnavailableSections(_massactionblock.cssIds.MOVETO_SELECT),!0})).catch((ex=>(0,_notification.exception)(ex))),_templates.default.renderForPromise("block_massaction/duplicateto_select",{sections:sectionsUnfiltered}).then((_ref3=>{let{html:html,js:js}=_ref3;return _templates.default.replaceNode("#"+_massactionblock.cssIds.DUPLICATETO_SELECT,html,js),disableUnavailableSections(_massactionblock.cssIds.DUPLICATETO_SELECT),!0})).catch((ex=>(0,_notification.exception)(ex)))):disableInvisibleAndEmptySections(sections),sectionsChanged=!1},disableInvisibleAndEmptySections=sections=>{Array.prototype.forEach.call(document.getElementById(_massactionblock.cssIds.SECTION_SELECT).options,(option=>{option.value===_massactionblock.constants.SECTION_SELECT_DESCRIPTION_VALUE||sections.some((section=>parseInt(option.value)===section.number))?option.disabled=!1:option.disabled=!0}))},disableUnavailableSections=elementId=>{if(null!==document.getElementById(elementId)){const sectionsAvailableInfo=document.querySelector(_massactionblock.cssIds.SECTION_FILTER_DATA).dataset.availabletargetsections,sectionsAvailable=Array.prototype.map.call(sectionsAvailableInfo.split(","),(sectionnum=>parseInt(sectionnum)));Array.prototype.forEach.call(document.getElementById(elementId).options,(option=>{sectionsAvailable.includes(parseInt(option.value))?option.disabled=!1:option.disabled=!0}))}}}));
+   */Object.defineProperty(_exports,"__esModule",{value:!0}),_exports.sortByDisplayOrder=_exports.setSectionSelection=_exports.setRangeSelection=_exports.setModuleSelection=_exports.selectionChangedEvent=_exports.sectionsChangedEvent=_exports.invertSelection=_exports.initCheckboxManager=_exports.getTitleOfSection=_exports.getSelectedModIds=_exports.getSelectableModules=_exports.getSections=void 0,_templates=_interopRequireDefault(_templates),_events=_interopRequireDefault(_events);let localStateUpdating=!1,sectionsChanged=!1,sections=[],allSections=[],moduleNames=[],moduleOrder=[],lastClickedModuleId=null;_exports.selectionChangedEvent="block_massaction/selectionchanged";_exports.sectionsChangedEvent="block_massaction/sectionschanged";const sectionBoxes={};_exports.initCheckboxManager=()=>{const courseEditor=(0,_courseeditor.getCurrentCourseEditor)(),eventsToListen_SECTION_UPDATED="section:updated",eventsToListen_CHANGE_FINISHED="transaction:end";courseEditor.stateManager.target.addEventListener(_events.default.stateChanged,(event=>{event.detail.action===eventsToListen_SECTION_UPDATED&&(sectionsChanged=!0),event.detail.action===eventsToListen_CHANGE_FINISHED&&rebuildLocalState()})),document.addEventListener("click",handleCheckboxClick),sectionsChanged=!0,rebuildLocalState()};const rebuildLocalState=()=>{if(localStateUpdating)return;localStateUpdating=!0;for(const prop of Object.getOwnPropertyNames(sectionBoxes))delete sectionBoxes[prop];const courseEditor=(0,_courseeditor.getCurrentCourseEditor)(),state=courseEditor.stateManager.state,courseItems=courseEditor.getExporter().allItemsArray(state);moduleOrder=courseItems.filter((item=>"cm"===item.type)).map((item=>item.id.toString())),sections=[],courseItems.forEach((item=>{if("section"===item.type){let sectioninfo={...state.section.get(item.id)};sectioninfo.title=getTitleOfSection(sectioninfo),sections.push(sectioninfo)}})),moduleNames=[...courseEditor.stateManager.state.cm.values()];const sectionsUnfiltered=sections;allSections=sectionsUnfiltered,sections=filterVisibleSections(sections),updateSelectionAndMoveToDropdowns(sections,sectionsUnfiltered),addCheckboxesToDataStructure(),localStateUpdating=!1,document.dispatchEvent(new CustomEvent("block_massaction/sectionschanged"))};_exports.getSections=()=>allSections;const getTitleOfSection=section=>{let title=section.title;return"mod_subsection"===section.component&&(title=" - "+title),title};_exports.getTitleOfSection=getTitleOfSection;_exports.getSelectedModIds=()=>{const moduleIds=[];for(let sectionNumber in sectionBoxes)for(let i=0;i<sectionBoxes[sectionNumber].length;i++){document.getElementById(sectionBoxes[sectionNumber][i].boxId).checked&&moduleIds.push(sectionBoxes[sectionNumber][i].moduleId)}return moduleIds};_exports.getSelectableModules=()=>{const moduleIds=Object.values(sectionBoxes).flat().map((box=>box.moduleId));return moduleNames.filter((modinfo=>moduleIds.includes(modinfo.id.toString())))};const setModuleSelection=(value,moduleIds)=>{moduleIds.forEach((moduleId=>{const checkbox=document.getElementById(_massactionblock.usedMoodleCssClasses.BOX_ID_PREFIX+moduleId);checkbox&&(checkbox.checked=value)})),notifySelectionChanged()};_exports.setModuleSelection=setModuleSelection;_exports.sortByDisplayOrder=moduleIds=>[...moduleIds].sort(((a,b)=>moduleOrder.indexOf(a.toString())-moduleOrder.indexOf(b.toString())));const notifySelectionChanged=()=>{document.dispatchEvent(new CustomEvent("block_massaction/selectionchanged"))},setRangeSelection=(value,fromModuleId,toModuleId)=>{const selectableIds=Object.values(sectionBoxes).flat().map((box=>box.moduleId)),orderedIds=moduleOrder.filter((moduleId=>selectableIds.includes(moduleId))),fromIndex=orderedIds.indexOf(fromModuleId),toIndex=orderedIds.indexOf(toModuleId);-1!==fromIndex&&-1!==toIndex&&setModuleSelection(value,orderedIds.slice(Math.min(fromIndex,toIndex),Math.max(fromIndex,toIndex)+1))};_exports.setRangeSelection=setRangeSelection;_exports.invertSelection=()=>{Object.values(sectionBoxes).flat().forEach((box=>{const checkbox=document.getElementById(box.boxId);checkbox&&(checkbox.checked=!checkbox.checked)})),notifySelectionChanged()};const handleCheckboxClick=event=>{const checkbox=event.target;if(!(checkbox instanceof HTMLInputElement&&checkbox.id.startsWith(_massactionblock.usedMoodleCssClasses.BOX_ID_PREFIX)))return;const moduleId=checkbox.id.substring(_massactionblock.usedMoodleCssClasses.BOX_ID_PREFIX.length);event.shiftKey&&null!==lastClickedModuleId?setRangeSelection(checkbox.checked,lastClickedModuleId,moduleId):notifySelectionChanged(),lastClickedModuleId=moduleId},setSectionSelection=(value,sectionNumber)=>{const boxIds=[];if(void 0===sectionNumber||sectionNumber!==_massactionblock.constants.SECTION_SELECT_DESCRIPTION_VALUE){if(void 0!==sectionNumber&&sectionNumber===_massactionblock.constants.SECTION_NUMBER_ALL_PLACEHOLDER)for(const sectionId in sectionBoxes)for(let j=0;j<sectionBoxes[sectionId].length;j++)boxIds.push(sectionBoxes[sectionId][j].boxId);else sectionBoxes[sectionNumber].forEach((box=>boxIds.push(box.boxId)));for(let i=0;i<boxIds.length;i++)document.getElementById(boxIds[i]).checked=value;notifySelectionChanged(),document.getElementById(_massactionblock.cssIds.SECTION_SELECT).value=_massactionblock.constants.SECTION_SELECT_DESCRIPTION_VALUE}};_exports.setSectionSelection=setSectionSelection;const addCheckboxesToDataStructure=()=>{sections.forEach((section=>{sectionBoxes[section.number]=[];const moduleIds=section.cmlist;if(moduleIds&&moduleIds.length>0&&""!==moduleIds[0]){moduleNames.filter((modinfo=>moduleIds.includes(modinfo.id.toString()))).forEach((modinfo=>{if("subsection"!==modinfo.module){const boxId=_massactionblock.usedMoodleCssClasses.BOX_ID_PREFIX+modinfo.id.toString();sectionBoxes[section.number].push({moduleId:modinfo.id.toString(),boxId:boxId})}}))}}))},filterVisibleSections=sections=>sections.filter((section=>0!==section.cmlist.length)).filter((section=>section.cmlist.every((moduleid=>null!==document.getElementById(_massactionblock.usedMoodleCssClasses.MODULE_ID_PREFIX+moduleid))))),updateSelectionAndMoveToDropdowns=(sections,sectionsUnfiltered)=>{sectionsChanged?(_templates.default.renderForPromise("block_massaction/section_select",{sections:sectionsUnfiltered}).then((_ref=>{let{html:html,js:js}=_ref;return _templates.default.replaceNode("#"+_massactionblock.cssIds.SECTION_SELECT,html,js),disableInvisibleAndEmptySections(sections),document.getElementById(_massactionblock.cssIds.SECTION_SELECT).addEventListener("change",(event=>setSectionSelection(!0,event.target.value)),!1),!0})).catch((ex=>(0,_notification.exception)(ex))),_templates.default.renderForPromise("block_massaction/moveto_select",{sections:sectionsUnfiltered}).then((_ref2=>{let{html:html,js:js}=_ref2;return _templates.default.replaceNode("#"+_massactionblock.cssIds.MOVETO_SELECT,html,js),disableUnavailableSections(_massactionblock.cssIds.MOVETO_SELECT),!0})).catch((ex=>(0,_notification.exception)(ex))),_templates.default.renderForPromise("block_massaction/duplicateto_select",{sections:sectionsUnfiltered}).then((_ref3=>{let{html:html,js:js}=_ref3;return _templates.default.replaceNode("#"+_massactionblock.cssIds.DUPLICATETO_SELECT,html,js),disableUnavailableSections(_massactionblock.cssIds.DUPLICATETO_SELECT),!0})).catch((ex=>(0,_notification.exception)(ex)))):disableInvisibleAndEmptySections(sections),sectionsChanged=!1},disableInvisibleAndEmptySections=sections=>{Array.prototype.forEach.call(document.getElementById(_massactionblock.cssIds.SECTION_SELECT).options,(option=>{option.value===_massactionblock.constants.SECTION_SELECT_DESCRIPTION_VALUE||sections.some((section=>parseInt(option.value)===section.number))?option.disabled=!1:option.disabled=!0}))},disableUnavailableSections=elementId=>{if(null!==document.getElementById(elementId)){const sectionsAvailableInfo=document.querySelector(_massactionblock.cssIds.SECTION_FILTER_DATA).dataset.availabletargetsections,sectionsAvailable=Array.prototype.map.call(sectionsAvailableInfo.split(","),(sectionnum=>parseInt(sectionnum)));Array.prototype.forEach.call(document.getElementById(elementId).options,(option=>{sectionsAvailable.includes(parseInt(option.value))?option.disabled=!1:option.disabled=!0}))}}}));
 
 //# sourceMappingURL=checkboxmanager.min.js.map
\ No newline at end of file
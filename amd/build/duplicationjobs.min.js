@@ -0,0 +1,10 @@
+define("block_massaction/duplicationjobs",["exports","core/ajax","core/notification","core/templates","core_courseformat/courseeditor","./massactionblock"],(function(_exports,_ajax,_notification,_templates,_courseeditor,_massactionblock){function _interopRequireDefault(obj){return obj&&obj.__esModule?obj:{default:obj}}
+/**
+   * Duplication jobs amd module: Shows the progress and the result of the duplications running as background tasks.
+   *
+   * @module     block_massaction/duplicationjobs
+   * @copyright  2026 University of Regina
+   * @license    http://www.gnu.org/copyleft/gpl.html GNU GPL v3 or later
+   */Object.defineProperty(_exports,"__esModule",{value:!0}),_exports.refresh=_exports.init=void 0,_ajax=_interopRequireDefault(_ajax),_notification=_interopRequireDefault(_notification),_templates=_interopRequireDefault(_templates);const cssIds_JOBS_CONTAINER="block-massaction-jobs";let pollTimer=null;_exports.init=()=>{const container=document.getElementById(cssIds_JOBS_CONTAINER);null!==container&&(container.addEventListener("click",(event=>{const button=event.target.closest('[data-action="dismissjob"]');button&&callJobsService("block_massaction_dismiss_duplication_job",{batchid:button.dataset.batchid}).catch(_notification.default.exception)})),null!==container.querySelector('[data-active="1"]')&&schedulePoll())};const refresh=()=>callJobsService("block_massaction_get_duplication_jobs",{});_exports.refresh=refresh;const callJobsService=(methodname,args)=>{const container=document.getElementById(cssIds_JOBS_CONTAINER),instanceId=document.getElementById(_massactionblock.cssIds.HIDDEN_FIELD_INSTANCE_ID).value,wasActive=null!==container.querySelector('[data-active="1"]');return _ajax.default.call([{methodname:methodname,args:{instanceid:instanceId,...args}}])[0].then((jobs=>Promise.all([jobs,_templates.default.renderForPromise("block_massaction/duplication_jobs",{jobs:jobs})]))).then((_ref=>{let[jobs,{html:html,js:js}]=_ref;_templates.default.replaceNodeContents(container,html,js);if(jobs.some((job=>job.active)))schedulePoll();else if(wasActive)return(0,_courseeditor.getCurrentCourseEditor)().dispatch("courseState");return!0}))},schedulePoll=()=>{clearTimeout(pollTimer),pollTimer=setTimeout((()=>refresh().catch(_notification.default.exception)),5e3)}}));
+
+//# sourceMappingURL=duplicationjobs.min.js.map
\ No newline at end of file
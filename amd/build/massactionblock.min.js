@@ -1,4 +1,4 @@
-define("block_massaction/massactionblock",["exports","block_massaction/checkboxmanager","core/str","core/log","core/notification","core/pending","core_courseformat/courseeditor","core_course/events"],(function(_exports,checkboxmanager,Str,_log,_notification,_pending,_courseeditor,_events){function _interopRequireDefault(obj){return obj&&obj.__esModule?obj:{default:obj}}function _getRequireWildcardCache(nodeInterop){if("function"!=typeof WeakMap)return null;var cacheBabelInterop=new WeakMap,cacheNodeInterop=new WeakMap;return(_getRequireWildcardCache=function(nodeInterop){return nodeInterop?cacheNodeInterop:cacheBabelInterop})(nodeInterop)}function _interopRequireWildcard(obj,nodeInterop){if(!nodeInterop&&obj&&obj.__esModule)return obj;if(null===obj||"object"!=typeof obj&&"function"!=typeof obj)return{default:obj};var cache=_getRequireWildcardCache(nodeInterop);if(cache&&cache.has(obj))return cache.get(obj);var newObj={},hasPropertyDescriptor=Object.defineProperty&&Object.getOwnPropertyDescriptor;for(var key in obj)if("default"!==key&&Object.prototype.hasOwnProperty.call(obj,key)){var desc=hasPropertyDescriptor?Object.getOwnPropertyDescriptor(obj,key):null;desc&&(desc.get||desc.set)?Object.defineProperty(newObj,key,desc):newObj[key]=obj[key]}return newObj.default=obj,cache&&cache.set(obj,newObj),newObj}
+define("block_massaction/massactionblock",["exports","block_massaction/actionpreview","block_massaction/actionresult","block_massaction/checkboxmanager","block_massaction/duplicationjobs","block_massaction/renamer","block_massaction/savedselections","block_massaction/sectionactions","block_massaction/selectionfilter","block_massaction/selectionsummary","core/str","core/ajax","core/config","core/fragment","core/log","core/notification","core/pending","core/templates","core/toast","core_courseformat/courseeditor","core_course/events"],(function(_exports,actionpreview,actionresult,checkboxmanager,duplicationjobs,renamer,savedselections,sectionactions,selectionfilter,selectionsummary,Str,_ajax,_config,_fragment,_log,_notification,_pending,_templates,_toast,_courseeditor,_events){function _interopRequireDefault(obj){return obj&&obj.__esModule?obj:{default:obj}}function _getRequireWildcardCache(nodeInterop){if("function"!=typeof WeakMap)return null;var cacheBabelInterop=new WeakMap,cacheNodeInterop=new WeakMap;return(_getRequireWildcardCache=function(nodeInterop){return nodeInterop?cacheNodeInterop:cacheBabelInterop})(nodeInterop)}function _interopRequireWildcard(obj,nodeInterop){if(!nodeInterop&&obj&&obj.__esModule)return obj;if(null===obj||"object"!=typeof obj&&"function"!=typeof obj)return{default:obj};var cache=_getRequireWildcardCache(nodeInterop);if(cache&&cache.has(obj))return cache.get(obj);var newObj={},hasPropertyDescriptor=Object.defineProperty&&Object.getOwnPropertyDescriptor;for(var key in obj)if("default"!==key&&Object.prototype.hasOwnProperty.call(obj,key)){var desc=hasPropertyDescriptor?Object.getOwnPropertyDescriptor(obj,key):null;desc&&(desc.get||desc.set)?Object.defineProperty(newObj,key,desc):newObj[key]=obj[key]}return newObj.default=obj,cache&&cache.set(obj,newObj),newObj}
 /**
    * Main module for the massaction block.
    *
@@ -6,6 +6,6 @@ define("block_massaction/massactionblock",["exports","block_massaction/checkboxm
    * @copyright  2022 ISB Bayern
    * @author     Philipp Memmel
    * @license    http://www.gnu.org/copyleft/gpl.html GNU GPL v3 or later
-   */Object.defineProperty(_exports,"__esModule",{value:!0}),_exports.usedMoodleCssClasses=_exports.init=_exports.cssIds=_exports.constants=void 0,checkboxmanager=_interopRequireWildcard(checkboxmanager),Str=_interopRequireWildcard(Str),_log=_interopRequireDefault(_log),_notification=_interopRequireDefault(_notification),_pending=_interopRequireDefault(_pending),_events=_interopRequireDefault(_events);_exports.usedMoodleCssClasses={ACTIVITY_ITEM:".activity-item",MODULE_ID_PREFIX:"module-",BOX_ID_PREFIX:"cmCheckbox"};const cssIds={BLOCK_CONTENT:"block-massaction",BULK_EDITING_DISABLED:"block-massaction-bulk-editing-disabled",SELECT_ALL_LINK:"block-massaction-control-selectall",DESELECT_ALL_LINK:"block-massaction-control-deselectall",HIDE_LINK:"block-massaction-action-hide",SHOW_LINK:"block-massaction-action-show",MAKE_AVAILABLE_LINK:"block-massaction-action-makeavailable",DUPLICATE_LINK:"block-massaction-action-duplicate",DELETE_LINK:"block-massaction-action-delete",SHOW_DESCRIPTION_LINK:"block-massaction-action-showdescription",HIDE_DESCRIPTION_LINK:"block-massaction-action-hidedescription",CONTENT_CHANGED_NOTIFICATION_LINK:"block-massaction-action-contentchangednotification",MOVELEFT_LINK:"block-massaction-action-moveleft",MOVERIGHT_LINK:"block-massaction-action-moveright",MOVETO_ICON_LINK:"block-massaction-action-moveto",DUPLICATETO_ICON_LINK:"block-massaction-action-duplicateto",DUPLICATE_TO_COURSE_ICON_LINK:"block-massaction-action-duplicatetocourse",SECTION_SELECT:"block-massaction-control-section-list-select",MOVETO_SELECT:"block-massaction-control-section-list-moveto",DUPLICATETO_SELECT:"block-massaction-control-section-list-duplicateto",HIDDEN_FIELD_REQUEST_INFORMATION:"block-massaction-control-request",ACTION_FORM:"block-massaction-control-form",SECTION_FILTER_DATA:'[data-block-massaction-data="availabletargetsections"]'};_exports.cssIds=cssIds;const constants={SECTION_SELECT_DESCRIPTION_VALUE:"description",SECTION_NUMBER_ALL_PLACEHOLDER:"all"};_exports.constants=constants;const actions_HIDE="hide",actions_SHOW="show",actions_MAKE_AVAILABLE="makeavailable",actions_DUPLICATE="duplicate",actions_DELETE="delete",actions_SHOW_DESCRIPTION="showdescription",actions_HIDE_DESCRIPTION="hidedescription",actions_MOVE_LEFT="moveleft",actions_MOVE_RIGHT="moveright",actions_CONTENT_CHANGED_NOTIFICATION="contentchangednotification",actions_MOVE_TO="moveto",actions_DUPLICATE_TO="duplicateto",actions_DUPLICATE_TO_COURSE="duplicatetocourse";_exports.init=async()=>{var _document$getElementB3,_document$getElementB4,_document$getElementB5,_document$getElementB6,_document$getElementB7,_document$getElementB8,_document$getElementB9,_document$getElementB10,_document$getElementB11,_document$getElementB12,_document$getElementB13,_document$getElementB14,_document$getElementB15,_document$getElementB16,_document$getElementB17;const pendingPromise=new _pending.default("block_massaction/init"),editor=(0,_courseeditor.getCurrentCourseEditor)();editor.stateManager.getInitialPromise().then((()=>{checkboxmanager.initCheckboxManager(),editor.stateManager.target.addEventListener(_events.default.stateChanged,(event=>{var _document$getElementB,_document$getElementB2;"bulk.enabled:updated"===event.detail.action&&(null===(_document$getElementB=document.getElementById(cssIds.BLOCK_CONTENT))||void 0===_document$getElementB||_document$getElementB.classList.toggle("d-none"),null===(_document$getElementB2=document.getElementById(cssIds.BULK_EDITING_DISABLED))||void 0===_document$getElementB2||_document$getElementB2.classList.toggle("d-none"))}));const enableBulkButton=document.getElementById("block-massaction-enable-bulk-editing");return enableBulkButton.disabled=!1,null==enableBulkButton||enableBulkButton.addEventListener("click",(()=>editor.dispatch("bulkEnable",!0))),!0})).catch((error=>_log.default.debug(error))),null===(_document$getElementB3=document.getElementById(cssIds.SELECT_ALL_LINK))||void 0===_document$getElementB3||_document$getElementB3.addEventListener("click",(()=>checkboxmanager.setSectionSelection(!0,constants.SECTION_NUMBER_ALL_PLACEHOLDER)),!1),null===(_document$getElementB4=document.getElementById(cssIds.DESELECT_ALL_LINK))||void 0===_document$getElementB4||_document$getElementB4.addEventListener("click",(()=>checkboxmanager.setSectionSelection(!1,constants.SECTION_NUMBER_ALL_PLACEHOLDER)),!1),null===(_document$getElementB5=document.getElementById(cssIds.HIDE_LINK))||void 0===_document$getElementB5||_document$getElementB5.addEventListener("click",(()=>submitAction(actions_HIDE)),!1),null===(_document$getElementB6=document.getElementById(cssIds.SHOW_LINK))||void 0===_document$getElementB6||_document$getElementB6.addEventListener("click",(()=>submitAction(actions_SHOW)),!1),null===(_document$getElementB7=document.getElementById(cssIds.MAKE_AVAILABLE_LINK))||void 0===_document$getElementB7||_document$getElementB7.addEventListener("click",(()=>submitAction(actions_MAKE_AVAILABLE)),!1),null===(_document$getElementB8=document.getElementById(cssIds.DUPLICATE_LINK))||void 0===_document$getElementB8||_document$getElementB8.addEventListener("click",(()=>submitAction(actions_DUPLICATE)),!1),null===(_document$getElementB9=document.getElementById(cssIds.DELETE_LINK))||void 0===_document$getElementB9||_document$getElementB9.addEventListener("click",(()=>submitAction(actions_DELETE)),!1),null===(_document$getElementB10=document.getElementById(cssIds.SHOW_DESCRIPTION_LINK))||void 0===_document$getElementB10||_document$getElementB10.addEventListener("click",(()=>submitAction(actions_SHOW_DESCRIPTION)),!1),null===(_document$getElementB11=document.getElementById(cssIds.HIDE_DESCRIPTION_LINK))||void 0===_document$getElementB11||_document$getElementB11.addEventListener("click",(()=>submitAction(actions_HIDE_DESCRIPTION)),!1),null===(_document$getElementB12=document.getElementById(cssIds.CONTENT_CHANGED_NOTIFICATION_LINK))||void 0===_document$getElementB12||_document$getElementB12.addEventListener("click",(()=>submitAction(actions_CONTENT_CHANGED_NOTIFICATION)),!1),null===(_document$getElementB13=document.getElementById(cssIds.MOVELEFT_LINK))||void 0===_document$getElementB13||_document$getElementB13.addEventListener("click",(()=>submitAction(actions_MOVE_LEFT)),!1),null===(_document$getElementB14=document.getElementById(cssIds.MOVERIGHT_LINK))||void 0===_document$getElementB14||_document$getElementB14.addEventListener("click",(()=>submitAction(actions_MOVE_RIGHT)),!1),null===(_document$getElementB15=document.getElementById(cssIds.MOVETO_ICON_LINK))||void 0===_document$getElementB15||_document$getElementB15.addEventListener("click",(()=>submitAction(actions_MOVE_TO)),!1),null===(_document$getElementB16=document.getElementById(cssIds.DUPLICATETO_ICON_LINK))||void 0===_document$getElementB16||_document$getElementB16.addEventListener("click",(()=>submitAction(actions_DUPLICATE_TO)),!1),null===(_document$getElementB17=document.getElementById(cssIds.DUPLICATE_TO_COURSE_ICON_LINK))||void 0===_document$getElementB17||_document$getElementB17.addEventListener("click",(()=>submitAction(actions_DUPLICATE_TO_COURSE)),!1),pendingPromise.resolve()};const submitAction=action=>{const submitData={action:action,moduleIds:[]};if(submitData.moduleIds=checkboxmanager.getSelectedModIds(),0===submitData.moduleIds.length)return displayError(Str.get_string("noitemselected","block_massaction")),!1;switch(action){case actions_HIDE:case actions_SHOW:case actions_MAKE_AVAILABLE:case actions_DUPLICATE:case actions_DUPLICATE_TO_COURSE:case actions_CONTENT_CHANGED_NOTIFICATION:case actions_MOVE_LEFT:case actions_MOVE_RIGHT:case actions_DELETE:case actions_SHOW_DESCRIPTION:case actions_HIDE_DESCRIPTION:break;case actions_MOVE_TO:if(submitData.moveToTarget=document.getElementById(cssIds.MOVETO_SELECT).value,""===submitData.moveToTarget.trim())return displayError(Str.get_string("nomovingtargetselected","block_massaction")),!1;break;case actions_DUPLICATE_TO:if(submitData.duplicateToTarget=document.getElementById(cssIds.DUPLICATETO_SELECT).value,""===submitData.duplicateToTarget.trim())return displayError(Str.get_string("nomovingtargetselected","block_massaction")),!1;break;default:return displayError("Unknown action: "+action+". Coding error."),!1}return document.getElementById(cssIds.HIDDEN_FIELD_REQUEST_INFORMATION).value=JSON.stringify(submitData),document.getElementById(cssIds.ACTION_FORM).submit(),!0},displayError=errorText=>{Promise.resolve([Str.get_string("error","core"),errorText,Str.get_string("back","core")]).then((text=>_notification.default.alert(text[0],text[1],text[2]))).catch((error=>_log.default.debug(error)))}}));
+   */Object.defineProperty(_exports,"__esModule",{value:!0}),_exports.usedMoodleCssClasses=_exports.init=_exports.cssIds=_exports.constants=void 0,actionpreview=_interopRequireWildcard(actionpreview),actionresult=_interopRequireWildcard(actionresult),checkboxmanager=_interopRequireWildcard(checkboxmanager),duplicationjobs=_interopRequireWildcard(duplicationjobs),renamer=_interopRequireWildcard(renamer),savedselections=_interopRequireWildcard(savedselections),sectionactions=_interopRequireWildcard(sectionactions),selectionfilter=_interopRequireWildcard(selectionfilter),selectionsummary=_interopRequireWildcard(selectionsummary),Str=_interopRequireWildcard(Str),_ajax=_interopRequireDefault(_ajax),_config=_interopRequireDefault(_config),_fragment=_interopRequireDefault(_fragment),_log=_interopRequireDefault(_log),_notification=_interopRequireDefault(_notification),_pending=_interopRequireDefault(_pending),_templates=_interopRequireDefault(_templates),_events=_interopRequireDefault(_events);const usedMoodleCssClasses={ACTIVITY_ITEM:".activity-item",MODULE_ID_PREFIX:"module-",BOX_ID_PREFIX:"cmCheckbox"};_exports.usedMoodleCssClasses=usedMoodleCssClasses;const cssIds={BLOCK_CONTENT:"block-massaction",BULK_EDITING_DISABLED:"block-massaction-bulk-editing-disabled",SELECT_ALL_LINK:"block-massaction-control-selectall",DESELECT_ALL_LINK:"block-massaction-control-deselectall",INVERT_SELECTION_LINK:"block-massaction-control-invertselection",HIDE_LINK:"block-massaction-action-hide",SHOW_LINK:"block-massaction-action-show",MAKE_AVAILABLE_LINK:"block-massaction-action-makeavailable",DUPLICATE_LINK:"block-massaction-action-duplicate",DELETE_LINK:"block-massaction-action-delete",SHOW_DESCRIPTION_LINK:"block-massaction-action-showdescription",HIDE_DESCRIPTION_LINK:"block-massaction-action-hidedescription",RESTRICT_ACCESS_LINK:"block-massaction-action-restrictaccess",TAGS_LINK:"block-massaction-action-tags",COMPETENCIES_LINK:"block-massaction-action-competencies",SHIFT_DATES_LINK:"block-massaction-action-shiftdates",MODULE_SETTINGS_LINK:"block-massaction-action-modulesettings",CONTENT_CHANGED_NOTIFICATION_LINK:"block-massaction-action-contentchangednotification",MOVELEFT_LINK:"block-massaction-action-moveleft",MOVERIGHT_LINK:"block-massaction-action-moveright",MOVETO_ICON_LINK:"block-massaction-action-moveto",DUPLICATETO_ICON_LINK:"block-massaction-action-duplicateto",DUPLICATE_TO_COURSE_ICON_LINK:"block-massaction-action-duplicatetocourse",MOVE_TO_COURSE_ICON_LINK:"block-massaction-action-movetocourse",RENAME_LINK:"block-massaction-action-rename",SORT_LINK:"block-massaction-action-sort",EXPORT_BUNDLE_LINK:"block-massaction-action-exportbundle",IMPORT_BUNDLE_LINK:"block-massaction-action-importbundle",SECTION_SELECT:"block-massaction-control-section-list-select",MOVETO_SELECT:"block-massaction-control-section-list-moveto",DUPLICATETO_SELECT:"block-massaction-control-section-list-duplicateto",SORT_BY_SELECT:"block-massaction-control-sort-by",SORT_PLACEMENT_SELECT:"block-massaction-control-sort-placement",HIDDEN_FIELD_REQUEST_INFORMATION:"block-massaction-control-request",HIDDEN_FIELD_INSTANCE_ID:"block-massaction-instance_id",ACTION_FORM:"block-massaction-control-form",UNDO_CONTAINER:"block-massaction-undo",SECTION_FILTER_DATA:'[data-block-massaction-data="availabletargetsections"]',PREVIEW_ACTIONS_DATA:'[data-block-massaction-data="previewactions"]',PLUGIN_ACTION_LINKS:"[data-pluginaction]"};_exports.cssIds=cssIds;const constants={SECTION_SELECT_DESCRIPTION_VALUE:"description",SECTION_NUMBER_ALL_PLACEHOLDER:"all"};_exports.constants=constants;const actions_HIDE="hide",actions_SHOW="show",actions_MAKE_AVAILABLE="makeavailable",actions_DUPLICATE="duplicate",actions_DELETE="delete",actions_SHOW_DESCRIPTION="showdescription",actions_HIDE_DESCRIPTION="hidedescription",actions_RESTRICT_ACCESS="restrictaccess",actions_TAGS="tags",actions_COMPETENCIES="competencies",actions_SHIFT_DATES="shiftdates",actions_MODULE_SETTINGS="modulesettings",actions_MOVE_LEFT="moveleft",actions_MOVE_RIGHT="moveright",actions_CONTENT_CHANGED_NOTIFICATION="contentchangednotification",actions_MOVE_TO="moveto",actions_DUPLICATE_TO="duplicateto",actions_DUPLICATE_TO_COURSE="duplicatetocourse",actions_MOVE_TO_COURSE="movetocourse",actions_RENAME="rename",actions_SORT="sort",actions_EXPORT_BUNDLE="exportbundle",actions_IMPORT_BUNDLE="importbundle",formActions=[actions_DELETE,actions_DUPLICATE_TO_COURSE,actions_MOVE_TO_COURSE,actions_RESTRICT_ACCESS,actions_TAGS,actions_COMPETENCIES,actions_SHIFT_DATES,actions_MODULE_SETTINGS,actions_EXPORT_BUNDLE,actions_IMPORT_BUNDLE],shortcuts={KeyA:{elementId:cssIds.SELECT_ALL_LINK,handler:()=>checkboxmanager.setSectionSelection(!0,constants.SECTION_NUMBER_ALL_PLACEHOLDER)},KeyN:{elementId:cssIds.DESELECT_ALL_LINK,handler:()=>checkboxmanager.setSectionSelection(!1,constants.SECTION_NUMBER_ALL_PLACEHOLDER)},KeyI:{elementId:cssIds.INVERT_SELECTION_LINK,handler:()=>checkboxmanager.invertSelection()},KeyH:{elementId:cssIds.HIDE_LINK,handler:()=>submitAction(actions_HIDE)},KeyS:{elementId:cssIds.SHOW_LINK,handler:()=>submitAction(actions_SHOW)},KeyV:{elementId:cssIds.MAKE_AVAILABLE_LINK,handler:()=>submitAction(actions_MAKE_AVAILABLE)},KeyD:{elementId:cssIds.DUPLICATE_LINK,handler:()=>submitAction(actions_DUPLICATE)},KeyX:{elementId:cssIds.DELETE_LINK,handler:()=>submitAction(actions_DELETE)},KeyO:{elementId:cssIds.SHOW_DESCRIPTION_LINK,handler:()=>submitAction(actions_SHOW_DESCRIPTION)},KeyP:{elementId:cssIds.HIDE_DESCRIPTION_LINK,handler:()=>submitAction(actions_HIDE_DESCRIPTION)},KeyE:{elementId:cssIds.RESTRICT_ACCESS_LINK,handler:()=>submitAction(actions_RESTRICT_ACCESS)},KeyT:{elementId:cssIds.SHIFT_DATES_LINK,handler:()=>submitAction(actions_SHIFT_DATES)},KeyG:{elementId:cssIds.MODULE_SETTINGS_LINK,handler:()=>submitAction(actions_MODULE_SETTINGS)},KeyU:{elementId:cssIds.CONTENT_CHANGED_NOTIFICATION_LINK,handler:()=>submitAction(actions_CONTENT_CHANGED_NOTIFICATION)},KeyL:{elementId:cssIds.MOVELEFT_LINK,handler:()=>submitAction(actions_MOVE_LEFT)},KeyR:{elementId:cssIds.MOVERIGHT_LINK,handler:()=>submitAction(actions_MOVE_RIGHT)},KeyM:{elementId:cssIds.MOVETO_ICON_LINK,handler:()=>submitAction(actions_MOVE_TO)},KeyC:{elementId:cssIds.DUPLICATETO_ICON_LINK,handler:()=>submitAction(actions_DUPLICATE_TO)},KeyK:{elementId:cssIds.DUPLICATE_TO_COURSE_ICON_LINK,handler:()=>submitAction(actions_DUPLICATE_TO_COURSE)},KeyJ:{elementId:cssIds.MOVE_TO_COURSE_ICON_LINK,handler:()=>submitAction(actions_MOVE_TO_COURSE)},KeyQ:{elementId:cssIds.SORT_LINK,handler:()=>submitAction(actions_SORT)}};_exports.init=async()=>{var _document$getElementB3,_document$getElementB4,_document$getElementB5,_document$getElementB6,_document$getElementB7,_document$getElementB8,_document$getElementB9,_document$getElementB0,_document$getElementB1,_document$getElementB10,_document$getElementB11,_document$getElementB12,_document$getElementB13,_document$getElementB14,_document$getElementB15,_document$getElementB16,_document$getElementB17,_document$getElementB18,_document$getElementB19,_document$getElementB20,_document$getElementB21,_document$getElementB22,_document$getElementB23,_document$getElementB24,_document$getElementB25,_document$getElementB26,_document$getElementB27;const pendingPromise=new _pending.default("block_massaction/init"),editor=(0,_courseeditor.getCurrentCourseEditor)();editor.stateManager.getInitialPromise().then((()=>{checkboxmanager.initCheckboxManager(),selectionfilter.init(),selectionsummary.init(),savedselections.init(),renamer.init(),sectionactions.init(),editor.stateManager.target.addEventListener(_events.default.stateChanged,(event=>{var _document$getElementB,_document$getElementB2;"bulk.enabled:updated"===event.detail.action&&(null===(_document$getElementB=document.getElementById(cssIds.BLOCK_CONTENT))||void 0===_document$getElementB||_document$getElementB.classList.toggle("d-none"),null===(_document$getElementB2=document.getElementById(cssIds.BULK_EDITING_DISABLED))||void 0===_document$getElementB2||_document$getElementB2.classList.toggle("d-none"))}));const enableBulkButton=document.getElementById("block-massaction-enable-bulk-editing");return enableBulkButton.disabled=!1,null==enableBulkButton||enableBulkButton.addEventListener("click",(()=>editor.dispatch("bulkEnable",!0))),!0})).catch((error=>_log.default.debug(error))),null===(_document$getElementB3=document.getElementById(cssIds.SELECT_ALL_LINK))||void 0===_document$getElementB3||_document$getElementB3.addEventListener("click",(()=>checkboxmanager.setSectionSelection(!0,constants.SECTION_NUMBER_ALL_PLACEHOLDER)),!1),null===(_document$getElementB4=document.getElementById(cssIds.DESELECT_ALL_LINK))||void 0===_document$getElementB4||_document$getElementB4.addEventListener("click",(()=>checkboxmanager.setSectionSelection(!1,constants.SECTION_NUMBER_ALL_PLACEHOLDER)),!1),null===(_document$getElementB5=document.getElementById(cssIds.INVERT_SELECTION_LINK))||void 0===_document$getElementB5||_document$getElementB5.addEventListener("click",(()=>checkboxmanager.invertSelection()),!1),null===(_document$getElementB6=document.getElementById(cssIds.HIDE_LINK))||void 0===_document$getElementB6||_document$getElementB6.addEventListener("click",(()=>submitAction(actions_HIDE)),!1),null===(_document$getElementB7=document.getElementById(cssIds.SHOW_LINK))||void 0===_document$getElementB7||_document$getElementB7.addEventListener("click",(()=>submitAction(actions_SHOW)),!1),null===(_document$getElementB8=document.getElementById(cssIds.MAKE_AVAILABLE_LINK))||void 0===_document$getElementB8||_document$getElementB8.addEventListener("click",(()=>submitAction(actions_MAKE_AVAILABLE)),!1),null===(_document$getElementB9=document.getElementById(cssIds.DUPLICATE_LINK))||void 0===_document$getElementB9||_document$getElementB9.addEventListener("click",(()=>submitAction(actions_DUPLICATE)),!1),null===(_document$getElementB0=document.getElementById(cssIds.DELETE_LINK))||void 0===_document$getElementB0||_document$getElementB0.addEventListener("click",(()=>submitAction(actions_DELETE)),!1),null===(_document$getElementB1=document.getElementById(cssIds.SHOW_DESCRIPTION_LINK))||void 0===_document$getElementB1||_document$getElementB1.addEventListener("click",(()=>submitAction(actions_SHOW_DESCRIPTION)),!1),null===(_document$getElementB10=document.getElementById(cssIds.HIDE_DESCRIPTION_LINK))||void 0===_document$getElementB10||_document$getElementB10.addEventListener("click",(()=>submitAction(actions_HIDE_DESCRIPTION)),!1),null===(_document$getElementB11=document.getElementById(cssIds.RESTRICT_ACCESS_LINK))||void 0===_document$getElementB11||_document$getElementB11.addEventListener("click",(()=>submitAction(actions_RESTRICT_ACCESS)),!1),null===(_document$getElementB12=document.getElementById(cssIds.TAGS_LINK))||void 0===_document$getElementB12||_document$getElementB12.addEventListener("click",(()=>submitAction(actions_TAGS)),!1),null===(_document$getElementB13=document.getElementById(cssIds.COMPETENCIES_LINK))||void 0===_document$getElementB13||_document$getElementB13.addEventListener("click",(()=>submitAction(actions_COMPETENCIES)),!1),null===(_document$getElementB14=document.getElementById(cssIds.SHIFT_DATES_LINK))||void 0===_document$getElementB14||_document$getElementB14.addEventListener("click",(()=>submitAction(actions_SHIFT_DATES)),!1),null===(_document$getElementB15=document.getElementById(cssIds.MODULE_SETTINGS_LINK))||void 0===_document$getElementB15||_document$getElementB15.addEventListener("click",(()=>submitAction(actions_MODULE_SETTINGS)),!1),null===(_document$getElementB16=document.getElementById(cssIds.CONTENT_CHANGED_NOTIFICATION_LINK))||void 0===_document$getElementB16||_document$getElementB16.addEventListener("click",(()=>submitAction(actions_CONTENT_CHANGED_NOTIFICATION)),!1),null===(_document$getElementB17=document.getElementById(cssIds.MOVELEFT_LINK))||void 0===_document$getElementB17||_document$getElementB17.addEventListener("click",(()=>submitAction(actions_MOVE_LEFT)),!1),null===(_document$getElementB18=document.getElementById(cssIds.MOVERIGHT_LINK))||void 0===_document$getElementB18||_document$getElementB18.addEventListener("click",(()=>submitAction(actions_MOVE_RIGHT)),!1),null===(_document$getElementB19=document.getElementById(cssIds.MOVETO_ICON_LINK))||void 0===_document$getElementB19||_document$getElementB19.addEventListener("click",(()=>submitAction(actions_MOVE_TO)),!1),null===(_document$getElementB20=document.getElementById(cssIds.DUPLICATETO_ICON_LINK))||void 0===_document$getElementB20||_document$getElementB20.addEventListener("click",(()=>submitAction(actions_DUPLICATE_TO)),!1),null===(_document$getElementB21=document.getElementById(cssIds.DUPLICATE_TO_COURSE_ICON_LINK))||void 0===_document$getElementB21||_document$getElementB21.addEventListener("click",(()=>submitAction(actions_DUPLICATE_TO_COURSE)),!1),null===(_document$getElementB22=document.getElementById(cssIds.MOVE_TO_COURSE_ICON_LINK))||void 0===_document$getElementB22||_document$getElementB22.addEventListener("click",(()=>submitAction(actions_MOVE_TO_COURSE)),!1),null===(_document$getElementB23=document.getElementById(cssIds.RENAME_LINK))||void 0===_document$getElementB23||_document$getElementB23.addEventListener("click",(()=>submitAction(actions_RENAME)),!1),null===(_document$getElementB24=document.getElementById(cssIds.SORT_LINK))||void 0===_document$getElementB24||_document$getElementB24.addEventListener("click",(()=>submitAction(actions_SORT)),!1),null===(_document$getElementB25=document.getElementById(cssIds.EXPORT_BUNDLE_LINK))||void 0===_document$getElementB25||_document$getElementB25.addEventListener("click",(()=>submitAction(actions_EXPORT_BUNDLE)),!1),null===(_document$getElementB26=document.getElementById(cssIds.IMPORT_BUNDLE_LINK))||void 0===_document$getElementB26||_document$getElementB26.addEventListener("click",(()=>dispatchAction({action:actions_IMPORT_BUNDLE,moduleIds:[]})),!1),document.querySelectorAll(cssIds.PLUGIN_ACTION_LINKS).forEach((element=>element.addEventListener("click",(()=>submitAction(element.dataset.pluginaction)),!1))),null===(_document$getElementB27=document.getElementById(cssIds.UNDO_CONTAINER))||void 0===_document$getElementB27||_document$getElementB27.addEventListener("click",(event=>{const button=event.target.closest("[data-action]");"undo"===(null==button?void 0:button.dataset.action)?undoLastAction():"dismiss"===(null==button?void 0:button.dataset.action)&&(event.currentTarget.innerHTML="")})),initKeyboardShortcuts(),duplicationjobs.init(),actionresult.init(),pendingPromise.resolve()};const initKeyboardShortcuts=()=>{for(const[code,shortcut]of Object.entries(shortcuts)){const element=document.getElementById(shortcut.elementId),button=null!=element&&element.matches("button")?element:null==element?void 0:element.querySelector("button");null==button||button.setAttribute("aria-keyshortcuts","Alt+Shift+"+code.replace("Key",""))}document.addEventListener("keydown",(event=>{if(!event.altKey||!event.shiftKey||event.ctrlKey||event.metaKey||!shortcuts[event.code])return;if(event.target.closest('input[type="text"], input[type="search"], textarea, [contenteditable="true"]'))return;const blockContent=document.getElementById(cssIds.BLOCK_CONTENT);if(!blockContent||blockContent.classList.contains("d-none"))return;const shortcut=shortcuts[event.code];null!==document.getElementById(shortcut.elementId)&&(event.preventDefault(),shortcut.handler())}))},submitAction=action=>{var _document$querySelect,_document$querySelect2,_actions$MOVE_TO$acti;const submitData={action:action,moduleIds:[]};if(submitData.moduleIds=checkboxmanager.getSelectedModIds(),0===submitData.moduleIds.length)return displayError(Str.get_string("noitemselected","block_massaction")),!1;switch(action){case actions_HIDE:case actions_SHOW:case actions_MAKE_AVAILABLE:case actions_DUPLICATE:case actions_DUPLICATE_TO_COURSE:case actions_MOVE_TO_COURSE:case actions_CONTENT_CHANGED_NOTIFICATION:case actions_MOVE_LEFT:case actions_MOVE_RIGHT:case actions_DELETE:case actions_SHOW_DESCRIPTION:case actions_HIDE_DESCRIPTION:case actions_RESTRICT_ACCESS:case actions_TAGS:case actions_COMPETENCIES:case actions_SHIFT_DATES:case actions_MODULE_SETTINGS:case actions_EXPORT_BUNDLE:break;case actions_MOVE_TO:if(submitData.moveToTarget=document.getElementById(cssIds.MOVETO_SELECT).value,""===submitData.moveToTarget.trim())return displayError(Str.get_string("nomovingtargetselected","block_massaction")),!1;break;case actions_DUPLICATE_TO:if(submitData.duplicateToTarget=document.getElementById(cssIds.DUPLICATETO_SELECT).value,""===submitData.duplicateToTarget.trim())return displayError(Str.get_string("nomovingtargetselected","block_massaction")),!1;break;case actions_SORT:if(submitData.sortBy=document.getElementById(cssIds.SORT_BY_SELECT).value,submitData.sortPlacement=document.getElementById(cssIds.SORT_PLACEMENT_SELECT).value,""===submitData.sortBy||"none"===submitData.sortBy&&"keep"===submitData.sortPlacement)return displayError(Str.get_string("nosortruleselected","block_massaction")),!1;break;case actions_RENAME:if(submitData.rename=renamer.getPattern(),renamer.isEmptyPattern(submitData.rename))return displayError(Str.get_string("norenamepattern","block_massaction")),!1;break;default:if(void 0!==getPluginAction(action))break;return displayError("Unknown action: "+action+". Coding error."),!1}if(!(null!==(_document$querySelect=null===(_document$querySelect2=document.querySelector(cssIds.PREVIEW_ACTIONS_DATA))||void 0===_document$querySelect2?void 0:_document$querySelect2.dataset.previewactions.split(","))&&void 0!==_document$querySelect?_document$querySelect:[]).includes(action))return dispatchAction(submitData),!0;const actionStringKey=null!==(_actions$MOVE_TO$acti={[actions_MOVE_TO]:"action_movetosection",[actions_DUPLICATE_TO]:"action_duplicatetosection"}[action])&&void 0!==_actions$MOVE_TO$acti?_actions$MOVE_TO$acti:"action_"+action;return Str.get_string(actionStringKey,"block_massaction").then((actionText=>actionpreview.confirmAction(submitData,actionText))).then((confirmed=>(confirmed&&dispatchAction(submitData),confirmed))).catch(_notification.default.exception),!0},dispatchAction=submitData=>{var _getPluginAction;if(formActions.includes(submitData.action)||"1"===(null===(_getPluginAction=getPluginAction(submitData.action))||void 0===_getPluginAction?void 0:_getPluginAction.dataset.hasform))return document.getElementById(cssIds.HIDDEN_FIELD_REQUEST_INFORMATION).value=JSON.stringify(submitData),void document.getElementById(cssIds.ACTION_FORM).submit();executeAction(submitData)},executeAction=submitData=>{const pendingPromise=new _pending.default("block_massaction/executeaction"),instanceId=document.getElementById(cssIds.HIDDEN_FIELD_INSTANCE_ID).value;return _ajax.default.call([{methodname:"block_massaction_execute_action",args:{instanceid:instanceId,request:JSON.stringify(submitData)}}])[0].then((result=>((0,_toast.add)(result.message),Promise.all([renderUndoNotification(result.undoable?result.actiontext:null),refreshCourse(submitData.action,submitData.moduleIds),!result.backgroundtask||duplicationjobs.refresh()]).then((()=>{var _result$result;return actionresult.render(null!==(_result$result=result.result)&&void 0!==_result$result?_result$result:null)}))))).then((()=>pendingPromise.resolve())).catch((error=>{pendingPromise.resolve(),_notification.default.exception(error)}))},undoLastAction=()=>{const pendingPromise=new _pending.default("block_massaction/undoaction"),instanceId=document.getElementById(cssIds.HIDDEN_FIELD_INSTANCE_ID).value;return _ajax.default.call([{methodname:"block_massaction_undo_action",args:{instanceid:instanceId}}])[0].then((result=>((0,_toast.add)(result.message),Promise.all([renderUndoNotification(null),refreshCourse(result.action,result.moduleids),actionresult.render(null)])))).then((()=>pendingPromise.resolve())).catch((error=>{pendingPromise.resolve(),_notification.default.exception(error)}))},refreshCourse=(action,moduleIds)=>(0,_courseeditor.getCurrentCourseEditor)().dispatch("courseState").then((()=>action!==actions_SHOW_DESCRIPTION&&action!==actions_HIDE_DESCRIPTION&&void 0===getPluginAction(action)||reloadModules(moduleIds))),getPluginAction=action=>[...document.querySelectorAll(cssIds.PLUGIN_ACTION_LINKS)].find((element=>element.dataset.pluginaction===action)),renderUndoNotification=actionText=>{const container=document.getElementById(cssIds.UNDO_CONTAINER);return container?null===actionText?(container.innerHTML="",Promise.resolve()):_templates.default.renderForPromise("block_massaction/undo_notification",{actiontext:actionText}).then((_ref=>{let{html:html,js:js}=_ref;return _templates.default.replaceNodeContents(container,html,js)})):Promise.resolve()},reloadModules=moduleIds=>Promise.all(moduleIds.map((moduleId=>{const element=document.getElementById(usedMoodleCssClasses.MODULE_ID_PREFIX+moduleId);return!element||_fragment.default.loadFragment("core_courseformat","cmitem",_config.default.courseContextId,{id:moduleId,courseid:_config.default.courseId}).then(((html,js)=>_templates.default.replaceNode(element,html,js)))}))),displayError=errorText=>{Promise.resolve([Str.get_string("error","core"),errorText,Str.get_string("back","core")]).then((text=>_notification.default.alert(text[0],text[1],text[2]))).catch((error=>_log.default.debug(error)))}}));
 
 //# sourceMappingURL=massactionblock.min.js.map
\ No newline at end of file
@@ -0,0 +1,13 @@
+define("block_massaction/renamer",["exports","block_massaction/checkboxmanager","core/ajax","core/str","core/notification","core/templates","core_courseformat/courseeditor","core_course/events","./massactionblock"],(function(_exports,checkboxmanager,_ajax,Str,_notification,_templates,_courseeditor,_events,_massactionblock){function _interopRequireDefault(obj){return obj&&obj.__esModule?obj:{default:obj}}function _getRequireWildcardCache(nodeInterop){if("function"!=typeof WeakMap)return null;var cacheBabelInterop=new WeakMap,cacheNodeInterop=new WeakMap;return(_getRequireWildcardCache=function(nodeInterop){return nodeInterop?cacheNodeInterop:cacheBabelInterop})(nodeInterop)}function _interopRequireWildcard(obj,nodeInterop){if(!nodeInterop&&obj&&obj.__esModule)return obj;if(null===obj||"object"!=typeof obj&&"function"!=typeof obj)return{default:obj};var cache=_getRequireWildcardCache(nodeInterop);if(cache&&cache.has(obj))return cache.get(obj);var newObj={},hasPropertyDescriptor=Object.defineProperty&&Object.getOwnPropertyDescriptor;for(var key in obj)if("default"!==key&&Object.prototype.hasOwnProperty.call(obj,key)){var desc=hasPropertyDescriptor?Object.getOwnPropertyDescriptor(obj,key):null;desc&&(desc.get||desc.set)?Object.defineProperty(newObj,key,desc):newObj[key]=obj[key]}return newObj.default=obj,cache&&cache.set(obj,newObj),newObj}
+/**
+   * Renamer amd module: Previews the new names of the selected course modules while the user is entering the rename pattern.
+   *
+   * The rules for applying the pattern are the same as in \block_massaction\module_renamer, so both have to be kept in sync. This
+   * includes the syntax of the replacement, which only supports $0 to $9 and $$ instead of the native tokens of String.replace.
+   *
+   * @module     block_massaction/renamer
+   * @copyright  2026 University of Regina
+   * @license    http://www.gnu.org/copyleft/gpl.html GNU GPL v3 or later
+   */Object.defineProperty(_exports,"__esModule",{value:!0}),_exports.isEmptyPattern=_exports.init=_exports.getPattern=_exports.getNewNames=void 0,checkboxmanager=_interopRequireWildcard(checkboxmanager),_ajax=_interopRequireDefault(_ajax),Str=_interopRequireWildcard(Str),_notification=_interopRequireDefault(_notification),_templates=_interopRequireDefault(_templates),_events=_interopRequireDefault(_events);const cssIds_RENAME_PANEL="block-massaction-rename",cssIds_PREVIEW="block-massaction-rename-preview";let renderCounter=0,rawNames=null;_exports.init=()=>{const panel=document.getElementById(cssIds_RENAME_PANEL);null!==panel&&(panel.addEventListener("input",(event=>{event.target.closest("[data-rename-field]")&&updatePreview()})),document.addEventListener(checkboxmanager.selectionChangedEvent,(()=>updatePreview())),(0,_courseeditor.getCurrentCourseEditor)().stateManager.target.addEventListener(_events.default.stateChanged,(event=>{"transaction:end"===event.detail.action&&(rawNames=null,updatePreview())})),updatePreview())};const getPattern=()=>{const pattern={};return document.querySelectorAll("#".concat(cssIds_RENAME_PANEL," [data-rename-field]")).forEach((field=>{pattern[field.dataset.renameField]="checkbox"===field.type?field.checked:field.value})),pattern};_exports.getPattern=getPattern;_exports.isEmptyPattern=pattern=>{var _pattern$template;return!(pattern.find||(null!==(_pattern$template=pattern.template)&&void 0!==_pattern$template?_pattern$template:"").trim()||pattern.prefix||pattern.suffix)};const getNewNames=(modules,pattern)=>{var _pattern$find,_pattern$template2;const find=null!==(_pattern$find=pattern.find)&&void 0!==_pattern$find?_pattern$find:"",regex=""!==find&&pattern.regex?new RegExp(find,"gu"):null,template=(null!==(_pattern$template2=pattern.template)&&void 0!==_pattern$template2?_pattern$template2:"").trim();return modules.map(((module,index)=>{var _pattern$prefix,_pattern$suffix;let name=module.name;if(regex)name=name.replace(regex,(function(){for(var _pattern$replace,_len=arguments.length,args=new Array(_len),_key=0;_key<_len;_key++)args[_key]=arguments[_key];const captures=args.slice(0,"object"==typeof args[args.length-1]?-3:-2);return expandReplacement(null!==(_pattern$replace=pattern.replace)&&void 0!==_pattern$replace?_pattern$replace:"",captures)}));else if(""!==find){var _pattern$replace2;name=name.split(find).join(null!==(_pattern$replace2=pattern.replace)&&void 0!==_pattern$replace2?_pattern$replace2:"")}if(""!==template){const values={name:name,n:index+1,section:module.sectionnumber};name=template.replace(/\{(name|n|section)\}/g,((match,placeholder)=>values[placeholder]))}return name=[...((null!==(_pattern$prefix=pattern.prefix)&&void 0!==_pattern$prefix?_pattern$prefix:"")+name+(null!==(_pattern$suffix=pattern.suffix)&&void 0!==_pattern$suffix?_pattern$suffix:"")).trim()].slice(0,255).join(""),{name:module.name,newname:name,changed:""!==name&&name!==module.name}}))};_exports.getNewNames=getNewNames;const expandReplacement=(replace,captures)=>replace.replace(/\$(\$|\d)/g,((token,reference)=>{var _captures$Number;return"$"===reference?"$":null!==(_captures$Number=captures[Number(reference)])&&void 0!==_captures$Number?_captures$Number:""})),updatePreview=()=>{const renderId=++renderCounter,pattern=getPattern();return Promise.all([(null===rawNames&&(rawNames=_ajax.default.call([{methodname:"block_massaction_get_module_names",args:{instanceid:document.getElementById(_massactionblock.cssIds.HIDDEN_FIELD_INSTANCE_ID).value}}])[0].then((modules=>new Map(modules.map((module=>[module.id.toString(),module.name]))))),rawNames.catch((()=>{rawNames=null}))),rawNames),Str.get_string("rename_invalidregex","block_massaction",pattern.find)]).then((_ref=>{let[names,invalidRegexMessage]=_ref;const state=(0,_courseeditor.getCurrentCourseEditor)().stateManager.state,modules=checkboxmanager.sortByDisplayOrder(checkboxmanager.getSelectedModIds()).map((moduleId=>state.cm.get(moduleId.toString()))).filter((module=>void 0!==module)).map((module=>{var _names$get,_state$section$get$nu,_state$section$get;return{...module,name:null!==(_names$get=names.get(module.id.toString()))&&void 0!==_names$get?_names$get:module.name,sectionnumber:null!==(_state$section$get$nu=null===(_state$section$get=state.section.get(module.sectionid.toString()))||void 0===_state$section$get?void 0:_state$section$get.number)&&void 0!==_state$section$get$nu?_state$section$get$nu:0}}));try{const rows=getNewNames(modules,pattern);return{rows:rows,haschanges:rows.some((row=>row.changed)),error:""}}catch(error){return{rows:[],haschanges:!1,error:invalidRegexMessage}}})).then((context=>_templates.default.renderForPromise("block_massaction/rename_preview",context))).then((_ref2=>{let{html:html,js:js}=_ref2;return renderId===renderCounter&&(_templates.default.replaceNodeContents(document.getElementById(cssIds_PREVIEW),html,js),!0)})).catch(_notification.default.exception)}}));
+
+//# sourceMappingURL=renamer.min.js.map
\ No newline at end of file
@@ -0,0 +1,10 @@
+define("block_massaction/savedselections",["exports","block_massaction/checkboxmanager","core/str","core/ajax","core/log","core/modal_events","core/modal_save_cancel","core/notification","core/templates","core/toast","./massactionblock"],(function(_exports,checkboxmanager,Str,_ajax,_log,_modal_events,_modal_save_cancel,_notification,_templates,_toast,_massactionblock){function _interopRequireDefault(obj){return obj&&obj.__esModule?obj:{default:obj}}function _getRequireWildcardCache(nodeInterop){if("function"!=typeof WeakMap)return null;var cacheBabelInterop=new WeakMap,cacheNodeInterop=new WeakMap;return(_getRequireWildcardCache=function(nodeInterop){return nodeInterop?cacheNodeInterop:cacheBabelInterop})(nodeInterop)}function _interopRequireWildcard(obj,nodeInterop){if(!nodeInterop&&obj&&obj.__esModule)return obj;if(null===obj||"object"!=typeof obj&&"function"!=typeof obj)return{default:obj};var cache=_getRequireWildcardCache(nodeInterop);if(cache&&cache.has(obj))return cache.get(obj);var newObj={},hasPropertyDescriptor=Object.defineProperty&&Object.getOwnPropertyDescriptor;for(var key in obj)if("default"!==key&&Object.prototype.hasOwnProperty.call(obj,key)){var desc=hasPropertyDescriptor?Object.getOwnPropertyDescriptor(obj,key):null;desc&&(desc.get||desc.set)?Object.defineProperty(newObj,key,desc):newObj[key]=obj[key]}return newObj.default=obj,cache&&cache.set(obj,newObj),newObj}
+/**
+   * Saved selections amd module: Saves the current selection of course modules under a name and restores it later on.
+   *
+   * @module     block_massaction/savedselections
+   * @copyright  2026 University of Regina
+   * @license    http://www.gnu.org/copyleft/gpl.html GNU GPL v3 or later
+   */Object.defineProperty(_exports,"__esModule",{value:!0}),_exports.init=_exports.getRestorableModuleIds=void 0,checkboxmanager=_interopRequireWildcard(checkboxmanager),Str=_interopRequireWildcard(Str),_ajax=_interopRequireDefault(_ajax),_log=_interopRequireDefault(_log),_modal_events=_interopRequireDefault(_modal_events),_modal_save_cancel=_interopRequireDefault(_modal_save_cancel),_notification=_interopRequireDefault(_notification),_templates=_interopRequireDefault(_templates);const cssIds_SAVED_SELECTIONS="block-massaction-savedselections",cssIds_SELECTION_SELECT="block-massaction-control-savedselection-select",cssIds_SAVE_BUTTON="block-massaction-control-saveselection",cssIds_DELETE_BUTTON="block-massaction-control-deleteselection",cssIds_NAME_INPUT="block-massaction-saveselection-name";_exports.init=()=>{null!==document.getElementById(cssIds_SAVED_SELECTIONS)&&registerListeners()};const registerListeners=()=>{document.getElementById(cssIds_SELECTION_SELECT).addEventListener("change",(()=>restoreSelection()),!1),document.getElementById(cssIds_SAVE_BUTTON).addEventListener("click",(()=>saveSelection()),!1),document.getElementById(cssIds_DELETE_BUTTON).addEventListener("click",(()=>deleteSelection()),!1)},getRestorableModuleIds=(moduleIds,selectableModules)=>{const selectableIds=selectableModules.map((module=>module.id.toString()));return moduleIds.map((moduleId=>moduleId.toString())).filter((moduleId=>selectableIds.includes(moduleId)))};_exports.getRestorableModuleIds=getRestorableModuleIds;const restoreSelection=()=>{const option=document.getElementById(cssIds_SELECTION_SELECT).selectedOptions[0];if(!option||""===option.value)return;const savedIds=""===option.dataset.moduleids?[]:option.dataset.moduleids.split(","),moduleIds=getRestorableModuleIds(savedIds,checkboxmanager.getSelectableModules());checkboxmanager.setSectionSelection(!1,_massactionblock.constants.SECTION_NUMBER_ALL_PLACEHOLDER),checkboxmanager.setModuleSelection(!0,moduleIds),Str.get_string("savedselection_restored","block_massaction",{count:moduleIds.length,name:option.textContent}).then((message=>(0,_toast.add)(message))).catch((error=>_log.default.debug(error)))},saveSelection=async()=>{const moduleIds=checkboxmanager.getSelectedModIds();if(0===moduleIds.length)return void displayError(Str.get_string("noitemselected","block_massaction"));const option=document.getElementById(cssIds_SELECTION_SELECT).selectedOptions[0],name=option&&""!==option.value?option.textContent:"",modal=await _modal_save_cancel.default.create({title:Str.get_string("saveselection","block_massaction"),body:_templates.default.render("block_massaction/save_selection_form",{name:name}),removeOnClose:!0});modal.getRoot().on(_modal_events.default.save,(event=>{const input=document.getElementById(cssIds_NAME_INPUT);if(""===input.value.trim())return event.preventDefault(),void input.classList.add("is-invalid");const newName=input.value.trim();callSelectionService("block_massaction_save_selection",{name:newName,moduleids:moduleIds},newName).then((()=>Str.get_string("selectionsaved","block_massaction",newName))).then((message=>(0,_toast.add)(message))).catch(_notification.default.exception)})),modal.show()},deleteSelection=()=>{const option=document.getElementById(cssIds_SELECTION_SELECT).selectedOptions[0];option&&""!==option.value?_notification.default.deleteCancelPromise(Str.get_string("deletesavedselection","block_massaction"),Str.get_string("deletesavedselection_confirm","block_massaction",option.textContent)).then((()=>callSelectionService("block_massaction_delete_selection",{selectionid:option.value})),(()=>!1)).catch(_notification.default.exception):displayError(Str.get_string("noselectionchosen","block_massaction"))},callSelectionService=function(methodname,args){let selectedName=arguments.length>2&&void 0!==arguments[2]?arguments[2]:"";const instanceId=document.getElementById(_massactionblock.cssIds.HIDDEN_FIELD_INSTANCE_ID).value;return _ajax.default.call([{methodname:methodname,args:{instanceid:instanceId,...args}}])[0].then((selections=>_templates.default.renderForPromise("block_massaction/saved_selections",{savedselections:selections.map((selection=>({...selection,moduleids:selection.moduleids.join(",")})))}))).then((_ref=>{var _option$value;let{html:html,js:js}=_ref;_templates.default.replaceNode("#"+cssIds_SAVED_SELECTIONS,html,js);const select=document.getElementById(cssIds_SELECTION_SELECT),option=[...select.options].find((option=>""!==option.value&&option.textContent===selectedName));return select.value=null!==(_option$value=null==option?void 0:option.value)&&void 0!==_option$value?_option$value:"",registerListeners(),!0}))},displayError=errorText=>{Promise.resolve([Str.get_string("error","core"),errorText,Str.get_string("back","core")]).then((text=>_notification.default.alert(text[0],text[1],text[2]))).catch((error=>_log.default.debug(error)))}}));
+
+//# sourceMappingURL=savedselections.min.js.map
\ No newline at end of file
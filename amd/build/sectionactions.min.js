@@ -0,0 +1,10 @@
+define("block_massaction/sectionactions",["exports","block_massaction/actionpreview","block_massaction/actionresult","block_massaction/checkboxmanager","core/str","core/ajax","core/log","core/notification","core/pending","core/templates","core/toast","core_courseformat/courseeditor","./massactionblock"],(function(_exports,actionpreview,actionresult,checkboxmanager,Str,_ajax,_log,_notification,_pending,_templates,_toast,_courseeditor,_massactionblock){function _interopRequireDefault(obj){return obj&&obj.__esModule?obj:{default:obj}}function _getRequireWildcardCache(nodeInterop){if("function"!=typeof WeakMap)return null;var cacheBabelInterop=new WeakMap,cacheNodeInterop=new WeakMap;return(_getRequireWildcardCache=function(nodeInterop){return nodeInterop?cacheNodeInterop:cacheBabelInterop})(nodeInterop)}function _interopRequireWildcard(obj,nodeInterop){if(!nodeInterop&&obj&&obj.__esModule)return obj;if(null===obj||"object"!=typeof obj&&"function"!=typeof obj)return{default:obj};var cache=_getRequireWildcardCache(nodeInterop);if(cache&&cache.has(obj))return cache.get(obj);var newObj={},hasPropertyDescriptor=Object.defineProperty&&Object.getOwnPropertyDescriptor;for(var key in obj)if("default"!==key&&Object.prototype.hasOwnProperty.call(obj,key)){var desc=hasPropertyDescriptor?Object.getOwnPropertyDescriptor(obj,key):null;desc&&(desc.get||desc.set)?Object.defineProperty(newObj,key,desc):newObj[key]=obj[key]}return newObj.default=obj,cache&&cache.set(obj,newObj),newObj}
+/**
+   * Section actions amd module: Selects whole sections and applies actions to them.
+   *
+   * @module     block_massaction/sectionactions
+   * @copyright  2026 University of Regina
+   * @license    http://www.gnu.org/copyleft/gpl.html GNU GPL v3 or later
+   */Object.defineProperty(_exports,"__esModule",{value:!0}),_exports.init=_exports.getSelectedSectionIds=_exports.getSectionContexts=void 0,actionpreview=_interopRequireWildcard(actionpreview),actionresult=_interopRequireWildcard(actionresult),checkboxmanager=_interopRequireWildcard(checkboxmanager),Str=_interopRequireWildcard(Str),_ajax=_interopRequireDefault(_ajax),_log=_interopRequireDefault(_log),_notification=_interopRequireDefault(_notification),_pending=_interopRequireDefault(_pending),_templates=_interopRequireDefault(_templates);const cssIds_PANEL="block-massaction-sectionactions",cssIds_SECTION_LIST="block-massaction-sectionactions-list",cssIds_MOVETO_SELECT="block-massaction-control-sectionactions-moveto",formActions=["duplicatesectionstocourse"],stateActions=["hidesections","showsections"];let renderCounter=0;_exports.init=()=>{const panel=document.getElementById(cssIds_PANEL);null!==panel&&(document.addEventListener(checkboxmanager.sectionsChangedEvent,(()=>renderSections())),panel.addEventListener("click",(event=>{const button=event.target.closest("[data-section-action]");button&&submitSectionAction(button.dataset.sectionAction)})),renderSections())};const getSelectedSectionIds=()=>[...document.querySelectorAll("#".concat(cssIds_SECTION_LIST," input:checked"))].map((checkbox=>checkbox.value));_exports.getSelectedSectionIds=getSelectedSectionIds;const getSectionContexts=(sections,selectedIds)=>({checkboxes:sections.filter((section=>0!==section.number)).map((section=>({id:section.id,title:section.title,checked:selectedIds.includes(section.id.toString())}))),targets:sections.filter((section=>0!==section.number&&"mod_subsection"!==section.component)).map((section=>({number:section.number,title:section.title})))});_exports.getSectionContexts=getSectionContexts;const renderSections=()=>{const renderId=++renderCounter,contexts=getSectionContexts(checkboxmanager.getSections(),getSelectedSectionIds()),moveToSelect=document.getElementById(cssIds_MOVETO_SELECT);return Promise.all([_templates.default.renderForPromise("block_massaction/section_actions_list",{sections:contexts.checkboxes}),moveToSelect?_templates.default.renderForPromise("block_massaction/section_actions_moveto_select",{sections:contexts.targets}):null]).then((_ref=>{let[list,options]=_ref;if(renderId!==renderCounter)return!1;if(_templates.default.replaceNodeContents(document.getElementById(cssIds_SECTION_LIST),list.html,list.js),options){const target=moveToSelect.value;_templates.default.replaceNodeContents(moveToSelect,options.html,options.js),moveToSelect.value=[...moveToSelect.options].some((option=>option.value===target))?target:""}return!0})).catch(_notification.default.exception)},submitSectionAction=action=>{var _document$querySelect,_document$querySelect2;const sectionIds=getSelectedSectionIds();if(0===sectionIds.length)return void displayError(Str.get_string("nosectionselected","block_massaction"));let target=0;if("movesections"===action&&(target=document.getElementById(cssIds_MOVETO_SELECT).value,""===target))return void displayError(Str.get_string("nomovingtargetselected","block_massaction"));(null!==(_document$querySelect=null===(_document$querySelect2=document.querySelector(_massactionblock.cssIds.PREVIEW_ACTIONS_DATA))||void 0===_document$querySelect2?void 0:_document$querySelect2.dataset.previewactions.split(","))&&void 0!==_document$querySelect?_document$querySelect:[]).includes(action)?Str.get_string("action_"+action,"block_massaction").then((actionText=>actionpreview.confirmSectionAction(action,sectionIds,target,checkboxmanager.getSections(),actionText))).then((confirmed=>(confirmed&&dispatchSectionAction(action,sectionIds,target),confirmed))).catch(_notification.default.exception):"deletesections"!==action?dispatchSectionAction(action,sectionIds,target):_notification.default.deleteCancelPromise(Str.get_string("action_deletesections","block_massaction"),Str.get_string("deletesections_confirm","block_massaction",sectionIds.length)).then((()=>dispatchSectionAction(action,sectionIds,target)),(()=>!1)).catch(_notification.default.exception)},dispatchSectionAction=(action,sectionIds,target)=>{if(formActions.includes(action))return document.getElementById(_massactionblock.cssIds.HIDDEN_FIELD_REQUEST_INFORMATION).value=JSON.stringify({action:action,sectionIds:sectionIds}),void document.getElementById(_massactionblock.cssIds.ACTION_FORM).submit();executeSectionAction(action,sectionIds,target)},executeSectionAction=(action,sectionIds,target)=>{const pendingPromise=new _pending.default("block_massaction/executesectionaction"),instanceId=document.getElementById(_massactionblock.cssIds.HIDDEN_FIELD_INSTANCE_ID).value;return _ajax.default.call([{methodname:"block_massaction_execute_section_action",args:{instanceid:instanceId,action:action,sectionids:sectionIds,target:target}}])[0].then((result=>stateActions.includes(action)?((0,_toast.add)(result.message),(0,_courseeditor.getCurrentCourseEditor)().dispatch("courseState").then((()=>{var _result$result;return actionresult.render(null!==(_result$result=result.result)&&void 0!==_result$result?_result$result:null)}))):(window.location.reload(),!0))).then((()=>pendingPromise.resolve())).catch((error=>{pendingPromise.resolve(),_notification.default.exception(error)}))},displayError=errorText=>{Promise.resolve([Str.get_string("error","core"),errorText,Str.get_string("back","core")]).then((text=>_notification.default.alert(text[0],text[1],text[2]))).catch((error=>_log.default.debug(error)))}}));
+
+//# sourceMappingURL=sectionactions.min.js.map
\ No newline at end of file
@@ -0,0 +1,10 @@
+define("block_massaction/selectionfilter",["exports","block_massaction/checkboxmanager","core/str","core/ajax","core/log","core/notification","core_courseformat/courseeditor","core_course/events","./massactionblock"],(function(_exports,checkboxmanager,Str,_ajax,_log,_notification,_courseeditor,_events,_massactionblock){function _interopRequireDefault(obj){return obj&&obj.__esModule?obj:{default:obj}}function _getRequireWildcardCache(nodeInterop){if("function"!=typeof WeakMap)return null;var cacheBabelInterop=new WeakMap,cacheNodeInterop=new WeakMap;return(_getRequireWildcardCache=function(nodeInterop){return nodeInterop?cacheNodeInterop:cacheBabelInterop})(nodeInterop)}function _interopRequireWildcard(obj,nodeInterop){if(!nodeInterop&&obj&&obj.__esModule)return obj;if(null===obj||"object"!=typeof obj&&"function"!=typeof obj)return{default:obj};var cache=_getRequireWildcardCache(nodeInterop);if(cache&&cache.has(obj))return cache.get(obj);var newObj={},hasPropertyDescriptor=Object.defineProperty&&Object.getOwnPropertyDescriptor;for(var key in obj)if("default"!==key&&Object.prototype.hasOwnProperty.call(obj,key)){var desc=hasPropertyDescriptor?Object.getOwnPropertyDescriptor(obj,key):null;desc&&(desc.get||desc.set)?Object.defineProperty(newObj,key,desc):newObj[key]=obj[key]}return newObj.default=obj,cache&&cache.set(obj,newObj),newObj}
+/**
+   * Selection filter amd module: Selects course modules by type, visibility, completion tracking and name.
+   *
+   * @module     block_massaction/selectionfilter
+   * @copyright  2026 University of Regina
+   * @license    http://www.gnu.org/copyleft/gpl.html GNU GPL v3 or later
+   */Object.defineProperty(_exports,"__esModule",{value:!0}),_exports.visibilityStates=_exports.init=_exports.getVisibilityState=_exports.getMatchingModuleIds=_exports.completionStates=void 0,checkboxmanager=_interopRequireWildcard(checkboxmanager),Str=_interopRequireWildcard(Str),_ajax=_interopRequireDefault(_ajax),_log=_interopRequireDefault(_log),_notification=_interopRequireDefault(_notification),_events=_interopRequireDefault(_events);const cssIds_FILTER_PANEL="block-massaction-filter",cssIds_MODULE_TYPE_SELECT="block-massaction-filter-moduletype",cssIds_VISIBILITY_SELECT="block-massaction-filter-visibility",cssIds_COMPLETION_SELECT="block-massaction-filter-completion",cssIds_NAME_INPUT="block-massaction-filter-name",cssIds_NAME_REGEX_CHECKBOX="block-massaction-filter-nameregex",cssIds_SELECT_BUTTON="block-massaction-filter-select",cssIds_DESELECT_BUTTON="block-massaction-filter-deselect",visibilityStates={VISIBLE:"visible",HIDDEN:"hidden",STEALTH:"stealth"};_exports.visibilityStates=visibilityStates;const completionStates={TRACKED:"tracked",UNTRACKED:"untracked"};_exports.completionStates=completionStates;_exports.init=()=>{null!==document.getElementById(cssIds_FILTER_PANEL)&&(updateModuleTypeOptions(),(0,_courseeditor.getCurrentCourseEditor)().stateManager.target.addEventListener(_events.default.stateChanged,(event=>{"transaction:end"===event.detail.action&&updateModuleTypeOptions()})),document.getElementById(cssIds_SELECT_BUTTON).addEventListener("click",(()=>applyFilter(!0)),!1),document.getElementById(cssIds_DESELECT_BUTTON).addEventListener("click",(()=>applyFilter(!1)),!1))};const getMatchingModuleIds=(modules,filter,completionTrackedIds)=>{let nameMatches=()=>!0;if(""!==filter.name)if(filter.nameIsRegex){const regex=new RegExp(filter.name,"i");nameMatches=name=>regex.test(name)}else{const search=filter.name.toLowerCase();nameMatches=name=>name.toLowerCase().includes(search)}return modules.filter((module=>""===filter.moduleType||module.module===filter.moduleType)).filter((module=>""===filter.visibility||getVisibilityState(module)===filter.visibility)).filter((module=>{if(""===filter.completion)return!0;const tracked=completionTrackedIds.includes(module.id.toString());return filter.completion===completionStates.TRACKED?tracked:!tracked})).filter((module=>nameMatches(module.name))).map((module=>module.id.toString()))};_exports.getMatchingModuleIds=getMatchingModuleIds;const getVisibilityState=module=>module.visible?module.stealth?visibilityStates.STEALTH:visibilityStates.VISIBLE:visibilityStates.HIDDEN;_exports.getVisibilityState=getVisibilityState;const applyFilter=async value=>{const filter={moduleType:document.getElementById(cssIds_MODULE_TYPE_SELECT).value,visibility:document.getElementById(cssIds_VISIBILITY_SELECT).value,completion:document.getElementById(cssIds_COMPLETION_SELECT).value,name:document.getElementById(cssIds_NAME_INPUT).value.trim(),nameIsRegex:document.getElementById(cssIds_NAME_REGEX_CHECKBOX).checked};let completionTrackedIds=[];if(""!==filter.completion)try{completionTrackedIds=await getCompletionTrackedIds()}catch(error){return void _notification.default.exception(error)}let moduleIds=[];try{moduleIds=getMatchingModuleIds(checkboxmanager.getSelectableModules(),filter,completionTrackedIds)}catch(error){return void displayError(Str.get_string("filter_invalidregex","block_massaction"))}0!==moduleIds.length?checkboxmanager.setModuleSelection(value,moduleIds):displayError(Str.get_string("filter_nomatches","block_massaction"))},getCompletionTrackedIds=()=>_ajax.default.call([{methodname:"block_massaction_get_completion_tracked_modules",args:{instanceid:document.getElementById(_massactionblock.cssIds.HIDDEN_FIELD_INSTANCE_ID).value}}])[0].then((moduleIds=>moduleIds.map((moduleId=>moduleId.toString())))),updateModuleTypeOptions=()=>{const select=document.getElementById(cssIds_MODULE_TYPE_SELECT),moduleTypes=new Map;checkboxmanager.getSelectableModules().forEach((module=>moduleTypes.set(module.module,module.modname)));const selectedValue=select.value;for(;select.options.length>1;)select.remove(1);[...moduleTypes.entries()].sort(((a,b)=>a[1].localeCompare(b[1]))).forEach((_ref=>{let[moduleType,moduleTypeName]=_ref;return select.add(new Option(moduleTypeName,moduleType))})),select.value=moduleTypes.has(selectedValue)?selectedValue:""},displayError=errorText=>{Promise.resolve([Str.get_string("error","core"),errorText,Str.get_string("back","core")]).then((text=>_notification.default.alert(text[0],text[1],text[2]))).catch((error=>_log.default.debug(error)))}}));
+
+//# sourceMappingURL=selectionfilter.min.js.map
\ No newline at end of file
@@ -0,0 +1,10 @@
+define("block_massaction/selectionsummary",["exports","block_massaction/checkboxmanager","core/str","core/notification","core/templates","core_courseformat/courseeditor","core_course/events"],(function(_exports,checkboxmanager,Str,_notification,_templates,_courseeditor,_events){function _interopRequireDefault(obj){return obj&&obj.__esModule?obj:{default:obj}}function _getRequireWildcardCache(nodeInterop){if("function"!=typeof WeakMap)return null;var cacheBabelInterop=new WeakMap,cacheNodeInterop=new WeakMap;return(_getRequireWildcardCache=function(nodeInterop){return nodeInterop?cacheNodeInterop:cacheBabelInterop})(nodeInterop)}function _interopRequireWildcard(obj,nodeInterop){if(!nodeInterop&&obj&&obj.__esModule)return obj;if(null===obj||"object"!=typeof obj&&"function"!=typeof obj)return{default:obj};var cache=_getRequireWildcardCache(nodeInterop);if(cache&&cache.has(obj))return cache.get(obj);var newObj={},hasPropertyDescriptor=Object.defineProperty&&Object.getOwnPropertyDescriptor;for(var key in obj)if("default"!==key&&Object.prototype.hasOwnProperty.call(obj,key)){var desc=hasPropertyDescriptor?Object.getOwnPropertyDescriptor(obj,key):null;desc&&(desc.get||desc.set)?Object.defineProperty(newObj,key,desc):newObj[key]=obj[key]}return newObj.default=obj,cache&&cache.set(obj,newObj),newObj}
+/**
+   * Selection summary amd module: Shows which course modules are currently selected, grouped by section and by module type.
+   *
+   * @module     block_massaction/selectionsummary
+   * @copyright  2026 University of Regina
+   * @license    http://www.gnu.org/copyleft/gpl.html GNU GPL v3 or later
+   */Object.defineProperty(_exports,"__esModule",{value:!0}),_exports.init=_exports.getSummary=void 0,checkboxmanager=_interopRequireWildcard(checkboxmanager),Str=_interopRequireWildcard(Str),_notification=_interopRequireDefault(_notification),_templates=_interopRequireDefault(_templates),_events=_interopRequireDefault(_events);const cssIds_SUMMARY_PANEL="block-massaction-summary",cssIds_SUMMARY_COUNT="block-massaction-summary-count",cssIds_SUMMARY_DETAILS="block-massaction-summary-details";let renderCounter=0;_exports.init=()=>{null!==document.getElementById(cssIds_SUMMARY_PANEL)&&(document.addEventListener(checkboxmanager.selectionChangedEvent,(()=>updateSummary())),(0,_courseeditor.getCurrentCourseEditor)().stateManager.target.addEventListener(_events.default.stateChanged,(event=>{"transaction:end"===event.detail.action&&updateSummary()})),document.getElementById(cssIds_SUMMARY_DETAILS).addEventListener("click",(event=>{const button=event.target.closest('[data-action="deselect"]');button&&checkboxmanager.setModuleSelection(!1,[button.dataset.moduleid])})),updateSummary())};const getSummary=(moduleIds,state)=>{const sections=new Map,moduleTypes=new Map;return moduleIds.map((moduleId=>state.cm.get(moduleId.toString()))).filter((module=>void 0!==module)).forEach((module=>{var _moduleTypes$get;if(!sections.has(module.sectionid)){const section=state.section.get(module.sectionid.toString());sections.set(module.sectionid,{title:section?checkboxmanager.getTitleOfSection(section):"",count:0,modules:[]})}const sectionSummary=sections.get(module.sectionid);sectionSummary.count++,sectionSummary.modules.push({id:module.id,name:module.name});const typeSummary=null!==(_moduleTypes$get=moduleTypes.get(module.module))&&void 0!==_moduleTypes$get?_moduleTypes$get:{name:module.modname,count:0};typeSummary.count++,moduleTypes.set(module.module,typeSummary)})),{count:[...sections.values()].reduce(((sum,section)=>sum+section.count),0),sections:[...sections.values()],moduletypes:[...moduleTypes.values()].sort(((a,b)=>a.name.localeCompare(b.name)))}};_exports.getSummary=getSummary;const updateSummary=()=>{const renderId=++renderCounter,moduleIds=checkboxmanager.sortByDisplayOrder(checkboxmanager.getSelectedModIds()),summary=getSummary(moduleIds,(0,_courseeditor.getCurrentCourseEditor)().stateManager.state);return Promise.all([Str.get_string("summary_count","block_massaction",summary.count),_templates.default.renderForPromise("block_massaction/selection_summary_details",summary)]).then((_ref=>{let[countText,{html:html,js:js}]=_ref;return renderId===renderCounter&&(document.getElementById(cssIds_SUMMARY_COUNT).textContent=countText,_templates.default.replaceNodeContents(document.getElementById(cssIds_SUMMARY_DETAILS),html,js),!0)})).catch(_notification.default.exception)}}));
+
+//# sourceMappingURL=selectionsummary.min.js.map
\ No newline at end of file
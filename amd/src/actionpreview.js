@@ -0,0 +1,209 @@
+// This file is part of Moodle - http://moodle.org/
+//
+// Moodle is free software: you can redistribute it and/or modify
+// it under the terms of the GNU General Public License as published by
+// the Free Software Foundation, either version 3 of the License, or
+// (at your option) any later version.
+//
+// Moodle is distributed in the hope that it will be useful,
+// but WITHOUT ANY WARRANTY; without even the implied warranty of
+// MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+// GNU General Public License for more details.
+//
+// You should have received a copy of the GNU General Public License
+// along with Moodle.  If not, see <http://www.gnu.org/licenses/>.
+
+/**
+ * Action preview amd module: Shows the changes an action will apply to the selected modules before it is being executed.
+ *
+ * @module     block_massaction/actionpreview
+ * @copyright  2026 University of Regina
+ * @license    http://www.gnu.org/copyleft/gpl.html GNU GPL v3 or later
+ */
+
+import * as Str from 'core/str';
+import ModalEvents from 'core/modal_events';
+import ModalSaveCancel from 'core/modal_save_cancel';
+import Templates from 'core/templates';
+import {getCurrentCourseEditor} from 'core_courseformat/courseeditor';
+import {getTitleOfSection, sortByDisplayOrder} from 'block_massaction/checkboxmanager';
+import {getNewNames} from 'block_massaction/renamer';
+import {getVisibilityState} from 'block_massaction/selectionfilter';
+
+/* Maximum indentation of a course module, see course/lib.php. */
+const MAX_INDENT = 16;
+
+/**
+ * Returns the changes the given action will apply to each of the selected modules.
+ *
+ * The result is being computed from the course editor state, so it is an estimation of what the server will do. For example,
+ * modules which do not support a description are still listed for the description actions.
+ *
+ * @param {Object} submitData the request data containing the action, the selected module ids and the action parameters
+ * @param {Object} state the course editor state
+ * @returns {Promise<Object[]>} resolved with a list of objects containing the module name, the current and the resulting state
+ */
+export const getPreviewRows = async(submitData, state) => {
+    const sectionTitle = (section) => (section ? getTitleOfSection(section) : '');
+    const sectionByNumber = (number) => [...state.section.values()].find(section => section.number === parseInt(number));
+    const visibilityString = (visibility) => Str.get_string('filter_visibility_' + visibility, 'block_massaction');
+
+    // Numbering placeholders depend on the position within the selection, so the new names are computed for all modules at once.
+    const newNames = new Map();
+    if (submitData.action === 'rename') {
+        const modules = sortByDisplayOrder(submitData.moduleIds)
+            .map(moduleId => state.cm.get(moduleId.toString()))
+            .filter(module => typeof module !== 'undefined')
+            .map(module => ({...module, sectionnumber: state.section.get(module.sectionid.toString())?.number ?? 0}));
+        getNewNames(modules, submitData.rename).forEach((row, index) => newNames.set(modules[index].id.toString(), row.newname));
+    }
+
+    const rows = submitData.moduleIds
+        .map(moduleId => state.cm.get(moduleId.toString()))
+        .filter(module => typeof module !== 'undefined')
+        .map(async(module) => {
+            const section = state.section.get(module.sectionid.toString());
+            let before = '';
+            let after = '';
+            switch (submitData.action) {
+                case 'hide':
+                case 'show':
+                case 'makeavailable': {
+                    const targetState = {hide: 'hidden', show: 'visible', makeavailable: 'stealth'}[submitData.action];
+                    before = await visibilityString(getVisibilityState(module));
+                    after = await visibilityString(targetState);
+                    break;
+                }
+                case 'moveleft':
+                case 'moveright': {
+                    const indent = module.indent ?? 0;
+                    const newIndent = Math.min(MAX_INDENT, Math.max(0, indent + (submitData.action === 'moveright' ? 1 : -1)));
+                    before = await Str.get_string('preview_indent', 'block_massaction', indent);
+                    after = await Str.get_string('preview_indent', 'block_massaction', newIndent);
+                    break;
+                }
+                case 'moveto':
+                    before = sectionTitle(section);
+                    after = sectionTitle(sectionByNumber(submitData.moveToTarget));
+                    break;
+                case 'duplicate':
+                    before = sectionTitle(section);
+                    after = await Str.get_string('preview_copyin', 'block_massaction', sectionTitle(section));
+                    break;
+                case 'duplicateto':
+                    before = sectionTitle(section);
+                    after = await Str.get_string('preview_copyin', 'block_massaction',
+                        sectionTitle(sectionByNumber(submitData.duplicateToTarget)));
+                    break;
+                case 'rename':
+                    before = module.name;
+                    after = newNames.get(module.id.toString()) ?? module.name;
+                    break;
+                default:
+                    // The remaining actions do not change any property which is part of the course editor state.
+                    before = sectionTitle(section);
+                    after = await Str.get_string('preview_result_' + submitData.action, 'block_massaction');
+            }
+            return {name: module.name, before, after};
+        });
+
+    return Promise.all(rows);
+};
+
+/**
+ * Returns the changes the given section action will apply to each of the selected sections.
+ *
+ * @param {string} action the name of the section action
+ * @param {string[]} sectionIds the ids of the selected sections
+ * @param {number|string} target the number of the section the sections will be moved after
+ * @param {Object[]} sections the section objects from the course editor state in the order they are being displayed
+ * @returns {Promise<Object[]>} resolved with a list of objects containing the section title, the current and the resulting state
+ */
+export const getSectionPreviewRows = async(action, sectionIds, target, sections) => {
+    const visibilityString = (visible) => Str.get_string('filter_visibility_' + (visible ? 'visible' : 'hidden'),
+        'block_massaction');
+    const targetSection = sections.find(section => section.number === parseInt(target));
+
+    const rows = sections
+        .filter(section => sectionIds.includes(section.id.toString()))
+        .map(async(section) => {
+            let before = await Str.get_string('preview_position', 'block_massaction', section.number);
+            let after = '';
+            switch (action) {
+                case 'hidesections':
+                case 'showsections':
+                    before = await visibilityString(section.visible);
+                    after = await visibilityString(action === 'showsections');
+                    break;
+                case 'movesections':
+                    after = parseInt(target) === 0 || !targetSection
+                        ? await Str.get_string('movesections_top', 'block_massaction')
+                        : await Str.get_string('movesections_after', 'block_massaction', targetSection.title);
+                    break;
+                case 'duplicatesections':
+                    after = await Str.get_string('preview_copyafter', 'block_massaction', section.title);
+                    break;
+                case 'duplicatesectionstocourse':
+                    after = await Str.get_string('preview_result_duplicatetocourse', 'block_massaction');
+                    break;
+                default:
+                    after = await Str.get_string('preview_result_' + action, 'block_massaction');
+            }
+            return {name: getTitleOfSection(section), before, after};
+        });
+
+    return Promise.all(rows);
+};
+
+/**
+ * Shows a modal listing the changes the action will apply and asks the user for confirmation.
+ *
+ * @param {Object} submitData the request data containing the action, the selected module ids and the action parameters
+ * @param {string} actionText the name of the action to be displayed in the title
+ * @returns {Promise<boolean>} resolved with true when the user confirms, false when the user cancels the modal
+ */
+export const confirmAction = async(submitData, actionText) => {
+    const rows = await getPreviewRows(submitData, getCurrentCourseEditor().stateManager.state);
+    return showConfirmation({rows}, actionText);
+};
+
+/**
+ * Shows a modal listing the changes the section action will apply and asks the user for confirmation.
+ *
+ * @param {string} action the name of the section action
+ * @param {string[]} sectionIds the ids of the selected sections
+ * @param {number|string} target the number of the section the sections will be moved after
+ * @param {Object[]} sections the section objects from the course editor state in the order they are being displayed
+ * @param {string} actionText the name of the action to be displayed in the title
+ * @returns {Promise<boolean>} resolved with true when the user confirms, false when the user cancels the modal
+ */
+export const confirmSectionAction = async(action, sectionIds, target, sections, actionText) => {
+    const rows = await getSectionPreviewRows(action, sectionIds, target, sections);
+    return showConfirmation({rows, sections: true}, actionText);
+};
+
+/**
+ * Shows the modal with the preview.
+ *
+ * @param {Object} context the context of the block_massaction/action_preview template
+ * @param {string} actionText the name of the action to be displayed in the title
+ * @returns {Promise<boolean>} resolved with true when the user confirms, false when the user cancels the modal
+ */
+const showConfirmation = async(context, actionText) => {
+    const modal = await ModalSaveCancel.create({
+        title: Str.get_string('preview_title', 'block_massaction', actionText),
+        body: Templates.render('block_massaction/action_preview', context),
+        buttons: {
+            save: Str.get_string('preview_confirm', 'block_massaction'),
+        },
+        large: true,
+        removeOnClose: true,
+    });
+
+    return new Promise(resolve => {
+        modal.getRoot().on(ModalEvents.save, () => resolve(true));
+        // Hiding the modal after saving does not change the already resolved promise anymore.
+        modal.getRoot().on(ModalEvents.hidden, () => resolve(false));
+        modal.show();
+    });
+};
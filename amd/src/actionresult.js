@@ -0,0 +1,96 @@
+// This file is part of Moodle - http://moodle.org/
+//
+// Moodle is free software: you can redistribute it and/or modify
+// it under the terms of the GNU General Public License as published by
+// the Free Software Foundation, either version 3 of the License, or
+// (at your option) any later version.
+//
+// Moodle is distributed in the hope that it will be useful,
+// but WITHOUT ANY WARRANTY; without even the implied warranty of
+// MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+// GNU General Public License for more details.
+//
+// You should have received a copy of the GNU General Public License
+// along with Moodle.  If not, see <http://www.gnu.org/licenses/>.
+
+/**
+ * Action result amd module: Shows the outcome of the last action and highlights the skipped and failed course modules.
+ *
+ * @module     block_massaction/actionresult
+ * @copyright  2026 University of Regina
+ * @license    http://www.gnu.org/copyleft/gpl.html GNU GPL v3 or later
+ */
+
+import Templates from 'core/templates';
+import {usedMoodleCssClasses} from './massactionblock';
+
+const cssIds = {
+    RESULT_CONTAINER: 'block-massaction-result',
+};
+
+/* Prefix of the classes highlighting the course modules, the status of the module is being appended. */
+const HIGHLIGHT_CLASS_PREFIX = 'block-massaction-result-';
+
+/* Only the modules the action has not been applied to need the attention of the user. */
+const HIGHLIGHTED_STATUSES = ['skipped', 'failed'];
+
+/**
+ * Initialize the summary rendered with the block and highlight the affected course modules.
+ */
+export const init = () => {
+    const container = document.getElementById(cssIds.RESULT_CONTAINER);
+    if (container === null) {
+        return;
+    }
+    container.addEventListener('click', (event) => {
+        if (event.target.closest('[data-action="dismissresult"]')) {
+            clear();
+        }
+    });
+    highlightModules();
+};
+
+/**
+ * Show the outcome of an action executed without reloading the page, replacing the previous one.
+ *
+ * @param {Object|null} result the result returned by the block_massaction_execute_action web service, null if there is none
+ * @returns {Promise} resolved when the summary has been updated
+ */
+export const render = (result) => {
+    const container = document.getElementById(cssIds.RESULT_CONTAINER);
+    if (container === null) {
+        return Promise.resolve();
+    }
+    clear();
+    if (result === null) {
+        return Promise.resolve();
+    }
+    return Templates.renderForPromise('block_massaction/action_result', result)
+        .then(({html, js}) => {
+            Templates.replaceNodeContents(container, html, js);
+            highlightModules();
+            return true;
+        });
+};
+
+/**
+ * Remove the summary and the highlighting of the course modules.
+ */
+const clear = () => {
+    document.getElementById(cssIds.RESULT_CONTAINER).innerHTML = '';
+    HIGHLIGHTED_STATUSES.forEach(status => document.querySelectorAll('.' + HIGHLIGHT_CLASS_PREFIX + status)
+        .forEach(element => element.classList.remove(HIGHLIGHT_CLASS_PREFIX + status)));
+};
+
+/**
+ * Highlight the course modules listed in the summary according to their status.
+ */
+const highlightModules = () => {
+    document.querySelectorAll(`#${cssIds.RESULT_CONTAINER} [data-cmid]`).forEach(item => {
+        if (!HIGHLIGHTED_STATUSES.includes(item.dataset.status)) {
+            return;
+        }
+        document.getElementById(usedMoodleCssClasses.MODULE_ID_PREFIX + item.dataset.cmid)
+            ?.classList.add(HIGHLIGHT_CLASS_PREFIX + item.dataset.status);
+    });
+};
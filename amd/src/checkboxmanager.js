@@ -32,7 +32,19 @@ import events from 'core_course/events';
 let localStateUpdating = false;
 let sectionsChanged = false;
 let sections = [];
+/* All sections and subsections in display order, including the ones without any modules. */
+let allSections = [];
 let moduleNames = [];
+/* The ids of all course modules in the order they are being displayed on the course page. */
+let moduleOrder = [];
+/* The id of the module whose checkbox has been clicked last, used as start of a range selection. */
+let lastClickedModuleId = null;
+
+/* Name of the event which is being dispatched on the document whenever the selection of course modules has changed. */
+export const selectionChangedEvent = 'block_massaction/selectionchanged';
+
+/* Name of the event which is being dispatched on the document whenever the local state of the sections has been rebuilt. */
+export const sectionsChangedEvent = 'block_massaction/sectionschanged';
 
 /* A registry of checkbox IDs, of the format:
  *  'section_number' => [{'moduleId'   : <module-ID>,
@@ -65,6 +77,8 @@ export const initCheckboxManager = () => {
             rebuildLocalState();
         }
     });
+    // Checkboxes are being re-rendered by the course editor, so we listen to clicks on the whole document.
+    document.addEventListener('click', handleCheckboxClick);
     // Trigger rendering of sections dropdowns a first time.
     sectionsChanged = true;
     // Get initial state.
@@ -94,6 +108,8 @@ const rebuildLocalState = () => {
     // Get all modules, sections and subsections in display order.
     const courseItems = exporter.allItemsArray(state);
 
+    moduleOrder = courseItems.filter(item => item.type === 'cm').map(item => item.id.toString());
+
     // Build sections array.
     sections = [];
     courseItems.forEach(item => {
@@ -111,12 +127,21 @@ const rebuildLocalState = () => {
 
     // Now we use the new information to rebuild dropdowns and re-apply checkboxes.
     const sectionsUnfiltered = sections;
+    allSections = sectionsUnfiltered;
     sections = filterVisibleSections(sections);
     updateSelectionAndMoveToDropdowns(sections, sectionsUnfiltered);
     addCheckboxesToDataStructure();
     localStateUpdating = false;
+    document.dispatchEvent(new CustomEvent(sectionsChangedEvent));
 };
 
+/**
+ * Returns all sections and subsections of the course in the order they are being displayed.
+ *
+ * @returns {Object[]} the section objects from the course editor state, the title of subsections being prefixed
+ */
+export const getSections = () => allSections;
+
 /**
  * Returns the title of a given section.
  * If the section is a subsection, a prefix with a dash is added.
@@ -151,6 +176,103 @@ export const getSelectedModIds = () => {
     return moduleIds;
 };
 
+/**
+ * Returns the course modules which currently can be selected by the user.
+ *
+ * @returns {Object[]} the course module objects from the course editor state which have a checkbox
+ */
+export const getSelectableModules = () => {
+    const moduleIds = Object.values(sectionBoxes).flat().map(box => box.moduleId);
+    return moduleNames.filter(modinfo => moduleIds.includes(modinfo.id.toString()));
+};
+
+/**
+ * Check/uncheck the checkboxes of the given course modules.
+ *
+ * @param {boolean} value the checked value to set the checkboxes to
+ * @param {string[]} moduleIds the ids of the course modules whose checkboxes should be checked/unchecked
+ */
+export const setModuleSelection = (value, moduleIds) => {
+    moduleIds.forEach(moduleId => {
+        const checkbox = document.getElementById(usedMoodleCssClasses.BOX_ID_PREFIX + moduleId);
+        if (checkbox) {
+            checkbox.checked = value;
+        }
+    });
+    notifySelectionChanged();
+};
+
+/**
+ * Sorts the given course module ids by the order of the modules on the course page.
+ *
+ * @param {string[]} moduleIds the ids of the course modules
+ * @returns {string[]} a new array containing the sorted ids
+ */
+export const sortByDisplayOrder = (moduleIds) => [...moduleIds]
+    .sort((a, b) => moduleOrder.indexOf(a.toString()) - moduleOrder.indexOf(b.toString()));
+
+/**
+ * Inform other modules that the selection has changed.
+ *
+ * Setting the checked property of a checkbox does not fire any event, so this has to be called after every change.
+ */
+const notifySelectionChanged = () => {
+    document.dispatchEvent(new CustomEvent(selectionChangedEvent));
+};
+
+/**
+ * Check/uncheck the checkboxes of all selectable course modules between two modules (both inclusive).
+ *
+ * The range is being determined by the order of the modules on the course page.
+ *
+ * @param {boolean} value the checked value to set the checkboxes to
+ * @param {string} fromModuleId the id of the course module the range starts with
+ * @param {string} toModuleId the id of the course module the range ends with
+ */
+export const setRangeSelection = (value, fromModuleId, toModuleId) => {
+    const selectableIds = Object.values(sectionBoxes).flat().map(box => box.moduleId);
+    const orderedIds = moduleOrder.filter(moduleId => selectableIds.includes(moduleId));
+    const fromIndex = orderedIds.indexOf(fromModuleId);
+    const toIndex = orderedIds.indexOf(toModuleId);
+    if (fromIndex === -1 || toIndex === -1) {
+        return;
+    }
+    setModuleSelection(value, orderedIds.slice(Math.min(fromIndex, toIndex), Math.max(fromIndex, toIndex) + 1));
+};
+
+/**
+ * Invert the selection: Check all unchecked module checkboxes and uncheck all checked ones.
+ */
+export const invertSelection = () => {
+    Object.values(sectionBoxes).flat().forEach(box => {
+        const checkbox = document.getElementById(box.boxId);
+        if (checkbox) {
+            checkbox.checked = !checkbox.checked;
+        }
+    });
+    notifySelectionChanged();
+};
+
+/**
+ * Handle clicks on the module checkboxes: A click while holding the shift key applies the new state of the clicked
+ * checkbox to all modules between the previously clicked one and the clicked one.
+ *
+ * @param {Event} event the click event
+ */
+const handleCheckboxClick = (event) => {
+    const checkbox = event.target;
+    if (!(checkbox instanceof HTMLInputElement) || !checkbox.id.startsWith(usedMoodleCssClasses.BOX_ID_PREFIX)) {
+        return;
+    }
+    const moduleId = checkbox.id.substring(usedMoodleCssClasses.BOX_ID_PREFIX.length);
+    if (event.shiftKey && lastClickedModuleId !== null) {
+        setRangeSelection(checkbox.checked, lastClickedModuleId, moduleId);
+    } else {
+        notifySelectionChanged();
+    }
+    lastClickedModuleId = moduleId;
+};
+
 /**
  * Select all module checkboxes in section(s).
  *
@@ -179,6 +301,7 @@ export const setSectionSelection = (value, sectionNumber) => {
     for (let i = 0; i < boxIds.length; i++) {
         document.getElementById(boxIds[i]).checked = value;
     }
+    notifySelectionChanged();
     // Reset dropdown to standard placeholder so we trigger a change event when selecting a section, then deselecting
     // everything and again select the same section.
     document.getElementById(cssIds.SECTION_SELECT).value = constants.SECTION_SELECT_DESCRIPTION_VALUE;
@@ -0,0 +1,99 @@
+// This file is part of Moodle - http://moodle.org/
+//
+// Moodle is free software: you can redistribute it and/or modify
+// it under the terms of the GNU General Public License as published by
+// the Free Software Foundation, either version 3 of the License, or
+// (at your option) any later version.
+//
+// Moodle is distributed in the hope that it will be useful,
+// but WITHOUT ANY WARRANTY; without even the implied warranty of
+// MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+// GNU General Public License for more details.
+//
+// You should have received a copy of the GNU General Public License
+// along with Moodle.  If not, see <http://www.gnu.org/licenses/>.
+
+/**
+ * Duplication jobs amd module: Shows the progress and the result of the duplications running as background tasks.
+ *
+ * @module     block_massaction/duplicationjobs
+ * @copyright  2026 University of Regina
+ * @license    http://www.gnu.org/copyleft/gpl.html GNU GPL v3 or later
+ */
+
+import Ajax from 'core/ajax';
+import Notification from 'core/notification';
+import Templates from 'core/templates';
+import {getCurrentCourseEditor} from 'core_courseformat/courseeditor';
+import {cssIds as blockCssIds} from './massactionblock';
+
+const cssIds = {
+    JOBS_CONTAINER: 'block-massaction-jobs',
+};
+
+/* Interval in milliseconds for polling the status while there are jobs which have not finished yet. */
+const POLL_INTERVAL = 5000;
+
+let pollTimer = null;
+
+/**
+ * Initialize the list of duplication jobs and start polling if any of the rendered jobs has not finished yet.
+ */
+export const init = () => {
+    const container = document.getElementById(cssIds.JOBS_CONTAINER);
+    if (container === null) {
+        return;
+    }
+    container.addEventListener('click', (event) => {
+        const button = event.target.closest('[data-action="dismissjob"]');
+        if (button) {
+            callJobsService('block_massaction_dismiss_duplication_job', {batchid: button.dataset.batchid})
+                .catch(Notification.exception);
+        }
+    });
+    if (container.querySelector('[data-active="1"]') !== null) {
+        schedulePoll();
+    }
+};
+
+/**
+ * Fetch the current status of the jobs and re-render the list.
+ *
+ * @returns {Promise} resolved when the list has been updated
+ */
+export const refresh = () => callJobsService('block_massaction_get_duplication_jobs', {});
+
+/**
+ * Call one of the web services returning the jobs of the user and render them.
+ *
+ * @param {string} methodname the name of the web service
+ * @param {Object} args the arguments of the web service, except the block instance id
+ * @returns {Promise} resolved when the list has been updated
+ */
+const callJobsService = (methodname, args) => {
+    const container = document.getElementById(cssIds.JOBS_CONTAINER);
+    const instanceId = document.getElementById(blockCssIds.HIDDEN_FIELD_INSTANCE_ID).value;
+    const wasActive = container.querySelector('[data-active="1"]') !== null;
+
+    return Ajax.call([{methodname, args: {instanceid: instanceId, ...args}}])[0]
+        .then(jobs => Promise.all([jobs, Templates.renderForPromise('block_massaction/duplication_jobs', {jobs})]))
+        .then(([jobs, {html, js}]) => {
+            Templates.replaceNodeContents(container, html, js);
+            const active = jobs.some(job => job.active);
+            if (active) {
+                schedulePoll();
+            } else if (wasActive) {
+                // The duplicated modules are not part of the course editor state yet.
+                return getCurrentCourseEditor().dispatch('courseState');
+            }
+            return true;
+        });
+};
+
+/**
+ * Schedule the next status update.
+ */
+const schedulePoll = () => {
+    clearTimeout(pollTimer);
+    pollTimer = setTimeout(() => refresh().catch(Notification.exception), POLL_INTERVAL);
+};
@@ -22,11 +22,24 @@
  * @license    http://www.gnu.org/copyleft/gpl.html GNU GPL v3 or later
  */
 
+import * as actionpreview from 'block_massaction/actionpreview';
+import * as actionresult from 'block_massaction/actionresult';
 import * as checkboxmanager from 'block_massaction/checkboxmanager';
+import * as duplicationjobs from 'block_massaction/duplicationjobs';
+import * as renamer from 'block_massaction/renamer';
+import * as savedselections from 'block_massaction/savedselections';
+import * as sectionactions from 'block_massaction/sectionactions';
+import * as selectionfilter from 'block_massaction/selectionfilter';
+import * as selectionsummary from 'block_massaction/selectionsummary';
 import * as Str from 'core/str';
+import Ajax from 'core/ajax';
+import Config from 'core/config';
+import Fragment from 'core/fragment';
 import Log from 'core/log';
 import Notification from 'core/notification';
 import Pending from 'core/pending';
+import Templates from 'core/templates';
+import {add as addToast} from 'core/toast';
 import {getCurrentCourseEditor} from 'core_courseformat/courseeditor';
 import events from "core_course/events";
 
@@ -41,6 +54,7 @@ export const cssIds = {
     BULK_EDITING_DISABLED: 'block-massaction-bulk-editing-disabled',
     SELECT_ALL_LINK: 'block-massaction-control-selectall',
     DESELECT_ALL_LINK: 'block-massaction-control-deselectall',
+    INVERT_SELECTION_LINK: 'block-massaction-control-invertselection',
     HIDE_LINK: 'block-massaction-action-hide',
     SHOW_LINK: 'block-massaction-action-show',
     MAKE_AVAILABLE_LINK: 'block-massaction-action-makeavailable',
@@ -48,18 +62,34 @@ export const cssIds = {
     DELETE_LINK: 'block-massaction-action-delete',
     SHOW_DESCRIPTION_LINK: 'block-massaction-action-showdescription',
     HIDE_DESCRIPTION_LINK: 'block-massaction-action-hidedescription',
+    RESTRICT_ACCESS_LINK: 'block-massaction-action-restrictaccess',
+    TAGS_LINK: 'block-massaction-action-tags',
+    COMPETENCIES_LINK: 'block-massaction-action-competencies',
+    SHIFT_DATES_LINK: 'block-massaction-action-shiftdates',
+    MODULE_SETTINGS_LINK: 'block-massaction-action-modulesettings',
     CONTENT_CHANGED_NOTIFICATION_LINK: 'block-massaction-action-contentchangednotification',
     MOVELEFT_LINK: 'block-massaction-action-moveleft',
     MOVERIGHT_LINK: 'block-massaction-action-moveright',
     MOVETO_ICON_LINK: 'block-massaction-action-moveto',
     DUPLICATETO_ICON_LINK: 'block-massaction-action-duplicateto',
     DUPLICATE_TO_COURSE_ICON_LINK: 'block-massaction-action-duplicatetocourse',
+    MOVE_TO_COURSE_ICON_LINK: 'block-massaction-action-movetocourse',
+    RENAME_LINK: 'block-massaction-action-rename',
+    SORT_LINK: 'block-massaction-action-sort',
+    EXPORT_BUNDLE_LINK: 'block-massaction-action-exportbundle',
+    IMPORT_BUNDLE_LINK: 'block-massaction-action-importbundle',
     SECTION_SELECT: 'block-massaction-control-section-list-select',
     MOVETO_SELECT: 'block-massaction-control-section-list-moveto',
     DUPLICATETO_SELECT: 'block-massaction-control-section-list-duplicateto',
+    SORT_BY_SELECT: 'block-massaction-control-sort-by',
+    SORT_PLACEMENT_SELECT: 'block-massaction-control-sort-placement',
     HIDDEN_FIELD_REQUEST_INFORMATION: 'block-massaction-control-request',
+    HIDDEN_FIELD_INSTANCE_ID: 'block-massaction-instance_id',
     ACTION_FORM: 'block-massaction-control-form',
-    SECTION_FILTER_DATA: `[data-block-massaction-data="availabletargetsections"]`
+    UNDO_CONTAINER: 'block-massaction-undo',
+    SECTION_FILTER_DATA: `[data-block-massaction-data="availabletargetsections"]`,
+    PREVIEW_ACTIONS_DATA: `[data-block-massaction-data="previewactions"]`,
+    PLUGIN_ACTION_LINKS: '[data-pluginaction]',
 };
 
 export const constants = {
@@ -75,12 +105,64 @@ const actions = {
     DELETE: 'delete',
     SHOW_DESCRIPTION: 'showdescription',
     HIDE_DESCRIPTION: 'hidedescription',
+    RESTRICT_ACCESS: 'restrictaccess',
+    TAGS: 'tags',
+    COMPETENCIES: 'competencies',
+    SHIFT_DATES: 'shiftdates',
+    MODULE_SETTINGS: 'modulesettings',
     MOVE_LEFT: 'moveleft',
     MOVE_RIGHT: 'moveright',
     CONTENT_CHANGED_NOTIFICATION: 'contentchangednotification',
     MOVE_TO: 'moveto',
     DUPLICATE_TO: 'duplicateto',
     DUPLICATE_TO_COURSE: 'duplicatetocourse',
+    MOVE_TO_COURSE: 'movetocourse',
+    RENAME: 'rename',
+    SORT: 'sort',
+    EXPORT_BUNDLE: 'exportbundle',
+    IMPORT_BUNDLE: 'importbundle',
+};
+
+/* Actions which need further user interaction on a separate page. */
+const formActions = [
+    actions.DELETE,
+    actions.DUPLICATE_TO_COURSE,
+    actions.MOVE_TO_COURSE,
+    actions.RESTRICT_ACCESS,
+    actions.TAGS,
+    actions.COMPETENCIES,
+    actions.SHIFT_DATES,
+    actions.MODULE_SETTINGS,
+    actions.EXPORT_BUNDLE,
+    actions.IMPORT_BUNDLE,
+];
+
+/* Keyboard shortcuts (Alt+Shift+<key>) for the selection controls and the actions, indexed by the key code. */
+const shortcuts = {
+    KeyA: {elementId: cssIds.SELECT_ALL_LINK, handler: () => checkboxmanager.setSectionSelection(true,
+        constants.SECTION_NUMBER_ALL_PLACEHOLDER)},
+    KeyN: {elementId: cssIds.DESELECT_ALL_LINK, handler: () => checkboxmanager.setSectionSelection(false,
+        constants.SECTION_NUMBER_ALL_PLACEHOLDER)},
+    KeyI: {elementId: cssIds.INVERT_SELECTION_LINK, handler: () => checkboxmanager.invertSelection()},
+    KeyH: {elementId: cssIds.HIDE_LINK, handler: () => submitAction(actions.HIDE)},
+    KeyS: {elementId: cssIds.SHOW_LINK, handler: () => submitAction(actions.SHOW)},
+    KeyV: {elementId: cssIds.MAKE_AVAILABLE_LINK, handler: () => submitAction(actions.MAKE_AVAILABLE)},
+    KeyD: {elementId: cssIds.DUPLICATE_LINK, handler: () => submitAction(actions.DUPLICATE)},
+    KeyX: {elementId: cssIds.DELETE_LINK, handler: () => submitAction(actions.DELETE)},
+    KeyO: {elementId: cssIds.SHOW_DESCRIPTION_LINK, handler: () => submitAction(actions.SHOW_DESCRIPTION)},
+    KeyP: {elementId: cssIds.HIDE_DESCRIPTION_LINK, handler: () => submitAction(actions.HIDE_DESCRIPTION)},
+    KeyE: {elementId: cssIds.RESTRICT_ACCESS_LINK, handler: () => submitAction(actions.RESTRICT_ACCESS)},
+    KeyT: {elementId: cssIds.SHIFT_DATES_LINK, handler: () => submitAction(actions.SHIFT_DATES)},
+    KeyG: {elementId: cssIds.MODULE_SETTINGS_LINK, handler: () => submitAction(actions.MODULE_SETTINGS)},
+    KeyU: {elementId: cssIds.CONTENT_CHANGED_NOTIFICATION_LINK,
+        handler: () => submitAction(actions.CONTENT_CHANGED_NOTIFICATION)},
+    KeyL: {elementId: cssIds.MOVELEFT_LINK, handler: () => submitAction(actions.MOVE_LEFT)},
+    KeyR: {elementId: cssIds.MOVERIGHT_LINK, handler: () => submitAction(actions.MOVE_RIGHT)},
+    KeyM: {elementId: cssIds.MOVETO_ICON_LINK, handler: () => submitAction(actions.MOVE_TO)},
+    KeyC: {elementId: cssIds.DUPLICATETO_ICON_LINK, handler: () => submitAction(actions.DUPLICATE_TO)},
+    KeyK: {elementId: cssIds.DUPLICATE_TO_COURSE_ICON_LINK, handler: () => submitAction(actions.DUPLICATE_TO_COURSE)},
+    KeyJ: {elementId: cssIds.MOVE_TO_COURSE_ICON_LINK, handler: () => submitAction(actions.MOVE_TO_COURSE)},
+    KeyQ: {elementId: cssIds.SORT_LINK, handler: () => submitAction(actions.SORT)},
 };
 
 /**
@@ -95,6 +177,16 @@ export const init = async() => {
         .then(() => {
             // Initialize the checkbox manager.
             checkboxmanager.initCheckboxManager();
+            // Initialize the filter panel, which depends on the modules collected by the checkbox manager.
+            selectionfilter.init();
+            // Initialize the summary of the selected modules.
+            selectionsummary.init();
+            // Initialize the controls for saving and restoring selections.
+            savedselections.init();
+            // Initialize the preview of the rename panel.
+            renamer.init();
+            // Initialize the panel for applying actions to whole sections.
+            sectionactions.init();
 
             // Show block depending on if the moodle bulk editing util has been activated.
             editor.stateManager.target.addEventListener(events.stateChanged, (event) => {
@@ -121,6 +213,9 @@ export const init = async() => {
     document.getElementById(cssIds.DESELECT_ALL_LINK)?.addEventListener('click',
         () => checkboxmanager.setSectionSelection(false, constants.SECTION_NUMBER_ALL_PLACEHOLDER), false);
 
+    document.getElementById(cssIds.INVERT_SELECTION_LINK)?.addEventListener('click',
+        () => checkboxmanager.invertSelection(), false);
+
     document.getElementById(cssIds.HIDE_LINK)?.addEventListener('click',
         () => submitAction(actions.HIDE), false);
 
@@ -142,6 +237,21 @@ export const init = async() => {
     document.getElementById(cssIds.HIDE_DESCRIPTION_LINK)?.addEventListener('click',
         () => submitAction(actions.HIDE_DESCRIPTION), false);
 
+    document.getElementById(cssIds.RESTRICT_ACCESS_LINK)?.addEventListener('click',
+        () => submitAction(actions.RESTRICT_ACCESS), false);
+
+    document.getElementById(cssIds.TAGS_LINK)?.addEventListener('click',
+        () => submitAction(actions.TAGS), false);
+
+    document.getElementById(cssIds.COMPETENCIES_LINK)?.addEventListener('click',
+        () => submitAction(actions.COMPETENCIES), false);
+
+    document.getElementById(cssIds.SHIFT_DATES_LINK)?.addEventListener('click',
+        () => submitAction(actions.SHIFT_DATES), false);
+
+    document.getElementById(cssIds.MODULE_SETTINGS_LINK)?.addEventListener('click',
+        () => submitAction(actions.MODULE_SETTINGS), false);
+
     document.getElementById(cssIds.CONTENT_CHANGED_NOTIFICATION_LINK)?.addEventListener('click',
         () => submitAction(actions.CONTENT_CHANGED_NOTIFICATION), false);
 
@@ -160,9 +270,76 @@ export const init = async() => {
     document.getElementById(cssIds.DUPLICATE_TO_COURSE_ICON_LINK)?.addEventListener('click',
         () => submitAction(actions.DUPLICATE_TO_COURSE), false);
 
+    document.getElementById(cssIds.MOVE_TO_COURSE_ICON_LINK)?.addEventListener('click',
+        () => submitAction(actions.MOVE_TO_COURSE), false);
+
+    document.getElementById(cssIds.RENAME_LINK)?.addEventListener('click',
+        () => submitAction(actions.RENAME), false);
+
+    document.getElementById(cssIds.SORT_LINK)?.addEventListener('click',
+        () => submitAction(actions.SORT), false);
+
+    document.getElementById(cssIds.EXPORT_BUNDLE_LINK)?.addEventListener('click',
+        () => submitAction(actions.EXPORT_BUNDLE), false);
+
+    // Importing a bundle does not depend on the selected modules.
+    document.getElementById(cssIds.IMPORT_BUNDLE_LINK)?.addEventListener('click',
+        () => dispatchAction({action: actions.IMPORT_BUNDLE, moduleIds: []}), false);
+
+    // The actions contributed by other plugins are not known in advance.
+    document.querySelectorAll(cssIds.PLUGIN_ACTION_LINKS).forEach(element => element.addEventListener('click',
+        () => submitAction(element.dataset.pluginaction), false));
+
+    document.getElementById(cssIds.UNDO_CONTAINER)?.addEventListener('click', (event) => {
+        const button = event.target.closest('[data-action]');
+        if (button?.dataset.action === 'undo') {
+            undoLastAction();
+        } else if (button?.dataset.action === 'dismiss') {
+            event.currentTarget.innerHTML = '';
+        }
+    });
+
+    initKeyboardShortcuts();
+    duplicationjobs.init();
+    actionresult.init();
+
     pendingPromise.resolve();
 };
 
+/**
+ * Announce the keyboard shortcuts of the available controls to assistive technologies and register the key handler.
+ */
+const initKeyboardShortcuts = () => {
+    for (const [code, shortcut] of Object.entries(shortcuts)) {
+        const element = document.getElementById(shortcut.elementId);
+        // The action ids are on the containing divs, but the shortcut belongs to the focusable button.
+        const button = element?.matches('button') ? element : element?.querySelector('button');
+        button?.setAttribute('aria-keyshortcuts', 'Alt+Shift+' + code.replace('Key', ''));
+    }
+
+    document.addEventListener('keydown', (event) => {
+        if (!event.altKey || !event.shiftKey || event.ctrlKey || event.metaKey || !shortcuts[event.code]) {
+            return;
+        }
+        // Do not interfere with typing, some keyboard layouts use the modifiers for entering special characters.
+        if (event.target.closest('input[type="text"], input[type="search"], textarea, [contenteditable="true"]')) {
+            return;
+        }
+        // The block content is only being shown if bulk editing has been enabled.
+        const blockContent = document.getElementById(cssIds.BLOCK_CONTENT);
+        if (!blockContent || blockContent.classList.contains('d-none')) {
+            return;
+        }
+        const shortcut = shortcuts[event.code];
+        if (document.getElementById(shortcut.elementId) === null) {
+            // The user is not allowed to use this action.
+            return;
+        }
+        event.preventDefault();
+        shortcut.handler();
+    });
+};
+
 /**
  * Submit the selected action to server.
  *
@@ -190,12 +367,19 @@ const submitAction = (action) => {
         case actions.MAKE_AVAILABLE:
         case actions.DUPLICATE:
         case actions.DUPLICATE_TO_COURSE:
+        case actions.MOVE_TO_COURSE:
         case actions.CONTENT_CHANGED_NOTIFICATION:
         case actions.MOVE_LEFT:
         case actions.MOVE_RIGHT:
         case actions.DELETE:
         case actions.SHOW_DESCRIPTION:
         case actions.HIDE_DESCRIPTION:
+        case actions.RESTRICT_ACCESS:
+        case actions.TAGS:
+        case actions.COMPETENCIES:
+        case actions.SHIFT_DATES:
+        case actions.MODULE_SETTINGS:
+        case actions.EXPORT_BUNDLE:
             break;
 
         case actions.MOVE_TO:
@@ -215,16 +399,198 @@ const submitAction = (action) => {
                 return false;
             }
             break;
+
+        case actions.SORT:
+            submitData.sortBy = document.getElementById(cssIds.SORT_BY_SELECT).value;
+            submitData.sortPlacement = document.getElementById(cssIds.SORT_PLACEMENT_SELECT).value;
+            // Keeping the order at the current positions would not change anything.
+            if (submitData.sortBy === '' || (submitData.sortBy === 'none' && submitData.sortPlacement === 'keep')) {
+                displayError(Str.get_string('nosortruleselected', 'block_massaction'));
+                return false;
+            }
+            break;
+
+        case actions.RENAME:
+            submitData.rename = renamer.getPattern();
+            if (renamer.isEmptyPattern(submitData.rename)) {
+                displayError(Str.get_string('norenamepattern', 'block_massaction'));
+                return false;
+            }
+            break;
         default:
+            if (getPluginAction(action) !== undefined) {
+                // The parameters of actions contributed by other plugins are being asked for by their own form.
+                break;
+            }
             displayError('Unknown action: ' + action + '. Coding error.');
             return false;
     }
-    // Set the form value and submit.
-    document.getElementById(cssIds.HIDDEN_FIELD_REQUEST_INFORMATION).value = JSON.stringify(submitData);
-    document.getElementById(cssIds.ACTION_FORM).submit();
+
+    const previewActions = document.querySelector(cssIds.PREVIEW_ACTIONS_DATA)?.dataset.previewactions.split(',') ?? [];
+    if (!previewActions.includes(action)) {
+        dispatchAction(submitData);
+        return true;
+    }
+
+    // The site administrator wants the user to review the changes before they are being applied.
+    const actionStringKey = {
+        [actions.MOVE_TO]: 'action_movetosection',
+        [actions.DUPLICATE_TO]: 'action_duplicatetosection',
+    }[action] ?? 'action_' + action;
+    Str.get_string(actionStringKey, 'block_massaction')
+        .then(actionText => actionpreview.confirmAction(submitData, actionText))
+        .then(confirmed => {
+            if (confirmed) {
+                dispatchAction(submitData);
+            }
+            return confirmed;
+        })
+        .catch(Notification.exception);
     return true;
 };
 
+/**
+ * Hand the validated request over to the server.
+ *
+ * @param {Object} submitData the request data containing the action and the selected module ids
+ */
+const dispatchAction = (submitData) => {
+    if (formActions.includes(submitData.action) || getPluginAction(submitData.action)?.dataset.hasform === '1') {
+        // These actions need further user interaction on a separate page, so we have to submit the form.
+        document.getElementById(cssIds.HIDDEN_FIELD_REQUEST_INFORMATION).value = JSON.stringify(submitData);
+        document.getElementById(cssIds.ACTION_FORM).submit();
+        return;
+    }
+
+    executeAction(submitData);
+};
+
+/**
+ * Execute the action via web service and refresh the course editor state afterwards.
+ *
+ * @param {Object} submitData the request data containing the action and the selected module ids
+ * @return {Promise} resolved as soon as the action has been executed and the course state has been refreshed
+ */
+const executeAction = (submitData) => {
+    const pendingPromise = new Pending('block_massaction/executeaction');
+    const instanceId = document.getElementById(cssIds.HIDDEN_FIELD_INSTANCE_ID).value;
+
+    return Ajax.call([{
+        methodname: 'block_massaction_execute_action',
+        args: {
+            instanceid: instanceId,
+            request: JSON.stringify(submitData),
+        },
+    }])[0]
+        .then(result => {
+            addToast(result.message);
+            return Promise.all([
+                renderUndoNotification(result.undoable ? result.actiontext : null),
+                refreshCourse(submitData.action, submitData.moduleIds),
+                // Show the progress of the queued duplication.
+                result.backgroundtask ? duplicationjobs.refresh() : true,
+            ]).then(() => actionresult.render(result.result ?? null));
+        })
+        .then(() => pendingPromise.resolve())
+        .catch(error => {
+            pendingPromise.resolve();
+            Notification.exception(error);
+        });
+};
+
+/**
+ * Revert the last action via web service and refresh the course editor state afterwards.
+ *
+ * @return {Promise} resolved as soon as the action has been reverted and the course state has been refreshed
+ */
+const undoLastAction = () => {
+    const pendingPromise = new Pending('block_massaction/undoaction');
+    const instanceId = document.getElementById(cssIds.HIDDEN_FIELD_INSTANCE_ID).value;
+
+    return Ajax.call([{
+        methodname: 'block_massaction_undo_action',
+        args: {
+            instanceid: instanceId,
+        },
+    }])[0]
+        .then(result => {
+            addToast(result.message);
+            return Promise.all([
+                renderUndoNotification(null),
+                refreshCourse(result.action, result.moduleids),
+                // The outcome of the reverted action is not relevant anymore.
+                actionresult.render(null),
+            ]);
+        })
+        .then(() => pendingPromise.resolve())
+        .catch(error => {
+            pendingPromise.resolve();
+            Notification.exception(error);
+        });
+};
+
+/**
+ * Refresh the course page after an action has been applied to the given modules.
+ *
+ * @param {string} action the action which has been performed
+ * @param {string[]} moduleIds the ids of the modules which have been changed
+ * @return {Promise} resolved when the course page is up to date
+ */
+const refreshCourse = (action, moduleIds) => getCurrentCourseEditor().dispatch('courseState')
+    .then(() => {
+        // The description is not part of the course editor state and actions of other plugins may change anything, so we have to
+        // re-render the modules ourselves.
+        if (action === actions.SHOW_DESCRIPTION || action === actions.HIDE_DESCRIPTION || getPluginAction(action) !== undefined) {
+            return reloadModules(moduleIds);
+        }
+        return true;
+    });
+
+/**
+ * Returns the element of an action contributed by another plugin.
+ *
+ * @param {string} action the name of the action
+ * @return {HTMLElement|undefined} the element of the action, undefined if it is not an action of another plugin
+ */
+const getPluginAction = (action) => [...document.querySelectorAll(cssIds.PLUGIN_ACTION_LINKS)]
+    .find(element => element.dataset.pluginaction === action);
+
+/**
+ * Show the notification offering to undo the last action or remove it.
+ *
+ * @param {string|null} actionText the name of the action which can be undone, null if there is nothing to undo
+ * @return {Promise} resolved when the notification has been updated
+ */
+const renderUndoNotification = (actionText) => {
+    const container = document.getElementById(cssIds.UNDO_CONTAINER);
+    if (!container) {
+        return Promise.resolve();
+    }
+    if (actionText === null) {
+        container.innerHTML = '';
+        return Promise.resolve();
+    }
+    return Templates.renderForPromise('block_massaction/undo_notification', {actiontext: actionText})
+        .then(({html, js}) => Templates.replaceNodeContents(container, html, js));
+};
+
+/**
+ * Re-render the given course modules on the course page.
+ *
+ * @param {string[]} moduleIds the ids of the modules to re-render
+ * @return {Promise} resolved when all modules have been re-rendered
+ */
+const reloadModules = (moduleIds) => Promise.all(moduleIds.map(moduleId => {
+    const element = document.getElementById(usedMoodleCssClasses.MODULE_ID_PREFIX + moduleId);
+    if (!element) {
+        return true;
+    }
+    return Fragment.loadFragment('core_courseformat', 'cmitem', Config.courseContextId, {
+        id: moduleId,
+        courseid: Config.courseId,
+    }).then((html, js) => Templates.replaceNode(element, html, js));
+}));
+
 const displayError = (errorText) => {
     Promise.resolve([Str.get_string('error', 'core'), errorText, Str.get_string('back', 'core')])
         .then(text => Notification.alert(text[0], text[1], text[2]))
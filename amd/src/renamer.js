@@ -0,0 +1,204 @@
+// This file is part of Moodle - http://moodle.org/
+//
+// Moodle is free software: you can redistribute it and/or modify
+// it under the terms of the GNU General Public License as published by
+// the Free Software Foundation, either version 3 of the License, or
+// (at your option) any later version.
+//
+// Moodle is distributed in the hope that it will be useful,
+// but WITHOUT ANY WARRANTY; without even the implied warranty of
+// MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+// GNU General Public License for more details.
+//
+// You should have received a copy of the GNU General Public License
+// along with Moodle.  If not, see <http://www.gnu.org/licenses/>.
+
+
+/**
+ * Renamer amd module: Previews the new names of the selected course modules while the user is entering the rename pattern.
+ *
+ * The rules for applying the pattern are the same as in \block_massaction\module_renamer, so both have to be kept in sync. This
+ * includes the syntax of the replacement, which only supports $0 to $9 and $$ instead of the native tokens of String.replace.
+ *
+ * @module     block_massaction/renamer
+ * @copyright  2026 University of Regina
+ * @license    http://www.gnu.org/copyleft/gpl.html GNU GPL v3 or later
+ */
+
+import * as checkboxmanager from 'block_massaction/checkboxmanager';
+import Ajax from 'core/ajax';
+import * as Str from 'core/str';
+import Notification from 'core/notification';
+import Templates from 'core/templates';
+import {getCurrentCourseEditor} from 'core_courseformat/courseeditor';
+import events from 'core_course/events';
+import {cssIds as blockCssIds} from './massactionblock';
+
+const cssIds = {
+    RENAME_PANEL: 'block-massaction-rename',
+    PREVIEW: 'block-massaction-rename-preview',
+};
+
+/* The maximum length of a module name. */
+const MAX_LENGTH = 255;
+
+let renderCounter = 0;
+
+/* The promise for the names of the course modules as they have been entered, indexed by course module id. */
+let rawNames = null;
+
+/**
+ * Initialize the rename panel.
+ */
+export const init = () => {
+    const panel = document.getElementById(cssIds.RENAME_PANEL);
+    if (panel === null) {
+        return;
+    }
+    panel.addEventListener('input', (event) => {
+        if (event.target.closest('[data-rename-field]')) {
+            updatePreview();
+        }
+    });
+    document.addEventListener(checkboxmanager.selectionChangedEvent, () => updatePreview());
+    // Selected modules may have been moved or renamed.
+    getCurrentCourseEditor().stateManager.target.addEventListener(events.stateChanged, (event) => {
+        if (event.detail.action === 'transaction:end') {
+            rawNames = null;
+            updatePreview();
+        }
+    });
+
+    updatePreview();
+};
+
+/**
+ * Returns the pattern the user has entered.
+ *
+ * @returns {Object} the pattern containing find, replace, regex, prefix, suffix and template
+ */
+export const getPattern = () => {
+    const pattern = {};
+    document.querySelectorAll(`#${cssIds.RENAME_PANEL} [data-rename-field]`).forEach(field => {
+        pattern[field.dataset.renameField] = field.type === 'checkbox' ? field.checked : field.value;
+    });
+    return pattern;
+};
+
+/**
+ * Whether the pattern would not change any name.
+ *
+ * @param {Object} pattern the pattern containing find, replace, regex, prefix, suffix and template
+ * @returns {boolean} true if neither a search term, a template, a prefix nor a suffix has been entered
+ */
+export const isEmptyPattern = (pattern) => !pattern.find && !(pattern.template ?? '').trim() && !pattern.prefix &&
+    !pattern.suffix;
+
+/**
+ * Applies the pattern to the names of the given course modules.
+ *
+ * @param {Object[]} modules the course module objects from the course editor state in the order they are being displayed,
+ *     each extended by the number of its section and with the name as it has been entered instead of the formatted one
+ * @param {Object} pattern the pattern containing find, replace, regex, prefix, suffix and template
+ * @returns {Object[]} the old name, the new name and whether the name changes for each module
+ * @throws {SyntaxError} if the search term is not a valid regular expression
+ */
+export const getNewNames = (modules, pattern) => {
+    const find = pattern.find ?? '';
+    const regex = find !== '' && pattern.regex ? new RegExp(find, 'gu') : null;
+    const template = (pattern.template ?? '').trim();
+
+    return modules.map((module, index) => {
+        let name = module.name;
+        if (regex) {
+            name = name.replace(regex, (...args) => {
+                // The matched text and the captured groups are being followed by the offset, the whole name and, if the
+                // search term contains named groups, the named groups.
+                const captures = args.slice(0, typeof args[args.length - 1] === 'object' ? -3 : -2);
+                return expandReplacement(pattern.replace ?? '', captures);
+            });
+        } else if (find !== '') {
+            name = name.split(find).join(pattern.replace ?? '');
+        }
+        if (template !== '') {
+            // Placeholders contained in the name itself must not be replaced.
+            const values = {name, n: index + 1, section: module.sectionnumber};
+            name = template.replace(/\{(name|n|section)\}/g, (match, placeholder) => values[placeholder]);
+        }
+        name = [...((pattern.prefix ?? '') + name + (pattern.suffix ?? '')).trim()].slice(0, MAX_LENGTH).join('');
+        return {name: module.name, newname: name, changed: name !== '' && name !== module.name};
+    });
+};
+
+/**
+ * Inserts the matched text and the captured groups into the replacement.
+ *
+ * @param {string} replace the replacement as entered by the user
+ * @param {Array} captures the matched text followed by the captured groups
+ * @returns {string} the replacement for the match
+ */
+const expandReplacement = (replace, captures) => replace.replace(/\$(\$|\d)/g, (token, reference) => {
+    if (reference === '$') {
+        return '$';
+    }
+    return captures[Number(reference)] ?? '';
+});
+
+/**
+ * Returns the names of the course modules as they have been entered.
+ *
+ * The course editor state only contains the formatted names, which may differ from the names being renamed, for example if
+ * they contain multilang tags. The names are being requested once and again after the course has been changed.
+ *
+ * @returns {Promise<Map<string, string>>} the names indexed by course module id
+ */
+const getRawNames = () => {
+    if (rawNames === null) {
+        rawNames = Ajax.call([{
+            methodname: 'block_massaction_get_module_names',
+            args: {instanceid: document.getElementById(blockCssIds.HIDDEN_FIELD_INSTANCE_ID).value},
+        }])[0].then(modules => new Map(modules.map(module => [module.id.toString(), module.name])));
+        rawNames.catch(() => {
+            rawNames = null;
+        });
+    }
+    return rawNames;
+};
+
+/**
+ * Re-render the preview from the current selection and pattern.
+ *
+ * @returns {Promise} resolved when the preview has been updated
+ */
+const updatePreview = () => {
+    const renderId = ++renderCounter;
+    const pattern = getPattern();
+
+    return Promise.all([getRawNames(), Str.get_string('rename_invalidregex', 'block_massaction', pattern.find)])
+        .then(([names, invalidRegexMessage]) => {
+            const state = getCurrentCourseEditor().stateManager.state;
+            const modules = checkboxmanager.sortByDisplayOrder(checkboxmanager.getSelectedModIds())
+                .map(moduleId => state.cm.get(moduleId.toString()))
+                .filter(module => typeof module !== 'undefined')
+                .map(module => ({
+                    ...module,
+                    name: names.get(module.id.toString()) ?? module.name,
+                    sectionnumber: state.section.get(module.sectionid.toString())?.number ?? 0,
+                }));
+            try {
+                const rows = getNewNames(modules, pattern);
+                return {rows, haschanges: rows.some(row => row.changed), error: ''};
+            } catch (error) {
+                return {rows: [], haschanges: false, error: invalidRegexMessage};
+            }
+        })
+        .then(context => Templates.renderForPromise('block_massaction/rename_preview', context))
+        .then(({html, js}) => {
+            if (renderId !== renderCounter) {
+                return false;
+            }
+            Templates.replaceNodeContents(document.getElementById(cssIds.PREVIEW), html, js);
+            return true;
+        })
+        .catch(Notification.exception);
+};
@@ -0,0 +1,175 @@
+// This file is part of Moodle - http://moodle.org/
+//
+// Moodle is free software: you can redistribute it and/or modify
+// it under the terms of the GNU General Public License as published by
+// the Free Software Foundation, either version 3 of the License, or
+// (at your option) any later version.
+//
+// Moodle is distributed in the hope that it will be useful,
+// but WITHOUT ANY WARRANTY; without even the implied warranty of
+// MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+// GNU General Public License for more details.
+//
+// You should have received a copy of the GNU General Public License
+// along with Moodle.  If not, see <http://www.gnu.org/licenses/>.
+
+/**
+ * Saved selections amd module: Saves the current selection of course modules under a name and restores it later on.
+ *
+ * @module     block_massaction/savedselections
+ * @copyright  2026 University of Regina
+ * @license    http://www.gnu.org/copyleft/gpl.html GNU GPL v3 or later
+ */
+
+import * as checkboxmanager from 'block_massaction/checkboxmanager';
+import * as Str from 'core/str';
+import Ajax from 'core/ajax';
+import Log from 'core/log';
+import ModalEvents from 'core/modal_events';
+import ModalSaveCancel from 'core/modal_save_cancel';
+import Notification from 'core/notification';
+import Templates from 'core/templates';
+import {add as addToast} from 'core/toast';
+import {constants, cssIds as blockCssIds} from './massactionblock';
+
+const cssIds = {
+    SAVED_SELECTIONS: 'block-massaction-savedselections',
+    SELECTION_SELECT: 'block-massaction-control-savedselection-select',
+    SAVE_BUTTON: 'block-massaction-control-saveselection',
+    DELETE_BUTTON: 'block-massaction-control-deleteselection',
+    NAME_INPUT: 'block-massaction-saveselection-name',
+};
+
+/**
+ * Initialize the saved selections controls.
+ */
+export const init = () => {
+    if (document.getElementById(cssIds.SAVED_SELECTIONS) === null) {
+        return;
+    }
+    registerListeners();
+};
+
+/**
+ * Register the event listeners of the controls. Has to be called again after the controls have been re-rendered.
+ */
+const registerListeners = () => {
+    document.getElementById(cssIds.SELECTION_SELECT).addEventListener('change', () => restoreSelection(), false);
+    document.getElementById(cssIds.SAVE_BUTTON).addEventListener('click', () => saveSelection(), false);
+    document.getElementById(cssIds.DELETE_BUTTON).addEventListener('click', () => deleteSelection(), false);
+};
+
+/**
+ * Returns the ids of the given course modules which still exist in the course and can be selected.
+ *
+ * @param {string[]} moduleIds the ids of the saved course modules
+ * @param {Object[]} selectableModules the course module objects from the course editor state which have a checkbox
+ * @returns {string[]} the ids of the saved course modules which can be selected
+ */
+export const getRestorableModuleIds = (moduleIds, selectableModules) => {
+    const selectableIds = selectableModules.map(module => module.id.toString());
+    return moduleIds.map(moduleId => moduleId.toString()).filter(moduleId => selectableIds.includes(moduleId));
+};
+
+/**
+ * Replace the current selection by the saved selection chosen in the dropdown.
+ */
+const restoreSelection = () => {
+    const option = document.getElementById(cssIds.SELECTION_SELECT).selectedOptions[0];
+    if (!option || option.value === '') {
+        return;
+    }
+    const savedIds = option.dataset.moduleids === '' ? [] : option.dataset.moduleids.split(',');
+    const moduleIds = getRestorableModuleIds(savedIds, checkboxmanager.getSelectableModules());
+
+    checkboxmanager.setSectionSelection(false, constants.SECTION_NUMBER_ALL_PLACEHOLDER);
+    checkboxmanager.setModuleSelection(true, moduleIds);
+    Str.get_string('savedselection_restored', 'block_massaction', {count: moduleIds.length, name: option.textContent})
+        .then(message => addToast(message))
+        .catch(error => Log.debug(error));
+};
+
+/**
+ * Ask the user for a name and save the current selection under this name.
+ */
+const saveSelection = async() => {
+    const moduleIds = checkboxmanager.getSelectedModIds();
+    if (moduleIds.length === 0) {
+        displayError(Str.get_string('noitemselected', 'block_massaction'));
+        return;
+    }
+    // Suggest the name of the chosen saved selection, so it can easily be updated.
+    const option = document.getElementById(cssIds.SELECTION_SELECT).selectedOptions[0];
+    const name = option && option.value !== '' ? option.textContent : '';
+
+    const modal = await ModalSaveCancel.create({
+        title: Str.get_string('saveselection', 'block_massaction'),
+        body: Templates.render('block_massaction/save_selection_form', {name}),
+        removeOnClose: true,
+    });
+    modal.getRoot().on(ModalEvents.save, (event) => {
+        const input = document.getElementById(cssIds.NAME_INPUT);
+        if (input.value.trim() === '') {
+            event.preventDefault();
+            input.classList.add('is-invalid');
+            return;
+        }
+        const newName = input.value.trim();
+        callSelectionService('block_massaction_save_selection', {name: newName, moduleids: moduleIds}, newName)
+            .then(() => Str.get_string('selectionsaved', 'block_massaction', newName))
+            .then(message => addToast(message))
+            .catch(Notification.exception);
+    });
+    modal.show();
+};
+
+/**
+ * Delete the saved selection chosen in the dropdown after the user has confirmed it.
+ */
+const deleteSelection = () => {
+    const option = document.getElementById(cssIds.SELECTION_SELECT).selectedOptions[0];
+    if (!option || option.value === '') {
+        displayError(Str.get_string('noselectionchosen', 'block_massaction'));
+        return;
+    }
+    Notification.deleteCancelPromise(
+        Str.get_string('deletesavedselection', 'block_massaction'),
+        Str.get_string('deletesavedselection_confirm', 'block_massaction', option.textContent),
+    )
+        .then(
+            () => callSelectionService('block_massaction_delete_selection', {selectionid: option.value}),
+            // The user cancelled the deletion.
+            () => false
+        )
+        .catch(Notification.exception);
+};
+
+/**
+ * Call one of the web services changing the saved selections and re-render the dropdown with the returned selections.
+ *
+ * @param {string} methodname the name of the web service
+ * @param {Object} args the arguments of the web service, except the block instance id
+ * @param {string} selectedName the name of the saved selection to choose in the dropdown afterwards
+ * @returns {Promise} resolved when the dropdown has been updated
+ */
+const callSelectionService = (methodname, args, selectedName = '') => {
+    const instanceId = document.getElementById(blockCssIds.HIDDEN_FIELD_INSTANCE_ID).value;
+    return Ajax.call([{methodname, args: {instanceid: instanceId, ...args}}])[0]
+        .then(selections => Templates.renderForPromise('block_massaction/saved_selections', {
+            savedselections: selections.map(selection => ({...selection, moduleids: selection.moduleids.join(',')})),
+        }))
+        .then(({html, js}) => {
+            Templates.replaceNode('#' + cssIds.SAVED_SELECTIONS, html, js);
+            const select = document.getElementById(cssIds.SELECTION_SELECT);
+            const option = [...select.options].find(option => option.value !== '' && option.textContent === selectedName);
+            select.value = option?.value ?? '';
+            registerListeners();
+            return true;
+        });
+};
+
+const displayError = (errorText) => {
+    Promise.resolve([Str.get_string('error', 'core'), errorText, Str.get_string('back', 'core')])
+        .then(text => Notification.alert(text[0], text[1], text[2]))
+        .catch(error => Log.debug(error));
+};
@@ -0,0 +1,233 @@
+// This file is part of Moodle - http://moodle.org/
+//
+// Moodle is free software: you can redistribute it and/or modify
+// it under the terms of the GNU General Public License as published by
+// the Free Software Foundation, either version 3 of the License, or
+// (at your option) any later version.
+//
+// Moodle is distributed in the hope that it will be useful,
+// but WITHOUT ANY WARRANTY; without even the implied warranty of
+// MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+// GNU General Public License for more details.
+//
+// You should have received a copy of the GNU General Public License
+// along with Moodle.  If not, see <http://www.gnu.org/licenses/>.
+
+
+/**
+ * Section actions amd module: Selects whole sections and applies actions to them.
+ *
+ * @module     block_massaction/sectionactions
+ * @copyright  2026 University of Regina
+ * @license    http://www.gnu.org/copyleft/gpl.html GNU GPL v3 or later
+ */
+
+import * as actionpreview from 'block_massaction/actionpreview';
+import * as actionresult from 'block_massaction/actionresult';
+import * as checkboxmanager from 'block_massaction/checkboxmanager';
+import * as Str from 'core/str';
+import Ajax from 'core/ajax';
+import Log from 'core/log';
+import Notification from 'core/notification';
+import Pending from 'core/pending';
+import Templates from 'core/templates';
+import {add as addToast} from 'core/toast';
+import {getCurrentCourseEditor} from 'core_courseformat/courseeditor';
+import {cssIds as blockCssIds} from './massactionblock';
+
+const cssIds = {
+    PANEL: 'block-massaction-sectionactions',
+    SECTION_LIST: 'block-massaction-sectionactions-list',
+    MOVETO_SELECT: 'block-massaction-control-sectionactions-moveto',
+};
+
+/* Actions which need further user interaction on a separate page. */
+const formActions = ['duplicatesectionstocourse'];
+
+/* Actions which only change properties being part of the course editor state, all the others change the course structure. */
+const stateActions = ['hidesections', 'showsections'];
+
+let renderCounter = 0;
+
+/**
+ * Initialize the section actions panel.
+ */
+export const init = () => {
+    const panel = document.getElementById(cssIds.PANEL);
+    if (panel === null) {
+        return;
+    }
+    document.addEventListener(checkboxmanager.sectionsChangedEvent, () => renderSections());
+    panel.addEventListener('click', (event) => {
+        const button = event.target.closest('[data-section-action]');
+        if (button) {
+            submitSectionAction(button.dataset.sectionAction);
+        }
+    });
+    renderSections();
+};
+
+/**
+ * Returns the ids of the sections whose checkboxes are checked.
+ *
+ * @returns {string[]} the ids of the selected sections
+ */
+export const getSelectedSectionIds = () => [...document.querySelectorAll(`#${cssIds.SECTION_LIST} input:checked`)]
+    .map(checkbox => checkbox.value);
+
+/**
+ * Returns the template contexts of the section checkboxes and the sections the selected sections can be moved after.
+ *
+ * The general section can neither be selected nor be moved, subsections always stay inside their parent section.
+ *
+ * @param {Object[]} sections the section objects from the course editor state in the order they are being displayed
+ * @param {string[]} selectedIds the ids of the currently selected sections
+ * @returns {Object} the sections to render as checkboxes and the sections to render as move targets
+ */
+export const getSectionContexts = (sections, selectedIds) => ({
+    checkboxes: sections
+        .filter(section => section.number !== 0)
+        .map(section => ({id: section.id, title: section.title, checked: selectedIds.includes(section.id.toString())})),
+    targets: sections
+        .filter(section => section.number !== 0 && section.component !== 'mod_subsection')
+        .map(section => ({number: section.number, title: section.title})),
+});
+
+/**
+ * Re-render the section checkboxes and the move target select from the current course editor state.
+ *
+ * @returns {Promise} resolved when the panel has been updated
+ */
+const renderSections = () => {
+    const renderId = ++renderCounter;
+    const contexts = getSectionContexts(checkboxmanager.getSections(), getSelectedSectionIds());
+    const moveToSelect = document.getElementById(cssIds.MOVETO_SELECT);
+
+    return Promise.all([
+        Templates.renderForPromise('block_massaction/section_actions_list', {sections: contexts.checkboxes}),
+        moveToSelect ? Templates.renderForPromise('block_massaction/section_actions_moveto_select', {sections: contexts.targets})
+            : null,
+    ])
+        .then(([list, options]) => {
+            if (renderId !== renderCounter) {
+                return false;
+            }
+            Templates.replaceNodeContents(document.getElementById(cssIds.SECTION_LIST), list.html, list.js);
+            if (options) {
+                const target = moveToSelect.value;
+                Templates.replaceNodeContents(moveToSelect, options.html, options.js);
+                moveToSelect.value = [...moveToSelect.options].some(option => option.value === target) ? target : '';
+            }
+            return true;
+        })
+        .catch(Notification.exception);
+};
+
+/**
+ * Validate the selection and hand the section action over to the server.
+ *
+ * @param {string} action the name of the section action
+ */
+const submitSectionAction = (action) => {
+    const sectionIds = getSelectedSectionIds();
+    if (sectionIds.length === 0) {
+        displayError(Str.get_string('nosectionselected', 'block_massaction'));
+        return;
+    }
+
+    let target = 0;
+    if (action === 'movesections') {
+        target = document.getElementById(cssIds.MOVETO_SELECT).value;
+        if (target === '') {
+            displayError(Str.get_string('nomovingtargetselected', 'block_massaction'));
+            return;
+        }
+    }
+
+    const previewActions = document.querySelector(blockCssIds.PREVIEW_ACTIONS_DATA)?.dataset.previewactions.split(',') ?? [];
+    if (previewActions.includes(action)) {
+        // The site administrator wants the user to review the changes, this also replaces the confirmation of the deletion.
+        Str.get_string('action_' + action, 'block_massaction')
+            .then(actionText => actionpreview.confirmSectionAction(action, sectionIds, target, checkboxmanager.getSections(),
+                actionText))
+            .then(confirmed => {
+                if (confirmed) {
+                    dispatchSectionAction(action, sectionIds, target);
+                }
+                return confirmed;
+            })
+            .catch(Notification.exception);
+        return;
+    }
+
+    if (action === 'deletesections') {
+        Notification.deleteCancelPromise(
+            Str.get_string('action_deletesections', 'block_massaction'),
+            Str.get_string('deletesections_confirm', 'block_massaction', sectionIds.length),
+        )
+            .then(
+                () => dispatchSectionAction(action, sectionIds, target),
+                // The user cancelled the deletion.
+                () => false
+            )
+            .catch(Notification.exception);
+        return;
+    }
+    dispatchSectionAction(action, sectionIds, target);
+};
+
+/**
+ * Hand the validated section action over to the server.
+ *
+ * @param {string} action the name of the section action
+ * @param {string[]} sectionIds the ids of the selected sections
+ * @param {number|string} target the number of the section to move the sections after
+ */
+const dispatchSectionAction = (action, sectionIds, target) => {
+    if (formActions.includes(action)) {
+        // These actions need further user interaction on a separate page, so we have to submit the form.
+        document.getElementById(blockCssIds.HIDDEN_FIELD_REQUEST_INFORMATION).value = JSON.stringify({action, sectionIds});
+        document.getElementById(blockCssIds.ACTION_FORM).submit();
+        return;
+    }
+    executeSectionAction(action, sectionIds, target);
+};
+
+/**
+ * Execute the section action via web service and update the course page afterwards.
+ *
+ * @param {string} action the name of the section action
+ * @param {string[]} sectionIds the ids of the selected sections
+ * @param {number|string} target the number of the section to move the sections after
+ * @returns {Promise} resolved as soon as the action has been executed
+ */
+const executeSectionAction = (action, sectionIds, target) => {
+    const pendingPromise = new Pending('block_massaction/executesectionaction');
+    const instanceId = document.getElementById(blockCssIds.HIDDEN_FIELD_INSTANCE_ID).value;
+
+    return Ajax.call([{
+        methodname: 'block_massaction_execute_section_action',
+        args: {instanceid: instanceId, action, sectionids: sectionIds, target},
+    }])[0]
+        .then(result => {
+            if (!stateActions.includes(action)) {
+                // Sections being added, removed or reordered are not being rendered by the course editor state update.
+                window.location.reload();
+                return true;
+            }
+            addToast(result.message);
+            return getCurrentCourseEditor().dispatch('courseState')
+                .then(() => actionresult.render(result.result ?? null));
+        })
+        .then(() => pendingPromise.resolve())
+        .catch(error => {
+            pendingPromise.resolve();
+            Notification.exception(error);
+        });
+};
+
+const displayError = (errorText) => {
+    Promise.resolve([Str.get_string('error', 'core'), errorText, Str.get_string('back', 'core')])
+        .then(text => Notification.alert(text[0], text[1], text[2]))
+        .catch(error => Log.debug(error));
+};
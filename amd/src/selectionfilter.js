@@ -0,0 +1,202 @@
+// This file is part of Moodle - http://moodle.org/
+//
+// Moodle is free software: you can redistribute it and/or modify
+// it under the terms of the GNU General Public License as published by
+// the Free Software Foundation, either version 3 of the License, or
+// (at your option) any later version.
+//
+// Moodle is distributed in the hope that it will be useful,
+// but WITHOUT ANY WARRANTY; without even the implied warranty of
+// MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+// GNU General Public License for more details.
+//
+// You should have received a copy of the GNU General Public License
+// along with Moodle.  If not, see <http://www.gnu.org/licenses/>.
+
+/**
+ * Selection filter amd module: Selects course modules by type, visibility, completion tracking and name.
+ *
+ * @module     block_massaction/selectionfilter
+ * @copyright  2026 University of Regina
+ * @license    http://www.gnu.org/copyleft/gpl.html GNU GPL v3 or later
+ */
+
+import * as checkboxmanager from 'block_massaction/checkboxmanager';
+import * as Str from 'core/str';
+import Ajax from 'core/ajax';
+import Log from 'core/log';
+import Notification from 'core/notification';
+import {getCurrentCourseEditor} from 'core_courseformat/courseeditor';
+import events from 'core_course/events';
+import {cssIds as blockCssIds} from './massactionblock';
+
+const cssIds = {
+    FILTER_PANEL: 'block-massaction-filter',
+    MODULE_TYPE_SELECT: 'block-massaction-filter-moduletype',
+    VISIBILITY_SELECT: 'block-massaction-filter-visibility',
+    COMPLETION_SELECT: 'block-massaction-filter-completion',
+    NAME_INPUT: 'block-massaction-filter-name',
+    NAME_REGEX_CHECKBOX: 'block-massaction-filter-nameregex',
+    SELECT_BUTTON: 'block-massaction-filter-select',
+    DESELECT_BUTTON: 'block-massaction-filter-deselect',
+};
+
+export const visibilityStates = {
+    VISIBLE: 'visible',
+    HIDDEN: 'hidden',
+    STEALTH: 'stealth',
+};
+
+export const completionStates = {
+    TRACKED: 'tracked',
+    UNTRACKED: 'untracked',
+};
+
+/**
+ * Initialize the selection filter panel.
+ */
+export const init = () => {
+    if (document.getElementById(cssIds.FILTER_PANEL) === null) {
+        return;
+    }
+    updateModuleTypeOptions();
+    // Module types may change whenever modules are being added or removed.
+    getCurrentCourseEditor().stateManager.target.addEventListener(events.stateChanged, (event) => {
+        if (event.detail.action === 'transaction:end') {
+            updateModuleTypeOptions();
+        }
+    });
+
+    document.getElementById(cssIds.SELECT_BUTTON).addEventListener('click', () => applyFilter(true), false);
+    document.getElementById(cssIds.DESELECT_BUTTON).addEventListener('click', () => applyFilter(false), false);
+};
+
+/**
+ * Returns the ids of the course modules which match the given filter.
+ *
+ * Empty filter criteria are being ignored.
+ *
+ * @param {Object[]} modules the course module objects from the course editor state
+ * @param {Object} filter the filter criteria
+ * @param {string} filter.moduleType the module type (for example 'quiz') or empty string for any
+ * @param {string} filter.visibility one of {@link visibilityStates} or empty string for any
+ * @param {string} filter.completion one of {@link completionStates} or empty string for any
+ * @param {string} filter.name a substring or regular expression the module name has to match, empty string for any
+ * @param {boolean} filter.nameIsRegex true if filter.name is a regular expression
+ * @param {string[]} completionTrackedIds the ids of all course modules with completion tracking enabled
+ * @returns {string[]} the ids of the matching course modules
+ * @throws {SyntaxError} if filter.name is not a valid regular expression
+ */
+export const getMatchingModuleIds = (modules, filter, completionTrackedIds) => {
+    let nameMatches = () => true;
+    if (filter.name !== '') {
+        if (filter.nameIsRegex) {
+            const regex = new RegExp(filter.name, 'i');
+            nameMatches = name => regex.test(name);
+        } else {
+            const search = filter.name.toLowerCase();
+            nameMatches = name => name.toLowerCase().includes(search);
+        }
+    }
+
+    return modules
+        .filter(module => filter.moduleType === '' || module.module === filter.moduleType)
+        .filter(module => filter.visibility === '' || getVisibilityState(module) === filter.visibility)
+        .filter(module => {
+            if (filter.completion === '') {
+                return true;
+            }
+            const tracked = completionTrackedIds.includes(module.id.toString());
+            return filter.completion === completionStates.TRACKED ? tracked : !tracked;
+        })
+        .filter(module => nameMatches(module.name))
+        .map(module => module.id.toString());
+};
+
+/**
+ * Returns the visibility state of a course module.
+ *
+ * @param {Object} module the course module object from the course editor state
+ * @returns {string} one of {@link visibilityStates}
+ */
+export const getVisibilityState = (module) => {
+    if (!module.visible) {
+        return visibilityStates.HIDDEN;
+    }
+    return module.stealth ? visibilityStates.STEALTH : visibilityStates.VISIBLE;
+};
+
+/**
+ * Check/uncheck all course modules matching the filter criteria currently entered by the user.
+ *
+ * @param {boolean} value true to select the matching modules, false to deselect them
+ */
+const applyFilter = async(value) => {
+    const filter = {
+        moduleType: document.getElementById(cssIds.MODULE_TYPE_SELECT).value,
+        visibility: document.getElementById(cssIds.VISIBILITY_SELECT).value,
+        completion: document.getElementById(cssIds.COMPLETION_SELECT).value,
+        name: document.getElementById(cssIds.NAME_INPUT).value.trim(),
+        nameIsRegex: document.getElementById(cssIds.NAME_REGEX_CHECKBOX).checked,
+    };
+    let completionTrackedIds = [];
+    if (filter.completion !== '') {
+        try {
+            completionTrackedIds = await getCompletionTrackedIds();
+        } catch (error) {
+            Notification.exception(error);
+            return;
+        }
+    }
+
+    let moduleIds = [];
+    try {
+        moduleIds = getMatchingModuleIds(checkboxmanager.getSelectableModules(), filter, completionTrackedIds);
+    } catch (error) {
+        displayError(Str.get_string('filter_invalidregex', 'block_massaction'));
+        return;
+    }
+    if (moduleIds.length === 0) {
+        displayError(Str.get_string('filter_nomatches', 'block_massaction'));
+        return;
+    }
+    checkboxmanager.setModuleSelection(value, moduleIds);
+};
+
+/**
+ * Fetch the ids of the course modules with completion tracking enabled.
+ *
+ * Completion tracking is not part of the course editor state and may have been changed by an action since the page has been
+ * loaded, so it is being requested each time the filter is applied.
+ *
+ * @returns {Promise<string[]>} the ids of the course modules with completion tracking enabled
+ */
+const getCompletionTrackedIds = () => Ajax.call([{
+    methodname: 'block_massaction_get_completion_tracked_modules',
+    args: {instanceid: document.getElementById(blockCssIds.HIDDEN_FIELD_INSTANCE_ID).value},
+}])[0].then(moduleIds => moduleIds.map(moduleId => moduleId.toString()));
+
+/**
+ * Rebuild the options of the module type dropdown from the module types currently used in the course.
+ */
+const updateModuleTypeOptions = () => {
+    const select = document.getElementById(cssIds.MODULE_TYPE_SELECT);
+    const moduleTypes = new Map();
+    checkboxmanager.getSelectableModules().forEach(module => moduleTypes.set(module.module, module.modname));
+
+    const selectedValue = select.value;
+    // Keep the first ('any') option, rebuild all the others.
+    while (select.options.length > 1) {
+        select.remove(1);
+    }
+    [...moduleTypes.entries()]
+        .sort((a, b) => a[1].localeCompare(b[1]))
+        .forEach(([moduleType, moduleTypeName]) => select.add(new Option(moduleTypeName, moduleType)));
+    select.value = moduleTypes.has(selectedValue) ? selectedValue : '';
+};
+
+const displayError = (errorText) => {
+    Promise.resolve([Str.get_string('error', 'core'), errorText, Str.get_string('back', 'core')])
+        .then(text => Notification.alert(text[0], text[1], text[2]))
+        .catch(error => Log.debug(error));
+};
@@ -0,0 +1,127 @@
+// This file is part of Moodle - http://moodle.org/
+//
+// Moodle is free software: you can redistribute it and/or modify
+// it under the terms of the GNU General Public License as published by
+// the Free Software Foundation, either version 3 of the License, or
+// (at your option) any later version.
+//
+// Moodle is distributed in the hope that it will be useful,
+// but WITHOUT ANY WARRANTY; without even the implied warranty of
+// MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+// GNU General Public License for more details.
+//
+// You should have received a copy of the GNU General Public License
+// along with Moodle.  If not, see <http://www.gnu.org/licenses/>.
+
+/**
+ * Selection summary amd module: Shows which course modules are currently selected, grouped by section and by module type.
+ *
+ * @module     block_massaction/selectionsummary
+ * @copyright  2026 University of Regina
+ * @license    http://www.gnu.org/copyleft/gpl.html GNU GPL v3 or later
+ */
+
+import * as checkboxmanager from 'block_massaction/checkboxmanager';
+import * as Str from 'core/str';
+import Notification from 'core/notification';
+import Templates from 'core/templates';
+import {getCurrentCourseEditor} from 'core_courseformat/courseeditor';
+import events from 'core_course/events';
+
+const cssIds = {
+    SUMMARY_PANEL: 'block-massaction-summary',
+    SUMMARY_COUNT: 'block-massaction-summary-count',
+    SUMMARY_DETAILS: 'block-massaction-summary-details',
+};
+
+/* Used to discard the result of a rendering which has been overtaken by a newer one. */
+let renderCounter = 0;
+
+/**
+ * Initialize the selection summary panel.
+ */
+export const init = () => {
+    if (document.getElementById(cssIds.SUMMARY_PANEL) === null) {
+        return;
+    }
+    document.addEventListener(checkboxmanager.selectionChangedEvent, () => updateSummary());
+    // Selected modules may have been moved, renamed or deleted.
+    getCurrentCourseEditor().stateManager.target.addEventListener(events.stateChanged, (event) => {
+        if (event.detail.action === 'transaction:end') {
+            updateSummary();
+        }
+    });
+
+    document.getElementById(cssIds.SUMMARY_DETAILS).addEventListener('click', (event) => {
+        const button = event.target.closest('[data-action="deselect"]');
+        if (button) {
+            checkboxmanager.setModuleSelection(false, [button.dataset.moduleid]);
+        }
+    });
+
+    updateSummary();
+};
+
+/**
+ * Groups the selected course modules by section and by module type.
+ *
+ * @param {string[]} moduleIds the ids of the selected course modules in the order they are being displayed
+ * @param {Object} state the course editor state
+ * @returns {Object} the template context containing the number of selected modules, the sections and the module types
+ */
+export const getSummary = (moduleIds, state) => {
+    const sections = new Map();
+    const moduleTypes = new Map();
+
+    moduleIds
+        .map(moduleId => state.cm.get(moduleId.toString()))
+        .filter(module => typeof module !== 'undefined')
+        .forEach(module => {
+            if (!sections.has(module.sectionid)) {
+                const section = state.section.get(module.sectionid.toString());
+                sections.set(module.sectionid, {
+                    title: section ? checkboxmanager.getTitleOfSection(section) : '',
+                    count: 0,
+                    modules: [],
+                });
+            }
+            const sectionSummary = sections.get(module.sectionid);
+            sectionSummary.count++;
+            sectionSummary.modules.push({id: module.id, name: module.name});
+
+            const typeSummary = moduleTypes.get(module.module) ?? {name: module.modname, count: 0};
+            typeSummary.count++;
+            moduleTypes.set(module.module, typeSummary);
+        });
+
+    return {
+        count: [...sections.values()].reduce((sum, section) => sum + section.count, 0),
+        sections: [...sections.values()],
+        moduletypes: [...moduleTypes.values()].sort((a, b) => a.name.localeCompare(b.name)),
+    };
+};
+
+/**
+ * Re-render the summary panel from the current selection.
+ *
+ * @returns {Promise} resolved when the panel has been updated
+ */
+const updateSummary = () => {
+    const renderId = ++renderCounter;
+    const moduleIds = checkboxmanager.sortByDisplayOrder(checkboxmanager.getSelectedModIds());
+    const summary = getSummary(moduleIds, getCurrentCourseEditor().stateManager.state);
+
+    return Promise.all([
+        Str.get_string('summary_count', 'block_massaction', summary.count),
+        Templates.renderForPromise('block_massaction/selection_summary_details', summary),
+    ])
+        .then(([countText, {html, js}]) => {
+            if (renderId !== renderCounter) {
+                return false;
+            }
+            document.getElementById(cssIds.SUMMARY_COUNT).textContent = countText;
+            Templates.replaceNodeContents(document.getElementById(cssIds.SUMMARY_DETAILS), html, js);
+            return true;
+        })
+        .catch(Notification.exception);
+};
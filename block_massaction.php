@@ -14,8 +14,15 @@
 // You should have received a copy of the GNU General Public License
 // along with Moodle.  If not, see <http://www.gnu.org/licenses/>.
 
+use block_massaction\action_registry;
+use block_massaction\action_result;
+use block_massaction\actions;
+use block_massaction\duplication_jobs;
 use block_massaction\hook\filter_sections_different_course;
 use block_massaction\hook\filter_sections_same_course;
+use block_massaction\saved_selections;
+use block_massaction\undo;
+use core_competency\api as competency_api;
 
 /**
  * Configures and displays the block.
@@ -156,6 +163,13 @@ class block_massaction extends block_base {
             ) {
                 $actionicons['duplicatetocourse'] = 't/copy';
             }
+            if (
+                has_capability('moodle/backup:backuptargetimport', $context)
+                && has_capability('moodle/course:manageactivities', $context)
+                && has_capability('block/massaction:movetocourse', $blockcontext)
+            ) {
+                $actionicons['movetocourse'] = 't/move';
+            }
             if (has_capability('moodle/course:manageactivities', $context)) {
                 if (has_capability('block/massaction:delete', $blockcontext)) {
                     $actionicons['delete'] = 't/delete';
@@ -172,24 +186,83 @@ class block_massaction extends block_base {
                     $actionicons['showdescription'] = 't/more';
                     $actionicons['hidedescription'] = 't/less';
                 }
+                if (core_tag_tag::is_enabled('core', 'course_modules') && has_capability('block/massaction:tags', $blockcontext)) {
+                    $actionicons['tags'] = 'i/tags';
+                }
+                if (!empty($CFG->enableavailability) && has_capability('block/massaction:restrictaccess', $blockcontext)) {
+                    $actionicons['restrictaccess'] = 't/locked';
+                }
+                if (has_capability('block/massaction:shiftdates', $blockcontext)) {
+                    $actionicons['shiftdates'] = 'i/calendar';
+                }
+                if (has_capability('block/massaction:modulesettings', $blockcontext)) {
+                    $actionicons['modulesettings'] = 'i/settings';
+                }
             }
             if (has_capability('block/massaction:sendcontentchangednotifications', $blockcontext)) {
                 $actionicons['contentchangednotification'] = 't/email';
             }
+            // Only competencies linked to the course can be linked to its modules.
+            if (
+                competency_api::is_enabled() && competency_api::count_competencies_in_course($COURSE->id) > 0
+                && actions::has_action_capabilities('competencies', $blockcontext)
+            ) {
+                $actionicons['competencies'] = 'i/competencies';
+            }
+            if (actions::has_action_capabilities('exportbundle', $blockcontext)) {
+                $actionicons['exportbundle'] = 't/download';
+            }
+
+            $savedselections = array_map(
+                fn($selection) => ['id' => $selection['id'], 'name' => $selection['name'],
+                    'moduleids' => implode(',', $selection['moduleids'])],
+                saved_selections::get_selections($COURSE->id)
+            );
+
+            // The last action can be undone as long as no other action has been performed in the meantime.
+            $undosnapshot = undo::get_snapshot($COURSE->id);
+
+            // As for the course modules, the icons symbolize the operation, not the state.
+            $sectionactionicons = [
+                'hidesections' => 't/show',
+                'showsections' => 't/hide',
+                'duplicatesections' => 't/copy',
+                'duplicatesectionstocourse' => 't/copy',
+                'deletesections' => 't/delete',
+            ];
+            $sectionactions = [];
+            foreach ($sectionactionicons as $action => $iconpath) {
+                if (actions::has_action_capabilities($action, $blockcontext)) {
+                    $sectionactions[] = ['action' => $action, 'icon' => $iconpath,
+                        'actiontext' => get_string('action_' . $action, 'block_massaction')];
+                }
+            }
+            $showmovesectionsselect = actions::has_action_capabilities('movesections', $blockcontext);
 
             $actions = [];
             foreach ($actionicons as $action => $iconpath) {
                 $actions[] = ['action' => $action, 'icon' => $iconpath,
                     'actiontext' => get_string('action_' . $action, 'block_massaction')];
             }
+            // Actions contributed by other plugins by the register_actions hook.
+            $pluginactions = [];
+            foreach (action_registry::get_actions($COURSE->id) as $action => $pluginaction) {
+                if (actions::has_action_capabilities($action, $blockcontext)) {
+                    $pluginactions[] = ['action' => $action, 'icon' => $pluginaction->get_icon(),
+                        'iconcomponent' => $pluginaction->get_icon_component(), 'actiontext' => $pluginaction->get_title(),
+                        'hasform' => $pluginaction->get_form_class() !== null];
+                }
+            }
 
             $this->content->text = $OUTPUT->render_from_template(
                 'block_massaction/block_massaction',
                 [
                     'actions' => $actions,
+                    'pluginactions' => $pluginactions,
                     'formaction' => $CFG->wwwroot . '/blocks/massaction/action.php',
                     'instanceid' => $this->instance->id, 'requesturi' => $_SERVER['REQUEST_URI'],
                     'helpicon' => $OUTPUT->help_icon('usage', 'block_massaction'),
+                    'shortcutshelpicon' => $OUTPUT->help_icon('keyboardshortcuts', 'block_massaction'),
                     'show_moveto_select' => (
                         has_capability('moodle/course:manageactivities', $context) &&
                         has_capability('block/massaction:movetosection', $context)
@@ -199,10 +272,35 @@ class block_massaction extends block_base {
                         has_capability('moodle/restore:restoretargetimport', $context) &&
                         has_capability('block/massaction:movetosection', $context)
                     ),
+                    'show_sort_select' => (
+                        has_capability('moodle/course:manageactivities', $context) &&
+                        has_capability('block/massaction:sort', $blockcontext)
+                    ),
+                    'show_importbundle' => actions::has_action_capabilities('importbundle', $blockcontext),
+                    'show_sectionactions' => !empty($sectionactions) || $showmovesectionsselect,
+                    'sectionactions' => $sectionactions,
+                    'show_movesections_select' => $showmovesectionsselect,
+                    'show_rename' => (
+                        has_capability('moodle/course:manageactivities', $context) &&
+                        has_capability('block/massaction:rename', $blockcontext)
+                    ),
+                    'renamehelpicon' => $OUTPUT->help_icon('rename_template', 'block_massaction'),
+                    'renamereplacehelpicon' => $OUTPUT->help_icon('rename_replace', 'block_massaction'),
                     'sectionselecthelpicon' => $OUTPUT->help_icon('sectionselect', 'block_massaction'),
                     'availabletargetsections' => implode(',', $sectionsavailable),
+                    'previewactions' => get_config('block_massaction', 'previewactions') ?: '',
+                    'savedselections' => $savedselections,
+                    'jobs' => duplication_jobs::get_jobs($COURSE->id),
+                    'undo' => $undosnapshot === null ? false : ['actiontext' => undo::get_action_name($undosnapshot['action'])],
+                    'result' => action_result::pop($COURSE->id) ?? false,
                 ]
             );
+            if (has_capability('block/massaction:viewhistory', $blockcontext)) {
+                $this->content->footer = html_writer::link(
+                    new moodle_url('/blocks/massaction/report.php', ['instance_id' => $this->instance->id]),
+                    get_string('history', 'block_massaction')
+                );
+            }
         }
         return $this->content;
     }
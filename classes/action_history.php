@@ -0,0 +1,196 @@
+<?php
+// This file is part of Moodle - http://moodle.org/
+//
+// Moodle is free software: you can redistribute it and/or modify
+// it under the terms of the GNU General Public License as published by
+// the Free Software Foundation, either version 3 of the License, or
+// (at your option) any later version.
+//
+// Moodle is distributed in the hope that it will be useful,
+// but WITHOUT ANY WARRANTY; without even the implied warranty of
+// MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+// GNU General Public License for more details.
+//
+// You should have received a copy of the GNU General Public License
+// along with Moodle.  If not, see <http://www.gnu.org/licenses/>.
+
+namespace block_massaction;
+
+use block_massaction\event\course_modules_action_base;
+use block_massaction\event\course_modules_duplicated;
+use block_massaction\event\course_modules_duplicated_failed;
+use block_massaction\event\course_sections_action_base;
+use core\event\base;
+use core\log\sql_reader;
+use core_user;
+use dml_exception;
+use moodle_exception;
+
+/**
+ * action_history class: Reads the mass actions which have been performed in a course from the log.
+ *
+ * @package    block_massaction
+ * @copyright  2026 University of Regina
+ * @license    http://www.gnu.org/copyleft/gpl.html GNU GPL v3 or later
+ */
+class action_history {
+    /** @var int number of log entries to show per page of the report */
+    public const PER_PAGE = 50;
+
+    /**
+     * Returns the log store to read the history from.
+     *
+     * @return sql_reader|null the first enabled log store which can be queried, null if there is none
+     */
+    public static function get_reader(): ?sql_reader {
+        $readers = get_log_manager()->get_readers(sql_reader::class);
+        return reset($readers) ?: null;
+    }
+
+    /**
+     * Returns the events which can be used for filtering the history.
+     *
+     * @return array the localised names of the events, the short class name as key
+     */
+    public static function get_event_options(): array {
+        $options = [];
+        foreach (self::get_event_classes() as $eventclass) {
+            $options[substr($eventclass, strrpos($eventclass, '\\') + 1)] = $eventclass::get_name();
+        }
+        asort($options);
+        return $options;
+    }
+
+    /**
+     * Returns the number of logged mass actions in a course.
+     *
+     * @param sql_reader $reader the log store to read from
+     * @param int $courseid the id of the course
+     * @param string $eventfilter the short class name of the event to restrict the history to, empty for all events
+     * @return int the number of log entries
+     * @throws dml_exception
+     */
+    public static function count_entries(sql_reader $reader, int $courseid, string $eventfilter = ''): int {
+        [$select, $params] = self::get_select($courseid, $eventfilter);
+        return $reader->get_events_select_count($select, $params);
+    }
+
+    /**
+     * Returns the logged mass actions in a course, the latest one first.
+     *
+     * @param sql_reader $reader the log store to read from
+     * @param int $courseid the id of the course
+     * @param string $eventfilter the short class name of the event to restrict the history to, empty for all events
+     * @param int $limitfrom the number of entries to skip
+     * @param int $limitnum the maximum number of entries to return
+     * @return array list of entries containing the time, the user, the name of the action and the affected course modules
+     * @throws dml_exception
+     * @throws moodle_exception
+     */
+    public static function get_entries(
+        sql_reader $reader,
+        int $courseid,
+        string $eventfilter = '',
+        int $limitfrom = 0,
+        int $limitnum = self::PER_PAGE
+    ): array {
+        [$select, $params] = self::get_select($courseid, $eventfilter);
+        $events = $reader->get_events_select($select, $params, 'timecreated DESC, id DESC', $limitfrom, $limitnum);
+        $cms = get_fast_modinfo($courseid)->get_cms();
+
+        $users = [];
+        $entries = [];
+        foreach ($events as $event) {
+            if (!in_array(get_class($event), self::get_event_classes())) {
+                continue;
+            }
+            if (!array_key_exists($event->userid, $users)) {
+                $users[$event->userid] = core_user::get_user($event->userid);
+            }
+            $modules = [];
+            foreach (self::get_event_modules($event) as $module) {
+                $cm = $cms[$module['id']] ?? null;
+                $name = $module['name'] ?? get_string('history_unknownmodule', 'block_massaction', $module['id']);
+                $modname = $cm->modname ?? $module['modname'] ?? '';
+                $modules[] = [
+                    'name' => $cm ? $cm->get_formatted_name() : format_string($name),
+                    'modname' => $modname !== '' && get_string_manager()->string_exists('modulename', $modname)
+                        ? get_string('modulename', $modname)
+                        : $modname,
+                    'url' => $cm?->url?->out(false) ?? '',
+                    'deleted' => $cm === null,
+                ];
+            }
+            $sections = [];
+            if ($event instanceof course_sections_action_base) {
+                foreach ($event->other['sections'] as $section) {
+                    $sections[] = ['name' => format_string($section['name'])];
+                }
+            }
+            $entries[] = [
+                'time' => userdate($event->timecreated),
+                'user' => $users[$event->userid] ? fullname($users[$event->userid]) : '',
+                'action' => $event::get_name(),
+                'sections' => $sections,
+                'hassections' => !empty($sections),
+                'modules' => $modules,
+            ];
+        }
+        return $entries;
+    }
+
+    /**
+     * Returns the classes of the events the history consists of.
+     *
+     * @return string[] the fully qualified class names
+     */
+    private static function get_event_classes(): array {
+        return array_values(array_unique(array_merge(
+            array_values(actions::ACTION_EVENTS),
+            array_values(section_actions::ACTION_EVENTS),
+            [course_modules_duplicated::class, course_modules_duplicated_failed::class]
+        )));
+    }
+
+    /**
+     * Returns the course modules affected by a logged event.
+     *
+     * The duplication events only store the ids of the original course modules, so their names and types are unknown once the
+     * modules have been deleted.
+     *
+     * @param base $event the logged event
+     * @return array list of the id, the module type and the name of each course module, the latter two only if they are known
+     */
+    private static function get_event_modules(base $event): array {
+        if ($event instanceof course_modules_action_base) {
+            return $event->other['modules'];
+        }
+        if ($event instanceof course_modules_duplicated) {
+            $cmids = array_merge(array_keys($event->other['cms']), $event->other['failed']);
+        } else {
+            $cmids = [$event->other['cmid']];
+        }
+        return array_map(fn($cmid) => ['id' => (int) $cmid], $cmids);
+    }
+
+    /**
+     * Builds the condition for reading the mass actions of a course from the log.
+     *
+     * @param int $courseid the id of the course
+     * @param string $eventfilter the short class name of the event to restrict the history to, empty for all events
+     * @return array the where clause and its parameters
+     * @throws dml_exception
+     */
+    private static function get_select(int $courseid, string $eventfilter): array {
+        global $DB;
+        $eventnames = array_map(fn($eventclass) => '\\' . $eventclass, self::get_event_classes());
+        if ($eventfilter !== '') {
+            $eventnames = array_filter($eventnames, fn($eventname) => str_ends_with($eventname, '\\' . $eventfilter));
+        }
+        // An unknown filter does not match any entry.
+        [$insql, $params] = $DB->get_in_or_equal($eventnames ?: [''], SQL_PARAMS_NAMED);
+        $params['courseid'] = $courseid;
+        $params['component'] = 'block_massaction';
+        return ['courseid = :courseid AND component = :component AND eventname ' . $insql, $params];
+    }
+}
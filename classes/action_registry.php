@@ -0,0 +1,82 @@
+<?php
+// This file is part of Moodle - http://moodle.org/
+//
+// Moodle is free software: you can redistribute it and/or modify
+// it under the terms of the GNU General Public License as published by
+// the Free Software Foundation, either version 3 of the License, or
+// (at your option) any later version.
+//
+// Moodle is distributed in the hope that it will be useful,
+// but WITHOUT ANY WARRANTY; without even the implied warranty of
+// MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+// GNU General Public License for more details.
+//
+// You should have received a copy of the GNU General Public License
+// along with Moodle.  If not, see <http://www.gnu.org/licenses/>.
+
+namespace block_massaction;
+
+use block_massaction\form\plugin_action_form;
+use block_massaction\hook\register_actions;
+
+/**
+ * action_registry class: Collects the mass actions other plugins contribute by the register_actions hook.
+ *
+ * @package    block_massaction
+ * @copyright  2026 University of Regina
+ * @license    http://www.gnu.org/copyleft/gpl.html GNU GPL v3 or later
+ */
+class action_registry {
+    /** @var array the valid actions per course, the course id as key */
+    private static array $actions = [];
+
+    /**
+     * Returns the actions contributed by other plugins for a course.
+     *
+     * Actions with an invalid name or form class are being skipped with a debugging message.
+     *
+     * @param int $courseid the id of the course
+     * @return plugin_action[] the actions, their names as key
+     */
+    public static function get_actions(int $courseid): array {
+        if (array_key_exists($courseid, self::$actions)) {
+            return self::$actions[$courseid];
+        }
+        $hook = new register_actions($courseid);
+        \core\di::get(\core\hook\manager::class)->dispatch($hook);
+
+        self::$actions[$courseid] = [];
+        foreach ($hook->get_actions() as $name => $action) {
+            // Requiring the component prefix makes sure the name cannot clash with the actions of the block itself.
+            if (!preg_match('/^[a-z][a-z0-9]*_[a-z0-9_]+$/', $name) || array_key_exists($name, actions::ACTION_CAPABILITIES)) {
+                debugging('Invalid name of a mass action: ' . $name, DEBUG_DEVELOPER);
+                continue;
+            }
+            $formclass = $action->get_form_class();
+            if ($formclass !== null && !is_subclass_of($formclass, plugin_action_form::class)) {
+                debugging('The form of the mass action ' . $name . ' has to extend ' . plugin_action_form::class, DEBUG_DEVELOPER);
+                continue;
+            }
+            self::$actions[$courseid][$name] = $action;
+        }
+        return self::$actions[$courseid];
+    }
+
+    /**
+     * Returns an action contributed by another plugin.
+     *
+     * @param string $name the name of the action
+     * @param int $courseid the id of the course
+     * @return plugin_action|null the action, null if there is no such action in the course
+     */
+    public static function get_action(string $name, int $courseid): ?plugin_action {
+        return self::get_actions($courseid)[$name] ?? null;
+    }
+
+    /**
+     * Forgets the collected actions, so the hook is being dispatched again.
+     */
+    public static function reset_caches(): void {
+        self::$actions = [];
+    }
+}
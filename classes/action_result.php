@@ -0,0 +1,282 @@
+<?php
+// This file is part of Moodle - http://moodle.org/
+//
+// Moodle is free software: you can redistribute it and/or modify
+// it under the terms of the GNU General Public License as published by
+// the Free Software Foundation, either version 3 of the License, or
+// (at your option) any later version.
+//
+// Moodle is distributed in the hope that it will be useful,
+// but WITHOUT ANY WARRANTY; without even the implied warranty of
+// MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+// GNU General Public License for more details.
+//
+// You should have received a copy of the GNU General Public License
+// along with Moodle.  If not, see <http://www.gnu.org/licenses/>.
+
+namespace block_massaction;
+
+use cache;
+use moodle_exception;
+
+/**
+ * action_result class: Collects the outcome of an action for each of the course modules it has been applied to.
+ *
+ * The result of the last action is being kept in the session, so the block can show it after returning to the course page.
+ *
+ * @package    block_massaction
+ * @copyright  2026 University of Regina
+ * @license    http://www.gnu.org/copyleft/gpl.html GNU GPL v3 or later
+ */
+class action_result {
+    /** @var string the action has been applied to the course module */
+    public const SUCCESS = 'success';
+
+    /** @var string the course module has been left unchanged on purpose */
+    public const SKIPPED = 'skipped';
+
+    /** @var string applying the action to the course module has failed */
+    public const FAILED = 'failed';
+
+    /** @var array the outcomes, the course module id as key */
+    private array $outcomes = [];
+
+    /** @var array the names of the course modules at the time the action has been started, the course module id as key */
+    private array $names = [];
+
+    /** @var array the outcomes of the items which are not among the course modules the action has been started with */
+    private array $items = [];
+
+    /** @var int the id of the course the action is being performed in */
+    private int $courseid = 0;
+
+    /**
+     * Creates the result of an action.
+     *
+     * @param string $action the name of the action
+     * @param array $modules the course module records the action is being applied to
+     * @throws moodle_exception
+     */
+    public function __construct(
+        /** @var string the name of the action */
+        private readonly string $action,
+        array $modules
+    ) {
+        if (!empty($modules)) {
+            $this->courseid = reset($modules)->course;
+            $cms = get_fast_modinfo($this->courseid)->get_cms();
+            foreach ($modules as $module) {
+                $this->names[$module->id] = isset($cms[$module->id])
+                    ? $cms[$module->id]->get_formatted_name()
+                    : (string) $module->id;
+            }
+        }
+    }
+
+    /**
+     * Records that the action has been applied to a course module.
+     *
+     * @param int $cmid the id of the course module
+     * @param string $message the localised remark, for example about parts of the action which could not be applied
+     */
+    public function add_success(int $cmid, string $message = ''): void {
+        $this->outcomes[$cmid] = ['status' => self::SUCCESS, 'message' => $message];
+    }
+
+    /**
+     * Records that a course module has been left unchanged on purpose.
+     *
+     * @param int $cmid the id of the course module
+     * @param string $reason the localised reason
+     */
+    public function add_skipped(int $cmid, string $reason): void {
+        $this->outcomes[$cmid] = ['status' => self::SKIPPED, 'message' => $reason];
+    }
+
+    /**
+     * Records that applying the action to a course module has failed.
+     *
+     * @param int $cmid the id of the course module
+     * @param string $error the localised error message
+     */
+    public function add_failure(int $cmid, string $error): void {
+        $this->outcomes[$cmid] = ['status' => self::FAILED, 'message' => $error];
+    }
+
+    /**
+     * Records the failure of a single course module or throws the exception if no result is being collected.
+     *
+     * This lets the action methods continue with the next module when called with a result, but keeps them failing on the
+     * first problem otherwise.
+     *
+     * @param action_result|null $result the result to record the failure in
+     * @param int $cmid the id of the course module
+     * @param moodle_exception $exception the exception thrown for the course module
+     * @throws moodle_exception if no result is being collected
+     */
+    public static function fail_or_throw(?action_result $result, int $cmid, moodle_exception $exception): void {
+        if ($result === null) {
+            throw $exception;
+        }
+        $result->add_failure($cmid, $exception->getMessage());
+    }
+
+    /**
+     * Records the outcome of an item which is not among the course modules the action has been started with.
+     *
+     * These are the activities created by the action, like the ones imported from a bundle, and the sections section actions are
+     * being applied to.
+     *
+     * @param string $status one of the SUCCESS, SKIPPED and FAILED constants
+     * @param string $name the formatted name of the item
+     * @param int $cmid the id of the course module, 0 if the item is not a course module or it has not been created
+     * @param string $message the localised reason for skipping or the error message
+     */
+    public function add_item(string $status, string $name, int $cmid = 0, string $message = ''): void {
+        $this->items[] = ['cmid' => $cmid, 'name' => $name, 'status' => $status, 'message' => $message];
+    }
+
+    /**
+     * Returns a progress callback recording the outcome of each course module in this result.
+     *
+     * @return callable the callback for {@see actions::duplicate()}, {@see actions::duplicate_to_course()} and
+     *  {@see actions::move_to_course()}
+     */
+    public function get_progress_callback(): callable {
+        return function (int $cmid, ?string $error): void {
+            if ($error === null) {
+                $this->add_success($cmid);
+            } else {
+                $this->add_failure($cmid, $error);
+            }
+        };
+    }
+
+    /**
+     * Records the success of all course modules which do not have an outcome yet.
+     *
+     * Used for actions which are either applied to all the modules or fail as a whole.
+     */
+    public function add_remaining_successes(): void {
+        foreach (array_keys($this->names) as $cmid) {
+            if (!array_key_exists($cmid, $this->outcomes)) {
+                $this->add_success($cmid);
+            }
+        }
+    }
+
+    /**
+     * Returns the outcomes.
+     *
+     * @return array the status and the message of each course module, the course module id as key
+     */
+    public function get_outcomes(): array {
+        return $this->outcomes;
+    }
+
+    /**
+     * Returns the number of course modules with the given outcome.
+     *
+     * @param string $status one of the SUCCESS, SKIPPED and FAILED constants
+     * @return int the number of course modules
+     */
+    public function count(string $status): int {
+        return count(array_filter(
+            array_merge(array_values($this->outcomes), $this->items),
+            fn($outcome) => $outcome['status'] === $status
+        ));
+    }
+
+    /**
+     * Returns the data for the block_massaction/action_result template.
+     *
+     * @return array the action, the alert class, the number of modules per outcome and the outcome of each module
+     */
+    public function export(): array {
+        $modules = [];
+        foreach ($this->outcomes as $cmid => $outcome) {
+            $modules[] = [
+                'cmid' => $cmid,
+                'name' => $this->names[$cmid] ?? (string) $cmid,
+                'status' => $outcome['status'],
+                'statustext' => get_string('result_status_' . $outcome['status'], 'block_massaction'),
+                'message' => $outcome['message'],
+            ];
+        }
+        foreach ($this->items as $item) {
+            $modules[] = [
+                'cmid' => $item['cmid'],
+                'name' => $item['name'],
+                'status' => $item['status'],
+                'statustext' => get_string('result_status_' . $item['status'], 'block_massaction'),
+                'message' => $item['message'],
+            ];
+        }
+        // The problems are the interesting part, so they are being listed first.
+        $order = [self::FAILED => 0, self::SKIPPED => 1, self::SUCCESS => 2];
+        usort($modules, fn($a, $b) => $order[$a['status']] <=> $order[$b['status']]);
+        $alertclass = 'success';
+        if ($this->count(self::FAILED) > 0) {
+            $alertclass = 'danger';
+        } else if ($this->count(self::SKIPPED) > 0) {
+            $alertclass = 'warning';
+        }
+        return [
+            'actiontext' => $this->get_action_text(),
+            'alertclass' => $alertclass,
+            'success' => $this->count(self::SUCCESS),
+            'skipped' => $this->count(self::SKIPPED),
+            'failed' => $this->count(self::FAILED),
+            'hasproblems' => $this->count(self::SKIPPED) + $this->count(self::FAILED) > 0,
+            'modules' => $modules,
+        ];
+    }
+
+    /**
+     * Returns the localised name of the action.
+     *
+     * @return string the name of the action
+     */
+    private function get_action_text(): string {
+        $pluginaction = $this->courseid ? action_registry::get_action($this->action, $this->courseid) : null;
+        if ($pluginaction !== null) {
+            return $pluginaction->get_title();
+        }
+        return $this->action === 'duplicateto'
+            ? get_string('action_duplicatetosection', 'block_massaction')
+            : undo::get_action_name($this->action);
+    }
+
+    /**
+     * Keeps the result in the session until the block shows it.
+     *
+     * @param int $courseid the id of the course the action has been performed in
+     */
+    public function save(int $courseid): void {
+        if (!empty($this->outcomes) || !empty($this->items)) {
+            self::get_cache()->set($courseid, $this->export());
+        }
+    }
+
+    /**
+     * Returns the saved result of the last action in a course and removes it from the session, so it is only shown once.
+     *
+     * @param int $courseid the id of the course
+     * @return array|null the exported result, null if there is none
+     */
+    public static function pop(int $courseid): ?array {
+        $cache = self::get_cache();
+        $result = $cache->get($courseid);
+        $cache->delete($courseid);
+        return $result === false ? null : $result;
+    }
+
+    /**
+     * Returns the cache the results are being stored in.
+     *
+     * @return \cache_session the session cache
+     */
+    private static function get_cache(): \cache_session {
+        return cache::make('block_massaction', 'results');
+    }
+}
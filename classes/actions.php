@@ -18,21 +18,32 @@ namespace block_massaction;
 
 use base_plan_exception;
 use base_setting_exception;
+use block_massaction\event\course_modules_action_base;
 use block_massaction\form\course_select_form;
 use block_massaction\form\section_select_form;
 use block_massaction\hook\filter_sections_different_course;
 use block_massaction\hook\filter_sections_same_course;
 use coding_exception;
+use context_block;
 use context_course;
+use context_module;
 use core\event\course_module_updated;
 use core\task\manager;
+use core_availability\tree;
+use core_competency\api as competency_api;
+use core_course_category;
 use core_course\task\content_notification_task;
 use core_courseformat\formatactions;
+use core_tag_tag;
+use core_text;
 use dml_exception;
+use invalid_parameter_exception;
 use moodle_exception;
+use moodleform;
 use require_login_exception;
 use required_capability_exception;
 use restore_controller_exception;
+use stdClass;
 
 /**
  * actions class: Utility class providing methods for actions performed by the massaction block.
@@ -43,14 +54,340 @@ use restore_controller_exception;
  * @license    http://www.gnu.org/copyleft/gpl.html GNU GPL v3 or later
  */
 class actions {
+    /** @var string add the access restrictions to the existing ones */
+    public const AVAILABILITY_ADD = 'add';
+
+    /** @var string replace the existing access restrictions */
+    public const AVAILABILITY_REPLACE = 'replace';
+
+    /** @var string remove all access restrictions */
+    public const AVAILABILITY_CLEAR = 'clear';
+
+    /** @var string add the tags to the course modules */
+    public const TAGS_ADD = 'add';
+
+    /** @var string remove the tags from the course modules */
+    public const TAGS_REMOVE = 'remove';
+
+    /** @var string link the competencies to the course modules */
+    public const COMPETENCIES_LINK = 'link';
+
+    /** @var string unlink the competencies from the course modules */
+    public const COMPETENCIES_UNLINK = 'unlink';
+
+    /** @var int the maximum number of courses to duplicate to at once if the site does not configure it */
+    public const DEFAULT_MAX_TARGET_COURSES = 50;
+
+    /**
+     * Capabilities needed for the actions of the block.
+     *
+     * Capabilities of the 'moodle' component are checked in the course context, the block capabilities in the block context.
+     */
+    public const ACTION_CAPABILITIES = [
+        'moveleft' => ['moodle/course:manageactivities', 'block/massaction:indent'],
+        'moveright' => ['moodle/course:manageactivities', 'block/massaction:indent'],
+        'hide' => ['moodle/course:activityvisibility', 'block/massaction:activityshowhide'],
+        'show' => ['moodle/course:activityvisibility', 'block/massaction:activityshowhide'],
+        'makeavailable' => ['moodle/course:activityvisibility', 'block/massaction:activityshowhide'],
+        'duplicate' => ['moodle/backup:backuptargetimport', 'moodle/restore:restoretargetimport', 'block/massaction:duplicate'],
+        'showdescription' => ['moodle/course:manageactivities', 'block/massaction:descriptionshowhide'],
+        'hidedescription' => ['moodle/course:manageactivities', 'block/massaction:descriptionshowhide'],
+        'contentchangednotification' => ['moodle/course:manageactivities', 'block/massaction:sendcontentchangednotifications'],
+        'moveto' => ['moodle/course:manageactivities', 'block/massaction:movetosection'],
+        'duplicateto' => [
+            'moodle/backup:backuptargetimport',
+            'moodle/restore:restoretargetimport',
+            'block/massaction:movetosection',
+        ],
+        'movetocourse' => [
+            'moodle/backup:backuptargetimport',
+            'moodle/course:manageactivities',
+            'block/massaction:movetocourse',
+        ],
+        'restrictaccess' => ['moodle/course:manageactivities', 'block/massaction:restrictaccess'],
+        'tags' => ['moodle/course:manageactivities', 'block/massaction:tags'],
+        'competencies' => ['moodle/competency:coursecompetencymanage', 'block/massaction:competencies'],
+        'rename' => ['moodle/course:manageactivities', 'block/massaction:rename'],
+        'sort' => ['moodle/course:manageactivities', 'block/massaction:sort'],
+        'hidesections' => ['moodle/course:sectionvisibility', 'block/massaction:sectionactions'],
+        'showsections' => ['moodle/course:sectionvisibility', 'block/massaction:sectionactions'],
+        'duplicatesections' => [
+            'moodle/course:update',
+            'moodle/backup:backuptargetimport',
+            'moodle/restore:restoretargetimport',
+            'block/massaction:sectionactions',
+        ],
+        'movesections' => ['moodle/course:movesections', 'block/massaction:sectionactions'],
+        'deletesections' => [
+            'moodle/course:update',
+            'moodle/course:manageactivities',
+            'block/massaction:delete',
+            'block/massaction:sectionactions',
+        ],
+        'duplicatesectionstocourse' => ['moodle/backup:backuptargetimport', 'block/massaction:sectionactions'],
+        'exportbundle' => ['moodle/backup:backupactivity', 'block/massaction:bundles'],
+        'importbundle' => [
+            'moodle/restore:restoreactivity',
+            'moodle/restore:uploadfile',
+            'moodle/course:manageactivities',
+            'block/massaction:bundles',
+        ],
+        'shiftdates' => ['moodle/course:manageactivities', 'block/massaction:shiftdates'],
+        'modulesettings' => ['moodle/course:manageactivities', 'block/massaction:modulesettings'],
+    ];
+
+    /** @var array the events logging the actions, the name of the action as key */
+    public const ACTION_EVENTS = [
+        'moveleft' => event\course_modules_indented::class,
+        'moveright' => event\course_modules_indented::class,
+        'hide' => event\course_modules_hidden::class,
+        'show' => event\course_modules_shown::class,
+        'makeavailable' => event\course_modules_made_available::class,
+        'showdescription' => event\course_modules_description_shown::class,
+        'hidedescription' => event\course_modules_description_hidden::class,
+        'contentchangednotification' => event\course_modules_content_changed_notified::class,
+        'moveto' => event\course_modules_moved::class,
+        'delete' => event\course_modules_deleted::class,
+        'restrictaccess' => event\course_modules_restricted::class,
+        'shiftdates' => event\course_modules_dates_shifted::class,
+        'modulesettings' => event\course_modules_settings_changed::class,
+        'rename' => event\course_modules_renamed::class,
+        'sort' => event\course_modules_sorted::class,
+        'movetocourse' => event\course_modules_moved_to_course::class,
+        'tags' => event\course_modules_tags_changed::class,
+        'competencies' => event\course_modules_competencies_changed::class,
+        'exportbundle' => event\course_modules_exported::class,
+        'importbundle' => event\course_modules_imported::class,
+    ];
+
+    /**
+     * Returns the capabilities needed for an action of the block or an action contributed by another plugin.
+     *
+     * @param string $action the name of the action
+     * @param context_block $blockcontext the context of the block instance
+     * @return string[]|null the capabilities, null if the action is unknown
+     */
+    public static function get_action_capabilities(string $action, context_block $blockcontext): ?array {
+        if (array_key_exists($action, self::ACTION_CAPABILITIES)) {
+            return self::ACTION_CAPABILITIES[$action];
+        }
+        return action_registry::get_action($action, $blockcontext->get_course_context()->instanceid)?->get_capabilities();
+    }
+
+    /**
+     * Returns if the current user is allowed to perform the given action.
+     *
+     * @param string $action the name of the action
+     * @param context_block $blockcontext the context of the block instance
+     * @return bool true if the user has all the needed capabilities, false if not or if the action is unknown
+     */
+    public static function has_action_capabilities(string $action, context_block $blockcontext): bool {
+        $capabilities = self::get_action_capabilities($action, $blockcontext);
+        if ($capabilities === null) {
+            return false;
+        }
+        foreach ($capabilities as $capability) {
+            $context = str_starts_with($capability, 'block/') ? $blockcontext : $blockcontext->get_course_context();
+            if (!has_capability($capability, $context)) {
+                return false;
+            }
+        }
+        return true;
+    }
+
+    /**
+     * Checks if the current user is allowed to perform the given action.
+     *
+     * @param string $action the name of the action
+     * @param context_block $blockcontext the context of the block instance
+     * @throws moodle_exception if the action is unknown
+     * @throws required_capability_exception if the user lacks one of the needed capabilities
+     */
+    public static function require_action_capabilities(string $action, context_block $blockcontext): void {
+        $capabilities = self::get_action_capabilities($action, $blockcontext);
+        if ($capabilities === null) {
+            throw new moodle_exception('invalidaction', 'block_massaction', '', $action);
+        }
+        foreach ($capabilities as $capability) {
+            $context = str_starts_with($capability, 'block/') ? $blockcontext : $blockcontext->get_course_context();
+            require_capability($capability, $context);
+        }
+    }
+
+    /**
+     * Creates the event logging an action on the given modules.
+     *
+     * The event has to be created before the action is being performed, so the names of deleted modules are still available.
+     *
+     * @param string $action the name of the action
+     * @param array $modules list of module records the action is being applied to
+     * @param context_course $context the context of the course
+     * @param array $other additional data of the event, e.g. the target section of the 'moveto' action
+     * @return course_modules_action_base|null the event to trigger after the action has been performed, null if the action is
+     *  not being logged by an event of its own
+     * @throws coding_exception
+     * @throws moodle_exception
+     */
+    public static function create_action_event(
+        string $action,
+        array $modules,
+        context_course $context,
+        array $other = []
+    ): ?course_modules_action_base {
+        if (!array_key_exists($action, self::ACTION_EVENTS)) {
+            return null;
+        }
+        $modinfo = get_fast_modinfo($context->instanceid);
+        $other['modules'] = [];
+        foreach ($modules as $module) {
+            $cm = $modinfo->get_cm($module->id);
+            $other['modules'][] = ['id' => (int) $cm->id, 'modname' => $cm->modname, 'name' => $cm->name];
+        }
+        return self::ACTION_EVENTS[$action]::create(['context' => $context, 'other' => $other]);
+    }
+
+    /**
+     * Makes sure we do not touch any course module outside the course the block instance belongs to.
+     *
+     * @param array $modules list of module records
+     * @param context_block $blockcontext the context of the block instance
+     * @throws moodle_exception if one of the modules belongs to another course
+     */
+    public static function require_modules_in_course(array $modules, context_block $blockcontext): void {
+        $courseid = $blockcontext->get_course_context()->instanceid;
+        foreach ($modules as $cm) {
+            if ($cm->course != $courseid) {
+                throw new moodle_exception('invalidmoduleid', 'block_massaction', '', $cm->id);
+            }
+        }
+    }
+
+    /**
+     * Performs an action which does not need any further user interaction on the given modules.
+     *
+     * This is the common entry point for the action.php page as well as for the external function the block's JS module uses.
+     * Actions which need a confirmation or form page ('delete', 'duplicatetocourse', 'movetocourse') are not handled here.
+     *
+     * @param string $action the name of the action to perform
+     * @param array $modules list of module records to apply the action to
+     * @param context_block $blockcontext the context of the block instance the action has been triggered from
+     * @param stdClass $data the decoded request, containing additional parameters like the target section
+     * @return bool true if the action has been queued as background task, false if it has been executed right away
+     * @throws coding_exception
+     * @throws dml_exception
+     * @throws invalid_parameter_exception if the 'makeavailable' action is deactivated
+     * @throws moodle_exception if the action is unknown or parameters are missing
+     * @throws required_capability_exception
+     */
+    public static function perform_action(string $action, array $modules, context_block $blockcontext, stdClass $data): bool {
+        global $CFG;
+        $context = $blockcontext->get_course_context();
+
+        self::require_modules_in_course($modules, $blockcontext);
+        self::require_action_capabilities($action, $blockcontext);
+
+        // Remember the state of the modules, so the user can revert the action. Any other action invalidates the last snapshot.
+        if (in_array($action, undo::UNDOABLE_ACTIONS)) {
+            undo::record_snapshot($action, $modules, $context->instanceid);
+        } else {
+            undo::discard_snapshot($context->instanceid);
+        }
+
+        $event = self::create_action_event($action, $modules, $context, match ($action) {
+            'moveleft' => ['amount' => -1],
+            'moveright' => ['amount' => 1],
+            'moveto' => ['sectionnum' => (int) ($data->moveToTarget ?? 0)],
+            default => [],
+        });
+        $result = new action_result($action, $modules);
+
+        switch ($action) {
+            case 'moveleft':
+                self::adjust_indentation($modules, -1, $result);
+                break;
+            case 'moveright':
+                self::adjust_indentation($modules, 1, $result);
+                break;
+            case 'hide':
+                self::set_visibility($modules, false, true, $result);
+                break;
+            case 'show':
+                self::set_visibility($modules, true, true, $result);
+                break;
+            case 'makeavailable':
+                if (empty($CFG->allowstealth)) {
+                    throw new invalid_parameter_exception('The "makeavailable" action is deactivated.');
+                }
+                self::set_visibility($modules, true, false, $result);
+                break;
+            case 'duplicate':
+                if (get_config('block_massaction', 'duplicatemaxactivities') < count($modules)) {
+                    duplication_jobs::queue($modules);
+                    return true;
+                }
+                self::duplicate($modules, false, $result->get_progress_callback());
+                break;
+            case 'showdescription':
+                self::show_description($modules, true, $result);
+                break;
+            case 'hidedescription':
+                self::show_description($modules, false, $result);
+                break;
+            case 'contentchangednotification':
+                self::send_content_changed_notifications($modules, $result);
+                break;
+            case 'moveto':
+                if (!isset($data->moveToTarget)) {
+                    throw new moodle_exception('missingparam', 'block_massaction');
+                }
+                self::perform_moveto($modules, $data->moveToTarget, $result);
+                break;
+            case 'duplicateto':
+                if (!isset($data->duplicateToTarget)) {
+                    throw new moodle_exception('missingparam', 'block_massaction');
+                }
+                if (get_config('block_massaction', 'duplicatemaxactivities') < count($modules)) {
+                    duplication_jobs::queue($modules, ['sectionid' => $data->duplicateToTarget]);
+                    return true;
+                }
+                self::duplicate($modules, $data->duplicateToTarget, $result->get_progress_callback());
+                break;
+            case 'rename':
+                if (!isset($data->rename)) {
+                    throw new moodle_exception('missingparam', 'block_massaction');
+                }
+                module_renamer::rename($modules, (object) $data->rename, $result);
+                break;
+            case 'sort':
+                if (!isset($data->sortBy) || !isset($data->sortPlacement)) {
+                    throw new moodle_exception('missingparam', 'block_massaction');
+                }
+                module_sorter::sort($modules, $data->sortBy, $data->sortPlacement, $result);
+                break;
+            default:
+                // Actions contributed by other plugins which need a form are being handled by action.php.
+                $pluginaction = action_registry::get_action($action, $context->instanceid);
+                if ($pluginaction === null || $pluginaction->get_form_class() !== null) {
+                    throw new moodle_exception('invalidaction', 'block_massaction', '', $action);
+                }
+                $pluginaction->execute($modules, $blockcontext, null, $result);
+        }
+        $event?->trigger();
+        // Actions which do not record the outcome per module either succeed for all modules or throw an exception.
+        $result->add_remaining_successes();
+        $result->save($context->instanceid);
+        return false;
+    }
+
     /**
      * Helper function to perform indentation/outdentation.
      *
      * @param array $modules list of module records to modify
      * @param int $amount 1 for indent, -1 for outdent, other values are not permitted
+     * @param action_result|null $result the result to record the outcome of each module in
      * @throws dml_exception if database write fails
      */
-    public static function adjust_indentation(array $modules, int $amount): void {
+    public static function adjust_indentation(array $modules, int $amount, ?action_result $result = null): void {
         global $DB;
         if (empty($modules) || abs($amount) != 1) {
             return;
@@ -62,10 +399,12 @@ class actions {
             $cm->indent += $amount;
             // Respect indentation limits like in course/lib.php#1824 and course/lib.php#1825.
             if ($cm->indent < 0 || $cm->indent > 16) {
+                $result?->add_skipped($cm->id, get_string('result_skipped_indentlimit', 'block_massaction'));
                 continue;
             }
 
             $DB->set_field('course_modules', 'indent', $cm->indent, ['id' => $cm->id]);
+            $result?->add_success($cm->id);
         }
         rebuild_course_cache($courseid);
     }
@@ -77,9 +416,15 @@ class actions {
      * @param bool $visible true to show, false to hide
      * @param bool $visibleonpage false if you want the modules to be available ($visible has to be true), but not visible for
      *  students on the course page
+     * @param action_result|null $result the result to record the outcome of each module in
      * @throws coding_exception
      */
-    public static function set_visibility(array $modules, bool $visible, bool $visibleonpage = true): void {
+    public static function set_visibility(
+        array $modules,
+        bool $visible,
+        bool $visibleonpage = true,
+        ?action_result $result = null
+    ): void {
         global $CFG;
         require_once($CFG->dirroot . '/course/lib.php');
 
@@ -98,7 +443,8 @@ class actions {
                 // We want to have an available but hidden activity.
                 // First we need to make sure stealth activities are enabled.
                 if (empty($CFG->allowstealth)) {
-                    // We silently ignore this course module it must not be set to 'available, but not visible on course page'.
+                    // We ignore this course module it must not be set to 'available, but not visible on course page'.
+                    $result?->add_skipped($cm->id, get_string('result_skipped_stealthdisabled', 'block_massaction'));
                     continue;
                 }
 
@@ -118,6 +464,9 @@ class actions {
             // Set visibility.
             if (set_coursemodule_visible($cm->id, $visibleint, $visibleonpageint)) {
                 course_module_updated::create_from_cm(get_coursemodule_from_id(false, $cm->id))->trigger();
+                $result?->add_success($cm->id);
+            } else {
+                $result?->add_failure($cm->id, get_string('invalidcoursemodule', 'error'));
             }
         }
     }
@@ -127,11 +476,14 @@ class actions {
      *
      * @param array $modules list of module records to duplicate
      * @param int $sectionnumber section to which the modules should be moved, false if same section as original
-     * @throws moodle_exception if we cannot find the course the given modules belong to
+     * @param callable|null $progresscallback called after each module with the course module id and the error message, the
+     *  latter being null if the module has been duplicated successfully
+     * @throws moodle_exception if we cannot find the course the given modules belong to, or if a module is in a restricted section
+     *  and there is no progress callback to report it to
      * @throws require_login_exception if we cannot determine the correct context
      * @throws restore_controller_exception If there is an error while duplicating
      */
-    public static function duplicate(array $modules, $sectionnumber = false): void {
+    public static function duplicate(array $modules, $sectionnumber = false, ?callable $progresscallback = null): void {
         global $CFG, $DB;
         require_once($CFG->dirroot . '/course/lib.php');
         require_once($CFG->dirroot . '/lib/modinfolib.php');
@@ -171,12 +523,20 @@ class actions {
             $cm = $modinfo->get_cm($cmid);
             // Not duplicated if the section is restricted.
             if (!in_array($cm->sectionnum, $filtersectionshook->get_sectionnums())) {
-                throw new moodle_exception('sectionrestricted', 'block_massaction', '', $cm->sectionnum);
+                $exception = new moodle_exception('sectionrestricted', 'block_massaction', '', $cm->sectionnum);
+                if ($progresscallback === null) {
+                    throw $exception;
+                }
+                $progresscallback($cmid, $exception->getMessage());
+                continue;
             }
 
             try {
                 $duplicatedmod = formatactions::cm($courseid)->duplicate($cmid);
             } catch (\Exception $e) {
+                if ($progresscallback !== null) {
+                    $progresscallback($cmid, $e->getMessage());
+                }
                 $errors[$cmid] = 'cmid:' . $cmid . '(' . $e->getMessage() . ')';
                 $event = \block_massaction\event\course_modules_duplicated_failed::create([
                     'context' => \context_course::instance($courseid),
@@ -190,6 +550,9 @@ class actions {
             }
             $cms[$cmid] = $duplicatedmod->id;
             $duplicatedmods[] = $duplicatedmod;
+            if ($progresscallback !== null) {
+                $progresscallback($cmid, null);
+            }
         }
 
         // Refetch course structure now including the duplicated modules.
@@ -217,6 +580,76 @@ class actions {
         $event->trigger();
     }
 
+    /**
+     * Determines the courses the current user has chosen for duplicating course modules to.
+     *
+     * Courses of the chosen categories are only being included if the user is allowed to restore into them. If requested, or if
+     * the course list is limited to enrolled courses by the admin, they are furthermore limited to courses in which the user is
+     * enrolled with the capability to manage activities, i.e. as editing teacher.
+     *
+     * @param int $sourcecourseid the id of the course the modules belong to, which is never a target
+     * @param int[] $courseids the ids of the courses which have been chosen explicitly
+     * @param int[] $categoryids the ids of the categories whose courses should be added
+     * @param bool $onlyteaching true if the courses of the categories should be limited to courses the user is teaching
+     * @param array|null $droppedcourseids set to the ids of the explicitly chosen courses which cannot be used as target
+     * @return int[] the sorted ids of the target courses
+     * @throws coding_exception
+     * @throws moodle_exception
+     */
+    public static function get_target_course_ids(
+        int $sourcecourseid,
+        array $courseids,
+        array $categoryids,
+        bool $onlyteaching,
+        ?array &$droppedcourseids = null
+    ): array {
+        global $DB, $USER;
+        $onlyteaching = $onlyteaching || !empty(get_config('block_massaction', 'limittoenrolled'));
+
+        $candidates = array_fill_keys(array_filter($courseids), false);
+        foreach (array_filter($categoryids) as $categoryid) {
+            $category = core_course_category::get($categoryid, IGNORE_MISSING);
+            if ($category === null) {
+                continue;
+            }
+            foreach (array_keys($category->get_courses(['recursive' => true])) as $courseid) {
+                // Explicitly chosen courses are not subject to the teaching filter.
+                $candidates[$courseid] = $candidates[$courseid] ?? $onlyteaching;
+            }
+        }
+
+        $targetcourseids = [];
+        $droppedcourseids = [];
+        foreach ($candidates as $courseid => $requireteaching) {
+            $usable = $courseid != $sourcecourseid && $courseid != SITEID && $DB->record_exists('course', ['id' => $courseid]);
+            if ($usable) {
+                $coursecontext = context_course::instance($courseid);
+                $usable = has_capability('moodle/restore:restoretargetimport', $coursecontext)
+                    && (!$requireteaching || is_enrolled($coursecontext, $USER, 'moodle/course:manageactivities', true));
+            }
+            if ($usable) {
+                $targetcourseids[] = (int) $courseid;
+            } else if (in_array($courseid, $courseids)) {
+                // The courses of the categories are only a suggestion, but the user has to be told about the chosen ones.
+                $droppedcourseids[] = (int) $courseid;
+            }
+        }
+        sort($targetcourseids);
+        return $targetcourseids;
+    }
+
+    /**
+     * Returns the maximum number of courses the modules can be duplicated to at once.
+     *
+     * Each target course gets a background task of its own, so a whole category tree must not be chosen by accident.
+     *
+     * @return int the maximum number of target courses, 0 if there is no limit
+     */
+    public static function get_max_target_courses(): int {
+        $maxtargetcourses = get_config('block_massaction', 'maxtargetcourses');
+        return is_numeric($maxtargetcourses) ? max(0, (int) $maxtargetcourses) : self::DEFAULT_MAX_TARGET_COURSES;
+    }
+
     /**
      * Duplicates multiple modules to a specified target course into a specified target section.
      *
@@ -225,14 +658,24 @@ class actions {
      * @param int $sectionnum section number of the section where the modules should be duplicated to. The default is -1 which
      *  means that the duplicated modules will appear in the section they have in the source course. If these sections do not exist
      *  they will be added to the target course.
+     * @param callable|null $progresscallback called after each module with the course module id and the error message, the
+     *  latter being null if the module has been duplicated successfully
+     * @param bool $userdata true if the user data of the modules should be duplicated as well
      *
      * @throws coding_exception
      * @throws restore_controller_exception
      * @throws base_setting_exception
      * @throws base_plan_exception
-     * @throws moodle_exception
+     * @throws moodle_exception if the target section is not allowed or a missing section cannot be created, or if a module is in a
+     *  restricted section and there is no progress callback to report it to
      */
-    public static function duplicate_to_course(array $modules, int $targetcourseid, int $sectionnum = -1): void {
+    public static function duplicate_to_course(
+        array $modules,
+        int $targetcourseid,
+        int $sectionnum = -1,
+        ?callable $progresscallback = null,
+        bool $userdata = false
+    ): void {
         global $CFG, $DB;
         require_once($CFG->dirroot . '/course/lib.php');
         require_once($CFG->dirroot . '/lib/modinfolib.php');
@@ -273,6 +716,10 @@ class actions {
                 'block_massaction'
             );
         }
+        if ($userdata) {
+            require_capability('moodle/backup:userinfo', $sourcecoursecontext);
+            require_capability('moodle/restore:userinfo', $targetcoursecontext);
+        }
 
         $sourcemodinfo = get_fast_modinfo($sourcecourseid);
         $targetmodinfo = get_fast_modinfo($targetcourseid);
@@ -290,13 +737,13 @@ class actions {
             // The course modules should be in the same section number as in the original course. However, the hook listener(s)
             // disabled this option, so we cancel the operation.
             // This is only a security measure and should not happen unless someone manipulates the UI.
-            return;
+            throw new moodle_exception('originsectionnotallowed', 'block_massaction');
         }
 
         if (($sectionnum >= 0) && ($sectionnum <= $lastsectionnum) && !in_array($sectionnum, $filteredsections)) {
             // The target section number has been filtered by a hook callback, thus must not be used.
             // This is only a security measure and should not happen unless someone manipulates the UI.
-            return;
+            throw new moodle_exception('targetsectionrestricted', 'block_massaction', '', $sectionnum);
         }
 
         $canaddsection = has_capability('moodle/course:update', context_course::instance($targetcourseid))
@@ -306,7 +753,7 @@ class actions {
         if ($sectionnum > $lastsectionnum) {
             // No permissions to add section.
             if (!$canaddsection) {
-                return;
+                throw new moodle_exception('cannotaddsection', 'block_massaction');
             }
 
             $targetformatopt = $targetformat->get_format_options();
@@ -333,7 +780,7 @@ class actions {
 
             // If target course needs sections added but user does not have permission.
             if ($srcmaxsectionnum > $lastsectionnum && !$canaddsection) {
-                return; // No permission to add section.
+                throw new moodle_exception('cannotaddsection', 'block_massaction');
             }
 
             // Add sections if needed.
@@ -362,15 +809,24 @@ class actions {
             $sourcecm = $sourcemodinfo->get_cm($cmid);
             // Not duplicated if the section is restricted.
             if (!in_array($sourcecm->sectionnum, $srcfilteredsections)) {
-                throw new moodle_exception('sectionrestricted', 'block_massaction', '', $sourcecm->sectionnum);
+                $exception = new moodle_exception('sectionrestricted', 'block_massaction', '', $sourcecm->sectionnum);
+                if ($progresscallback === null) {
+                    throw $exception;
+                }
+                $progresscallback($cmid, $exception->getMessage());
+                continue;
             }
 
             try {
                 $duplicatedmod = massactionutils::duplicate_cm_to_course(
                     $targetmodinfo->get_course(),
-                    $sourcemodinfo->get_cm($cmid)
+                    $sourcemodinfo->get_cm($cmid),
+                    $userdata
                 );
             } catch (\Exception $e) {
+                if ($progresscallback !== null) {
+                    $progresscallback($cmid, $e->getMessage());
+                }
                 $errors[$cmid] = 'cmid:' . $cmid . '(' . $e->getMessage() . ')';
                 $event = \block_massaction\event\course_modules_duplicated_failed::create(
                     [
@@ -386,6 +842,9 @@ class actions {
             }
             $cms[$cmid] = $duplicatedmod;
             $duplicatedmods[] = $duplicatedmod;
+            if ($progresscallback !== null) {
+                $progresscallback($cmid, null);
+            }
         }
 
         // We need to reload new course structure.
@@ -407,6 +866,66 @@ class actions {
         $event->trigger();
     }
 
+    /**
+     * Moves multiple modules to another course.
+     *
+     * The modules are being copied to the target course by {@see self::duplicate_to_course()} first. Only the modules which have
+     * been copied successfully are being deleted from the source course afterwards, so nothing gets lost if the copy fails.
+     *
+     * @param array $modules Array of course module records
+     * @param int $targetcourseid course id of the course to move the modules to
+     * @param int $sectionnum section number of the section where the modules should be moved to, -1 for keeping the section
+     *  numbers they have in the source course
+     * @param bool $userdata true if the user data of the modules should be moved as well
+     * @param callable|null $progresscallback called after each module with the course module id and the error message, the
+     *  latter being null if the module has been moved successfully
+     * @return int[] the ids of the course modules which have been moved
+     * @throws coding_exception
+     * @throws restore_controller_exception
+     * @throws base_setting_exception
+     * @throws base_plan_exception
+     * @throws moodle_exception
+     */
+    public static function move_to_course(
+        array $modules,
+        int $targetcourseid,
+        int $sectionnum = -1,
+        bool $userdata = false,
+        ?callable $progresscallback = null
+    ): array {
+        if (empty($modules)) {
+            return [];
+        }
+        $sourcecourseid = reset($modules)->course;
+        require_capability('moodle/course:manageactivities', context_course::instance($sourcecourseid));
+
+        $copiedcmids = [];
+        $collectcopied = function (int $cmid, ?string $error) use (&$copiedcmids, $progresscallback): void {
+            if ($error === null) {
+                $copiedcmids[] = $cmid;
+            }
+            if ($progresscallback !== null) {
+                $progresscallback($cmid, $error);
+            }
+        };
+        try {
+            self::duplicate_to_course($modules, $targetcourseid, $sectionnum, $collectcopied, $userdata);
+        } finally {
+            // Even if the copying has been aborted, the modules which already have been copied must not exist twice.
+            $event = empty($copiedcmids) ? null : self::create_action_event(
+                'movetocourse',
+                array_filter($modules, fn($module) => in_array($module->id, $copiedcmids)),
+                context_course::instance($sourcecourseid),
+                ['targetcourseid' => $targetcourseid]
+            );
+            foreach ($copiedcmids as $cmid) {
+                formatactions::cm($sourcecourseid)->delete($cmid, true);
+            }
+            $event?->trigger();
+        }
+        return $copiedcmids;
+    }
+
     /**
      * Prints the course select form.
      *
@@ -439,6 +958,70 @@ class actions {
         echo $OUTPUT->footer();
     }
 
+    /**
+     * Prints a form which collects the parameters of an action.
+     *
+     * @param moodleform $form the form to display
+     * @return void
+     */
+    public static function print_action_form(moodleform $form): void {
+        global $OUTPUT;
+        echo $OUTPUT->header();
+        echo $OUTPUT->box_start('generalbox block-massaction-actionformbox', 'block_massaction-action-form-box');
+        $form->display();
+        echo $OUTPUT->box_end();
+        echo $OUTPUT->footer();
+    }
+
+    /**
+     * Print out the dates which will be changed by shifting them for confirmation.
+     *
+     * @param array $changes the changed dates per module as returned by {@see date_shifter::get_changes()}
+     * @param int $offset the offset in seconds to pass through for shifting
+     * @param int $days the number of calendar days to pass through for shifting
+     * @param string $massactionrequest the request to pass through for shifting
+     * @param int $instanceid the instanceid
+     * @param string $returnurl the url we return to when canceling the confirmation page
+     * @throws coding_exception
+     * @throws moodle_exception if moodle url creation fails
+     */
+    public static function print_date_shift_confirmation(
+        array $changes,
+        int $offset,
+        int $days,
+        string $massactionrequest,
+        int $instanceid,
+        string $returnurl
+    ): void {
+        global $CFG, $OUTPUT, $PAGE;
+
+        $strshiftdates = get_string('action_shiftdates', 'block_massaction');
+        $PAGE->set_title($strshiftdates);
+        $PAGE->navbar->add($strshiftdates);
+        echo $OUTPUT->header();
+
+        $content = $OUTPUT->render_from_template('block_massaction/shiftdates_confirm', ['modules' => $changes]);
+
+        $optionsonconfirm = [
+            'instance_id' => $instanceid,
+            'return_url' => $returnurl,
+            'request' => $massactionrequest,
+            'shift_offset' => $offset,
+            'shift_days' => $days,
+            'shift_confirm' => 1,
+        ];
+        echo $OUTPUT->box_start('noticebox');
+        $formcontinue = new \single_button(
+            new \moodle_url("{$CFG->wwwroot}/blocks/massaction/action.php", $optionsonconfirm),
+            get_string('action_shiftdates', 'block_massaction'),
+            'post'
+        );
+        $formcancel = new \single_button(new \moodle_url($returnurl), get_string('cancel'), 'get');
+        echo $OUTPUT->confirm($content, $formcontinue, $formcancel);
+        echo $OUTPUT->box_end();
+        echo $OUTPUT->footer();
+    }
+
     /**
      * Print out the list of course-modules to be deleted for confirmation.
      *
@@ -522,23 +1105,31 @@ class actions {
      * Perform the actual deletion of the selected course modules.
      *
      * @param array $modules
+     * @param action_result|null $result the result to record the outcome of each module in, modules which cannot be deleted
+     *  are being skipped then instead of aborting the deletion
      * @throws coding_exception
      * @throws dml_exception if we cannot read from database
      * @throws moodle_exception
      */
-    public static function perform_deletion(array $modules): void {
+    public static function perform_deletion(array $modules, ?action_result $result = null): void {
         global $DB;
 
-        foreach ($modules as $cm) {
-            if (!$cm = get_coursemodule_from_id('', $cm->id, 0, true)) {
-                new moodle_exception('invalidcoursemodule');
-            }
+        foreach ($modules as $module) {
+            try {
+                if (!$cm = get_coursemodule_from_id('', $module->id, 0, true)) {
+                    throw new moodle_exception('invalidcoursemodule');
+                }
 
-            if (!$DB->get_record('course', ['id' => $cm->course])) {
-                throw new moodle_exception('invalidcourseid');
-            }
+                if (!$DB->get_record('course', ['id' => $cm->course])) {
+                    throw new moodle_exception('invalidcourseid');
+                }
 
-            formatactions::cm($cm->course)->delete($cm->id, true);
+                formatactions::cm($cm->course)->delete($cm->id, true);
+            } catch (moodle_exception $e) {
+                action_result::fail_or_throw($result, $module->id, $e);
+                continue;
+            }
+            $result?->add_success($cm->id);
         }
     }
 
@@ -547,11 +1138,12 @@ class actions {
      *
      * @param array $modules the course module records to change the showdescription flag
      * @param bool $showdescription true if description should be shown, false otherwise
+     * @param action_result|null $result the result to record the outcome of each module in
      * @return void
      * @throws dml_exception
      * @throws moodle_exception if course modules cannot be found
      */
-    public static function show_description(array $modules, bool $showdescription): void {
+    public static function show_description(array $modules, bool $showdescription, ?action_result $result = null): void {
         global $DB;
         if (empty($modules)) {
             return;
@@ -562,6 +1154,7 @@ class actions {
         foreach ($modules as $cm) {
             if (is_null($modinfo->get_cm($cm->id)->url)) {
                 // In case of course modules like 'label', we must not do anything.
+                $result?->add_skipped($cm->id, get_string('result_skipped_nodescription', 'block_massaction'));
                 continue;
             }
             if ($cmrecord = $DB->get_record('course_modules', ['id' => $cm->id])) {
@@ -571,9 +1164,13 @@ class actions {
                     $updatedata->showdescription = $showdescriptionbit;
                     $DB->update_record('course_modules', $updatedata);
                     \course_modinfo::purge_course_module_cache($cm->course, $cm->id);
+                    $result?->add_success($cm->id);
+                } else {
+                    $result?->add_skipped($cm->id, get_string('result_skipped_unchanged', 'block_massaction'));
                 }
             } else {
-                throw new moodle_exception('invalidmoduleid', 'block_massaction', $cm->id);
+                action_result::fail_or_throw($result, $cm->id,
+                    new moodle_exception('invalidmoduleid', 'block_massaction', '', $cm->id));
             }
         }
     }
@@ -582,19 +1179,22 @@ class actions {
      * Send content changed notification for multiple course modules.
      *
      * @param array $modules the modules for which a notification should be sent
+     * @param action_result|null $result the result to record the outcome of each module in
      * @throws coding_exception
      * @throws dml_exception if we cannot read from database
      * @throws moodle_exception if wrong module ids are being passed
      */
-    public static function send_content_changed_notifications(array $modules): void {
+    public static function send_content_changed_notifications(array $modules, ?action_result $result = null): void {
         global $DB, $USER;
-        foreach ($modules as $cm) {
-            if (!$cm = get_coursemodule_from_id('', $cm->id, 0, true)) {
-                throw new moodle_exception('invalidcoursemodule');
+        foreach ($modules as $module) {
+            if (!$cm = get_coursemodule_from_id('', $module->id, 0, true)) {
+                action_result::fail_or_throw($result, $module->id, new moodle_exception('invalidcoursemodule'));
+                continue;
             }
 
             if (!$course = $DB->get_record('course', ['id' => $cm->course])) {
-                throw new moodle_exception('invalidcourseid');
+                action_result::fail_or_throw($result, $cm->id, new moodle_exception('invalidcourseid'));
+                continue;
             }
 
             // Schedule adhoc task for delivering the course content updated notifications. Unfortunately, there is no core lib
@@ -611,6 +1211,100 @@ class actions {
                 );
                 $adhoctask->set_component('course');
                 manager::queue_adhoc_task($adhoctask, true);
+                $result?->add_success($cm->id);
+            } else {
+                $result?->add_skipped($cm->id, get_string('result_skipped_notificationhidden', 'block_massaction'));
+            }
+        }
+    }
+
+    /**
+     * Adds tags to or removes tags from multiple course modules.
+     *
+     * Modules which already have (or do not have) all of the tags are being skipped.
+     *
+     * @param array $modules the course module records
+     * @param string $mode one of the TAGS_* constants
+     * @param string[] $tags the names of the tags, tags which do not exist yet are being created when adding them
+     * @param action_result|null $result the result to record the outcome of each module in
+     * @throws coding_exception
+     * @throws dml_exception
+     * @throws moodle_exception if tags are disabled for course modules
+     */
+    public static function set_tags(array $modules, string $mode, array $tags, ?action_result $result = null): void {
+        if (!core_tag_tag::is_enabled('core', 'course_modules')) {
+            throw new moodle_exception('tagsdisabled', 'block_massaction');
+        }
+        foreach ($modules as $module) {
+            if (!$cm = get_coursemodule_from_id('', $module->id, 0, true)) {
+                action_result::fail_or_throw($result, $module->id, new moodle_exception('invalidcoursemodule'));
+                continue;
+            }
+            $context = context_module::instance($cm->id);
+            // Tag names are case insensitive.
+            $currenttags = array_map(
+                fn($name) => core_text::strtolower($name),
+                core_tag_tag::get_item_tags_array('core', 'course_modules', $cm->id)
+            );
+            $changed = false;
+            foreach ($tags as $tag) {
+                $hastag = in_array(core_text::strtolower(trim($tag)), $currenttags);
+                if ($mode === self::TAGS_ADD && !$hastag) {
+                    core_tag_tag::add_item_tag('core', 'course_modules', $cm->id, $context, $tag);
+                    $changed = true;
+                } else if ($mode === self::TAGS_REMOVE && $hastag) {
+                    core_tag_tag::remove_item_tag('core', 'course_modules', $cm->id, $tag);
+                    $changed = true;
+                }
+            }
+            if (!$changed) {
+                $result?->add_skipped($cm->id, get_string('result_skipped_unchanged', 'block_massaction'));
+                continue;
+            }
+            course_module_updated::create_from_cm($cm)->trigger();
+            $result?->add_success($cm->id);
+        }
+    }
+
+    /**
+     * Links competencies of the course to or unlinks them from multiple course modules.
+     *
+     * Modules which already are (or are not) linked to a competency are being skipped.
+     *
+     * @param array $modules the course module records
+     * @param string $mode one of the COMPETENCIES_* constants
+     * @param int[] $competencyids the ids of the competencies, they have to be linked to the course
+     * @param action_result|null $result the result to record the outcome of each module in
+     * @throws coding_exception
+     * @throws moodle_exception if competencies are disabled on the site
+     */
+    public static function set_competencies(
+        array $modules,
+        string $mode,
+        array $competencyids,
+        ?action_result $result = null
+    ): void {
+        if (!competency_api::is_enabled()) {
+            throw new moodle_exception('competenciesdisabled', 'block_massaction');
+        }
+        foreach ($modules as $cm) {
+            $changed = false;
+            try {
+                foreach ($competencyids as $competencyid) {
+                    if ($mode === self::COMPETENCIES_LINK) {
+                        $changed = competency_api::add_competency_to_course_module($cm->id, $competencyid) || $changed;
+                    } else {
+                        $changed = competency_api::remove_competency_from_course_module($cm->id, $competencyid) || $changed;
+                    }
+                }
+            } catch (moodle_exception $e) {
+                action_result::fail_or_throw($result, $cm->id, $e);
+                continue;
+            }
+            if ($changed) {
+                $result?->add_success($cm->id);
+            } else {
+                $result?->add_skipped($cm->id, get_string('result_skipped_unchanged', 'block_massaction'));
             }
         }
     }
@@ -620,11 +1314,13 @@ class actions {
      *
      * @param array $modules the modules to be moved
      * @param int $target ID of the section to move to
+     * @param action_result|null $result the result to record the outcome of each module in, modules of restricted sections are
+     *  being skipped then instead of aborting the move
      * @throws coding_exception
      * @throws dml_exception if we cannot read from database
      * @throws moodle_exception if we have invalid parameters
      */
-    public static function perform_moveto(array $modules, int $target): void {
+    public static function perform_moveto(array $modules, int $target, ?action_result $result = null): void {
         global $CFG, $DB;
         require_once($CFG->dirroot . '/course/lib.php');
 
@@ -641,7 +1337,8 @@ class actions {
 
         foreach ($idsincourseorder as $cmid) {
             if (!$cm = get_coursemodule_from_id('', $cmid, 0, true)) {
-                throw new moodle_exception('invalidcoursemodule');
+                action_result::fail_or_throw($result, $cmid, new moodle_exception('invalidcoursemodule'));
+                continue;
             }
 
             // Verify target.
@@ -651,12 +1348,123 @@ class actions {
 
             // Not moving if the section is restricted.
             if (!in_array($cm->sectionnum, $filtersectionshook->get_sectionnums())) {
-                throw new moodle_exception('sectionrestricted', 'block_massaction', '', $cm->sectionnum);
+                action_result::fail_or_throw($result, $cm->id,
+                    new moodle_exception('sectionrestricted', 'block_massaction', '', $cm->sectionnum));
+                continue;
             }
 
             // Move each module to the end of their section.
             formatactions::cm($cm->course)->move_end_section($cm->id, $section->id);
+            $result?->add_success($cm->id);
+        }
+    }
+
+    /**
+     * Sets the access restrictions of multiple course modules.
+     *
+     * @param array $modules the modules to change the access restrictions of
+     * @param string $mode one of the AVAILABILITY_* constants
+     * @param stdClass $data the submitted restrictions: availablefrom, availableuntil, groupid, groupingid, completioncmid and
+     *  completionstate, empty values are being ignored
+     * @param action_result|null $result the result to record the outcome of each module in
+     * @throws coding_exception
+     * @throws dml_exception
+     * @throws moodle_exception if access restrictions are disabled on the site
+     */
+    public static function set_availability(
+        array $modules,
+        string $mode,
+        stdClass $data,
+        ?action_result $result = null
+    ): void {
+        global $CFG, $DB;
+        if (empty($modules)) {
+            return;
+        }
+        if (empty($CFG->enableavailability)) {
+            throw new moodle_exception('availabilitydisabled', 'block_massaction');
+        }
+
+        $courseid = reset($modules)->course;
+        foreach ($modules as $cm) {
+            $current = $DB->get_field('course_modules', 'availability', ['id' => $cm->id]) ?: null;
+            $availability = null;
+            if ($mode !== self::AVAILABILITY_CLEAR) {
+                $conditions = self::get_availability_conditions($data, $cm->id);
+                if (empty($conditions)) {
+                    // For example, the only condition would make the module depend on its own completion.
+                    $result?->add_skipped($cm->id, get_string('result_skipped_noconditions', 'block_massaction'));
+                    continue;
+                }
+                $availability = $mode === self::AVAILABILITY_ADD
+                    ? self::merge_availability($current, $conditions)
+                    : json_encode(tree::get_root_json($conditions));
+            }
+            if ($availability === $current) {
+                $result?->add_skipped($cm->id, get_string('result_skipped_unchanged', 'block_massaction'));
+                continue;
+            }
+            $DB->set_field('course_modules', 'availability', $availability, ['id' => $cm->id]);
+            course_module_updated::create_from_cm(get_coursemodule_from_id(false, $cm->id))->trigger();
+            $result?->add_success($cm->id);
+        }
+        rebuild_course_cache($courseid);
+    }
+
+    /**
+     * Builds the JSON structures of the conditions submitted by the access restriction form.
+     *
+     * @param stdClass $data the submitted restrictions
+     * @param int $cmid the id of the course module the conditions are being applied to
+     * @return array list of condition structures
+     */
+    private static function get_availability_conditions(stdClass $data, int $cmid): array {
+        $conditions = [];
+        if (!empty($data->availablefrom)) {
+            $conditions[] = \availability_date\condition::get_json(\availability_date\condition::DIRECTION_FROM,
+                $data->availablefrom);
+        }
+        if (!empty($data->availableuntil)) {
+            $conditions[] = \availability_date\condition::get_json(\availability_date\condition::DIRECTION_UNTIL,
+                $data->availableuntil);
+        }
+        if (!empty($data->groupid)) {
+            $conditions[] = \availability_group\condition::get_json($data->groupid);
+        }
+        if (!empty($data->groupingid)) {
+            $conditions[] = \availability_grouping\condition::get_json($data->groupingid);
+        }
+        // A module cannot depend on its own completion.
+        if (!empty($data->completioncmid) && $data->completioncmid != $cmid) {
+            $conditions[] = \availability_completion\condition::get_json($data->completioncmid, $data->completionstate);
+        }
+        return $conditions;
+    }
+
+    /**
+     * Adds conditions to the existing access restrictions of a course module.
+     *
+     * @param string|null $current the current availability JSON of the course module
+     * @param array $conditions the condition structures to add
+     * @return string|null the new availability JSON
+     */
+    private static function merge_availability(?string $current, array $conditions): ?string {
+        if (empty($conditions)) {
+            return $current;
+        }
+        $tree = $current === null ? null : json_decode($current);
+        if (empty($tree->c)) {
+            return json_encode(tree::get_root_json($conditions));
+        }
+        if ($tree->op === tree::OP_AND) {
+            // Conditions of an 'all of' tree can be simply appended.
+            $tree->c = array_merge($tree->c, $conditions);
+            $tree->showc = array_merge($tree->showc, array_fill(0, count($conditions), true));
+            return json_encode($tree);
         }
+        // Other trees have to be nested, so they are still being evaluated the same way.
+        unset($tree->show);
+        return json_encode(tree::get_root_json(array_merge([$tree], $conditions)));
     }
 
     /**
@@ -665,7 +1473,7 @@ class actions {
      * @param array $modules the modules to be sorted
      * @return array $idsincourseorder the modules in the order they are listed in the course
      */
-    private static function sort_course_order(array $modules): array {
+    public static function sort_course_order(array $modules): array {
         if (empty($modules)) {
             return [];
         }
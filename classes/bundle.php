@@ -0,0 +1,237 @@
+<?php
+// This file is part of Moodle - http://moodle.org/
+//
+// Moodle is free software: you can redistribute it and/or modify
+// it under the terms of the GNU General Public License as published by
+// the Free Software Foundation, either version 3 of the License, or
+// (at your option) any later version.
+//
+// Moodle is distributed in the hope that it will be useful,
+// but WITHOUT ANY WARRANTY; without even the implied warranty of
+// MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+// GNU General Public License for more details.
+//
+// You should have received a copy of the GNU General Public License
+// along with Moodle.  If not, see <http://www.gnu.org/licenses/>.
+
+namespace block_massaction;
+
+use block_massaction\hook\filter_sections_same_course;
+use context_course;
+use core_courseformat\formatactions;
+use dml_exception;
+use moodle_exception;
+use restore_controller;
+
+/**
+ * bundle class: Exports course modules as a portable activity bundle and imports such bundles into a course.
+ *
+ * A bundle is a zip file containing a backup file of each activity and a manifest listing the activities in the order they
+ * have had in the source course, together with the sections they have been in.
+ *
+ * @package    block_massaction
+ * @copyright  2026 University of Regina
+ * @license    http://www.gnu.org/copyleft/gpl.html GNU GPL v3 or later
+ */
+class bundle {
+    /** @var string identifies the manifest as the one of an activity bundle */
+    public const FORMAT = 'block_massaction_bundle';
+
+    /** @var int the version of the bundle format */
+    public const VERSION = 1;
+
+    /** @var string the name of the manifest file inside the bundle */
+    public const MANIFEST = 'manifest.json';
+
+    /** @var int restore each activity into the section with the number it has had in the source course */
+    public const SOURCE_SECTION = -1;
+
+    /** @var int the maximum number of sections of a course if the site does not configure it, see {@see \core_courseformat\base} */
+    private const DEFAULT_MAX_SECTIONS = 52;
+
+    /**
+     * Exports the given modules as activity bundle.
+     *
+     * @param array $modules the module records
+     * @return string the path of the bundle file in a temporary directory which is being removed at the end of the request
+     * @throws dml_exception
+     * @throws moodle_exception if a module does not support backups or the bundle cannot be created
+     */
+    public static function export(array $modules): string {
+        global $CFG;
+        require_once($CFG->libdir . '/filelib.php');
+        require_once($CFG->dirroot . '/course/lib.php');
+        if (empty($modules)) {
+            throw new moodle_exception('noitemselected', 'block_massaction');
+        }
+        $courseid = reset($modules)->course;
+        $modinfo = get_fast_modinfo($courseid);
+        $tempdir = make_request_directory();
+
+        $manifest = [
+            'format' => self::FORMAT,
+            'version' => self::VERSION,
+            'site' => $CFG->wwwroot,
+            'course' => $modinfo->get_course()->fullname,
+            'timecreated' => time(),
+            'activities' => [],
+        ];
+        $files = [];
+        foreach (actions::sort_course_order($modules) as $cmid) {
+            $cm = $modinfo->get_cm($cmid);
+            $backupfile = massactionutils::backup_cm_to_file($cm);
+            $filename = 'activity' . (count($files) + 1) . '.mbz';
+            $backupfile->copy_content_to($tempdir . '/' . $filename);
+            $backupfile->delete();
+            $files[$filename] = $tempdir . '/' . $filename;
+            $manifest['activities'][] = [
+                'file' => $filename,
+                'name' => $cm->name,
+                'modname' => $cm->modname,
+                'contextid' => $cm->context->id,
+                'sectionnum' => $cm->sectionnum,
+                'sectionname' => get_section_name($courseid, $cm->sectionnum),
+            ];
+        }
+        file_put_contents($tempdir . '/' . self::MANIFEST, json_encode($manifest, JSON_PRETTY_PRINT | JSON_UNESCAPED_SLASHES));
+        $files[self::MANIFEST] = $tempdir . '/' . self::MANIFEST;
+
+        $bundlepath = $tempdir . '/bundle.zip';
+        if (!get_file_packer('application/zip')->archive_to_pathname($files, $bundlepath)) {
+            throw new moodle_exception('bundlecreationfailed', 'block_massaction');
+        }
+        return $bundlepath;
+    }
+
+    /**
+     * Reads and validates the manifest of a bundle.
+     *
+     * @param string $bundlepath the path of the bundle file
+     * @return array the manifest and the path of the directory the bundle has been extracted to
+     * @throws moodle_exception if the file is not a valid bundle
+     */
+    public static function extract(string $bundlepath): array {
+        global $CFG;
+        require_once($CFG->libdir . '/filelib.php');
+        // Sections are being created up to the section numbers of the manifest, so they must not exceed the maximum.
+        $maxsections = get_config('moodlecourse', 'maxsections');
+        $maxsectionnum = is_numeric($maxsections) ? (int) $maxsections : self::DEFAULT_MAX_SECTIONS;
+        $tempdir = make_request_directory();
+        if (!get_file_packer('application/zip')->extract_to_pathname($bundlepath, $tempdir)) {
+            throw new moodle_exception('invalidbundle', 'block_massaction');
+        }
+        $manifest = is_readable($tempdir . '/' . self::MANIFEST)
+            ? json_decode(file_get_contents($tempdir . '/' . self::MANIFEST), true)
+            : null;
+        if (
+            !is_array($manifest) || ($manifest['format'] ?? '') !== self::FORMAT || ($manifest['version'] ?? 0) > self::VERSION
+            || !is_array($manifest['activities'] ?? null)
+        ) {
+            throw new moodle_exception('invalidbundle', 'block_massaction');
+        }
+        foreach ($manifest['activities'] as $activity) {
+            // The file names are being used as path, so they must not point outside of the extracted bundle.
+            if (
+                !isset($activity['file'], $activity['contextid'], $activity['sectionnum'])
+                || !is_int($activity['sectionnum']) || $activity['sectionnum'] < 0 || $activity['sectionnum'] > $maxsectionnum
+                || clean_param($activity['file'], PARAM_FILE) !== $activity['file']
+                || !is_file($tempdir . '/' . $activity['file'])
+            ) {
+                throw new moodle_exception('invalidbundle', 'block_massaction');
+            }
+        }
+        return [$manifest, $tempdir];
+    }
+
+    /**
+     * Restores the activities of a bundle into a course.
+     *
+     * Activities which cannot be restored are being recorded in the result and the remaining ones are still being imported. Without
+     * a result the import stops at the first activity which cannot be restored, keeping the activities imported so far.
+     *
+     * @param string $bundlepath the path of the bundle file
+     * @param int $courseid the id of the course to import the activities to
+     * @param int $sectionnum the number of the section to add the activities to, SOURCE_SECTION to restore each activity into
+     *  the section with the number it has had in the source course
+     * @param action_result|null $result the result to record the outcome of each activity in
+     * @return int[] the ids of the restored course modules
+     * @throws dml_exception
+     * @throws moodle_exception if the file is not a valid bundle, the target section is restricted or missing sections cannot be
+     *  created
+     */
+    public static function import(string $bundlepath, int $courseid, int $sectionnum, ?action_result $result = null): array {
+        global $CFG, $USER;
+        require_once($CFG->dirroot . '/backup/util/includes/restore_includes.php');
+        require_once($CFG->dirroot . '/course/lib.php');
+        [$manifest, $tempdir] = self::extract($bundlepath);
+
+        $modinfo = get_fast_modinfo($courseid);
+        if ($sectionnum === self::SOURCE_SECTION) {
+            $maxsectionnum = max(array_merge([0], array_column($manifest['activities'], 'sectionnum')));
+            if (array_diff(range(0, $maxsectionnum), array_keys($modinfo->get_section_info_all()))) {
+                require_capability('moodle/course:update', context_course::instance($courseid));
+                course_create_sections_if_missing($courseid, range(0, $maxsectionnum));
+                $modinfo = get_fast_modinfo($courseid);
+            }
+        }
+
+        $filtersectionshook = new filter_sections_same_course($courseid, array_keys($modinfo->get_section_info_all()));
+        \core\di::get(\core\hook\manager::class)->dispatch($filtersectionshook);
+        $allowedsectionnums = $filtersectionshook->get_sectionnums();
+        if ($sectionnum !== self::SOURCE_SECTION && !in_array($sectionnum, $allowedsectionnums)) {
+            // This is only a security measure and should not happen unless someone manipulates the form.
+            throw new moodle_exception('importbundle_sectionrestricted', 'block_massaction', '', $sectionnum);
+        }
+
+        $newcmids = [];
+        foreach ($manifest['activities'] as $activity) {
+            $name = $activity['name'] ?? $activity['file'];
+            $targetsectionnum = $sectionnum === self::SOURCE_SECTION ? $activity['sectionnum'] : $sectionnum;
+            $targetsection = $modinfo->get_section_info($targetsectionnum);
+            $error = null;
+            if ($targetsection === null) {
+                $error = new moodle_exception('sectionnotexist', 'block_massaction');
+            } else if (!in_array($targetsectionnum, $allowedsectionnums)) {
+                $error = new moodle_exception('importbundle_sectionrestricted', 'block_massaction', '', $targetsectionnum);
+            }
+            $newcmid = null;
+            if ($error === null) {
+                $backupid = restore_controller::get_tempdir_name($courseid, $USER->id);
+                $backuppath = make_backup_temp_directory($backupid);
+                get_file_packer('application/vnd.moodle.backup')->extract_to_pathname(
+                    $tempdir . '/' . $activity['file'],
+                    $backuppath
+                );
+                try {
+                    $newcmid = massactionutils::restore_activity_backup(
+                        $backupid,
+                        $courseid,
+                        false,
+                        (int) $activity['contextid'],
+                        true
+                    );
+                } catch (moodle_exception $e) {
+                    $error = $e;
+                }
+                if ($error === null && $newcmid === null) {
+                    $error = new moodle_exception('bundlerestorefailed', 'block_massaction', '', $name);
+                }
+            }
+            if ($error !== null) {
+                if ($result === null) {
+                    throw $error;
+                }
+                $result->add_item(action_result::FAILED, s($name), 0, $error->getMessage());
+                continue;
+            }
+            formatactions::cm($courseid)->move_end_section($newcmid, $targetsection->id);
+            $newcmids[] = $newcmid;
+            $result?->add_item(
+                action_result::SUCCESS,
+                get_fast_modinfo($courseid)->get_cm($newcmid)->get_formatted_name(),
+                $newcmid
+            );
+        }
+        return $newcmids;
+    }
+}
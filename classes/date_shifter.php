@@ -0,0 +1,377 @@
+<?php
+// This file is part of Moodle - http://moodle.org/
+//
+// Moodle is free software: you can redistribute it and/or modify
+// it under the terms of the GNU General Public License as published by
+// the Free Software Foundation, either version 3 of the License, or
+// (at your option) any later version.
+//
+// Moodle is distributed in the hope that it will be useful,
+// but WITHOUT ANY WARRANTY; without even the implied warranty of
+// MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+// GNU General Public License for more details.
+//
+// You should have received a copy of the GNU General Public License
+// along with Moodle.  If not, see <http://www.gnu.org/licenses/>.
+
+namespace block_massaction;
+
+use cache;
+use coding_exception;
+use core\event\course_module_updated;
+use core_completion\api as completion_api;
+use core_date;
+use DateTime;
+use dml_exception;
+use moodle_exception;
+use stdClass;
+
+/**
+ * date_shifter class: Moves all the dates of course modules by a given offset.
+ *
+ * The dates can either be moved by a number of seconds or by a number of calendar days. Calendar days are being added in the
+ * timezone of the user, so the dates keep their time of day even if a daylight saving time change lies in between.
+ *
+ * @package    block_massaction
+ * @copyright  2026 University of Regina
+ * @license    http://www.gnu.org/copyleft/gpl.html GNU GPL v3 or later
+ */
+class date_shifter {
+    /** @var string shift the dates by a number of days */
+    public const MODE_OFFSET = 'offset';
+
+    /** @var string shift the dates so the earliest date matches the given anchor date */
+    public const MODE_ANCHOR = 'anchor';
+
+    /**
+     * Date fields in the instance tables of the core modules.
+     *
+     * Modules which are not listed here only get their expected completion date and the date conditions of their access
+     * restrictions shifted.
+     */
+    public const DATE_FIELDS = [
+        'assign' => ['allowsubmissionsfromdate', 'duedate', 'cutoffdate', 'gradingduedate'],
+        'choice' => ['timeopen', 'timeclose'],
+        'data' => ['timeavailablefrom', 'timeavailableto', 'timeviewfrom', 'timeviewto', 'assesstimestart', 'assesstimefinish'],
+        'feedback' => ['timeopen', 'timeclose'],
+        'forum' => ['duedate', 'cutoffdate', 'assesstimestart', 'assesstimefinish'],
+        'glossary' => ['assesstimestart', 'assesstimefinish'],
+        'lesson' => ['available', 'deadline'],
+        'quiz' => ['timeopen', 'timeclose'],
+        'scorm' => ['timeopen', 'timeclose'],
+        'workshop' => ['submissionstart', 'submissionend', 'assessmentstart', 'assessmentend'],
+    ];
+
+    /**
+     * User and group overrides of the core modules: the override table, the field referencing the instance and the date fields.
+     *
+     * The overrides are being cached by the modules, with keys consisting of the instance id and the user or group id.
+     */
+    public const OVERRIDE_FIELDS = [
+        'assign' => [
+            'table' => 'assign_overrides',
+            'instancefield' => 'assignid',
+            'fields' => ['allowsubmissionsfromdate', 'duedate', 'cutoffdate'],
+        ],
+        'lesson' => ['table' => 'lesson_overrides', 'instancefield' => 'lessonid', 'fields' => ['available', 'deadline']],
+        'quiz' => ['table' => 'quiz_overrides', 'instancefield' => 'quiz', 'fields' => ['timeopen', 'timeclose']],
+    ];
+
+    /**
+     * Calculates the offset which moves the earliest date of the given modules to the anchor date.
+     *
+     * @param array $modules the module records
+     * @param int $anchordate the timestamp the earliest date should be moved to
+     * @return int the offset in seconds, 0 if the modules do not have any dates
+     * @throws dml_exception
+     */
+    public static function get_anchor_offset(array $modules, int $anchordate): int {
+        $dates = [];
+        foreach ($modules as $cm) {
+            foreach (self::get_dates($cm) as $date) {
+                $dates[] = $date->value;
+            }
+        }
+        return empty($dates) ? 0 : $anchordate - min($dates);
+    }
+
+    /**
+     * Returns the dates of each of the given modules before and after shifting them.
+     *
+     * @param array $modules the module records
+     * @param int $offset the offset in seconds
+     * @param int $days the number of calendar days to shift the dates by in addition to the offset
+     * @return array list of modules with their name and their changed dates, modules without any dates are omitted
+     * @throws coding_exception
+     * @throws dml_exception
+     * @throws moodle_exception
+     */
+    public static function get_changes(array $modules, int $offset, int $days = 0): array {
+        if (empty($modules)) {
+            return [];
+        }
+        $modinfo = get_fast_modinfo(reset($modules)->course);
+        $changes = [];
+        foreach ($modules as $cm) {
+            $dates = self::get_dates($cm);
+            if (empty($dates)) {
+                continue;
+            }
+            $changes[] = [
+                'modulename' => $modinfo->get_cm($cm->id)->get_formatted_name(),
+                'dates' => array_map(fn($date) => [
+                    'field' => get_string('datefield_' . $date->field, 'block_massaction'),
+                    'before' => userdate($date->value),
+                    'after' => userdate(self::shift_date($date->value, $offset, $days)),
+                ], $dates),
+            ];
+        }
+        return $changes;
+    }
+
+    /**
+     * Shifts all the dates of the given modules.
+     *
+     * @param array $modules the module records
+     * @param int $offset the offset in seconds, may be negative
+     * @param int $days the number of calendar days to shift the dates by in addition to the offset, may be negative
+     * @param action_result|null $result the result to record the outcome of each module in
+     * @throws coding_exception
+     * @throws dml_exception
+     * @throws moodle_exception if the dates of a module cannot be shifted and no result is being collected
+     */
+    public static function shift(array $modules, int $offset, int $days = 0, ?action_result $result = null): void {
+        global $CFG;
+        require_once($CFG->dirroot . '/course/lib.php');
+        if (empty($modules) || ($offset === 0 && $days === 0)) {
+            return;
+        }
+
+        foreach ($modules as $module) {
+            try {
+                if (self::shift_module($module->id, $offset, $days)) {
+                    $result?->add_success($module->id);
+                } else {
+                    $result?->add_skipped($module->id, get_string('result_skipped_nodates', 'block_massaction'));
+                }
+            } catch (moodle_exception $e) {
+                action_result::fail_or_throw($result, $module->id, $e);
+            }
+        }
+        rebuild_course_cache(reset($modules)->course);
+    }
+
+    /**
+     * Shifts all the dates of a single module and lets the module update everything depending on them.
+     *
+     * The dates are being written directly, because the update functions of the modules expect the data of their settings
+     * form. Everything the modules derive from the dates is being refreshed afterwards: the calendar events including the ones
+     * of the overrides, the cached overrides, the grade item and the event of the expected completion date.
+     *
+     * @param int $cmid the id of the course module
+     * @param int $offset the offset in seconds, may be negative
+     * @param int $days the number of calendar days, may be negative
+     * @return bool true if any date has been shifted, false if the module does not have any dates
+     * @throws coding_exception
+     * @throws dml_exception
+     */
+    private static function shift_module(int $cmid, int $offset, int $days): bool {
+        global $CFG, $DB;
+        $cm = get_coursemodule_from_id('', $cmid, 0, false, MUST_EXIST);
+        $cmupdate = new stdClass();
+        if (!empty($cm->completionexpected)) {
+            $cmupdate->completionexpected = self::shift_date($cm->completionexpected, $offset, $days);
+        }
+        if (!empty($cm->availability)) {
+            $availability = json_encode(self::shift_availability(json_decode($cm->availability), $offset, $days));
+            if ($availability !== json_encode(json_decode($cm->availability))) {
+                $cmupdate->availability = $availability;
+            }
+        }
+        if (!empty((array) $cmupdate)) {
+            $cmupdate->id = $cm->id;
+            $DB->update_record('course_modules', $cmupdate);
+        }
+
+        $instance = null;
+        $instanceupdate = new stdClass();
+        if (array_key_exists($cm->modname, self::DATE_FIELDS)) {
+            $instance = $DB->get_record($cm->modname, ['id' => $cm->instance], '*', MUST_EXIST);
+            foreach (self::DATE_FIELDS[$cm->modname] as $field) {
+                if (!empty($instance->$field)) {
+                    $instanceupdate->$field = self::shift_date($instance->$field, $offset, $days);
+                }
+            }
+            if (!empty((array) $instanceupdate)) {
+                $instanceupdate->id = $instance->id;
+                $instanceupdate->timemodified = time();
+                $DB->update_record($cm->modname, $instanceupdate);
+                $instance = (object) array_merge((array) $instance, (array) $instanceupdate);
+            }
+        }
+
+        $overridesshifted = self::shift_overrides($cm, $offset, $days);
+        if (empty((array) $cmupdate) && empty((array) $instanceupdate) && !$overridesshifted) {
+            return false;
+        }
+
+        if (isset($cmupdate->completionexpected)) {
+            completion_api::update_completion_date_event($cm->id, $cm->modname, $cm->instance, $cmupdate->completionexpected);
+        }
+        if ($instance !== null) {
+            require_once($CFG->dirroot . '/mod/' . $cm->modname . '/lib.php');
+            $gradeitemupdate = $cm->modname . '_grade_item_update';
+            if (plugin_supports('mod', $cm->modname, FEATURE_GRADE_HAS_GRADE) && function_exists($gradeitemupdate)) {
+                // The grade item functions expect the instance as it is being passed to the update function of the module.
+                $instance->cmidnumber = $cm->idnumber;
+                $gradeitemupdate($instance);
+            }
+        }
+        // Calendar events are being created from the instance and the overrides, so the module has to refresh them.
+        course_module_update_calendar_events($cm->modname, null, $cm);
+        course_module_updated::create_from_cm($cm)->trigger();
+        return true;
+    }
+
+    /**
+     * Shifts the dates of the user and group overrides of a module.
+     *
+     * @param stdClass $cm the course module record including the name of the module
+     * @param int $offset the offset in seconds, may be negative
+     * @param int $days the number of calendar days, may be negative
+     * @return bool true if any override has been changed
+     * @throws coding_exception
+     * @throws dml_exception
+     */
+    private static function shift_overrides(stdClass $cm, int $offset, int $days): bool {
+        global $DB;
+        if (!array_key_exists($cm->modname, self::OVERRIDE_FIELDS)) {
+            return false;
+        }
+        $definition = self::OVERRIDE_FIELDS[$cm->modname];
+        $cache = cache::make('mod_' . $cm->modname, 'overrides');
+        $changed = false;
+        foreach ($DB->get_records($definition['table'], [$definition['instancefield'] => $cm->instance]) as $override) {
+            $update = new stdClass();
+            foreach ($definition['fields'] as $field) {
+                if (!empty($override->$field)) {
+                    $update->$field = self::shift_date($override->$field, $offset, $days);
+                }
+            }
+            if (empty((array) $update)) {
+                continue;
+            }
+            $update->id = $override->id;
+            $DB->update_record($definition['table'], $update);
+            $cache->delete(empty($override->userid)
+                ? $cm->instance . '_g_' . $override->groupid
+                : $cm->instance . '_u_' . $override->userid);
+            $changed = true;
+        }
+        return $changed;
+    }
+
+    /**
+     * Collects all the dates of a course module.
+     *
+     * @param stdClass $cm the course module record
+     * @return array list of objects containing the name of the date field and its value
+     * @throws dml_exception
+     */
+    private static function get_dates(stdClass $cm): array {
+        global $DB;
+        $cm = get_coursemodule_from_id('', $cm->id, 0, false, MUST_EXIST);
+        $dates = [];
+        if (array_key_exists($cm->modname, self::DATE_FIELDS)) {
+            $instance = $DB->get_record($cm->modname, ['id' => $cm->instance], implode(',', self::DATE_FIELDS[$cm->modname]));
+            foreach (self::DATE_FIELDS[$cm->modname] as $field) {
+                if (!empty($instance->$field)) {
+                    $dates[] = (object) ['field' => $field, 'value' => $instance->$field];
+                }
+            }
+        }
+        if (!empty($cm->completionexpected)) {
+            $dates[] = (object) ['field' => 'completionexpected', 'value' => $cm->completionexpected];
+        }
+        if (!empty($cm->availability)) {
+            foreach (self::get_availability_dates(json_decode($cm->availability)) as $date) {
+                $dates[] = (object) ['field' => 'availability', 'value' => $date];
+            }
+        }
+        if (array_key_exists($cm->modname, self::OVERRIDE_FIELDS)) {
+            $definition = self::OVERRIDE_FIELDS[$cm->modname];
+            $overrides = $DB->get_records(
+                $definition['table'],
+                [$definition['instancefield'] => $cm->instance],
+                'id',
+                implode(',', array_merge(['id'], $definition['fields']))
+            );
+            foreach ($overrides as $override) {
+                foreach ($definition['fields'] as $field) {
+                    if (!empty($override->$field)) {
+                        $dates[] = (object) ['field' => 'override', 'value' => $override->$field];
+                    }
+                }
+            }
+        }
+        return $dates;
+    }
+
+    /**
+     * Returns the timestamps of all date conditions in an availability tree.
+     *
+     * @param stdClass $tree the decoded availability tree or condition
+     * @return array list of timestamps
+     */
+    private static function get_availability_dates(stdClass $tree): array {
+        if (isset($tree->type)) {
+            return $tree->type === 'date' ? [$tree->t] : [];
+        }
+        $dates = [];
+        foreach ($tree->c ?? [] as $child) {
+            $dates = array_merge($dates, self::get_availability_dates($child));
+        }
+        return $dates;
+    }
+
+    /**
+     * Shifts all date conditions in an availability tree.
+     *
+     * @param stdClass $tree the decoded availability tree or condition
+     * @param int $offset the offset in seconds
+     * @param int $days the number of calendar days
+     * @return stdClass the modified tree
+     */
+    private static function shift_availability(stdClass $tree, int $offset, int $days): stdClass {
+        if (isset($tree->type)) {
+            if ($tree->type === 'date') {
+                $tree->t = self::shift_date($tree->t, $offset, $days);
+            }
+            return $tree;
+        }
+        foreach ($tree->c ?? [] as $key => $child) {
+            $tree->c[$key] = self::shift_availability($child, $offset, $days);
+        }
+        return $tree;
+    }
+
+    /**
+     * Shifts a single date.
+     *
+     * The days are being added in the timezone of the current user, so the date keeps its local time of day.
+     *
+     * @param int $timestamp the date to shift
+     * @param int $offset the offset in seconds
+     * @param int $days the number of calendar days
+     * @return int the shifted date
+     */
+    private static function shift_date(int $timestamp, int $offset, int $days): int {
+        if ($days !== 0) {
+            $date = new DateTime('@' . $timestamp);
+            $date->setTimezone(core_date::get_user_timezone_object());
+            $date->modify(sprintf('%+d days', $days));
+            $timestamp = $date->getTimestamp();
+        }
+        return $timestamp + $offset;
+    }
+}
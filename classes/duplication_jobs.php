@@ -0,0 +1,407 @@
+<?php
+// This file is part of Moodle - http://moodle.org/
+//
+// Moodle is free software: you can redistribute it and/or modify
+// it under the terms of the GNU General Public License as published by
+// the Free Software Foundation, either version 3 of the License, or
+// (at your option) any later version.
+//
+// Moodle is distributed in the hope that it will be useful,
+// but WITHOUT ANY WARRANTY; without even the implied warranty of
+// MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+// GNU General Public License for more details.
+//
+// You should have received a copy of the GNU General Public License
+// along with Moodle.  If not, see <http://www.gnu.org/licenses/>.
+
+namespace block_massaction;
+
+use block_massaction\task\duplicate_task;
+use coding_exception;
+use core\lock\lock_config;
+use core\message\message;
+use core\task\manager;
+use core_user;
+use dml_exception;
+use moodle_url;
+use stdClass;
+
+/**
+ * duplication_jobs class: Keeps track of the duplications being executed as background tasks.
+ *
+ * Each queued {@see duplicate_task} has a job record, which is being updated while the task is running, so the requesting user
+ * can follow the progress and is being informed about the result. Jobs which have been requested together, e.g. for duplicating
+ * to several courses at once, form a batch, which is being displayed and reported as a whole.
+ *
+ * @package    block_massaction
+ * @copyright  2026 University of Regina
+ * @license    http://www.gnu.org/copyleft/gpl.html GNU GPL v3 or later
+ */
+class duplication_jobs {
+    /** @var string the table the jobs are being stored in */
+    public const TABLE = 'block_massaction_jobs';
+
+    /** @var string the task has been queued, but not started yet */
+    public const STATUS_PENDING = 'pending';
+
+    /** @var string the task is currently duplicating the modules */
+    public const STATUS_RUNNING = 'running';
+
+    /** @var string the task has processed all modules, some of them may have failed though */
+    public const STATUS_FINISHED = 'finished';
+
+    /** @var string the task has been aborted by an error */
+    public const STATUS_FAILED = 'failed';
+
+    /**
+     * Creates a job and queues the background task duplicating the given modules.
+     *
+     * @param array $modules the module records to duplicate
+     * @param array $options additional custom data of the task: 'sectionid' for duplicating to a section of the same course,
+     *  'courseid' and 'sectionnum' for duplicating to another course, 'move' for moving to another course, 'targetsectionids'
+     *  with the id of the section to duplicate each module to, indexed by course module id, for duplicating whole sections
+     * @return int the id of the job
+     * @throws dml_exception
+     */
+    public static function queue(array $modules, array $options = []): int {
+        return self::queue_batch($modules, [$options]);
+    }
+
+    /**
+     * Creates a job for each of the given courses and queues the background tasks duplicating the modules to them.
+     *
+     * The jobs are being reported together as one batch.
+     *
+     * @param array $modules the module records to duplicate
+     * @param array $targetsectionnums the section number to duplicate to, indexed by the id of the target course, -1 for
+     *  keeping the section numbers of the source course
+     * @return int the id of the batch
+     * @throws dml_exception
+     */
+    public static function queue_to_courses(array $modules, array $targetsectionnums): int {
+        $optionslist = [];
+        foreach ($targetsectionnums as $courseid => $sectionnum) {
+            $optionslist[] = ['courseid' => $courseid, 'sectionnum' => $sectionnum];
+        }
+        return self::queue_batch($modules, $optionslist);
+    }
+
+    /**
+     * Creates the jobs of a batch and queues their tasks.
+     *
+     * @param array $modules the module records to duplicate
+     * @param array $optionslist the additional custom data of each task, see {@see self::queue()}
+     * @return int the id of the batch, which is the id of its first job
+     * @throws dml_exception
+     */
+    private static function queue_batch(array $modules, array $optionslist): int {
+        global $DB, $USER;
+        $now = time();
+        $batchid = 0;
+        foreach ($optionslist as $options) {
+            $jobid = $DB->insert_record(self::TABLE, (object) [
+                'batchid' => $batchid,
+                'userid' => $USER->id,
+                'courseid' => reset($modules)->course,
+                'targetcourseid' => $options['courseid'] ?? 0,
+                'move' => empty($options['move']) ? 0 : 1,
+                'status' => self::STATUS_PENDING,
+                'total' => count($modules),
+                'processed' => 0,
+                'timecreated' => $now,
+                'timemodified' => $now,
+            ]);
+            if ($batchid === 0) {
+                $batchid = $jobid;
+                $DB->set_field(self::TABLE, 'batchid', $batchid, ['id' => $jobid]);
+            }
+
+            $duplicatetask = new duplicate_task();
+            $duplicatetask->set_userid($USER->id);
+            $duplicatetask->set_custom_data(array_merge(['modules' => $modules, 'jobid' => $jobid], $options));
+            manager::queue_adhoc_task($duplicatetask);
+        }
+        return $batchid;
+    }
+
+    /**
+     * Marks the job as running and resets its progress.
+     *
+     * @param int $jobid the id of the job
+     * @throws dml_exception
+     */
+    public static function start(int $jobid): void {
+        global $DB;
+        // A retried task starts all over again, so the progress of the previous attempt must not be counted twice.
+        $DB->update_record(self::TABLE, (object) [
+            'id' => $jobid,
+            'status' => self::STATUS_RUNNING,
+            'processed' => 0,
+            'failures' => null,
+            'error' => null,
+            'timemodified' => time(),
+        ]);
+    }
+
+    /**
+     * Records that a module has been processed.
+     *
+     * @param int $jobid the id of the job
+     * @param int $cmid the id of the processed course module
+     * @param string|null $error the reason why the module could not be duplicated, null if it has been duplicated
+     * @throws dml_exception
+     */
+    public static function module_processed(int $jobid, int $cmid, ?string $error = null): void {
+        global $DB;
+        $job = $DB->get_record(self::TABLE, ['id' => $jobid], '*', MUST_EXIST);
+        $update = (object) ['id' => $jobid, 'processed' => $job->processed + 1, 'timemodified' => time()];
+        if ($error !== null) {
+            $cm = get_fast_modinfo($job->courseid)->get_cms()[$cmid] ?? null;
+            $failures = json_decode($job->failures ?? '[]', true);
+            $failures[] = ['cmid' => $cmid, 'modulename' => $cm ? $cm->name : (string) $cmid, 'error' => $error];
+            $update->failures = json_encode($failures);
+        }
+        $DB->update_record(self::TABLE, $update);
+    }
+
+    /**
+     * Marks the job as finished and informs the requesting user about the result once all jobs of its batch have finished.
+     *
+     * @param int $jobid the id of the job
+     * @param string|null $error the error which aborted the job, null if all modules have been processed
+     * @throws coding_exception
+     * @throws dml_exception
+     */
+    public static function finish(int $jobid, ?string $error = null): void {
+        global $DB;
+        $job = $DB->get_record(self::TABLE, ['id' => $jobid], '*', MUST_EXIST);
+        // The tasks of a batch may finish at the same time, only the last one must send the notification.
+        $lock = lock_config::get_lock_factory('block_massaction')->get_lock('duplicationbatch' . $job->batchid, 60);
+        try {
+            $DB->update_record(self::TABLE, (object) [
+                'id' => $jobid,
+                'status' => $error === null ? self::STATUS_FINISHED : self::STATUS_FAILED,
+                'error' => $error,
+                'timemodified' => time(),
+            ]);
+            $batch = $DB->get_records(self::TABLE, ['batchid' => $job->batchid], 'id ASC');
+            if (!array_filter($batch, fn($batchjob) => self::is_active($batchjob))) {
+                self::send_notification($batch);
+            }
+        } finally {
+            if ($lock) {
+                $lock->release();
+            }
+        }
+    }
+
+    /**
+     * Returns the batches of jobs the current user has requested in a course, the most recent one first.
+     *
+     * @param int $courseid the id of the course the duplicated modules belong to
+     * @return array list of batches prepared for the template and the web service
+     * @throws coding_exception
+     * @throws dml_exception
+     */
+    public static function get_jobs(int $courseid): array {
+        global $DB, $USER;
+        $records = $DB->get_records(self::TABLE, ['userid' => $USER->id, 'courseid' => $courseid], 'batchid DESC, id ASC');
+        $batches = [];
+        foreach ($records as $record) {
+            $batches[$record->batchid][] = $record;
+        }
+        return array_values(array_map(fn($batch) => self::export_batch($batch), $batches));
+    }
+
+    /**
+     * Removes a finished batch of jobs of the current user from the list.
+     *
+     * Batches containing jobs which have not finished yet are being kept.
+     *
+     * @param int $courseid the id of the course the duplicated modules belong to
+     * @param int $batchid the id of the batch
+     * @throws dml_exception
+     */
+    public static function dismiss(int $courseid, int $batchid): void {
+        global $DB, $USER;
+        $params = ['batchid' => $batchid, 'userid' => $USER->id, 'courseid' => $courseid];
+        $batch = $DB->get_records(self::TABLE, $params);
+        if (!array_filter($batch, fn($job) => self::is_active($job))) {
+            $DB->delete_records(self::TABLE, $params);
+        }
+    }
+
+    /**
+     * Checks whether a job has not finished yet.
+     *
+     * @param stdClass $job the job record
+     * @return bool true if the job is waiting or running
+     */
+    private static function is_active(stdClass $job): bool {
+        return in_array($job->status, [self::STATUS_PENDING, self::STATUS_RUNNING]);
+    }
+
+    /**
+     * Prepares a batch of jobs for displaying it.
+     *
+     * @param stdClass[] $batch the job records of the batch
+     * @return array the batch data
+     * @throws coding_exception
+     * @throws dml_exception
+     */
+    private static function export_batch(array $batch): array {
+        // The status of the batch is the status of its least advanced job.
+        $statuses = array_column($batch, 'status');
+        $status = self::STATUS_FINISHED;
+        foreach ([self::STATUS_RUNNING, self::STATUS_PENDING, self::STATUS_FAILED] as $candidate) {
+            if (in_array($candidate, $statuses)) {
+                $status = $candidate;
+                break;
+            }
+        }
+        $multiple = count($batch) > 1;
+
+        $targets = [];
+        $failures = [];
+        $total = 0;
+        $processed = 0;
+        foreach ($batch as $job) {
+            $coursename = $multiple ? self::get_course_name($job->targetcourseid) : '';
+            $jobfailures = json_decode($job->failures ?? '[]', true);
+            foreach ($jobfailures as $failure) {
+                $failures[] = [
+                    'coursename' => $coursename,
+                    'modulename' => format_string($failure['modulename']),
+                    'error' => $failure['error'],
+                ];
+            }
+            $targets[] = [
+                'coursename' => $coursename,
+                'statustext' => get_string('job_status_' . $job->status, 'block_massaction'),
+                'processed' => (int) $job->processed,
+                'total' => (int) $job->total,
+                'error' => $job->error ?? '',
+            ];
+            $total += $job->total;
+            $processed += $job->processed;
+        }
+
+        $active = in_array($status, [self::STATUS_PENDING, self::STATUS_RUNNING]);
+        if ($active) {
+            $alertclass = 'info';
+        } else if ($status === self::STATUS_FAILED) {
+            $alertclass = 'danger';
+        } else {
+            // Modules which have not been processed at all are as much a problem as the failed ones.
+            $alertclass = empty($failures) && $processed >= $total ? 'success' : 'warning';
+        }
+        $first = reset($batch);
+        return [
+            'id' => (int) $first->batchid,
+            'move' => !empty($first->move),
+            'status' => $status,
+            'statustext' => get_string('job_status_' . $status, 'block_massaction'),
+            'active' => $active,
+            'alertclass' => $alertclass,
+            'total' => $total,
+            'processed' => $processed,
+            'percentage' => $total > 0 ? (int) round(100 * $processed / $total) : 100,
+            'hastargets' => $multiple,
+            'targets' => $multiple ? $targets : [],
+            'hasfailures' => !empty($failures),
+            'failures' => $failures,
+            'error' => $multiple ? '' : ($first->error ?? ''),
+            'timecreated' => userdate($first->timecreated, get_string('strftimedatetimeshort', 'core_langconfig')),
+        ];
+    }
+
+    /**
+     * Returns the formatted name of a course, which may have been deleted in the meantime.
+     *
+     * @param int $courseid the id of the course
+     * @return string the name of the course or its id if it does not exist anymore
+     * @throws dml_exception
+     */
+    private static function get_course_name(int $courseid): string {
+        global $DB;
+        $fullname = $DB->get_field('course', 'fullname', ['id' => $courseid]);
+        return $fullname === false ? (string) $courseid : format_string($fullname);
+    }
+
+    /**
+     * Sends the result of a batch of jobs to the user who requested it.
+     *
+     * @param stdClass[] $batch the job records of the batch
+     * @throws coding_exception
+     * @throws dml_exception
+     */
+    private static function send_notification(array $batch): void {
+        $first = reset($batch);
+        $coursename = self::get_course_name($first->courseid);
+        // Only single jobs move modules, batches always duplicate them to several courses.
+        $move = !empty($first->move);
+        if (count($batch) === 1) {
+            $failures = json_decode($first->failures ?? '[]', true);
+            $a = (object) [
+                'coursename' => $coursename,
+                'duplicated' => $first->processed - count($failures),
+                'moved' => $first->processed - count($failures),
+                'total' => $first->total,
+            ];
+            $prefix = $move ? 'job_notification_move_' : 'job_notification_';
+            if ($first->status === self::STATUS_FAILED) {
+                $subject = get_string($prefix . 'failed_subject', 'block_massaction', $a);
+                $text = get_string($prefix . 'failed', 'block_massaction', $a) . "\n" . $first->error;
+            } else if ($first->processed < $first->total) {
+                $subject = get_string($prefix . 'incomplete_subject', 'block_massaction', $a);
+                $text = get_string($prefix . 'incomplete', 'block_massaction', $a);
+            } else {
+                $subject = get_string($prefix . 'finished_subject', 'block_massaction', $a);
+                $text = get_string($prefix . 'finished', 'block_massaction', $a);
+            }
+            $faileditems = array_map(fn($failure) => format_string($failure['modulename']) . ': ' . $failure['error'], $failures);
+        } else {
+            $a = (object) ['coursename' => $coursename, 'count' => count($batch)];
+            $subject = get_string('job_notification_batch_subject', 'block_massaction', $a);
+            $text = get_string('job_notification_batch', 'block_massaction', $a);
+            $faileditems = [];
+            foreach ($batch as $job) {
+                $targetname = self::get_course_name($job->targetcourseid);
+                $failures = json_decode($job->failures ?? '[]', true);
+                $text .= "\n" . get_string('job_notification_target', 'block_massaction', (object) [
+                    'coursename' => $targetname,
+                    'duplicated' => $job->processed - count($failures),
+                    'total' => $job->total,
+                ]);
+                if ($job->status === self::STATUS_FAILED) {
+                    $text .= ' ' . $job->error;
+                } else if ($job->processed < $job->total) {
+                    $text .= ' ' . get_string('job_incomplete', 'block_massaction');
+                }
+                foreach ($failures as $failure) {
+                    $faileditems[] = $targetname . ' - ' . format_string($failure['modulename']) . ': ' . $failure['error'];
+                }
+            }
+        }
+        if (!empty($faileditems)) {
+            $text .= "\n" . get_string($move ? 'job_failures_move' : 'job_failures', 'block_massaction') . "\n"
+                . implode("\n", $faileditems);
+        }
+
+        $message = new message();
+        $message->component = 'block_massaction';
+        $message->name = 'duplicationfinished';
+        $message->userfrom = core_user::get_noreply_user();
+        $message->userto = $first->userid;
+        $message->subject = $subject;
+        $message->fullmessage = $text;
+        $message->fullmessageformat = FORMAT_PLAIN;
+        $message->fullmessagehtml = text_to_html(s($text));
+        $message->smallmessage = $subject;
+        $message->notification = 1;
+        $message->contexturl = (new moodle_url('/course/view.php', ['id' => $first->courseid]))->out(false);
+        $message->contexturlname = $coursename;
+        $message->courseid = $first->courseid;
+        message_send($message);
+    }
+}
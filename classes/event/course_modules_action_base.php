@@ -0,0 +1,86 @@
+<?php
+// This file is part of Moodle - http://moodle.org/
+//
+// Moodle is free software: you can redistribute it and/or modify
+// it under the terms of the GNU General Public License as published by
+// the Free Software Foundation, either version 3 of the License, or
+// (at your option) any later version.
+//
+// Moodle is distributed in the hope that it will be useful,
+// but WITHOUT ANY WARRANTY; without even the implied warranty of
+// MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+// GNU General Public License for more details.
+//
+// You should have received a copy of the GNU General Public License
+// along with Moodle.  If not, see <http://www.gnu.org/licenses/>.
+
+namespace block_massaction\event;
+
+use core\event\base;
+
+/**
+ * Base class of the events triggered when a mass action has been applied to course modules.
+ *
+ * The affected course modules are being stored in the 'modules' value of other as list of their id, module type and name at the
+ * time of the action, so the history report can list them even after they have been deleted.
+ *
+ * @package    block_massaction
+ * @category   event
+ * @copyright  2026 University of Regina
+ * @license    http://www.gnu.org/copyleft/gpl.html GNU GPL v3 or later
+ */
+abstract class course_modules_action_base extends base {
+    /**
+     * Initialise required event data properties.
+     */
+    protected function init() {
+        $this->data['crud'] = 'u';
+        $this->data['edulevel'] = self::LEVEL_TEACHING;
+    }
+
+    /**
+     * Return localised event description.
+     *
+     * @return string
+     */
+    public function get_description(): string {
+        return get_string('event:massaction_description', 'block_massaction', [
+            'userid' => $this->userid,
+            'action' => static::get_name(),
+            'cmids' => implode(', ', $this->get_cmids()),
+            'courseid' => $this->courseid,
+        ]);
+    }
+
+    /**
+     * Returns the ids of the affected course modules.
+     *
+     * @return int[] the course module ids
+     */
+    public function get_cmids(): array {
+        return array_map(fn($module) => (int) $module['id'], $this->other['modules']);
+    }
+
+    /**
+     * Validates the custom data.
+     */
+    protected function validate_data() {
+        parent::validate_data();
+
+        if (!isset($this->other['modules']) || !is_array($this->other['modules'])) {
+            throw new \coding_exception('The \'modules\' value must be array and set in other.');
+        }
+        if ($this->contextlevel != CONTEXT_COURSE) {
+            throw new \coding_exception('Context level must be CONTEXT_COURSE.');
+        }
+    }
+
+    /**
+     * The affected course modules cannot be mapped when restoring the logs of a course.
+     *
+     * @return bool
+     */
+    public static function get_other_mapping() {
+        return false;
+    }
+}
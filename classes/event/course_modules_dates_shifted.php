@@ -0,0 +1,52 @@
+<?php
+// This file is part of Moodle - http://moodle.org/
+//
+// Moodle is free software: you can redistribute it and/or modify
+// it under the terms of the GNU General Public License as published by
+// the Free Software Foundation, either version 3 of the License, or
+// (at your option) any later version.
+//
+// Moodle is distributed in the hope that it will be useful,
+// but WITHOUT ANY WARRANTY; without even the implied warranty of
+// MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+// GNU General Public License for more details.
+//
+// You should have received a copy of the GNU General Public License
+// along with Moodle.  If not, see <http://www.gnu.org/licenses/>.
+
+namespace block_massaction\event;
+
+/**
+ * The course_modules_dates_shifted event class.
+ *
+ * Triggered when the dates of course modules have been shifted.
+ *
+ * The 'offset' value of other holds the number of seconds the dates have been shifted by, the optional 'days' value the number
+ * of calendar days they have been shifted by in addition.
+ *
+ * @package    block_massaction
+ * @category   event
+ * @copyright  2026 University of Regina
+ * @license    http://www.gnu.org/copyleft/gpl.html GNU GPL v3 or later
+ */
+class course_modules_dates_shifted extends course_modules_action_base {
+    /**
+     * Return localised event name.
+     *
+     * @return string
+     */
+    public static function get_name(): string {
+        return get_string('event:course_modules_dates_shifted', 'block_massaction');
+    }
+
+    /**
+     * Validates the custom data.
+     */
+    protected function validate_data() {
+        parent::validate_data();
+
+        if (!isset($this->other['offset'])) {
+            throw new \coding_exception('The \'offset\' value must be set in other.');
+        }
+    }
+}
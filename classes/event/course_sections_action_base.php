@@ -0,0 +1,55 @@
+<?php
+// This file is part of Moodle - http://moodle.org/
+//
+// Moodle is free software: you can redistribute it and/or modify
+// it under the terms of the GNU General Public License as published by
+// the Free Software Foundation, either version 3 of the License, or
+// (at your option) any later version.
+//
+// Moodle is distributed in the hope that it will be useful,
+// but WITHOUT ANY WARRANTY; without even the implied warranty of
+// MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+// GNU General Public License for more details.
+//
+// You should have received a copy of the GNU General Public License
+// along with Moodle.  If not, see <http://www.gnu.org/licenses/>.
+
+namespace block_massaction\event;
+
+/**
+ * Base class of the events triggered when a mass action has been applied to course sections.
+ *
+ * Besides the course modules contained in the sections, the affected sections are being stored in the 'sections' value of other
+ * as list of their id, number and name at the time of the action.
+ *
+ * @package    block_massaction
+ * @category   event
+ * @copyright  2026 University of Regina
+ * @license    http://www.gnu.org/copyleft/gpl.html GNU GPL v3 or later
+ */
+abstract class course_sections_action_base extends course_modules_action_base {
+    /**
+     * Return localised event description.
+     *
+     * @return string
+     */
+    public function get_description(): string {
+        return get_string('event:massaction_sections_description', 'block_massaction', [
+            'userid' => $this->userid,
+            'action' => static::get_name(),
+            'sectionids' => implode(', ', array_map(fn($section) => (int) $section['id'], $this->other['sections'])),
+            'courseid' => $this->courseid,
+        ]);
+    }
+
+    /**
+     * Validates the custom data.
+     */
+    protected function validate_data() {
+        parent::validate_data();
+
+        if (!isset($this->other['sections']) || !is_array($this->other['sections'])) {
+            throw new \coding_exception('The \'sections\' value must be array and set in other.');
+        }
+    }
+}
@@ -0,0 +1,76 @@
+<?php
+// This file is part of Moodle - http://moodle.org/
+//
+// Moodle is free software: you can redistribute it and/or modify
+// it under the terms of the GNU General Public License as published by
+// the Free Software Foundation, either version 3 of the License, or
+// (at your option) any later version.
+//
+// Moodle is distributed in the hope that it will be useful,
+// but WITHOUT ANY WARRANTY; without even the implied warranty of
+// MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+// GNU General Public License for more details.
+//
+// You should have received a copy of the GNU General Public License
+// along with Moodle.  If not, see <http://www.gnu.org/licenses/>.
+
+namespace block_massaction\external;
+
+use block_massaction\saved_selections;
+use context_block;
+use core_external\external_api;
+use core_external\external_function_parameters;
+use core_external\external_multiple_structure;
+use core_external\external_value;
+
+/**
+ * External function for deleting a saved selection of course modules.
+ *
+ * @package    block_massaction
+ * @copyright  2026 University of Regina
+ * @license    http://www.gnu.org/copyleft/gpl.html GNU GPL v3 or later
+ */
+class delete_selection extends external_api {
+    /**
+     * Describes the parameters.
+     *
+     * @return external_function_parameters
+     */
+    public static function execute_parameters(): external_function_parameters {
+        return new external_function_parameters([
+            'instanceid' => new external_value(PARAM_INT, 'The id of the block instance'),
+            'selectionid' => new external_value(PARAM_INT, 'The id of the saved selection'),
+        ]);
+    }
+
+    /**
+     * Deletes the saved selection.
+     *
+     * @param int $instanceid the id of the block instance
+     * @param int $selectionid the id of the saved selection
+     * @return array the remaining saved selections of the user in the course
+     */
+    public static function execute(int $instanceid, int $selectionid): array {
+        ['instanceid' => $instanceid, 'selectionid' => $selectionid] = self::validate_parameters(
+            self::execute_parameters(),
+            ['instanceid' => $instanceid, 'selectionid' => $selectionid]
+        );
+
+        $blockcontext = context_block::instance($instanceid);
+        self::validate_context($blockcontext);
+        require_capability('block/massaction:use', $blockcontext);
+
+        $courseid = $blockcontext->get_course_context()->instanceid;
+        saved_selections::delete($courseid, $selectionid);
+        return saved_selections::get_selections($courseid);
+    }
+
+    /**
+     * Describes the return structure.
+     *
+     * @return external_multiple_structure
+     */
+    public static function execute_returns(): external_multiple_structure {
+        return save_selection::selections_structure();
+    }
+}
@@ -0,0 +1,76 @@
+<?php
+// This file is part of Moodle - http://moodle.org/
+//
+// Moodle is free software: you can redistribute it and/or modify
+// it under the terms of the GNU General Public License as published by
+// the Free Software Foundation, either version 3 of the License, or
+// (at your option) any later version.
+//
+// Moodle is distributed in the hope that it will be useful,
+// but WITHOUT ANY WARRANTY; without even the implied warranty of
+// MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+// GNU General Public License for more details.
+//
+// You should have received a copy of the GNU General Public License
+// along with Moodle.  If not, see <http://www.gnu.org/licenses/>.
+
+namespace block_massaction\external;
+
+use block_massaction\duplication_jobs;
+use context_block;
+use core_external\external_api;
+use core_external\external_function_parameters;
+use core_external\external_multiple_structure;
+use core_external\external_value;
+
+/**
+ * External function for removing a finished duplication job from the list.
+ *
+ * @package    block_massaction
+ * @copyright  2026 University of Regina
+ * @license    http://www.gnu.org/copyleft/gpl.html GNU GPL v3 or later
+ */
+class dismiss_duplication_job extends external_api {
+    /**
+     * Describes the parameters.
+     *
+     * @return external_function_parameters
+     */
+    public static function execute_parameters(): external_function_parameters {
+        return new external_function_parameters([
+            'instanceid' => new external_value(PARAM_INT, 'The id of the block instance'),
+            'batchid' => new external_value(PARAM_INT, 'The id of the finished batch of jobs'),
+        ]);
+    }
+
+    /**
+     * Removes the jobs of a batch, batches which have not finished yet are being kept.
+     *
+     * @param int $instanceid the id of the block instance
+     * @param int $batchid the id of the batch
+     * @return array the remaining batches of jobs
+     */
+    public static function execute(int $instanceid, int $batchid): array {
+        ['instanceid' => $instanceid, 'batchid' => $batchid] = self::validate_parameters(
+            self::execute_parameters(),
+            ['instanceid' => $instanceid, 'batchid' => $batchid]
+        );
+
+        $blockcontext = context_block::instance($instanceid);
+        self::validate_context($blockcontext);
+        require_capability('block/massaction:use', $blockcontext);
+
+        $courseid = $blockcontext->get_course_context()->instanceid;
+        duplication_jobs::dismiss($courseid, $batchid);
+        return duplication_jobs::get_jobs($courseid);
+    }
+
+    /**
+     * Describes the return structure.
+     *
+     * @return external_multiple_structure
+     */
+    public static function execute_returns(): external_multiple_structure {
+        return get_duplication_jobs::jobs_structure();
+    }
+}
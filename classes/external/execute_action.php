@@ -0,0 +1,129 @@
+<?php
+// This file is part of Moodle - http://moodle.org/
+//
+// Moodle is free software: you can redistribute it and/or modify
+// it under the terms of the GNU General Public License as published by
+// the Free Software Foundation, either version 3 of the License, or
+// (at your option) any later version.
+//
+// Moodle is distributed in the hope that it will be useful,
+// but WITHOUT ANY WARRANTY; without even the implied warranty of
+// MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+// GNU General Public License for more details.
+//
+// You should have received a copy of the GNU General Public License
+// along with Moodle.  If not, see <http://www.gnu.org/licenses/>.
+
+namespace block_massaction\external;
+
+use block_massaction\action_result;
+use block_massaction\actions;
+use block_massaction\massactionutils;
+use block_massaction\undo;
+use context_block;
+use core_external\external_api;
+use core_external\external_function_parameters;
+use core_external\external_multiple_structure;
+use core_external\external_single_structure;
+use core_external\external_value;
+
+/**
+ * External function for executing a mass action without reloading the course page.
+ *
+ * @package    block_massaction
+ * @copyright  2026 University of Regina
+ * @license    http://www.gnu.org/copyleft/gpl.html GNU GPL v3 or later
+ */
+class execute_action extends external_api {
+    /**
+     * Describes the parameters.
+     *
+     * @return external_function_parameters
+     */
+    public static function execute_parameters(): external_function_parameters {
+        return new external_function_parameters([
+            'instanceid' => new external_value(PARAM_INT, 'The id of the block instance the action has been triggered from'),
+            'request' => new external_value(PARAM_RAW, 'JSON encoded request containing the action and the module ids'),
+        ]);
+    }
+
+    /**
+     * Executes the requested action on the selected course modules.
+     *
+     * @param int $instanceid the id of the block instance
+     * @param string $request the JSON encoded request, same format as submitted to action.php
+     * @return array the result of the operation
+     */
+    public static function execute(int $instanceid, string $request): array {
+        [
+            'instanceid' => $instanceid,
+            'request' => $request,
+        ] = self::validate_parameters(self::execute_parameters(), [
+            'instanceid' => $instanceid,
+            'request' => $request,
+        ]);
+
+        $blockcontext = context_block::instance($instanceid);
+        self::validate_context($blockcontext);
+        require_capability('block/massaction:use', $blockcontext);
+
+        $data = massactionutils::extract_modules_from_json($request);
+        $backgroundtask = actions::perform_action($data->action, $data->modulerecords, $blockcontext, $data);
+
+        $courseid = $blockcontext->get_course_context()->instanceid;
+        $snapshot = undo::get_snapshot($courseid);
+
+        $response = [
+            'backgroundtask' => $backgroundtask,
+            'message' => get_string($backgroundtask ? 'backgroundtaskinformation' : 'actionexecuted', 'block_massaction'),
+            'undoable' => $snapshot !== null,
+            'actiontext' => $snapshot !== null ? undo::get_action_name($snapshot['action']) : '',
+        ];
+        // The result is being shown right away, so it must not show up again after the next page reload.
+        $result = action_result::pop($courseid);
+        if ($result !== null) {
+            $response['result'] = $result;
+        }
+        return $response;
+    }
+
+    /**
+     * Describes the return structure.
+     *
+     * @return external_single_structure
+     */
+    public static function execute_returns(): external_single_structure {
+        return new external_single_structure([
+            'backgroundtask' => new external_value(PARAM_BOOL, 'True if the action has been queued as background task'),
+            'message' => new external_value(PARAM_TEXT, 'Message to display to the user'),
+            'undoable' => new external_value(PARAM_BOOL, 'True if the action can be reverted'),
+            'actiontext' => new external_value(PARAM_TEXT, 'Name of the action which can be reverted'),
+            'result' => self::result_structure(),
+        ]);
+    }
+
+    /**
+     * Describes the outcome of an action as exported by {@see action_result::export()}.
+     *
+     * @return external_single_structure
+     */
+    public static function result_structure(): external_single_structure {
+        return new external_single_structure([
+            'actiontext' => new external_value(PARAM_TEXT, 'Name of the executed action'),
+            'alertclass' => new external_value(PARAM_ALPHA, 'Bootstrap alert class matching the outcome'),
+            'success' => new external_value(PARAM_INT, 'Number of modules the action has been applied to'),
+            'skipped' => new external_value(PARAM_INT, 'Number of modules which have been left unchanged'),
+            'failed' => new external_value(PARAM_INT, 'Number of modules the action has failed for'),
+            'hasproblems' => new external_value(PARAM_BOOL, 'True if any module has been skipped or has failed'),
+            'modules' => new external_multiple_structure(
+                new external_single_structure([
+                    'cmid' => new external_value(PARAM_INT, 'Id of the course module'),
+                    'name' => new external_value(PARAM_RAW, 'Formatted name of the course module'),
+                    'status' => new external_value(PARAM_ALPHA, 'Outcome: success, skipped or failed'),
+                    'statustext' => new external_value(PARAM_TEXT, 'Localised outcome'),
+                    'message' => new external_value(PARAM_TEXT, 'Reason for skipping or error message, empty on success'),
+                ])
+            ),
+        ], 'Outcome of the action for each course module', VALUE_OPTIONAL);
+    }
+}
@@ -0,0 +1,104 @@
+<?php
+// This file is part of Moodle - http://moodle.org/
+//
+// Moodle is free software: you can redistribute it and/or modify
+// it under the terms of the GNU General Public License as published by
+// the Free Software Foundation, either version 3 of the License, or
+// (at your option) any later version.
+//
+// Moodle is distributed in the hope that it will be useful,
+// but WITHOUT ANY WARRANTY; without even the implied warranty of
+// MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+// GNU General Public License for more details.
+//
+// You should have received a copy of the GNU General Public License
+// along with Moodle.  If not, see <http://www.gnu.org/licenses/>.
+
+namespace block_massaction\external;
+
+use block_massaction\action_result;
+use block_massaction\section_actions;
+use context_block;
+use core_external\external_api;
+use core_external\external_function_parameters;
+use core_external\external_multiple_structure;
+use core_external\external_single_structure;
+use core_external\external_value;
+
+/**
+ * External function for executing a mass action on whole sections without reloading the course page.
+ *
+ * @package    block_massaction
+ * @copyright  2026 University of Regina
+ * @license    http://www.gnu.org/copyleft/gpl.html GNU GPL v3 or later
+ */
+class execute_section_action extends external_api {
+    /**
+     * Describes the parameters.
+     *
+     * @return external_function_parameters
+     */
+    public static function execute_parameters(): external_function_parameters {
+        return new external_function_parameters([
+            'instanceid' => new external_value(PARAM_INT, 'The id of the block instance the action has been triggered from'),
+            'action' => new external_value(PARAM_ALPHA, 'The name of the action'),
+            'sectionids' => new external_multiple_structure(
+                new external_value(PARAM_INT, 'The id of a selected section')
+            ),
+            'target' => new external_value(PARAM_INT, 'The number of the section to move the sections after', VALUE_DEFAULT, 0),
+        ]);
+    }
+
+    /**
+     * Executes the requested action on the selected sections.
+     *
+     * @param int $instanceid the id of the block instance
+     * @param string $action the name of the action
+     * @param int[] $sectionids the ids of the selected sections
+     * @param int $target the number of the section to move the sections after, only used by the 'movesections' action
+     * @return array the result of the operation
+     */
+    public static function execute(int $instanceid, string $action, array $sectionids, int $target = 0): array {
+        [
+            'instanceid' => $instanceid,
+            'action' => $action,
+            'sectionids' => $sectionids,
+            'target' => $target,
+        ] = self::validate_parameters(self::execute_parameters(), [
+            'instanceid' => $instanceid,
+            'action' => $action,
+            'sectionids' => $sectionids,
+            'target' => $target,
+        ]);
+
+        $blockcontext = context_block::instance($instanceid);
+        self::validate_context($blockcontext);
+        require_capability('block/massaction:use', $blockcontext);
+
+        $backgroundtask = section_actions::perform_action($action, $sectionids, $blockcontext, (object) ['target' => $target]);
+
+        $response = [
+            'message' => get_string($backgroundtask ? 'backgroundtaskinformation' : 'actionexecuted', 'block_massaction'),
+        ];
+        // The other actions reload the course page, which shows the result kept in the session.
+        if (in_array($action, section_actions::STATE_ACTIONS)) {
+            $result = action_result::pop($blockcontext->get_course_context()->instanceid);
+            if ($result !== null) {
+                $response['result'] = $result;
+            }
+        }
+        return $response;
+    }
+
+    /**
+     * Describes the return structure.
+     *
+     * @return external_single_structure
+     */
+    public static function execute_returns(): external_single_structure {
+        return new external_single_structure([
+            'message' => new external_value(PARAM_TEXT, 'Message to display to the user'),
+            'result' => execute_action::result_structure(),
+        ]);
+    }
+}
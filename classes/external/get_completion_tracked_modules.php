@@ -0,0 +1,71 @@
+<?php
+// This file is part of Moodle - http://moodle.org/
+//
+// Moodle is free software: you can redistribute it and/or modify
+// it under the terms of the GNU General Public License as published by
+// the Free Software Foundation, either version 3 of the License, or
+// (at your option) any later version.
+//
+// Moodle is distributed in the hope that it will be useful,
+// but WITHOUT ANY WARRANTY; without even the implied warranty of
+// MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+// GNU General Public License for more details.
+//
+// You should have received a copy of the GNU General Public License
+// along with Moodle.  If not, see <http://www.gnu.org/licenses/>.
+
+namespace block_massaction\external;
+
+use context_block;
+use core_external\external_api;
+use core_external\external_function_parameters;
+use core_external\external_multiple_structure;
+use core_external\external_value;
+
+/**
+ * External function returning the course modules with completion tracking, which are not part of the course editor state.
+ *
+ * @package    block_massaction
+ * @copyright  2026 University of Regina
+ * @license    http://www.gnu.org/copyleft/gpl.html GNU GPL v3 or later
+ */
+class get_completion_tracked_modules extends external_api {
+    /**
+     * Describes the parameters.
+     *
+     * @return external_function_parameters
+     */
+    public static function execute_parameters(): external_function_parameters {
+        return new external_function_parameters([
+            'instanceid' => new external_value(PARAM_INT, 'The id of the block instance'),
+        ]);
+    }
+
+    /**
+     * Returns the ids of the course modules with completion tracking enabled in the course of the block instance.
+     *
+     * @param int $instanceid the id of the block instance
+     * @return int[] the course module ids
+     */
+    public static function execute(int $instanceid): array {
+        ['instanceid' => $instanceid] = self::validate_parameters(self::execute_parameters(), ['instanceid' => $instanceid]);
+
+        $blockcontext = context_block::instance($instanceid);
+        self::validate_context($blockcontext);
+        require_capability('block/massaction:use', $blockcontext);
+
+        $cms = get_fast_modinfo($blockcontext->get_course_context()->instanceid)->get_cms();
+        return array_keys(array_filter($cms, fn($cm) => $cm->completion != COMPLETION_TRACKING_NONE));
+    }
+
+    /**
+     * Describes the return structure.
+     *
+     * @return external_multiple_structure
+     */
+    public static function execute_returns(): external_multiple_structure {
+        return new external_multiple_structure(
+            new external_value(PARAM_INT, 'The id of a course module with completion tracking enabled')
+        );
+    }
+}
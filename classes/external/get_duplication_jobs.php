@@ -0,0 +1,111 @@
+<?php
+// This file is part of Moodle - http://moodle.org/
+//
+// Moodle is free software: you can redistribute it and/or modify
+// it under the terms of the GNU General Public License as published by
+// the Free Software Foundation, either version 3 of the License, or
+// (at your option) any later version.
+//
+// Moodle is distributed in the hope that it will be useful,
+// but WITHOUT ANY WARRANTY; without even the implied warranty of
+// MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+// GNU General Public License for more details.
+//
+// You should have received a copy of the GNU General Public License
+// along with Moodle.  If not, see <http://www.gnu.org/licenses/>.
+
+namespace block_massaction\external;
+
+use block_massaction\duplication_jobs;
+use context_block;
+use core_external\external_api;
+use core_external\external_function_parameters;
+use core_external\external_multiple_structure;
+use core_external\external_single_structure;
+use core_external\external_value;
+
+/**
+ * External function for polling the status of the background duplications the current user has requested.
+ *
+ * @package    block_massaction
+ * @copyright  2026 University of Regina
+ * @license    http://www.gnu.org/copyleft/gpl.html GNU GPL v3 or later
+ */
+class get_duplication_jobs extends external_api {
+    /**
+     * Describes the parameters.
+     *
+     * @return external_function_parameters
+     */
+    public static function execute_parameters(): external_function_parameters {
+        return new external_function_parameters([
+            'instanceid' => new external_value(PARAM_INT, 'The id of the block instance'),
+        ]);
+    }
+
+    /**
+     * Returns the duplication jobs of the current user in the course of the block instance, grouped by batch.
+     *
+     * @param int $instanceid the id of the block instance
+     * @return array the jobs
+     */
+    public static function execute(int $instanceid): array {
+        ['instanceid' => $instanceid] = self::validate_parameters(self::execute_parameters(), ['instanceid' => $instanceid]);
+
+        $blockcontext = context_block::instance($instanceid);
+        self::validate_context($blockcontext);
+        require_capability('block/massaction:use', $blockcontext);
+
+        return duplication_jobs::get_jobs($blockcontext->get_course_context()->instanceid);
+    }
+
+    /**
+     * Describes the return structure.
+     *
+     * @return external_multiple_structure
+     */
+    public static function execute_returns(): external_multiple_structure {
+        return self::jobs_structure();
+    }
+
+    /**
+     * Describes a list of batches of duplication jobs, also used when dismissing a batch.
+     *
+     * @return external_multiple_structure
+     */
+    public static function jobs_structure(): external_multiple_structure {
+        return new external_multiple_structure(
+            new external_single_structure([
+                'id' => new external_value(PARAM_INT, 'The id of the batch of jobs'),
+                'move' => new external_value(PARAM_BOOL, 'True if the modules are being moved instead of duplicated'),
+                'status' => new external_value(PARAM_ALPHA, 'One of pending, running, finished or failed'),
+                'statustext' => new external_value(PARAM_TEXT, 'The localised status'),
+                'active' => new external_value(PARAM_BOOL, 'True if the job has not finished yet'),
+                'alertclass' => new external_value(PARAM_ALPHA, 'The bootstrap alert type representing the status'),
+                'total' => new external_value(PARAM_INT, 'Number of modules to duplicate'),
+                'processed' => new external_value(PARAM_INT, 'Number of modules which have been processed'),
+                'percentage' => new external_value(PARAM_INT, 'Progress in percent'),
+                'hastargets' => new external_value(PARAM_BOOL, 'True if the modules are being duplicated to several courses'),
+                'targets' => new external_multiple_structure(
+                    new external_single_structure([
+                        'coursename' => new external_value(PARAM_TEXT, 'The name of the target course'),
+                        'statustext' => new external_value(PARAM_TEXT, 'The localised status of the job'),
+                        'processed' => new external_value(PARAM_INT, 'Number of modules which have been processed'),
+                        'total' => new external_value(PARAM_INT, 'Number of modules to duplicate'),
+                        'error' => new external_value(PARAM_TEXT, 'The error which aborted the job, empty if there was none'),
+                    ])
+                ),
+                'hasfailures' => new external_value(PARAM_BOOL, 'True if some of the modules could not be duplicated'),
+                'failures' => new external_multiple_structure(
+                    new external_single_structure([
+                        'coursename' => new external_value(PARAM_TEXT, 'The name of the target course, empty for a single job'),
+                        'modulename' => new external_value(PARAM_TEXT, 'The name of the module which could not be duplicated'),
+                        'error' => new external_value(PARAM_TEXT, 'The reason'),
+                    ])
+                ),
+                'error' => new external_value(PARAM_TEXT, 'The error which aborted the job, empty if there was none'),
+                'timecreated' => new external_value(PARAM_TEXT, 'The formatted time the job has been requested'),
+            ])
+        );
+    }
+}
@@ -0,0 +1,103 @@
+<?php
+// This file is part of Moodle - http://moodle.org/
+//
+// Moodle is free software: you can redistribute it and/or modify
+// it under the terms of the GNU General Public License as published by
+// the Free Software Foundation, either version 3 of the License, or
+// (at your option) any later version.
+//
+// Moodle is distributed in the hope that it will be useful,
+// but WITHOUT ANY WARRANTY; without even the implied warranty of
+// MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+// GNU General Public License for more details.
+//
+// You should have received a copy of the GNU General Public License
+// along with Moodle.  If not, see <http://www.gnu.org/licenses/>.
+
+namespace block_massaction\external;
+
+use block_massaction\saved_selections;
+use context_block;
+use core_external\external_api;
+use core_external\external_function_parameters;
+use core_external\external_multiple_structure;
+use core_external\external_single_structure;
+use core_external\external_value;
+
+/**
+ * External function for saving the currently selected course modules under a name.
+ *
+ * @package    block_massaction
+ * @copyright  2026 University of Regina
+ * @license    http://www.gnu.org/copyleft/gpl.html GNU GPL v3 or later
+ */
+class save_selection extends external_api {
+    /**
+     * Describes the parameters.
+     *
+     * @return external_function_parameters
+     */
+    public static function execute_parameters(): external_function_parameters {
+        return new external_function_parameters([
+            'instanceid' => new external_value(PARAM_INT, 'The id of the block instance'),
+            'name' => new external_value(PARAM_TEXT, 'The name of the selection'),
+            'moduleids' => new external_multiple_structure(
+                new external_value(PARAM_INT, 'Id of a selected course module')
+            ),
+        ]);
+    }
+
+    /**
+     * Saves the selection, an existing selection with the same name is being replaced.
+     *
+     * @param int $instanceid the id of the block instance
+     * @param string $name the name of the selection
+     * @param int[] $moduleids the ids of the selected course modules
+     * @return array all saved selections of the user in the course
+     */
+    public static function execute(int $instanceid, string $name, array $moduleids): array {
+        [
+            'instanceid' => $instanceid,
+            'name' => $name,
+            'moduleids' => $moduleids,
+        ] = self::validate_parameters(self::execute_parameters(), [
+            'instanceid' => $instanceid,
+            'name' => $name,
+            'moduleids' => $moduleids,
+        ]);
+
+        $blockcontext = context_block::instance($instanceid);
+        self::validate_context($blockcontext);
+        require_capability('block/massaction:use', $blockcontext);
+
+        $courseid = $blockcontext->get_course_context()->instanceid;
+        saved_selections::save($courseid, $name, $moduleids);
+        return saved_selections::get_selections($courseid);
+    }
+
+    /**
+     * Describes the return structure.
+     *
+     * @return external_multiple_structure
+     */
+    public static function execute_returns(): external_multiple_structure {
+        return self::selections_structure();
+    }
+
+    /**
+     * Describes a list of saved selections, also used by the other functions changing the saved selections.
+     *
+     * @return external_multiple_structure
+     */
+    public static function selections_structure(): external_multiple_structure {
+        return new external_multiple_structure(
+            new external_single_structure([
+                'id' => new external_value(PARAM_INT, 'The id of the saved selection'),
+                'name' => new external_value(PARAM_TEXT, 'The name of the saved selection'),
+                'moduleids' => new external_multiple_structure(
+                    new external_value(PARAM_INT, 'Id of a selected course module')
+                ),
+            ])
+        );
+    }
+}
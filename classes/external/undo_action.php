@@ -0,0 +1,83 @@
+<?php
+// This file is part of Moodle - http://moodle.org/
+//
+// Moodle is free software: you can redistribute it and/or modify
+// it under the terms of the GNU General Public License as published by
+// the Free Software Foundation, either version 3 of the License, or
+// (at your option) any later version.
+//
+// Moodle is distributed in the hope that it will be useful,
+// but WITHOUT ANY WARRANTY; without even the implied warranty of
+// MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+// GNU General Public License for more details.
+//
+// You should have received a copy of the GNU General Public License
+// along with Moodle.  If not, see <http://www.gnu.org/licenses/>.
+
+namespace block_massaction\external;
+
+use block_massaction\undo;
+use context_block;
+use core_external\external_api;
+use core_external\external_function_parameters;
+use core_external\external_multiple_structure;
+use core_external\external_single_structure;
+use core_external\external_value;
+
+/**
+ * External function for reverting the last mass action.
+ *
+ * @package    block_massaction
+ * @copyright  2026 University of Regina
+ * @license    http://www.gnu.org/copyleft/gpl.html GNU GPL v3 or later
+ */
+class undo_action extends external_api {
+    /**
+     * Describes the parameters.
+     *
+     * @return external_function_parameters
+     */
+    public static function execute_parameters(): external_function_parameters {
+        return new external_function_parameters([
+            'instanceid' => new external_value(PARAM_INT, 'The id of the block instance the action has been triggered from'),
+        ]);
+    }
+
+    /**
+     * Restores the state of the course modules before the last mass action.
+     *
+     * @param int $instanceid the id of the block instance
+     * @return array the result of the operation
+     */
+    public static function execute(int $instanceid): array {
+        ['instanceid' => $instanceid] = self::validate_parameters(self::execute_parameters(), ['instanceid' => $instanceid]);
+
+        $blockcontext = context_block::instance($instanceid);
+        self::validate_context($blockcontext);
+        require_capability('block/massaction:use', $blockcontext);
+
+        $action = undo::get_snapshot($blockcontext->get_course_context()->instanceid)['action'] ?? '';
+        $moduleids = undo::revert($blockcontext);
+
+        return [
+            'action' => $action,
+            'moduleids' => $moduleids,
+            'message' => get_string('undone', 'block_massaction'),
+        ];
+    }
+
+    /**
+     * Describes the return structure.
+     *
+     * @return external_single_structure
+     */
+    public static function execute_returns(): external_single_structure {
+        return new external_single_structure([
+            'action' => new external_value(PARAM_ALPHA, 'The action which has been reverted'),
+            'moduleids' => new external_multiple_structure(
+                new external_value(PARAM_INT, 'Id of a course module which has been restored')
+            ),
+            'message' => new external_value(PARAM_TEXT, 'Message to display to the user'),
+        ]);
+    }
+}
@@ -0,0 +1,156 @@
+<?php
+// This file is part of Moodle - http://moodle.org/
+//
+// Moodle is free software: you can redistribute it and/or modify
+// it under the terms of the GNU General Public License as published by
+// the Free Software Foundation, either version 3 of the License, or
+// (at your option) any later version.
+//
+// Moodle is distributed in the hope that it will be useful,
+// but WITHOUT ANY WARRANTY; without even the implied warranty of
+// MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+// GNU General Public License for more details.
+//
+// You should have received a copy of the GNU General Public License
+// along with Moodle.  If not, see <http://www.gnu.org/licenses/>.
+
+/**
+ * A form to define the access restrictions to apply to multiple course modules.
+ *
+ * @package    block_massaction
+ * @copyright  2026 University of Regina
+ * @license    http://www.gnu.org/copyleft/gpl.html GNU GPL v3 or later
+ */
+
+namespace block_massaction\form;
+
+use block_massaction\actions;
+use moodleform;
+
+defined('MOODLE_INTERNAL') || die;
+
+require_once($CFG->libdir . '/formslib.php');
+require_once($CFG->libdir . '/completionlib.php');
+
+/**
+ * A form to define the access restrictions to apply to multiple course modules.
+ *
+ * @package    block_massaction
+ * @copyright  2026 University of Regina
+ * @license    http://www.gnu.org/copyleft/gpl.html GNU GPL v3 or later
+ */
+class availability_form extends moodleform {
+    /**
+     * Form definition.
+     */
+    public function definition() {
+        $mform = &$this->_form;
+
+        $mform->addElement('hidden', 'request', $this->_customdata['request']);
+        $mform->setType('request', PARAM_RAW);
+        $mform->addElement('hidden', 'instance_id', $this->_customdata['instance_id']);
+        $mform->setType('instance_id', PARAM_INT);
+        $mform->addElement('hidden', 'return_url', $this->_customdata['return_url']);
+        $mform->setType('return_url', PARAM_URL);
+
+        $courseid = $this->_customdata['courseid'];
+        $modinfo = get_fast_modinfo($courseid);
+        $context = \context_course::instance($courseid);
+
+        $mform->addElement('header', 'restrictaccessheader', get_string('action_restrictaccess', 'block_massaction'));
+
+        $modes = [
+            actions::AVAILABILITY_ADD => get_string('availability_mode_add', 'block_massaction'),
+            actions::AVAILABILITY_REPLACE => get_string('availability_mode_replace', 'block_massaction'),
+            actions::AVAILABILITY_CLEAR => get_string('availability_mode_clear', 'block_massaction'),
+        ];
+        $mform->addElement('select', 'availabilitymode', get_string('availability_mode', 'block_massaction'), $modes);
+        $mform->addHelpButton('availabilitymode', 'availability_mode', 'block_massaction');
+
+        $mform->addElement(
+            'date_time_selector',
+            'availablefrom',
+            get_string('availability_from', 'block_massaction'),
+            ['optional' => true]
+        );
+        $mform->addElement(
+            'date_time_selector',
+            'availableuntil',
+            get_string('availability_until', 'block_massaction'),
+            ['optional' => true]
+        );
+
+        $groups = [0 => get_string('none')];
+        foreach (groups_get_all_groups($courseid) as $group) {
+            $groups[$group->id] = format_string($group->name, true, ['context' => $context]);
+        }
+        $mform->addElement('select', 'groupid', get_string('availability_group', 'block_massaction'), $groups);
+
+        $groupings = [0 => get_string('none')];
+        foreach (groups_get_all_groupings($courseid) as $grouping) {
+            $groupings[$grouping->id] = format_string($grouping->name, true, ['context' => $context]);
+        }
+        $mform->addElement('select', 'groupingid', get_string('availability_grouping', 'block_massaction'), $groupings);
+
+        // Only activities with completion tracking can be used as completion condition.
+        $completioncms = [0 => get_string('none')];
+        foreach ($modinfo->get_cms() as $cm) {
+            if ($cm->completion != COMPLETION_TRACKING_NONE && !$cm->deletioninprogress) {
+                $completioncms[$cm->id] = $cm->get_formatted_name();
+            }
+        }
+        $mform->addElement(
+            'select',
+            'completioncmid',
+            get_string('availability_completion', 'block_massaction'),
+            $completioncms
+        );
+        $mform->addHelpButton('completioncmid', 'availability_completion', 'block_massaction');
+        $completionstates = [
+            COMPLETION_COMPLETE => get_string('option_complete', 'availability_completion'),
+            COMPLETION_INCOMPLETE => get_string('option_incomplete', 'availability_completion'),
+            COMPLETION_COMPLETE_PASS => get_string('option_pass', 'availability_completion'),
+            COMPLETION_COMPLETE_FAIL => get_string('option_fail', 'availability_completion'),
+        ];
+        $mform->addElement(
+            'select',
+            'completionstate',
+            get_string('availability_completionstate', 'block_massaction'),
+            $completionstates
+        );
+        $mform->hideIf('completionstate', 'completioncmid', 'eq', 0);
+
+        foreach (['availablefrom', 'availableuntil', 'groupid', 'groupingid', 'completioncmid'] as $element) {
+            $mform->hideIf($element, 'availabilitymode', 'eq', actions::AVAILABILITY_CLEAR);
+        }
+
+        $this->add_action_buttons(true, get_string('availability_apply', 'block_massaction'));
+    }
+
+    /**
+     * Validates the submitted restrictions.
+     *
+     * @param array $data the submitted data
+     * @param array $files the submitted files
+     * @return array errors indexed by element name
+     */
+    public function validation($data, $files) {
+        $errors = parent::validation($data, $files);
+        if ($data['availabilitymode'] === actions::AVAILABILITY_CLEAR) {
+            return $errors;
+        }
+        if (
+            empty($data['availablefrom']) && empty($data['availableuntil'])
+            && empty($data['groupid']) && empty($data['groupingid']) && empty($data['completioncmid'])
+        ) {
+            $errors['availabilitymode'] = get_string('availability_noconditions', 'block_massaction');
+        }
+        if (
+            !empty($data['availablefrom']) && !empty($data['availableuntil'])
+            && $data['availablefrom'] >= $data['availableuntil']
+        ) {
+            $errors['availableuntil'] = get_string('availability_invaliddates', 'block_massaction');
+        }
+        return $errors;
+    }
+}
@@ -0,0 +1,75 @@
+<?php
+// This file is part of Moodle - http://moodle.org/
+//
+// Moodle is free software: you can redistribute it and/or modify
+// it under the terms of the GNU General Public License as published by
+// the Free Software Foundation, either version 3 of the License, or
+// (at your option) any later version.
+//
+// Moodle is distributed in the hope that it will be useful,
+// but WITHOUT ANY WARRANTY; without even the implied warranty of
+// MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+// GNU General Public License for more details.
+//
+// You should have received a copy of the GNU General Public License
+// along with Moodle.  If not, see <http://www.gnu.org/licenses/>.
+
+/**
+ * A form to upload an activity bundle and choose the sections to import its activities to.
+ *
+ * @package    block_massaction
+ * @copyright  2026 University of Regina
+ * @license    http://www.gnu.org/copyleft/gpl.html GNU GPL v3 or later
+ */
+
+namespace block_massaction\form;
+
+use block_massaction\bundle;
+use moodleform;
+
+defined('MOODLE_INTERNAL') || die;
+
+require_once($CFG->libdir . '/formslib.php');
+require_once($CFG->dirroot . '/course/lib.php');
+
+/**
+ * A form to upload an activity bundle and choose the sections to import its activities to.
+ *
+ * @package    block_massaction
+ * @copyright  2026 University of Regina
+ * @license    http://www.gnu.org/copyleft/gpl.html GNU GPL v3 or later
+ */
+class bundle_import_form extends moodleform {
+    /**
+     * Form definition.
+     */
+    public function definition() {
+        $mform = &$this->_form;
+
+        $mform->addElement('hidden', 'request', $this->_customdata['request']);
+        $mform->setType('request', PARAM_RAW);
+        $mform->addElement('hidden', 'instance_id', $this->_customdata['instance_id']);
+        $mform->setType('instance_id', PARAM_INT);
+        $mform->addElement('hidden', 'return_url', $this->_customdata['return_url']);
+        $mform->setType('return_url', PARAM_URL);
+
+        $mform->addElement('header', 'importbundleheader', get_string('action_importbundle', 'block_massaction'));
+
+        $mform->addElement('filepicker', 'bundlefile', get_string('importbundle_file', 'block_massaction'), null, [
+            'accepted_types' => ['.zip'],
+        ]);
+        $mform->addRule('bundlefile', null, 'required', null, 'client');
+        $mform->addHelpButton('bundlefile', 'importbundle_file', 'block_massaction');
+
+        $courseid = $this->_customdata['courseid'];
+        $sections = [bundle::SOURCE_SECTION => get_string('importbundle_sourcesection', 'block_massaction')];
+        foreach (get_fast_modinfo($courseid)->get_section_info_all() as $section) {
+            if (!$section->is_delegated()) {
+                $sections[$section->section] = get_section_name($courseid, $section);
+            }
+        }
+        $mform->addElement('select', 'sectionnum', get_string('importbundle_section', 'block_massaction'), $sections);
+
+        $this->add_action_buttons(true, get_string('action_importbundle', 'block_massaction'));
+    }
+}
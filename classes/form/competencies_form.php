@@ -0,0 +1,80 @@
+<?php
+// This file is part of Moodle - http://moodle.org/
+//
+// Moodle is free software: you can redistribute it and/or modify
+// it under the terms of the GNU General Public License as published by
+// the Free Software Foundation, either version 3 of the License, or
+// (at your option) any later version.
+//
+// Moodle is distributed in the hope that it will be useful,
+// but WITHOUT ANY WARRANTY; without even the implied warranty of
+// MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+// GNU General Public License for more details.
+//
+// You should have received a copy of the GNU General Public License
+// along with Moodle.  If not, see <http://www.gnu.org/licenses/>.
+
+/**
+ * A form to choose the course competencies to link to or unlink from multiple course modules.
+ *
+ * @package    block_massaction
+ * @copyright  2026 University of Regina
+ * @license    http://www.gnu.org/copyleft/gpl.html GNU GPL v3 or later
+ */
+
+namespace block_massaction\form;
+
+use block_massaction\actions;
+use core_competency\api as competency_api;
+use moodleform;
+
+defined('MOODLE_INTERNAL') || die;
+
+require_once($CFG->libdir . '/formslib.php');
+
+/**
+ * A form to choose the course competencies to link to or unlink from multiple course modules.
+ *
+ * @package    block_massaction
+ * @copyright  2026 University of Regina
+ * @license    http://www.gnu.org/copyleft/gpl.html GNU GPL v3 or later
+ */
+class competencies_form extends moodleform {
+    /**
+     * Form definition.
+     */
+    public function definition() {
+        $mform = &$this->_form;
+
+        $mform->addElement('hidden', 'request', $this->_customdata['request']);
+        $mform->setType('request', PARAM_RAW);
+        $mform->addElement('hidden', 'instance_id', $this->_customdata['instance_id']);
+        $mform->setType('instance_id', PARAM_INT);
+        $mform->addElement('hidden', 'return_url', $this->_customdata['return_url']);
+        $mform->setType('return_url', PARAM_URL);
+
+        $mform->addElement('header', 'competenciesheader', get_string('action_competencies', 'block_massaction'));
+
+        $modes = [
+            actions::COMPETENCIES_LINK => get_string('competencies_mode_link', 'block_massaction'),
+            actions::COMPETENCIES_UNLINK => get_string('competencies_mode_unlink', 'block_massaction'),
+        ];
+        $mform->addElement('select', 'competenciesmode', get_string('competencies_mode', 'block_massaction'), $modes);
+
+        // Only the competencies of the course can be linked to its modules.
+        $context = \context_course::instance($this->_customdata['courseid']);
+        $competencies = [];
+        foreach (competency_api::list_course_competencies($this->_customdata['courseid']) as $coursecompetency) {
+            $competency = $coursecompetency['competency'];
+            $competencies[$competency->get('id')] = format_string($competency->get('shortname'), true, ['context' => $context])
+                . ' (' . s($competency->get('idnumber')) . ')';
+        }
+        $mform->addElement('autocomplete', 'competencyids', get_string('competencies', 'core_competency'), $competencies, [
+            'multiple' => true,
+            'noselectionstring' => get_string('competencies_noselection', 'block_massaction'),
+        ]);
+        $mform->addRule('competencyids', null, 'required', null, 'client');
+
+        $this->add_action_buttons(true, get_string('competencies_apply', 'block_massaction'));
+    }
+}
@@ -15,7 +15,7 @@
 // along with Moodle.  If not, see <http://www.gnu.org/licenses/>.
 
 /**
- * A form to select the course to duplicate multiple course modules to.
+ * A form to select the courses to duplicate or move multiple course modules to.
  *
  * @package    block_massaction
  * @copyright  2022, ISB Bayern
@@ -25,7 +25,10 @@
 
 namespace block_massaction\form;
 
+use block_massaction\actions;
+use core_course_category;
 use moodleform;
+use stdClass;
 
 defined('MOODLE_INTERNAL') || die;
 
@@ -35,7 +38,7 @@ require_once('../../config.php');
 require_login();
 
 /**
- * A form to select the course to duplicate multiple course modules to.
+ * A form to select the courses to duplicate or move multiple course modules to.
  *
  * @package    block_massaction
  * @copyright  2022, ISB Bayern
@@ -62,18 +65,86 @@ class course_select_form extends moodleform {
 
         $mform->addElement('header', 'choosetargetcourse', get_string('choosetargetcourse', 'block_massaction'));
 
+        // Modules can only be moved to a single course, but they can be duplicated to several courses at once. Duplicating whole
+        // sections is not being done in the background, so it is limited to a single course as well.
+        $move = !empty($this->_customdata['move']);
+        $single = $move || !empty($this->_customdata['sections']);
         $limittoenrolled = !empty(get_config('block_massaction', 'limittoenrolled'));
         $mform->addElement(
             'course',
-            'targetcourseid',
-            get_string('choosecoursetoduplicateto', 'block_massaction'),
+            'targetcourseids',
+            get_string($move ? 'choosecoursetomoveto' : 'choosecoursetoduplicateto', 'block_massaction'),
             [
+                'multiple' => !$single,
                 'limittoenrolled' => $limittoenrolled,
                 'exclude' => $sourcecourseid,
                 'requiredcapabilities' => ['moodle/restore:restoretargetimport'],
             ]
         );
 
+        if (!$single) {
+            // Courses running in parallel are usually being kept in the same category, so they can be added all at once.
+            $mform->addElement(
+                'autocomplete',
+                'targetcategoryids',
+                get_string('choosecategoriestoduplicateto', 'block_massaction'),
+                core_course_category::make_categories_list(),
+                ['multiple' => true, 'noselectionstring' => get_string('none')]
+            );
+            $mform->addHelpButton('targetcategoryids', 'choosecategoriestoduplicateto', 'block_massaction');
+            $mform->addElement('advcheckbox', 'onlyteaching', '', get_string('onlyteachingcourses', 'block_massaction'));
+            $mform->setDefault('onlyteaching', 1);
+        }
+
         $this->add_action_buttons(true, get_string('confirmcourseselect', 'block_massaction'));
     }
+
+    /**
+     * Makes sure the chosen courses and categories contain at least one course the modules can be duplicated to.
+     *
+     * Chosen courses which cannot be used are being reported, so they do not get lost silently, and the number of courses is
+     * limited, so the courses of a whole category tree are not being chosen by accident.
+     *
+     * @param array $data the submitted data
+     * @param array $files the submitted files
+     * @return array the errors
+     */
+    public function validation($data, $files) {
+        global $DB;
+        $errors = parent::validation($data, $files);
+        $targetcourseids = $this->get_target_course_ids((object) $data, $droppedcourseids);
+        $maxtargetcourses = actions::get_max_target_courses();
+        if (!empty($droppedcourseids)) {
+            $names = array_map(
+                fn($courseid) => format_string($DB->get_field('course', 'fullname', ['id' => $courseid]) ?: (string) $courseid),
+                $droppedcourseids
+            );
+            $errors['targetcourseids'] = get_string('targetcoursesdropped', 'block_massaction', implode(', ', $names));
+        } else if (empty($targetcourseids)) {
+            $errors['targetcourseids'] = get_string('notargetcourses', 'block_massaction');
+        } else if ($maxtargetcourses > 0 && count($targetcourseids) > $maxtargetcourses) {
+            $errors['targetcourseids'] = get_string('toomanytargetcourses', 'block_massaction', (object) [
+                'count' => count($targetcourseids),
+                'max' => $maxtargetcourses,
+            ]);
+        }
+        return $errors;
+    }
+
+    /**
+     * Returns the ids of the courses the modules should be duplicated to.
+     *
+     * @param stdClass $data the submitted data
+     * @param array|null $droppedcourseids set to the ids of the chosen courses which cannot be used as target
+     * @return int[] the ids of the target courses
+     */
+    public function get_target_course_ids(stdClass $data, ?array &$droppedcourseids = null): array {
+        return actions::get_target_course_ids(
+            $this->_customdata['sourcecourseid'],
+            array_map('intval', (array) ($data->targetcourseids ?? [])),
+            array_map('intval', (array) ($data->targetcategoryids ?? [])),
+            !empty($data->onlyteaching),
+            $droppedcourseids
+        );
+    }
 }
@@ -0,0 +1,118 @@
+<?php
+// This file is part of Moodle - http://moodle.org/
+//
+// Moodle is free software: you can redistribute it and/or modify
+// it under the terms of the GNU General Public License as published by
+// the Free Software Foundation, either version 3 of the License, or
+// (at your option) any later version.
+//
+// Moodle is distributed in the hope that it will be useful,
+// but WITHOUT ANY WARRANTY; without even the implied warranty of
+// MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+// GNU General Public License for more details.
+//
+// You should have received a copy of the GNU General Public License
+// along with Moodle.  If not, see <http://www.gnu.org/licenses/>.
+
+/**
+ * A form to define the course module settings to apply to multiple course modules.
+ *
+ * @package    block_massaction
+ * @copyright  2026 University of Regina
+ * @license    http://www.gnu.org/copyleft/gpl.html GNU GPL v3 or later
+ */
+
+namespace block_massaction\form;
+
+use block_massaction\module_settings;
+use moodleform;
+
+defined('MOODLE_INTERNAL') || die;
+
+require_once($CFG->libdir . '/formslib.php');
+require_once($CFG->libdir . '/completionlib.php');
+require_once($CFG->libdir . '/gradelib.php');
+
+/**
+ * A form to define the course module settings to apply to multiple course modules.
+ *
+ * Only the settings which can be applied to all of the selected course modules are being offered.
+ *
+ * @package    block_massaction
+ * @copyright  2026 University of Regina
+ * @license    http://www.gnu.org/copyleft/gpl.html GNU GPL v3 or later
+ */
+class module_settings_form extends moodleform {
+    /**
+     * Form definition.
+     */
+    public function definition() {
+        $mform = &$this->_form;
+
+        $mform->addElement('hidden', 'request', $this->_customdata['request']);
+        $mform->setType('request', PARAM_RAW);
+        $mform->addElement('hidden', 'instance_id', $this->_customdata['instance_id']);
+        $mform->setType('instance_id', PARAM_INT);
+        $mform->addElement('hidden', 'return_url', $this->_customdata['return_url']);
+        $mform->setType('return_url', PARAM_URL);
+
+        $courseid = $this->_customdata['courseid'];
+        $applicable = $this->_customdata['applicablesettings'];
+        $nochange = [module_settings::NO_CHANGE => get_string('settings_nochange', 'block_massaction')];
+
+        $mform->addElement('header', 'modulesettingsheader', get_string('action_modulesettings', 'block_massaction'));
+        if (count($applicable) < count(module_settings::SETTINGS)) {
+            $mform->addElement('static', 'settingsomitted', '', get_string('settings_omitted', 'block_massaction'));
+        }
+
+        if (in_array('completion', $applicable)) {
+            $options = $nochange + [
+                COMPLETION_TRACKING_NONE => get_string('settings_completion_none', 'block_massaction'),
+                COMPLETION_TRACKING_MANUAL => get_string('settings_completion_manual', 'block_massaction'),
+            ];
+            if (in_array('completionview', $applicable)) {
+                $options[module_settings::COMPLETION_VIEW] = get_string('settings_completion_view', 'block_massaction');
+            }
+            $mform->addElement('select', 'completion', get_string('settings_completion', 'block_massaction'), $options);
+            $mform->addHelpButton('completion', 'settings_completion', 'block_massaction');
+        }
+
+        if (in_array('groupmode', $applicable)) {
+            $options = $nochange + [
+                NOGROUPS => get_string('groupsnone'),
+                SEPARATEGROUPS => get_string('groupsseparate'),
+                VISIBLEGROUPS => get_string('groupsvisible'),
+            ];
+            $mform->addElement('select', 'groupmode', get_string('groupmode', 'group'), $options);
+        }
+
+        if (in_array('groupingid', $applicable)) {
+            $options = $nochange + [0 => get_string('none')];
+            foreach (groups_get_all_groupings($courseid) as $grouping) {
+                $options[$grouping->id] = format_string($grouping->name, true, ['context' => \context_course::instance($courseid)]);
+            }
+            $mform->addElement('select', 'groupingid', get_string('grouping', 'group'), $options);
+        }
+
+        if (in_array('gradecategory', $applicable)) {
+            $options = $nochange;
+            foreach (\grade_category::fetch_all(['courseid' => $courseid]) as $category) {
+                $options[$category->id] = $category->get_name();
+            }
+            $mform->addElement('select', 'gradecategory', get_string('gradecategory', 'grades'), $options);
+        }
+
+        if (in_array('idnumberprefix', $applicable)) {
+            $mform->addElement('text', 'idnumberprefix', get_string('settings_idnumberprefix', 'block_massaction'));
+            $mform->setType('idnumberprefix', PARAM_RAW_TRIMMED);
+            $mform->addHelpButton('idnumberprefix', 'settings_idnumberprefix', 'block_massaction');
+        }
+
+        if (in_array('lang', $applicable)) {
+            $options = $nochange + ['' => get_string('forceno')] + get_string_manager()->get_list_of_translations();
+            $mform->addElement('select', 'lang', get_string('forcelanguage'), $options);
+        }
+
+        $this->add_action_buttons(true, get_string('settings_apply', 'block_massaction'));
+    }
+}
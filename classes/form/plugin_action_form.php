@@ -0,0 +1,72 @@
+<?php
+// This file is part of Moodle - http://moodle.org/
+//
+// Moodle is free software: you can redistribute it and/or modify
+// it under the terms of the GNU General Public License as published by
+// the Free Software Foundation, either version 3 of the License, or
+// (at your option) any later version.
+//
+// Moodle is distributed in the hope that it will be useful,
+// but WITHOUT ANY WARRANTY; without even the implied warranty of
+// MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+// GNU General Public License for more details.
+//
+// You should have received a copy of the GNU General Public License
+// along with Moodle.  If not, see <http://www.gnu.org/licenses/>.
+
+/**
+ * Base class of the forms asking for the parameters of mass actions contributed by other plugins.
+ *
+ * @package    block_massaction
+ * @copyright  2026 University of Regina
+ * @license    http://www.gnu.org/copyleft/gpl.html GNU GPL v3 or later
+ */
+
+namespace block_massaction\form;
+
+use MoodleQuickForm;
+use moodleform;
+
+defined('MOODLE_INTERNAL') || die;
+
+require_once($CFG->libdir . '/formslib.php');
+
+/**
+ * Base class of the forms asking for the parameters of mass actions contributed by other plugins.
+ *
+ * The custom data contains the request, the block instance id, the return url, the course id and the plugin_action itself as
+ * 'action'.
+ *
+ * @package    block_massaction
+ * @copyright  2026 University of Regina
+ * @license    http://www.gnu.org/copyleft/gpl.html GNU GPL v3 or later
+ */
+abstract class plugin_action_form extends moodleform {
+    /**
+     * Form definition.
+     */
+    final public function definition() {
+        $mform = &$this->_form;
+
+        $mform->addElement('hidden', 'request', $this->_customdata['request']);
+        $mform->setType('request', PARAM_RAW);
+        $mform->addElement('hidden', 'instance_id', $this->_customdata['instance_id']);
+        $mform->setType('instance_id', PARAM_INT);
+        $mform->addElement('hidden', 'return_url', $this->_customdata['return_url']);
+        $mform->setType('return_url', PARAM_URL);
+
+        $title = $this->_customdata['action']->get_title();
+        $mform->addElement('header', 'pluginactionheader', $title);
+
+        $this->action_definition($mform);
+
+        $this->add_action_buttons(true, $title);
+    }
+
+    /**
+     * Adds the elements for the parameters of the action.
+     *
+     * @param MoodleQuickForm $mform the form to add the elements to
+     */
+    abstract protected function action_definition(MoodleQuickForm $mform): void;
+}
@@ -15,7 +15,7 @@
 // along with Moodle.  If not, see <http://www.gnu.org/licenses/>.
 
 /**
- * A form to select the target section to restore multiple course modules to.
+ * A form to select the target section in each of the target courses to restore multiple course modules to.
  *
  * @package    block_massaction
  * @copyright  2022, ISB Bayern
@@ -38,7 +38,7 @@ require_once('../../config.php');
 require_login();
 
 /**
- * A form to select the target section to restore multiple course modules to.
+ * A form to select the target section in each of the target courses to restore multiple course modules to.
  *
  * @package    block_massaction
  * @copyright  2022, ISB Bayern
@@ -59,13 +59,12 @@ class section_select_form extends moodleform {
         $mform->setType('return_url', PARAM_URL);
 
         $sourcecourseid = $this->_customdata['sourcecourseid'];
-        $targetcourseid = $this->_customdata['targetcourseid'];
+        $targetcourseids = $this->_customdata['targetcourseids'];
 
-        $mform->addElement('hidden', 'targetcourseid', $targetcourseid);
-        $mform->setType('targetcourseid', PARAM_INT);
-        $mform->addElement('header', 'choosetargetsection', get_string('choosetargetsection', 'block_massaction'));
+        $mform->addElement('hidden', 'targetcourses', implode(',', $targetcourseids));
+        $mform->setType('targetcourses', PARAM_SEQUENCE);
 
-        if (empty($targetcourseid)) {
+        if (empty($targetcourseids)) {
             redirect(
                 $this->_customdata['return_url'],
                 get_string('notargetcourseidspecified', 'block_massaction'),
@@ -83,7 +82,56 @@ class section_select_form extends moodleform {
             );
         }
 
+        // Find maximum section that may need to be created.
         $sourcecoursemodinfo = get_fast_modinfo($sourcecourseid);
+        $massactionrequest = $this->_customdata['request'];
+        $data = \block_massaction\massactionutils::extract_modules_from_json($massactionrequest);
+        $modules = $data->modulerecords;
+        $srcmaxsectionnum = max(array_map(function ($mod) use ($sourcecoursemodinfo) {
+            return $sourcecoursemodinfo->get_cm($mod->id)->sectionnum;
+        }, $modules));
+
+        if (count($targetcourseids) === 1) {
+            $mform->addElement('header', 'choosetargetsection', get_string('choosetargetsection', 'block_massaction'));
+            $this->add_section_choice(reset($targetcourseids), $srcmaxsectionnum);
+        } else {
+            foreach ($targetcourseids as $targetcourseid) {
+                $coursename = format_string(get_course($targetcourseid)->fullname);
+                $mform->addElement('header', 'choosetargetsection' . $targetcourseid, $coursename);
+                $mform->setExpanded('choosetargetsection' . $targetcourseid);
+                $this->add_section_choice($targetcourseid, $srcmaxsectionnum);
+            }
+        }
+        $mform->setType('targetsectionnum', PARAM_INT);
+
+        if (!empty($this->_customdata['move'])) {
+            // Including user data needs a general backup, which is subject to further capabilities.
+            $targetcourseid = reset($targetcourseids);
+            if (
+                has_capability('moodle/backup:userinfo', \context_course::instance($sourcecourseid))
+                && has_capability('moodle/restore:userinfo', \context_course::instance($targetcourseid))
+            ) {
+                $mform->addElement('advcheckbox', 'userdata', get_string('includeuserdata', 'block_massaction'));
+                $mform->addHelpButton('userdata', 'includeuserdata', 'block_massaction');
+            }
+        }
+
+        $this->add_action_buttons(
+            true,
+            get_string(empty($this->_customdata['move']) ? 'confirmsectionselect' : 'confirmmove', 'block_massaction')
+        );
+    }
+
+    /**
+     * Adds the radio buttons for choosing the section of a target course.
+     *
+     * @param int $targetcourseid the id of the target course
+     * @param int $srcmaxsectionnum the highest section number of the selected course modules in the source course
+     */
+    private function add_section_choice(int $targetcourseid, int $srcmaxsectionnum): void {
+        $mform = &$this->_form;
+        $elementname = 'targetsectionnum[' . $targetcourseid . ']';
+
         $targetcoursemodinfo = get_fast_modinfo($targetcourseid);
         $targetformat = course_get_format($targetcoursemodinfo->get_course());
         $targetsectionnum = $targetformat->get_last_section_number();
@@ -115,21 +163,13 @@ class section_select_form extends moodleform {
         $canaddsection = has_capability('moodle/course:update', \context_course::instance($targetcourseid))
             && $filtersectionshook->is_makesectionallowed();
 
-        // Find maximum section that may need to be created.
-        $massactionrequest = $this->_customdata['request'];
-        $data = \block_massaction\massactionutils::extract_modules_from_json($massactionrequest);
-        $modules = $data->modulerecords;
-        $srcmaxsectionnum = max(array_map(function ($mod) use ($sourcecoursemodinfo) {
-            return $sourcecoursemodinfo->get_cm($mod->id)->sectionnum;
-        }, $modules));
-
         $radioarray = [];
         // If user can add sections in target course or don't need to be able to.
         if (($canaddsection || $srcmaxsectionnum <= $targetsectionnum) && $filtersectionshook->is_originsectionkept()) {
             // We add the default value: Restore each course module to the section number it has in the source course.
             $radioarray[] = $mform->createElement(
                 'radio',
-                'targetsectionnum',
+                $elementname,
                 '',
                 get_string('keepsectionnum', 'block_massaction'),
                 -1,
@@ -145,7 +185,7 @@ class section_select_form extends moodleform {
             }
             $radioarray[] = $mform->createElement(
                 'radio',
-                'targetsectionnum',
+                $elementname,
                 '',
                 $sectionname,
                 $sectionnum,
@@ -157,7 +197,7 @@ class section_select_form extends moodleform {
             // New section option.
             $radioarray[] = $mform->createElement(
                 'radio',
-                'targetsectionnum',
+                $elementname,
                 '',
                 get_string('newsection', 'block_massaction'),
                 $targetsectionnum + 1,
@@ -167,13 +207,11 @@ class section_select_form extends moodleform {
 
         $mform->addGroup(
             $radioarray,
-            'sections',
+            'sections' . $targetcourseid,
             get_string('choosesectiontoduplicateto', 'block_massaction'),
             '<br/>',
             false
         );
-        $mform->setDefault('targetsectionnum', -1);
-
-        $this->add_action_buttons(true, get_string('confirmsectionselect', 'block_massaction'));
+        $mform->setDefault($elementname, -1);
     }
 }
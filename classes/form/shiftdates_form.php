@@ -0,0 +1,90 @@
+<?php
+// This file is part of Moodle - http://moodle.org/
+//
+// Moodle is free software: you can redistribute it and/or modify
+// it under the terms of the GNU General Public License as published by
+// the Free Software Foundation, either version 3 of the License, or
+// (at your option) any later version.
+//
+// Moodle is distributed in the hope that it will be useful,
+// but WITHOUT ANY WARRANTY; without even the implied warranty of
+// MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+// GNU General Public License for more details.
+//
+// You should have received a copy of the GNU General Public License
+// along with Moodle.  If not, see <http://www.gnu.org/licenses/>.
+
+/**
+ * A form to define by how much the dates of multiple course modules should be shifted.
+ *
+ * @package    block_massaction
+ * @copyright  2026 University of Regina
+ * @license    http://www.gnu.org/copyleft/gpl.html GNU GPL v3 or later
+ */
+
+namespace block_massaction\form;
+
+use block_massaction\date_shifter;
+use moodleform;
+
+defined('MOODLE_INTERNAL') || die;
+
+require_once($CFG->libdir . '/formslib.php');
+
+/**
+ * A form to define by how much the dates of multiple course modules should be shifted.
+ *
+ * @package    block_massaction
+ * @copyright  2026 University of Regina
+ * @license    http://www.gnu.org/copyleft/gpl.html GNU GPL v3 or later
+ */
+class shiftdates_form extends moodleform {
+    /**
+     * Form definition.
+     */
+    public function definition() {
+        $mform = &$this->_form;
+
+        $mform->addElement('hidden', 'request', $this->_customdata['request']);
+        $mform->setType('request', PARAM_RAW);
+        $mform->addElement('hidden', 'instance_id', $this->_customdata['instance_id']);
+        $mform->setType('instance_id', PARAM_INT);
+        $mform->addElement('hidden', 'return_url', $this->_customdata['return_url']);
+        $mform->setType('return_url', PARAM_URL);
+
+        $mform->addElement('header', 'shiftdatesheader', get_string('action_shiftdates', 'block_massaction'));
+
+        $modes = [
+            date_shifter::MODE_OFFSET => get_string('shiftdates_mode_offset', 'block_massaction'),
+            date_shifter::MODE_ANCHOR => get_string('shiftdates_mode_anchor', 'block_massaction'),
+        ];
+        $mform->addElement('select', 'shiftmode', get_string('shiftdates_mode', 'block_massaction'), $modes);
+        $mform->addHelpButton('shiftmode', 'shiftdates_mode', 'block_massaction');
+
+        $mform->addElement('text', 'offsetdays', get_string('shiftdates_offsetdays', 'block_massaction'));
+        $mform->setType('offsetdays', PARAM_INT);
+        $mform->setDefault('offsetdays', 7);
+        $mform->addHelpButton('offsetdays', 'shiftdates_offsetdays', 'block_massaction');
+        $mform->hideIf('offsetdays', 'shiftmode', 'neq', date_shifter::MODE_OFFSET);
+
+        $mform->addElement('date_time_selector', 'anchordate', get_string('shiftdates_anchordate', 'block_massaction'));
+        $mform->hideIf('anchordate', 'shiftmode', 'neq', date_shifter::MODE_ANCHOR);
+
+        $this->add_action_buttons(true, get_string('shiftdates_preview', 'block_massaction'));
+    }
+
+    /**
+     * Validates the submitted offset.
+     *
+     * @param array $data the submitted data
+     * @param array $files the submitted files
+     * @return array errors indexed by element name
+     */
+    public function validation($data, $files) {
+        $errors = parent::validation($data, $files);
+        if ($data['shiftmode'] === date_shifter::MODE_OFFSET && empty($data['offsetdays'])) {
+            $errors['offsetdays'] = get_string('shiftdates_nooffset', 'block_massaction');
+        }
+        return $errors;
+    }
+}
@@ -0,0 +1,69 @@
+<?php
+// This file is part of Moodle - http://moodle.org/
+//
+// Moodle is free software: you can redistribute it and/or modify
+// it under the terms of the GNU General Public License as published by
+// the Free Software Foundation, either version 3 of the License, or
+// (at your option) any later version.
+//
+// Moodle is distributed in the hope that it will be useful,
+// but WITHOUT ANY WARRANTY; without even the implied warranty of
+// MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+// GNU General Public License for more details.
+//
+// You should have received a copy of the GNU General Public License
+// along with Moodle.  If not, see <http://www.gnu.org/licenses/>.
+
+/**
+ * A form to choose the tags to add to or remove from multiple course modules.
+ *
+ * @package    block_massaction
+ * @copyright  2026 University of Regina
+ * @license    http://www.gnu.org/copyleft/gpl.html GNU GPL v3 or later
+ */
+
+namespace block_massaction\form;
+
+use block_massaction\actions;
+use moodleform;
+
+defined('MOODLE_INTERNAL') || die;
+
+require_once($CFG->libdir . '/formslib.php');
+
+/**
+ * A form to choose the tags to add to or remove from multiple course modules.
+ *
+ * @package    block_massaction
+ * @copyright  2026 University of Regina
+ * @license    http://www.gnu.org/copyleft/gpl.html GNU GPL v3 or later
+ */
+class tags_form extends moodleform {
+    /**
+     * Form definition.
+     */
+    public function definition() {
+        $mform = &$this->_form;
+
+        $mform->addElement('hidden', 'request', $this->_customdata['request']);
+        $mform->setType('request', PARAM_RAW);
+        $mform->addElement('hidden', 'instance_id', $this->_customdata['instance_id']);
+        $mform->setType('instance_id', PARAM_INT);
+        $mform->addElement('hidden', 'return_url', $this->_customdata['return_url']);
+        $mform->setType('return_url', PARAM_URL);
+
+        $mform->addElement('header', 'tagsheader', get_string('action_tags', 'block_massaction'));
+
+        $modes = [
+            actions::TAGS_ADD => get_string('tags_mode_add', 'block_massaction'),
+            actions::TAGS_REMOVE => get_string('tags_mode_remove', 'block_massaction'),
+        ];
+        $mform->addElement('select', 'tagsmode', get_string('tags_mode', 'block_massaction'), $modes);
+
+        // The tags element offers the existing tags of course modules for autocompletion.
+        $mform->addElement('tags', 'tags', get_string('tags'), ['itemtype' => 'course_modules', 'component' => 'core']);
+        $mform->addRule('tags', null, 'required', null, 'client');
+
+        $this->add_action_buttons(true, get_string('tags_apply', 'block_massaction'));
+    }
+}
@@ -0,0 +1,74 @@
+<?php
+// This file is part of Moodle - http://moodle.org/
+//
+// Moodle is free software: you can redistribute it and/or modify
+// it under the terms of the GNU General Public License as published by
+// the Free Software Foundation, either version 3 of the License, or
+// (at your option) any later version.
+//
+// Moodle is distributed in the hope that it will be useful,
+// but WITHOUT ANY WARRANTY; without even the implied warranty of
+// MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+// GNU General Public License for more details.
+//
+// You should have received a copy of the GNU General Public License
+// along with Moodle.  If not, see <http://www.gnu.org/licenses/>.
+
+namespace block_massaction\hook;
+
+use block_massaction\plugin_action;
+
+#[\core\attribute\label('Hook dispatched when block_massaction collects the actions it offers in a course. '
+        . 'Other plugins can contribute their own mass actions by adding them to the hook.')]
+#[\core\attribute\tags('block_massaction')]
+/**
+ * Hook class for registering additional mass actions provided by other plugins.
+ *
+ * @copyright  2026 University of Regina
+ * @package    block_massaction
+ * @license    http://www.gnu.org/copyleft/gpl.html GNU GPL v3 or later
+ */
+class register_actions {
+    /** @var plugin_action[] the registered actions, their names as key */
+    private array $actions = [];
+
+    /**
+     * Creates the hook object.
+     *
+     * @param int $courseid the id of the course the actions are being collected for
+     */
+    public function __construct(
+        /** @var int the id of the course the actions are being collected for */
+        private readonly int $courseid
+    ) {
+    }
+
+    /**
+     * Getter for the id of the course the actions are being collected for.
+     *
+     * Listeners can use it to offer their actions in some courses only.
+     *
+     * @return int
+     */
+    public function get_courseid(): int {
+        return $this->courseid;
+    }
+
+    /**
+     * Adds an action. An action registered before with the same name is being replaced.
+     *
+     * @param plugin_action $action the action to offer in the block
+     */
+    public function add_action(plugin_action $action): void {
+        $this->actions[$action->get_name()] = $action;
+    }
+
+    /**
+     * Getter for the registered actions.
+     *
+     * @return plugin_action[] the actions, their names as key
+     */
+    public function get_actions(): array {
+        return $this->actions;
+    }
+}
@@ -18,6 +18,7 @@ namespace block_massaction;
 
 use backup;
 use backup_controller;
+use backup_plan;
 use base_plan_exception;
 use base_setting_exception;
 use coding_exception;
@@ -26,7 +27,9 @@ use dml_exception;
 use moodle_exception;
 use restore_controller;
 use restore_controller_exception;
+use restore_plan;
 use stdClass;
+use stored_file;
 
 /**
  * Utility class providing methods for generating data used by the massaction block.
@@ -84,6 +87,8 @@ class massactionutils {
      *
      * @param object $course course object.
      * @param object $cm course module object to be duplicated.
+     * @param bool $userdata true if the user data of the course module (e.g. submissions or forum posts) should be included. This
+     *  requires a general backup instead of an import, so the user needs the capabilities to backup and restore user data.
      * @return int id of the duplicated course module
      * @throws base_plan_exception
      * @throws base_setting_exception
@@ -91,7 +96,7 @@ class massactionutils {
      * @throws restore_controller_exception
      * @throws moodle_exception
      */
-    public static function duplicate_cm_to_course(object $course, object $cm): int {
+    public static function duplicate_cm_to_course(object $course, object $cm, bool $userdata = false): int {
         global $CFG, $USER;
         require_once($CFG->dirroot . '/backup/util/includes/backup_includes.php');
         require_once($CFG->dirroot . '/backup/util/includes/restore_includes.php');
@@ -105,6 +110,9 @@ class massactionutils {
             throw new moodle_exception('duplicatenosupport', 'error', '', $a);
         }
 
+        // Imports never contain user data.
+        $mode = $userdata ? backup::MODE_GENERAL : backup::MODE_IMPORT;
+
         // Backup the activity.
 
         $bc = new backup_controller(
@@ -112,40 +120,119 @@ class massactionutils {
             $cm->id,
             backup::FORMAT_MOODLE,
             backup::INTERACTIVE_NO,
-            backup::MODE_IMPORT,
+            $mode,
             $USER->id
         );
+        if ($userdata) {
+            self::enable_userinfo_settings($bc->get_plan());
+        }
 
         $backupid = $bc->get_backupid();
-        $backupbasepath = $bc->get_plan()->get_basepath();
 
         $bc->execute_plan();
 
         $bc->destroy();
 
         // Restore the backup immediately.
+        $newcmid = self::restore_activity_backup($backupid, $course->id, $userdata, context_module::instance($cm->id)->id);
+        if ($newcmid === null) {
+            throw new \moodle_exception('duplicatefailed', 'block_massaction', $cm->id);
+        }
+        return $newcmid;
+    }
+
+    /**
+     * Backs up a single course module into a backup file which can be restored on any site.
+     *
+     * The backup never contains user data. The file is being created in the backup area of the course module, the caller is
+     * responsible for deleting it.
+     *
+     * @param object $cm course module object to be backed up.
+     * @return stored_file the backup file
+     * @throws base_plan_exception
+     * @throws base_setting_exception
+     * @throws moodle_exception if the module does not support backups
+     */
+    public static function backup_cm_to_file(object $cm): stored_file {
+        global $CFG, $USER;
+        require_once($CFG->dirroot . '/backup/util/includes/backup_includes.php');
+
+        if (!plugin_supports('mod', $cm->modname, FEATURE_BACKUP_MOODLE2)) {
+            throw new moodle_exception('backupnosupport', 'block_massaction', '', get_string('modulename', $cm->modname));
+        }
+
+        $bc = new backup_controller(
+            backup::TYPE_1ACTIVITY,
+            $cm->id,
+            backup::FORMAT_MOODLE,
+            backup::INTERACTIVE_NO,
+            backup::MODE_GENERAL,
+            $USER->id
+        );
+        // The defaults of a general backup depend on the site configuration.
+        $plan = $bc->get_plan();
+        foreach (['users', 'role_assignments', 'comments', 'userscompletion', 'logs', 'grade_histories'] as $name) {
+            if ($plan->setting_exists($name)) {
+                $plan->get_setting($name)->set_value(false);
+            }
+        }
+        $bc->execute_plan();
+        $file = $bc->get_results()['backup_destination'];
+        $bc->destroy();
+        return $file;
+    }
+
+    /**
+     * Restores an activity backup which has been extracted to the backup temp directory into a course.
+     *
+     * @param string $backupid the name of the directory in the backup temp directory containing the backup
+     * @param int $courseid the id of the course to restore the activity to
+     * @param bool $userdata true if the user data contained in the backup should be restored as well
+     * @param int $oldcontextid the id of the context the activity had when it has been backed up
+     * @param bool $general true if the backup is a general backup instead of an import, e.g. because it is from another site
+     * @return int|null id of the restored course module, null if the activity could not be found in the restored backup
+     * @throws base_setting_exception
+     * @throws restore_controller_exception
+     */
+    public static function restore_activity_backup(
+        string $backupid,
+        int $courseid,
+        bool $userdata,
+        int $oldcontextid,
+        bool $general = false
+    ): ?int {
+        global $CFG, $USER;
+        require_once($CFG->dirroot . '/backup/util/includes/restore_includes.php');
+        require_once($CFG->libdir . '/filelib.php');
+
+        // Imports never contain user data.
+        $mode = $userdata || $general ? backup::MODE_GENERAL : backup::MODE_IMPORT;
         $rc = new restore_controller(
             $backupid,
-            $course->id,
+            $courseid,
             backup::INTERACTIVE_NO,
-            backup::MODE_IMPORT,
+            $mode,
             $USER->id,
             backup::TARGET_CURRENT_ADDING
         );
 
         // Make sure that the restore_general_groups setting is always enabled when duplicating an activity.
         $plan = $rc->get_plan();
-        $groupsetting = $plan->get_setting('groups');
-        if (empty($groupsetting->get_value())) {
-            $groupsetting->set_value(true);
+        if ($plan->setting_exists('groups')) {
+            $groupsetting = $plan->get_setting('groups');
+            if (empty($groupsetting->get_value())) {
+                $groupsetting->set_value(true);
+            }
+        }
+        if ($userdata) {
+            self::enable_userinfo_settings($plan);
         }
 
-        $cmcontext = context_module::instance($cm->id);
         if (!$rc->execute_precheck()) {
             $precheckresults = $rc->get_precheck_results();
             if (is_array($precheckresults) && !empty($precheckresults['errors'])) {
                 if (empty($CFG->keeptempdirectoriesonbackup)) {
-                    fulldelete($backupbasepath);
+                    fulldelete($CFG->tempdir . '/backup/' . $backupid);
                 }
             }
         }
@@ -158,15 +245,36 @@ class massactionutils {
         $tasks = $rc->get_plan()->get_tasks();
         foreach ($tasks as $task) {
             if (is_subclass_of($task, 'restore_activity_task')) {
-                if ($task->get_old_contextid() == $cmcontext->id) {
+                if ($task->get_old_contextid() == $oldcontextid) {
                     $newcmid = $task->get_moduleid();
                     break;
                 }
             }
         }
-        if (empty($newcmid)) {
-            throw new \moodle_exception('duplicatefailed', 'block_massaction', $cm->id);
-        }
+        $rc->destroy();
         return $newcmid;
     }
+
+    /**
+     * Makes a backup or restore plan include the user data of the activities.
+     *
+     * The defaults of a general backup depend on the site configuration, so the root setting as well as the settings of the
+     * single activities have to be enabled explicitly.
+     *
+     * @param backup_plan|restore_plan $plan the plan of the controller
+     * @throws base_setting_exception
+     */
+    private static function enable_userinfo_settings(backup_plan|restore_plan $plan): void {
+        if ($plan->setting_exists('users')) {
+            $plan->get_setting('users')->set_value(true);
+        }
+        if ($plan->setting_exists('anonymize')) {
+            $plan->get_setting('anonymize')->set_value(false);
+        }
+        foreach ($plan->get_settings() as $name => $setting) {
+            if (str_ends_with($name, '_userinfo')) {
+                $setting->set_value(true);
+            }
+        }
+    }
 }
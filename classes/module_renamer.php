@@ -0,0 +1,178 @@
+<?php
+// This file is part of Moodle - http://moodle.org/
+//
+// Moodle is free software: you can redistribute it and/or modify
+// it under the terms of the GNU General Public License as published by
+// the Free Software Foundation, either version 3 of the License, or
+// (at your option) any later version.
+//
+// Moodle is distributed in the hope that it will be useful,
+// but WITHOUT ANY WARRANTY; without even the implied warranty of
+// MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+// GNU General Public License for more details.
+//
+// You should have received a copy of the GNU General Public License
+// along with Moodle.  If not, see <http://www.gnu.org/licenses/>.
+
+namespace block_massaction;
+
+use core_courseformat\formatactions;
+use core_text;
+use moodle_exception;
+use stdClass;
+
+/**
+ * module_renamer class: Renames course modules according to a pattern.
+ *
+ * The pattern is being applied in the following order: The search term is being replaced in the current name, the result is
+ * being inserted into the template and finally the prefix and the suffix are being added. The amd module
+ * block_massaction/renamer implements the same rules for previewing the new names, so both have to be kept in sync.
+ *
+ * PHP and JavaScript differ in the syntax of back references in replacements, so neither of them is being used directly. The
+ * replacement only supports $0 to $9 for the matched text and the captured groups and $$ for a literal dollar sign, everything
+ * else is being inserted literally on both sides.
+ *
+ * @package    block_massaction
+ * @copyright  2026 University of Regina
+ * @license    http://www.gnu.org/copyleft/gpl.html GNU GPL v3 or later
+ */
+class module_renamer {
+    /** @var int the maximum length of a module name */
+    private const MAX_LENGTH = 255;
+
+    /**
+     * Returns the names of the given modules after applying the pattern.
+     *
+     * @param array $modules the module records
+     * @param stdClass $pattern the pattern containing find, replace, regex, prefix, suffix and template
+     * @return string[] the new names of the modules which would change, indexed by course module id
+     * @throws moodle_exception if the search term is not a valid regular expression
+     */
+    public static function get_new_names(array $modules, stdClass $pattern): array {
+        if (empty($modules)) {
+            return [];
+        }
+        $modinfo = get_fast_modinfo(reset($modules)->course);
+        $newnames = [];
+        // The numbering follows the order of the modules on the course page.
+        $number = 0;
+        foreach (actions::sort_course_order($modules) as $cmid) {
+            $cm = $modinfo->get_cm($cmid);
+            $number++;
+            $newname = self::apply_pattern($cm->name, $pattern, $number, $cm->sectionnum);
+            if ($newname !== '' && $newname !== $cm->name) {
+                $newnames[$cmid] = $newname;
+            }
+        }
+        return $newnames;
+    }
+
+    /**
+     * Renames the given modules.
+     *
+     * Modules whose name would not change are being skipped.
+     *
+     * @param array $modules the module records
+     * @param stdClass $pattern the pattern containing find, replace, regex, prefix, suffix and template
+     * @param action_result|null $result the result to record the outcome of each module in
+     * @throws moodle_exception if the search term is not a valid regular expression or a module cannot be renamed and no result
+     *  is being collected
+     */
+    public static function rename(array $modules, stdClass $pattern, ?action_result $result = null): void {
+        if (empty($modules)) {
+            return;
+        }
+        $courseid = reset($modules)->course;
+        $newnames = self::get_new_names($modules, $pattern);
+        foreach (actions::sort_course_order($modules) as $cmid) {
+            if (!array_key_exists($cmid, $newnames)) {
+                $result?->add_skipped($cmid, get_string('result_skipped_unchanged', 'block_massaction'));
+                continue;
+            }
+            try {
+                formatactions::cm($courseid)->rename($cmid, $newnames[$cmid]);
+                $result?->add_success($cmid);
+            } catch (moodle_exception $e) {
+                action_result::fail_or_throw($result, $cmid, $e);
+            }
+        }
+    }
+
+    /**
+     * Applies the pattern to a single name.
+     *
+     * @param string $name the current name of the module
+     * @param stdClass $pattern the pattern containing find, replace, regex, prefix, suffix and template
+     * @param int $number the position of the module among the renamed modules, starting at 1
+     * @param int $sectionnum the number of the section the module is in
+     * @return string the new name, an empty string if the pattern results in an empty name
+     * @throws moodle_exception if the search term is not a valid regular expression
+     */
+    public static function apply_pattern(string $name, stdClass $pattern, int $number, int $sectionnum): string {
+        $find = (string) ($pattern->find ?? '');
+        $replace = (string) ($pattern->replace ?? '');
+        if ($find !== '') {
+            if (!empty($pattern->regex)) {
+                // The pattern is being entered without delimiters, like in JavaScript. Parentheses as delimiters do not need to be
+                // escaped inside the pattern.
+                $regex = '(' . $find . ')u';
+                self::validate_regex($regex, $find);
+                $replaced = preg_replace_callback($regex, fn($matches) => self::expand_replacement($replace, $matches), $name);
+                if ($replaced === null) {
+                    throw new moodle_exception('rename_regexfailed', 'block_massaction', '',
+                        (object) ['find' => $find, 'error' => preg_last_error_msg()]);
+                }
+                $name = $replaced;
+            } else {
+                $name = str_replace($find, $replace, $name);
+            }
+        }
+
+        $template = trim((string) ($pattern->template ?? ''));
+        if ($template !== '') {
+            // Placeholders contained in the name itself must not be replaced.
+            $name = strtr($template, ['{name}' => $name, '{n}' => $number, '{section}' => $sectionnum]);
+        }
+        $name = ($pattern->prefix ?? '') . $name . ($pattern->suffix ?? '');
+        return core_text::substr(trim($name), 0, self::MAX_LENGTH);
+    }
+
+    /**
+     * Makes sure the regular expression compiles.
+     *
+     * Compiling an invalid regular expression raises a warning instead of throwing, so the warning is being caught here and
+     * turned into an exception for the user.
+     *
+     * @param string $regex the regular expression including the delimiters and modifiers
+     * @param string $find the search term as entered by the user
+     * @throws moodle_exception if the search term is not a valid regular expression
+     */
+    private static function validate_regex(string $regex, string $find): void {
+        $warning = null;
+        set_error_handler(function (int $errno, string $errstr) use (&$warning): bool {
+            $warning = $errstr;
+            return true;
+        });
+        try {
+            $valid = preg_match($regex, '') !== false;
+        } finally {
+            restore_error_handler();
+        }
+        if (!$valid || $warning !== null) {
+            throw new moodle_exception('rename_invalidregex', 'block_massaction', '', $find);
+        }
+    }
+
+    /**
+     * Inserts the matched text and the captured groups into the replacement.
+     *
+     * @param string $replace the replacement as entered by the user
+     * @param array $matches the matched text and the captured groups
+     * @return string the replacement for the match
+     */
+    private static function expand_replacement(string $replace, array $matches): string {
+        return preg_replace_callback('/\$(\$|\d)/', function (array $token) use ($matches): string {
+            return $token[1] === '$' ? '$' : ($matches[(int) $token[1]] ?? '');
+        }, $replace);
+    }
+}
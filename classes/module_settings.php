@@ -0,0 +1,228 @@
+<?php
+// This file is part of Moodle - http://moodle.org/
+//
+// Moodle is free software: you can redistribute it and/or modify
+// it under the terms of the GNU General Public License as published by
+// the Free Software Foundation, either version 3 of the License, or
+// (at your option) any later version.
+//
+// Moodle is distributed in the hope that it will be useful,
+// but WITHOUT ANY WARRANTY; without even the implied warranty of
+// MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+// GNU General Public License for more details.
+//
+// You should have received a copy of the GNU General Public License
+// along with Moodle.  If not, see <http://www.gnu.org/licenses/>.
+
+namespace block_massaction;
+
+use coding_exception;
+use completion_info;
+use context_course;
+use core\event\course_module_updated;
+use dml_exception;
+use grade_item;
+use moodle_exception;
+use stdClass;
+
+/**
+ * module_settings class: Applies common course module settings to multiple course modules.
+ *
+ * @package    block_massaction
+ * @copyright  2026 University of Regina
+ * @license    http://www.gnu.org/copyleft/gpl.html GNU GPL v3 or later
+ */
+class module_settings {
+    /** @var string[] all the settings which can be applied */
+    public const SETTINGS = ['completion', 'completionview', 'groupmode', 'groupingid', 'gradecategory', 'idnumberprefix', 'lang'];
+
+    /** @var int value of the select fields for keeping the current setting */
+    public const NO_CHANGE = -1;
+
+    /** @var int completion value for automatic completion as soon as the activity has been viewed */
+    public const COMPLETION_VIEW = 3;
+
+    /**
+     * Returns the settings which can be applied to all of the given modules.
+     *
+     * @param array $modules the module records
+     * @return array list of setting names, subset of {@see self::SETTINGS}
+     * @throws coding_exception
+     * @throws dml_exception
+     */
+    public static function get_applicable_settings(array $modules): array {
+        global $DB;
+        if (empty($modules)) {
+            return [];
+        }
+        $course = $DB->get_record('course', ['id' => reset($modules)->course], '*', MUST_EXIST);
+        $modnames = array_unique(array_map(fn($cm) => $DB->get_field('modules', 'name', ['id' => $cm->module]), $modules));
+        $allsupport = function (string $feature, bool $default = false) use ($modnames): bool {
+            foreach ($modnames as $modname) {
+                if (!plugin_supports('mod', $modname, $feature, $default)) {
+                    return false;
+                }
+            }
+            return true;
+        };
+
+        $settings = [];
+        if ((new completion_info($course))->is_enabled()) {
+            $settings[] = 'completion';
+            if ($allsupport(FEATURE_COMPLETION_TRACKS_VIEWS)) {
+                $settings[] = 'completionview';
+            }
+        }
+        if (!$course->groupmodeforce && $allsupport(FEATURE_GROUPS)) {
+            $settings[] = 'groupmode';
+        }
+        if ($allsupport(FEATURE_GROUPINGS)) {
+            $settings[] = 'groupingid';
+        }
+        if ($allsupport(FEATURE_GRADE_HAS_GRADE)) {
+            $settings[] = 'gradecategory';
+        }
+        if ($allsupport(FEATURE_IDNUMBER, true)) {
+            $settings[] = 'idnumberprefix';
+        }
+        if (has_capability('moodle/course:setforcedlanguage', context_course::instance($course->id))) {
+            $settings[] = 'lang';
+        }
+        return $settings;
+    }
+
+    /**
+     * Applies the submitted settings to the given modules.
+     *
+     * Settings which should not be changed either are not set in $data or have the value {@see self::NO_CHANGE}. Each setting is
+     * being applied on its own, so a setting which cannot be applied to a module does not keep the others from being applied.
+     * The ID numbers are being numbered in course order, numbers which are already being used by other activities are being left
+     * out.
+     *
+     * @param array $modules the module records
+     * @param stdClass $data the submitted settings
+     * @param action_result|null $result the result to record the outcome of each module in
+     * @throws coding_exception
+     * @throws dml_exception
+     * @throws moodle_exception
+     */
+    public static function apply(array $modules, stdClass $data, ?action_result $result = null): void {
+        global $CFG, $DB;
+        require_once($CFG->libdir . '/completionlib.php');
+        require_once($CFG->libdir . '/gradelib.php');
+        require_once($CFG->dirroot . '/course/lib.php');
+        if (empty($modules)) {
+            return;
+        }
+
+        $courseid = reset($modules)->course;
+        $course = get_course($courseid);
+        $applicable = self::get_applicable_settings($modules);
+        $changed = fn(string $setting) => in_array($setting, $applicable)
+            && isset($data->$setting) && $data->$setting != self::NO_CHANGE;
+        $completion = new completion_info($course);
+        $modinfo = get_fast_modinfo($courseid);
+
+        $idnumbercounter = 0;
+        foreach (self::sort_by_course_order($modules) as $cm) {
+            $cminfo = $modinfo->get_cm($cm->id);
+            $update = [];
+            $reasons = [];
+
+            if ($changed('completion')) {
+                if ($completion->count_user_data($cminfo) > 0) {
+                    $reasons[] = get_string('settings_skipped_completiondata', 'block_massaction');
+                } else if ($data->completion == self::COMPLETION_VIEW && !in_array('completionview', $applicable)) {
+                    $reasons[] = get_string('settings_skipped_unsupported', 'block_massaction');
+                } else if ($data->completion == self::COMPLETION_VIEW) {
+                    $update['completion'] = COMPLETION_TRACKING_AUTOMATIC;
+                    $update['completionview'] = COMPLETION_VIEW_REQUIRED;
+                } else {
+                    $update['completion'] = $data->completion;
+                    $update['completionview'] = COMPLETION_VIEW_NOT_REQUIRED;
+                }
+            }
+
+            if ($changed('idnumberprefix') && trim($data->idnumberprefix) !== '') {
+                do {
+                    $idnumbercounter++;
+                    $idnumber = trim($data->idnumberprefix) . $idnumbercounter;
+                } while (!grade_verify_idnumber($idnumber, $courseid, null, $cm));
+                $update['idnumber'] = $idnumber;
+            }
+            if ($changed('groupmode')) {
+                $update['groupmode'] = $data->groupmode;
+            }
+            if ($changed('groupingid')) {
+                $update['groupingid'] = $data->groupingid;
+            }
+            if ($changed('lang')) {
+                $update['lang'] = $data->lang === '' ? null : $data->lang;
+            }
+            // Only the settings which actually differ are being written.
+            $update = array_filter($update, fn($value, $field) => $cm->$field != $value, ARRAY_FILTER_USE_BOTH);
+
+            $gradecategorychanged = false;
+            if ($changed('gradecategory')) {
+                $gradeitems = grade_item::fetch_all([
+                    'itemtype' => 'mod',
+                    'itemmodule' => $cminfo->modname,
+                    'iteminstance' => $cminfo->instance,
+                    'courseid' => $courseid,
+                ]);
+                if (empty($gradeitems)) {
+                    $reasons[] = get_string('settings_skipped_nogradeitem', 'block_massaction');
+                }
+                foreach ($gradeitems ?: [] as $gradeitem) {
+                    if ($gradeitem->categoryid != $data->gradecategory) {
+                        $gradeitem->set_parent($data->gradecategory);
+                        $gradecategorychanged = true;
+                    }
+                }
+            }
+
+            if (empty($update) && !$gradecategorychanged) {
+                $result?->add_skipped($cm->id, empty($reasons)
+                    ? get_string('result_skipped_unchanged', 'block_massaction')
+                    : implode(' ', $reasons));
+                continue;
+            }
+            if (!empty($update)) {
+                $DB->update_record('course_modules', (object) (['id' => $cm->id] + $update));
+            }
+            if (isset($update['idnumber'])) {
+                // Keep the id number of the grade item in sync like the module settings form does.
+                $gradeitem = grade_item::fetch([
+                    'itemtype' => 'mod',
+                    'itemmodule' => $cminfo->modname,
+                    'iteminstance' => $cminfo->instance,
+                    'itemnumber' => 0,
+                    'courseid' => $courseid,
+                ]);
+                if ($gradeitem && $gradeitem->idnumber != $update['idnumber']) {
+                    $gradeitem->idnumber = $update['idnumber'];
+                    $gradeitem->update();
+                }
+            }
+            course_module_updated::create_from_cm(get_coursemodule_from_id('', $cm->id))->trigger();
+            $result?->add_success($cm->id, empty($reasons)
+                ? ''
+                : get_string('settings_partlyapplied', 'block_massaction', implode(' ', $reasons)));
+        }
+        rebuild_course_cache($courseid);
+    }
+
+    /**
+     * Sorts the given modules in the order they are listed in the course, so id numbers are being assigned in that order.
+     *
+     * @param array $modules the module records
+     * @return array the sorted module records
+     * @throws moodle_exception
+     */
+    private static function sort_by_course_order(array $modules): array {
+        $modinfo = get_fast_modinfo(reset($modules)->course);
+        $order = array_flip(array_merge(...array_values($modinfo->get_sections())));
+        usort($modules, fn($a, $b) => ($order[$a->id] ?? PHP_INT_MAX) <=> ($order[$b->id] ?? PHP_INT_MAX));
+        return $modules;
+    }
+}
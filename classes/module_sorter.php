@@ -0,0 +1,248 @@
+<?php
+// This file is part of Moodle - http://moodle.org/
+//
+// Moodle is free software: you can redistribute it and/or modify
+// it under the terms of the GNU General Public License as published by
+// the Free Software Foundation, either version 3 of the License, or
+// (at your option) any later version.
+//
+// Moodle is distributed in the hope that it will be useful,
+// but WITHOUT ANY WARRANTY; without even the implied warranty of
+// MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+// GNU General Public License for more details.
+//
+// You should have received a copy of the GNU General Public License
+// along with Moodle.  If not, see <http://www.gnu.org/licenses/>.
+
+namespace block_massaction;
+
+use block_massaction\hook\filter_sections_same_course;
+use cm_info;
+use core_courseformat\formatactions;
+use dml_exception;
+use moodle_exception;
+
+/**
+ * module_sorter class: Reorders course modules inside their sections.
+ *
+ * Each section is being handled on its own, modules are never moved to another section.
+ *
+ * @package    block_massaction
+ * @copyright  2026 University of Regina
+ * @license    http://www.gnu.org/copyleft/gpl.html GNU GPL v3 or later
+ */
+class module_sorter {
+    /** @var string sort the modules alphabetically by their name */
+    public const SORT_NAME = 'name';
+
+    /** @var string sort the modules by the name of their module type */
+    public const SORT_TYPE = 'type';
+
+    /** @var string sort the modules by their due date, modules without a due date are being put last */
+    public const SORT_DUEDATE = 'duedate';
+
+    /** @var string reverse the current order of the modules */
+    public const SORT_REVERSE = 'reverse';
+
+    /** @var string keep the current order of the modules */
+    public const SORT_NONE = 'none';
+
+    /** @var string the sorted modules take the positions the selected modules had before */
+    public const PLACEMENT_KEEP = 'keep';
+
+    /** @var string the sorted modules are being moved to the top of their section */
+    public const PLACEMENT_TOP = 'top';
+
+    /** @var string the sorted modules are being moved to the bottom of their section */
+    public const PLACEMENT_BOTTOM = 'bottom';
+
+    /**
+     * The fields in the instance tables of the core modules which hold the date the activity is due.
+     *
+     * Modules which are not listed here are being sorted by their expected completion date.
+     */
+    public const DUE_DATE_FIELDS = [
+        'assign' => 'duedate',
+        'choice' => 'timeclose',
+        'data' => 'timeavailableto',
+        'feedback' => 'timeclose',
+        'forum' => 'duedate',
+        'lesson' => 'deadline',
+        'quiz' => 'timeclose',
+        'scorm' => 'timeclose',
+        'workshop' => 'submissionend',
+    ];
+
+    /**
+     * Returns the new order of the modules in each section containing at least one of the given modules.
+     *
+     * @param array $modules the module records
+     * @param string $sortby one of the SORT_* constants
+     * @param string $placement one of the PLACEMENT_* constants
+     * @return array the ids of all the modules of a section in their new order, indexed by section id
+     * @throws dml_exception
+     * @throws moodle_exception if the rule or the placement is unknown
+     */
+    public static function get_new_sequences(array $modules, string $sortby, string $placement): array {
+        $sortrules = [self::SORT_NAME, self::SORT_TYPE, self::SORT_DUEDATE, self::SORT_REVERSE, self::SORT_NONE];
+        if (!in_array($sortby, $sortrules)) {
+            throw new moodle_exception('invalidsortrule', 'block_massaction', '', $sortby);
+        }
+        if (!in_array($placement, [self::PLACEMENT_KEEP, self::PLACEMENT_TOP, self::PLACEMENT_BOTTOM])) {
+            throw new moodle_exception('invalidsortrule', 'block_massaction', '', $placement);
+        }
+        if (empty($modules)) {
+            return [];
+        }
+        $modinfo = get_fast_modinfo(reset($modules)->course);
+        $selectedids = array_map(fn($cm) => (int) $cm->id, $modules);
+        $duedates = [];
+        if ($sortby === self::SORT_DUEDATE) {
+            $duedates = self::get_due_dates(array_intersect_key($modinfo->get_cms(), array_flip($selectedids)));
+        }
+
+        $sequences = [];
+        foreach ($modinfo->get_sections() as $sectionnum => $cmids) {
+            $selectedinsection = array_values(array_intersect($cmids, $selectedids));
+            if (empty($selectedinsection)) {
+                continue;
+            }
+            $sorted = self::sort_cms(array_map(fn($cmid) => $modinfo->get_cm($cmid), $selectedinsection), $sortby, $duedates);
+            $others = array_values(array_diff($cmids, $selectedinsection));
+            switch ($placement) {
+                case self::PLACEMENT_TOP:
+                    $sequence = array_merge($sorted, $others);
+                    break;
+                case self::PLACEMENT_BOTTOM:
+                    $sequence = array_merge($others, $sorted);
+                    break;
+                default:
+                    // Every position of a selected module is being filled with the next module of the sorted list.
+                    $sequence = array_map(fn($cmid) => in_array($cmid, $selectedinsection) ? array_shift($sorted) : $cmid, $cmids);
+            }
+            $sequences[$modinfo->get_section_info($sectionnum)->id] = array_values($sequence);
+        }
+        return $sequences;
+    }
+
+    /**
+     * Reorders the given modules inside their sections.
+     *
+     * Modules keeping their position are being recorded as skipped, the modules of restricted sections as failed.
+     *
+     * @param array $modules the module records
+     * @param string $sortby one of the SORT_* constants
+     * @param string $placement one of the PLACEMENT_* constants
+     * @param action_result|null $result the result to record the outcome of each module in
+     * @throws dml_exception
+     * @throws moodle_exception if the rule or the placement is unknown or a section is restricted and no result is being
+     *  collected
+     */
+    public static function sort(array $modules, string $sortby, string $placement, ?action_result $result = null): void {
+        global $CFG;
+        require_once($CFG->dirroot . '/course/lib.php');
+        if (empty($modules)) {
+            return;
+        }
+        $courseid = reset($modules)->course;
+        $modinfo = get_fast_modinfo($courseid);
+        $filtersectionshook = new filter_sections_same_course($courseid, array_keys($modinfo->get_section_info_all()));
+        \core\di::get(\core\hook\manager::class)->dispatch($filtersectionshook);
+
+        $sequences = self::get_new_sequences($modules, $sortby, $placement);
+        $currentsequences = $modinfo->get_sections();
+        $selectedids = array_map(fn($cm) => (int) $cm->id, $modules);
+        foreach ($sequences as $sectionid => $sequence) {
+            $sectionnum = $modinfo->get_section_info_by_id($sectionid)->section;
+            $currentsequence = array_values($currentsequences[$sectionnum]);
+            $selectedinsection = array_intersect($currentsequence, $selectedids);
+            if (!in_array($sectionnum, $filtersectionshook->get_sectionnums())) {
+                foreach ($selectedinsection as $cmid) {
+                    action_result::fail_or_throw(
+                        $result,
+                        $cmid,
+                        new moodle_exception('sectionrestricted', 'block_massaction', '', $sectionnum)
+                    );
+                }
+                continue;
+            }
+            foreach ($selectedinsection as $cmid) {
+                if (array_search($cmid, $sequence) === array_search($cmid, $currentsequence)) {
+                    $result?->add_skipped($cmid, get_string('result_skipped_unchanged', 'block_massaction'));
+                } else {
+                    $result?->add_success($cmid);
+                }
+            }
+            // Modules preceding the first changed position can stay where they are.
+            $unchanged = 0;
+            while ($unchanged < count($sequence) && $sequence[$unchanged] == $currentsequence[$unchanged]) {
+                $unchanged++;
+            }
+            foreach (array_slice($sequence, $unchanged) as $cmid) {
+                formatactions::cm($courseid)->move_end_section($cmid, $sectionid);
+            }
+        }
+    }
+
+    /**
+     * Sorts the modules of a section.
+     *
+     * The sorting is stable, so modules with the same name, type or due date keep their current order.
+     *
+     * @param cm_info[] $cms the modules in their current order
+     * @param string $sortby one of the SORT_* constants
+     * @param array $duedates the due dates of the modules, indexed by course module id
+     * @return int[] the ids of the modules in their new order
+     */
+    private static function sort_cms(array $cms, string $sortby, array $duedates): array {
+        switch ($sortby) {
+            case self::SORT_NAME:
+                usort($cms, fn(cm_info $a, cm_info $b) => strnatcasecmp($a->name, $b->name));
+                break;
+            case self::SORT_TYPE:
+                usort($cms, fn(cm_info $a, cm_info $b) => strcasecmp($a->modfullname, $b->modfullname));
+                break;
+            case self::SORT_DUEDATE:
+                usort($cms, fn(cm_info $a, cm_info $b) =>
+                    ($duedates[$a->id] ?? PHP_INT_MAX) <=> ($duedates[$b->id] ?? PHP_INT_MAX));
+                break;
+            case self::SORT_REVERSE:
+                $cms = array_reverse($cms);
+                break;
+        }
+        return array_map(fn(cm_info $cm) => (int) $cm->id, $cms);
+    }
+
+    /**
+     * Returns the due dates of the given modules.
+     *
+     * @param cm_info[] $cms the modules, indexed by course module id
+     * @return int[] the due dates of the modules which have one, indexed by course module id
+     * @throws dml_exception
+     */
+    private static function get_due_dates(array $cms): array {
+        global $DB;
+        $duedates = [];
+        $instanceids = [];
+        foreach ($cms as $cm) {
+            if (array_key_exists($cm->modname, self::DUE_DATE_FIELDS)) {
+                $instanceids[$cm->modname][$cm->instance] = $cm->id;
+            } else if (!empty($cm->completionexpected)) {
+                $duedates[$cm->id] = (int) $cm->completionexpected;
+            }
+        }
+        foreach ($instanceids as $modname => $cmids) {
+            $field = self::DUE_DATE_FIELDS[$modname];
+            $records = $DB->get_records_list($modname, 'id', array_keys($cmids), '', 'id, ' . $field);
+            foreach ($records as $record) {
+                $cmid = $cmids[$record->id];
+                if (!empty($record->$field)) {
+                    $duedates[$cmid] = (int) $record->$field;
+                } else if (!empty($cms[$cmid]->completionexpected)) {
+                    $duedates[$cmid] = (int) $cms[$cmid]->completionexpected;
+                }
+            }
+        }
+        return $duedates;
+    }
+}
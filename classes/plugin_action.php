@@ -0,0 +1,102 @@
+<?php
+// This file is part of Moodle - http://moodle.org/
+//
+// Moodle is free software: you can redistribute it and/or modify
+// it under the terms of the GNU General Public License as published by
+// the Free Software Foundation, either version 3 of the License, or
+// (at your option) any later version.
+//
+// Moodle is distributed in the hope that it will be useful,
+// but WITHOUT ANY WARRANTY; without even the implied warranty of
+// MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+// GNU General Public License for more details.
+//
+// You should have received a copy of the GNU General Public License
+// along with Moodle.  If not, see <http://www.gnu.org/licenses/>.
+
+namespace block_massaction;
+
+use context_block;
+use stdClass;
+
+/**
+ * plugin_action class: Base class of the mass actions other plugins contribute by the register_actions hook.
+ *
+ * @package    block_massaction
+ * @copyright  2026 University of Regina
+ * @license    http://www.gnu.org/copyleft/gpl.html GNU GPL v3 or later
+ */
+abstract class plugin_action {
+    /**
+     * Returns the name identifying the action.
+     *
+     * The name has to start with the frankenstyle name of the contributing plugin, e.g. 'local_myplugin_stamp', and may only
+     * contain lower case letters, digits and underscores.
+     *
+     * @return string the name of the action
+     */
+    abstract public function get_name(): string;
+
+    /**
+     * Returns the localised label of the action.
+     *
+     * @return string the label
+     */
+    abstract public function get_title(): string;
+
+    /**
+     * Returns the capabilities needed for the action.
+     *
+     * Capabilities of the block are being checked in the context of the block instance, all the others in the course context.
+     *
+     * @return string[] the names of the capabilities
+     */
+    abstract public function get_capabilities(): array;
+
+    /**
+     * Returns the identifier of the icon of the action.
+     *
+     * @return string the icon identifier
+     */
+    public function get_icon(): string {
+        return 'i/settings';
+    }
+
+    /**
+     * Returns the component of the icon of the action.
+     *
+     * @return string the component
+     */
+    public function get_icon_component(): string {
+        return 'moodle';
+    }
+
+    /**
+     * Returns the form asking the user for the parameters of the action.
+     *
+     * @return string|null the name of a subclass of \block_massaction\form\plugin_action_form, null if the action is being applied
+     *  right away
+     */
+    public function get_form_class(): ?string {
+        return null;
+    }
+
+    /**
+     * Applies the action to the given course modules.
+     *
+     * The capabilities and the course the modules belong to have already been checked. Modules which have been left unchanged or
+     * for which the action has failed should be recorded in the result, so the user is being told about them. All the modules
+     * without a recorded outcome are being considered successful afterwards.
+     *
+     * @param array $modules the course module records
+     * @param context_block $blockcontext the context of the block instance the action has been triggered from
+     * @param stdClass|null $formdata the submitted data of the form, null if the action does not have a form
+     * @param action_result $result the result to record the outcome of each module in
+     */
+    abstract public function execute(
+        array $modules,
+        context_block $blockcontext,
+        ?stdClass $formdata,
+        action_result $result
+    ): void;
+}
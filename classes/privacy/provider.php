@@ -16,22 +16,203 @@
 
 namespace block_massaction\privacy;
 
+use block_massaction\duplication_jobs;
+use block_massaction\saved_selections;
+use context;
+use context_course;
+use core_privacy\local\metadata\collection;
+use core_privacy\local\request\approved_contextlist;
+use core_privacy\local\request\approved_userlist;
+use core_privacy\local\request\contextlist;
+use core_privacy\local\request\transform;
+use core_privacy\local\request\userlist;
+use core_privacy\local\request\writer;
+
 /**
- * Privacy Subsystem for blocks_massaction implementing null_provider.
+ * Privacy Subsystem for block_massaction: Exports and deletes the saved selections and the background duplications of users.
  *
  * @package    block_massaction
  * @copyright  2021 ISB Bayern
  * @author     Philipp Memmel
  * @license    http://www.gnu.org/copyleft/gpl.html GNU GPL v3 or later
  */
-class provider implements \core_privacy\local\metadata\null_provider {
+class provider implements
+    \core_privacy\local\metadata\provider,
+    \core_privacy\local\request\core_userlist_provider,
+    \core_privacy\local\request\plugin\provider {
+    /**
+     * Describes the data stored by this plugin.
+     *
+     * @param collection $collection the collection to add the metadata to
+     * @return collection the updated collection
+     */
+    public static function get_metadata(collection $collection): collection {
+        $collection->add_database_table(saved_selections::TABLE, [
+            'userid' => 'privacy:metadata:selections:userid',
+            'courseid' => 'privacy:metadata:selections:courseid',
+            'name' => 'privacy:metadata:selections:name',
+            'moduleids' => 'privacy:metadata:selections:moduleids',
+            'timecreated' => 'privacy:metadata:selections:timecreated',
+            'timemodified' => 'privacy:metadata:selections:timemodified',
+        ], 'privacy:metadata:selections');
+        $collection->add_database_table(duplication_jobs::TABLE, [
+            'userid' => 'privacy:metadata:jobs:userid',
+            'courseid' => 'privacy:metadata:jobs:courseid',
+            'targetcourseid' => 'privacy:metadata:jobs:targetcourseid',
+            'status' => 'privacy:metadata:jobs:status',
+            'total' => 'privacy:metadata:jobs:total',
+            'processed' => 'privacy:metadata:jobs:processed',
+            'failures' => 'privacy:metadata:jobs:failures',
+            'error' => 'privacy:metadata:jobs:error',
+            'timecreated' => 'privacy:metadata:jobs:timecreated',
+            'timemodified' => 'privacy:metadata:jobs:timemodified',
+        ], 'privacy:metadata:jobs');
+        return $collection;
+    }
+
+    /**
+     * Returns the course contexts the user has saved selections or requested duplications in.
+     *
+     * @param int $userid the id of the user
+     * @return contextlist the list of contexts
+     */
+    public static function get_contexts_for_userid(int $userid): contextlist {
+        $contextlist = new contextlist();
+        foreach (self::get_tables() as $table) {
+            $sql = "SELECT ctx.id
+                      FROM {" . $table . "} t
+                      JOIN {context} ctx ON ctx.instanceid = t.courseid AND ctx.contextlevel = :contextlevel
+                     WHERE t.userid = :userid";
+            $contextlist->add_from_sql($sql, ['contextlevel' => CONTEXT_COURSE, 'userid' => $userid]);
+        }
+        return $contextlist;
+    }
+
+    /**
+     * Returns the users who have saved selections or requested duplications in the given context.
+     *
+     * @param userlist $userlist the list to add the users to
+     */
+    public static function get_users_in_context(userlist $userlist): void {
+        $context = $userlist->get_context();
+        if (!$context instanceof context_course) {
+            return;
+        }
+        foreach (self::get_tables() as $table) {
+            $sql = "SELECT userid FROM {" . $table . "} WHERE courseid = :courseid";
+            $userlist->add_from_sql('userid', $sql, ['courseid' => $context->instanceid]);
+        }
+    }
+
+    /**
+     * Exports the saved selections and the requested duplications of the user in the approved contexts.
+     *
+     * @param approved_contextlist $contextlist the approved contexts
+     */
+    public static function export_user_data(approved_contextlist $contextlist): void {
+        global $DB;
+        $userid = $contextlist->get_user()->id;
+        foreach ($contextlist->get_contexts() as $context) {
+            if (!$context instanceof context_course) {
+                continue;
+            }
+            $records = $DB->get_records(
+                saved_selections::TABLE,
+                ['userid' => $userid, 'courseid' => $context->instanceid],
+                'name ASC'
+            );
+            if (!empty($records)) {
+                $selections = array_map(fn($record) => (object) [
+                    'name' => $record->name,
+                    'moduleids' => $record->moduleids,
+                    'timecreated' => transform::datetime($record->timecreated),
+                    'timemodified' => transform::datetime($record->timemodified),
+                ], array_values($records));
+                writer::with_context($context)->export_data(
+                    [get_string('pluginname', 'block_massaction'), get_string('savedselections', 'block_massaction')],
+                    (object) ['selections' => $selections]
+                );
+            }
+
+            $records = $DB->get_records(
+                duplication_jobs::TABLE,
+                ['userid' => $userid, 'courseid' => $context->instanceid],
+                'timecreated ASC'
+            );
+            if (!empty($records)) {
+                $jobs = array_map(fn($record) => (object) [
+                    'targetcourseid' => $record->targetcourseid,
+                    'status' => $record->status,
+                    'total' => $record->total,
+                    'processed' => $record->processed,
+                    'failures' => $record->failures,
+                    'error' => $record->error,
+                    'timecreated' => transform::datetime($record->timecreated),
+                    'timemodified' => transform::datetime($record->timemodified),
+                ], array_values($records));
+                writer::with_context($context)->export_data(
+                    [get_string('pluginname', 'block_massaction'), get_string('duplicationjobs', 'block_massaction')],
+                    (object) ['jobs' => $jobs]
+                );
+            }
+        }
+    }
+
+    /**
+     * Deletes the data of all users in the given context.
+     *
+     * @param context $context the context to delete the data in
+     */
+    public static function delete_data_for_all_users_in_context(context $context): void {
+        global $DB;
+        if ($context instanceof context_course) {
+            foreach (self::get_tables() as $table) {
+                $DB->delete_records($table, ['courseid' => $context->instanceid]);
+            }
+        }
+    }
+
+    /**
+     * Deletes the data of the user in the approved contexts.
+     *
+     * @param approved_contextlist $contextlist the approved contexts
+     */
+    public static function delete_data_for_user(approved_contextlist $contextlist): void {
+        global $DB;
+        $userid = $contextlist->get_user()->id;
+        foreach ($contextlist->get_contexts() as $context) {
+            if ($context instanceof context_course) {
+                foreach (self::get_tables() as $table) {
+                    $DB->delete_records($table, ['userid' => $userid, 'courseid' => $context->instanceid]);
+                }
+            }
+        }
+    }
+
+    /**
+     * Deletes the data of the approved users in the context.
+     *
+     * @param approved_userlist $userlist the approved users
+     */
+    public static function delete_data_for_users(approved_userlist $userlist): void {
+        global $DB;
+        $context = $userlist->get_context();
+        if (!$context instanceof context_course || empty($userlist->get_userids())) {
+            return;
+        }
+        [$insql, $params] = $DB->get_in_or_equal($userlist->get_userids(), SQL_PARAMS_NAMED);
+        $params['courseid'] = $context->instanceid;
+        foreach (self::get_tables() as $table) {
+            $DB->delete_records_select($table, "courseid = :courseid AND userid $insql", $params);
+        }
+    }
+
     /**
-     * Get the language string identifier with the component's language
-     * file to explain why this plugin stores no data.
+     * Returns the tables containing user data, all of them have a userid and a courseid column.
      *
-     * @return string
+     * @return string[] the table names
      */
-    public static function get_reason(): string {
-        return 'privacy:metadata';
+    private static function get_tables(): array {
+        return [saved_selections::TABLE, duplication_jobs::TABLE];
     }
 }
@@ -0,0 +1,115 @@
+<?php
+// This file is part of Moodle - http://moodle.org/
+//
+// Moodle is free software: you can redistribute it and/or modify
+// it under the terms of the GNU General Public License as published by
+// the Free Software Foundation, either version 3 of the License, or
+// (at your option) any later version.
+//
+// Moodle is distributed in the hope that it will be useful,
+// but WITHOUT ANY WARRANTY; without even the implied warranty of
+// MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+// GNU General Public License for more details.
+//
+// You should have received a copy of the GNU General Public License
+// along with Moodle.  If not, see <http://www.gnu.org/licenses/>.
+
+namespace block_massaction;
+
+use core_text;
+use dml_exception;
+use moodle_exception;
+
+/**
+ * saved_selections class: Stores named selections of course modules per user and course.
+ *
+ * @package    block_massaction
+ * @copyright  2026 University of Regina
+ * @license    http://www.gnu.org/copyleft/gpl.html GNU GPL v3 or later
+ */
+class saved_selections {
+    /** @var string the table the selections are being stored in */
+    public const TABLE = 'block_massaction_selections';
+
+    /**
+     * Returns the selections the current user has saved for a course.
+     *
+     * Course modules which do not exist anymore are being removed from the stored selections.
+     *
+     * @param int $courseid the id of the course
+     * @return array list of selections containing their id, name and the ids of the selected modules, ordered by name
+     * @throws dml_exception
+     * @throws moodle_exception
+     */
+    public static function get_selections(int $courseid): array {
+        global $DB, $USER;
+        $cms = get_fast_modinfo($courseid)->get_cms();
+        $records = $DB->get_records(self::TABLE, ['userid' => $USER->id, 'courseid' => $courseid], 'name ASC');
+
+        $selections = [];
+        foreach ($records as $record) {
+            $moduleids = array_map('intval', explode(',', $record->moduleids));
+            $existingids = array_values(array_filter($moduleids, fn($cmid) => array_key_exists($cmid, $cms)));
+            if (count($existingids) !== count($moduleids)) {
+                $DB->set_field(self::TABLE, 'moduleids', implode(',', $existingids), ['id' => $record->id]);
+            }
+            $selections[] = ['id' => (int) $record->id, 'name' => $record->name, 'moduleids' => $existingids];
+        }
+        return $selections;
+    }
+
+    /**
+     * Saves the given course modules as named selection of the current user.
+     *
+     * A selection with the same name in the same course is being replaced.
+     *
+     * @param int $courseid the id of the course
+     * @param string $name the name of the selection
+     * @param int[] $moduleids the ids of the selected course modules
+     * @return int the id of the saved selection
+     * @throws dml_exception
+     * @throws moodle_exception
+     */
+    public static function save(int $courseid, string $name, array $moduleids): int {
+        global $DB, $USER;
+        $name = core_text::substr(trim($name), 0, 255);
+        if ($name === '') {
+            throw new moodle_exception('selectionnameempty', 'block_massaction');
+        }
+        $cms = get_fast_modinfo($courseid)->get_cms();
+        foreach ($moduleids as $cmid) {
+            if (!array_key_exists($cmid, $cms)) {
+                throw new moodle_exception('invalidmoduleid', 'block_massaction', '', $cmid);
+            }
+        }
+
+        $record = $DB->get_record(self::TABLE, ['userid' => $USER->id, 'courseid' => $courseid, 'name' => $name]);
+        $now = time();
+        if ($record) {
+            $record->moduleids = implode(',', $moduleids);
+            $record->timemodified = $now;
+            $DB->update_record(self::TABLE, $record);
+            return (int) $record->id;
+        }
+        return $DB->insert_record(self::TABLE, (object) [
+            'userid' => $USER->id,
+            'courseid' => $courseid,
+            'name' => $name,
+            'moduleids' => implode(',', $moduleids),
+            'timecreated' => $now,
+            'timemodified' => $now,
+        ]);
+    }
+
+    /**
+     * Deletes a selection of the current user.
+     *
+     * @param int $courseid the id of the course the selection belongs to
+     * @param int $id the id of the selection
+     * @throws dml_exception
+     */
+    public static function delete(int $courseid, int $id): void {
+        global $DB, $USER;
+        $DB->delete_records(self::TABLE, ['id' => $id, 'userid' => $USER->id, 'courseid' => $courseid]);
+    }
+}
@@ -0,0 +1,545 @@
+<?php
+// This file is part of Moodle - http://moodle.org/
+//
+// Moodle is free software: you can redistribute it and/or modify
+// it under the terms of the GNU General Public License as published by
+// the Free Software Foundation, either version 3 of the License, or
+// (at your option) any later version.
+//
+// Moodle is distributed in the hope that it will be useful,
+// but WITHOUT ANY WARRANTY; without even the implied warranty of
+// MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+// GNU General Public License for more details.
+//
+// You should have received a copy of the GNU General Public License
+// along with Moodle.  If not, see <http://www.gnu.org/licenses/>.
+
+namespace block_massaction;
+
+use block_massaction\event\course_sections_action_base;
+use block_massaction\hook\filter_sections_same_course;
+use context_block;
+use context_course;
+use core_courseformat\formatactions;
+use dml_exception;
+use moodle_exception;
+use section_info;
+use stdClass;
+
+/**
+ * section_actions class: Applies actions to whole sections of a course.
+ *
+ * Subsections are course modules of the type mod_subsection delegating a section. They belong to the section containing
+ * their course module, so they are hidden, duplicated, moved and deleted together with it. A subsection which has been
+ * selected on its own is being handled like its course module.
+ *
+ * @package    block_massaction
+ * @copyright  2026 University of Regina
+ * @license    http://www.gnu.org/copyleft/gpl.html GNU GPL v3 or later
+ */
+class section_actions {
+    /** @var string[] the actions which can be applied to sections */
+    public const ACTIONS = [
+        'hidesections',
+        'showsections',
+        'duplicatesections',
+        'movesections',
+        'deletesections',
+        'duplicatesectionstocourse',
+    ];
+
+    /** @var array the events logging the actions, the name of the action as key */
+    public const ACTION_EVENTS = [
+        'hidesections' => event\course_sections_hidden::class,
+        'showsections' => event\course_sections_shown::class,
+        'duplicatesections' => event\course_sections_duplicated::class,
+        'movesections' => event\course_sections_moved::class,
+        'deletesections' => event\course_sections_deleted::class,
+        'duplicatesectionstocourse' => event\course_sections_duplicated_to_course::class,
+    ];
+
+    /** @var string[] the actions which only change the visibility, so the course page does not need to be reloaded */
+    public const STATE_ACTIONS = ['hidesections', 'showsections'];
+
+    /**
+     * Performs one of the section actions which do not need any further user interaction.
+     *
+     * The outcome for each section is being kept in the session, so the block can show it.
+     *
+     * @param string $action the name of the action
+     * @param int[] $sectionids the ids of the selected sections
+     * @param context_block $blockcontext the context of the block instance
+     * @param stdClass $data the request data, the 'movesections' action needs the number of the section to move the sections
+     *  after in 'target'
+     * @return bool true if the modules of the sections are being duplicated by a background task
+     * @throws dml_exception
+     * @throws moodle_exception if the action is unknown, parameters are missing or a section does not belong to the course
+     */
+    public static function perform_action(string $action, array $sectionids, context_block $blockcontext, stdClass $data): bool {
+        $courseid = $blockcontext->get_course_context()->instanceid;
+        actions::require_action_capabilities($action, $blockcontext);
+        $sections = self::get_sections($courseid, $sectionids);
+        // The undo feature only knows about course modules.
+        undo::discard_snapshot($courseid);
+
+        $event = self::create_action_event(
+            $action,
+            $sections,
+            $blockcontext->get_course_context(),
+            $action === 'movesections' ? ['target' => (int) ($data->target ?? 0)] : []
+        );
+        $result = new action_result($action, []);
+        $queued = false;
+        switch ($action) {
+            case 'hidesections':
+                self::set_visibility($sections, false, $result);
+                break;
+            case 'showsections':
+                self::set_visibility($sections, true, $result);
+                break;
+            case 'duplicatesections':
+                $queued = self::duplicate($sections, $result);
+                break;
+            case 'movesections':
+                if (!isset($data->target)) {
+                    throw new moodle_exception('missingparam', 'block_massaction');
+                }
+                self::move($sections, (int) $data->target, $result);
+                break;
+            case 'deletesections':
+                self::delete($sections, $result);
+                break;
+            default:
+                throw new moodle_exception('invalidaction', 'block_massaction', '', $action);
+        }
+        $event->trigger();
+        $result->save($courseid);
+        return $queued;
+    }
+
+    /**
+     * Creates the event logging an action on the given sections.
+     *
+     * The event has to be created before the action is being performed, so the names of deleted sections and modules are still
+     * available.
+     *
+     * @param string $action the name of the action
+     * @param section_info[] $sections the sections the action is being applied to
+     * @param context_course $context the context of the course
+     * @param array $other additional data of the event, like the target of the action
+     * @return course_sections_action_base the event, which still has to be triggered
+     * @throws moodle_exception if the action is unknown
+     */
+    public static function create_action_event(
+        string $action,
+        array $sections,
+        context_course $context,
+        array $other = []
+    ): course_sections_action_base {
+        global $CFG;
+        require_once($CFG->dirroot . '/course/lib.php');
+        if (!array_key_exists($action, self::ACTION_EVENTS)) {
+            throw new moodle_exception('invalidaction', 'block_massaction', '', $action);
+        }
+        $modinfo = get_fast_modinfo($context->instanceid);
+        $other['sections'] = [];
+        $other['modules'] = [];
+        foreach ($sections as $section) {
+            $other['sections'][] = [
+                'id' => (int) $section->id,
+                'section' => (int) $section->section,
+                'name' => get_section_name($context->instanceid, $section),
+            ];
+            foreach ($modinfo->get_sections()[$section->section] ?? [] as $cmid) {
+                $cm = $modinfo->get_cm($cmid);
+                $other['modules'][] = ['id' => (int) $cm->id, 'modname' => $cm->modname, 'name' => $cm->name];
+            }
+        }
+        return self::ACTION_EVENTS[$action]::create(['context' => $context, 'other' => $other]);
+    }
+
+    /**
+     * Returns the given sections of a course in the order they are being displayed.
+     *
+     * Subsections whose parent section has been selected as well are being omitted, because they are contained in it.
+     *
+     * @param int $courseid the id of the course
+     * @param int[] $sectionids the ids of the sections
+     * @return section_info[] the sections, indexed by section id
+     * @throws moodle_exception if one of the sections does not belong to the course
+     */
+    public static function get_sections(int $courseid, array $sectionids): array {
+        if (empty($sectionids)) {
+            throw new moodle_exception('nosectionselected', 'block_massaction');
+        }
+        $modinfo = get_fast_modinfo($courseid);
+        $sections = [];
+        foreach ($sectionids as $sectionid) {
+            $section = $modinfo->get_section_info_by_id($sectionid);
+            if ($section === null) {
+                throw new moodle_exception('invalidsectionid', 'block_massaction', '', $sectionid);
+            }
+            $sections[$section->id] = $section;
+        }
+
+        $filtersectionshook = new filter_sections_same_course($courseid, array_keys($modinfo->get_section_info_all()));
+        \core\di::get(\core\hook\manager::class)->dispatch($filtersectionshook);
+        foreach ($sections as $section) {
+            if (!in_array($section->section, $filtersectionshook->get_sectionnums())) {
+                throw new moodle_exception('sectionrestricted', 'block_massaction', '', $section->section);
+            }
+        }
+
+        $sections = array_filter($sections, function (section_info $section) use ($sections, $courseid) {
+            $parentcm = self::get_subsection_cm($section, $courseid);
+            return $parentcm === null || !array_key_exists($parentcm->section, $sections);
+        });
+        uasort($sections, fn(section_info $a, section_info $b) => $a->section <=> $b->section);
+        return $sections;
+    }
+
+    /**
+     * Shows or hides the given sections including the modules they contain.
+     *
+     * @param section_info[] $sections the sections
+     * @param bool $visible true if the sections should be shown, false if they should be hidden
+     * @param action_result|null $result the result to record the outcome of each section in
+     * @throws dml_exception
+     * @throws moodle_exception if the general section is among the sections and no result is being collected
+     */
+    public static function set_visibility(array $sections, bool $visible, ?action_result $result = null): void {
+        global $CFG;
+        require_once($CFG->dirroot . '/course/lib.php');
+        foreach ($sections as $section) {
+            $name = get_section_name($section->course, $section);
+            $cm = self::get_subsection_cm($section, $section->course);
+            if ($cm === null && $section->section == 0) {
+                self::fail_or_throw($result, $name, new moodle_exception('generalsectionnotallowed', 'block_massaction'));
+                continue;
+            }
+            if ((bool) ($cm ?? $section)->visible === $visible) {
+                $unchanged = get_string('result_skipped_unchanged', 'block_massaction');
+                $result?->add_item(action_result::SKIPPED, $name, 0, $unchanged);
+                continue;
+            }
+            if ($cm !== null) {
+                actions::set_visibility([$cm], $visible);
+            } else {
+                set_section_visible($section->course, $section->section, (int) $visible);
+            }
+            $result?->add_item(action_result::SUCCESS, $name);
+        }
+    }
+
+    /**
+     * Duplicates the given sections including their modules, each copy is being inserted directly after its original.
+     *
+     * A section is being recorded as failed if any of its modules could not be duplicated. If the sections contain more modules
+     * than may be duplicated at once, only the copies of the sections are being created right away and their modules are being
+     * duplicated by a background task.
+     *
+     * @param section_info[] $sections the sections
+     * @param action_result|null $result the result to record the outcome of each section in
+     * @return bool true if the modules are being duplicated by a background task
+     * @throws dml_exception
+     * @throws moodle_exception
+     */
+    public static function duplicate(array $sections, ?action_result $result = null): bool {
+        global $CFG;
+        require_once($CFG->dirroot . '/course/lib.php');
+        $background = get_config('block_massaction', 'duplicatemaxactivities') < self::count_modules($sections);
+        $queuedmodules = [];
+        $targetsectionids = [];
+        // Inserting a section changes the numbers of the following ones, so we start with the last section.
+        foreach (array_reverse($sections) as $section) {
+            $courseid = $section->course;
+            $name = get_section_name($courseid, $section);
+            $errors = [];
+            if ($cm = self::get_subsection_cm($section, $courseid)) {
+                $modules = [$cm->id => $cm];
+                $targetsectionid = $cm->section;
+            } else {
+                $newsection = formatactions::section($courseid)->create($section->section + 1);
+                self::copy_section_settings($section, $newsection);
+                $modules = self::get_section_modules($section);
+                $targetsectionid = $newsection->id;
+            }
+            if ($background) {
+                $queuedmodules += $modules;
+                $targetsectionids += array_fill_keys(array_keys($modules), $targetsectionid);
+                continue;
+            }
+            if (!empty($modules)) {
+                $targetsectionnum = get_fast_modinfo($courseid)->get_section_info_by_id($targetsectionid)->section;
+                actions::duplicate($modules, $targetsectionnum, self::get_error_collector($errors));
+            }
+            self::add_section_outcome($result, $name, $errors);
+        }
+        if (empty($queuedmodules)) {
+            return false;
+        }
+        duplication_jobs::queue($queuedmodules, ['targetsectionids' => $targetsectionids]);
+        return true;
+    }
+
+    /**
+     * Moves the given sections, so they directly follow the target section in the order they currently have.
+     *
+     * Subsections cannot be moved on their own, they always stay in the section containing their course module.
+     *
+     * @param section_info[] $sections the sections
+     * @param int $target the number of the section the sections should be moved after, 0 moves them to the top
+     * @param action_result|null $result the result to record the outcome of each section in
+     * @throws dml_exception
+     * @throws moodle_exception if the target is one of the moved sections or any of the sections is a subsection
+     */
+    public static function move(array $sections, int $target, ?action_result $result = null): void {
+        global $CFG;
+        require_once($CFG->dirroot . '/course/lib.php');
+        if (empty($sections)) {
+            return;
+        }
+        $courseid = reset($sections)->course;
+        $modinfo = get_fast_modinfo($courseid);
+        $targetsection = $modinfo->get_section_info($target);
+        if ($targetsection === null || $targetsection->is_delegated()) {
+            throw new moodle_exception('sectionnotexist', 'block_massaction');
+        }
+        foreach ($sections as $section) {
+            if ($section->is_delegated() || $section->section == 0 || $section->id == $targetsection->id) {
+                throw new moodle_exception('sectionnotmovable', 'block_massaction', '', get_section_name($courseid, $section));
+            }
+        }
+
+        // Determine the new order of the sections which are not delegated, the general section always stays first.
+        $order = [];
+        foreach ($modinfo->get_section_info_all() as $section) {
+            if ($section->section == 0 || $section->is_delegated() || array_key_exists($section->id, $sections)) {
+                continue;
+            }
+            $order[] = $section->id;
+        }
+        $position = $target == 0 ? 0 : array_search($targetsection->id, $order) + 1;
+        array_splice($order, $position, 0, array_keys($sections));
+
+        $course = get_course($courseid);
+        foreach ($order as $index => $sectionid) {
+            $current = get_fast_modinfo($courseid)->get_section_info_by_id($sectionid);
+            if ($current->section != $index + 1) {
+                move_section_to($course, $current->section, $index + 1, true);
+            }
+        }
+        // The sections are either all being moved or none of them, because the new order is being checked beforehand.
+        foreach ($sections as $section) {
+            $result?->add_item(action_result::SUCCESS, get_section_name($courseid, $section));
+        }
+    }
+
+    /**
+     * Deletes the given sections including the modules they contain.
+     *
+     * @param section_info[] $sections the sections
+     * @param action_result|null $result the result to record the outcome of each section in
+     * @throws dml_exception
+     * @throws moodle_exception if the general section is among the sections and no result is being collected
+     */
+    public static function delete(array $sections, ?action_result $result = null): void {
+        global $CFG;
+        require_once($CFG->dirroot . '/course/lib.php');
+        // Deleting a section changes the numbers of the following ones, so we start with the last section.
+        foreach (array_reverse($sections) as $section) {
+            $name = get_section_name($section->course, $section);
+            if ($cm = self::get_subsection_cm($section, $section->course)) {
+                actions::perform_deletion([$cm]);
+                $result?->add_item(action_result::SUCCESS, $name);
+                continue;
+            }
+            if ($section->section == 0) {
+                self::fail_or_throw($result, $name, new moodle_exception('generalsectionnotallowed', 'block_massaction'));
+                continue;
+            }
+            $current = get_fast_modinfo($section->course)->get_section_info_by_id($section->id);
+            formatactions::section($section->course)->delete($current);
+            $result?->add_item(action_result::SUCCESS, $name);
+        }
+    }
+
+    /**
+     * Duplicates the given sections to the end of another course.
+     *
+     * A section is being recorded as failed if any of its modules could not be duplicated. If the sections contain more modules
+     * than may be duplicated at once, only the copies of the sections are being created right away and their modules are being
+     * duplicated by a background task.
+     *
+     * @param section_info[] $sections the sections
+     * @param int $targetcourseid the id of the course to duplicate the sections to
+     * @param action_result|null $result the result to record the outcome of each section in
+     * @return bool true if the modules are being duplicated by a background task
+     * @throws dml_exception
+     * @throws moodle_exception
+     */
+    public static function duplicate_to_course(array $sections, int $targetcourseid, ?action_result $result = null): bool {
+        global $CFG;
+        require_once($CFG->dirroot . '/course/lib.php');
+        require_capability('moodle/course:update', context_course::instance($targetcourseid));
+        if (empty($sections)) {
+            return false;
+        }
+        $background = get_config('block_massaction', 'duplicatemaxactivities') < self::count_modules($sections);
+        $queuedmodules = [];
+        $targetsectionids = [];
+        $event = self::create_action_event(
+            'duplicatesectionstocourse',
+            $sections,
+            context_course::instance(reset($sections)->course),
+            ['targetcourseid' => $targetcourseid]
+        );
+        foreach ($sections as $section) {
+            $name = get_section_name($section->course, $section);
+            $errors = [];
+            if ($cm = self::get_subsection_cm($section, $section->course)) {
+                // The subsection is being added to the general section of the target course.
+                $modules = [$cm->id => $cm];
+                $targetsection = get_fast_modinfo($targetcourseid)->get_section_info(0);
+            } else {
+                $newsection = formatactions::section($targetcourseid)->create();
+                self::copy_section_settings($section, $newsection);
+                $modules = self::get_section_modules($section);
+                $targetsection = get_fast_modinfo($targetcourseid)->get_section_info_by_id($newsection->id);
+            }
+            if ($background) {
+                $queuedmodules += $modules;
+                $targetsectionids += array_fill_keys(array_keys($modules), $targetsection->id);
+                continue;
+            }
+            if (!empty($modules)) {
+                actions::duplicate_to_course(
+                    $modules,
+                    $targetcourseid,
+                    $targetsection->section,
+                    self::get_error_collector($errors)
+                );
+            }
+            self::add_section_outcome($result, $name, $errors);
+        }
+        $event->trigger();
+        if (empty($queuedmodules)) {
+            return false;
+        }
+        duplication_jobs::queue($queuedmodules, ['courseid' => $targetcourseid, 'targetsectionids' => $targetsectionids]);
+        return true;
+    }
+
+    /**
+     * Returns the number of modules which have to be duplicated for duplicating the given sections.
+     *
+     * @param section_info[] $sections the sections
+     * @return int the number of modules, a subsection counts as a single module
+     * @throws dml_exception
+     */
+    private static function count_modules(array $sections): int {
+        $count = 0;
+        foreach ($sections as $section) {
+            $count += self::get_subsection_cm($section, $section->course)
+                ? 1
+                : count(get_fast_modinfo($section->course)->get_sections()[$section->section] ?? []);
+        }
+        return $count;
+    }
+
+    /**
+     * Returns a progress callback for duplicating modules which collects the error messages of the failed modules.
+     *
+     * @param array $errors the array to add the error messages to
+     * @return callable the callback for {@see actions::duplicate()} and {@see actions::duplicate_to_course()}
+     */
+    private static function get_error_collector(array &$errors): callable {
+        return function (int $cmid, ?string $error) use (&$errors): void {
+            if ($error !== null) {
+                $errors[] = $error;
+            }
+        };
+    }
+
+    /**
+     * Records the outcome of duplicating a section, which has failed if any of its modules could not be duplicated.
+     *
+     * @param action_result|null $result the result to record the outcome in
+     * @param string $name the name of the section
+     * @param string[] $errors the error messages of the modules which could not be duplicated
+     */
+    private static function add_section_outcome(?action_result $result, string $name, array $errors): void {
+        if (empty($errors)) {
+            $result?->add_item(action_result::SUCCESS, $name);
+        } else {
+            $result?->add_item(action_result::FAILED, $name, 0, implode(' ', $errors));
+        }
+    }
+
+    /**
+     * Records the failure of a single section or throws the exception if no result is being collected.
+     *
+     * @param action_result|null $result the result to record the failure in
+     * @param string $name the name of the section
+     * @param moodle_exception $exception the exception thrown for the section
+     * @throws moodle_exception if no result is being collected
+     */
+    private static function fail_or_throw(?action_result $result, string $name, moodle_exception $exception): void {
+        if ($result === null) {
+            throw $exception;
+        }
+        $result->add_item(action_result::FAILED, $name, 0, $exception->getMessage());
+    }
+
+    /**
+     * Copies the name, the summary and the visibility of a section to a newly created one.
+     *
+     * Copies inside the same course are being marked as such in their name.
+     * @param section_info $section the original section
+     * @param stdClass $newsection the record of the new section
+     * @throws moodle_exception
+     */
+    private static function copy_section_settings(section_info $section, stdClass $newsection): void {
+        $fields = [
+            'summary' => $section->summary,
+            'summaryformat' => $section->summaryformat,
+            'visible' => $section->visible,
+        ];
+        if ($section->name !== null && $section->name !== '') {
+            $fields['name'] = $newsection->course == $section->course
+                ? get_string('duplicatedsectionname', 'block_massaction', $section->name)
+                : $section->name;
+        }
+        $newsectioninfo = get_fast_modinfo($newsection->course)->get_section_info_by_id($newsection->id);
+        formatactions::section($newsection->course)->update($newsectioninfo, $fields);
+    }
+
+    /**
+     * Returns the records of the modules contained in a section.
+     *
+     * @param section_info $section the section
+     * @return array the course module records, indexed by course module id
+     * @throws dml_exception
+     */
+    private static function get_section_modules(section_info $section): array {
+        global $DB;
+        $cmids = get_fast_modinfo($section->course)->get_sections()[$section->section] ?? [];
+        return empty($cmids) ? [] : $DB->get_records_list('course_modules', 'id', $cmids);
+    }
+
+    /**
+     * Returns the record of the course module a subsection is delegated from.
+     *
+     * @param section_info $section the section
+     * @param int $courseid the id of the course
+     * @return stdClass|null the course module record or null if the section is not a subsection
+     * @throws dml_exception
+     */
+    private static function get_subsection_cm(section_info $section, int $courseid): ?stdClass {
+        if ($section->component !== 'mod_subsection') {
+            return null;
+        }
+        $cm = get_coursemodule_from_instance('subsection', $section->itemid, $courseid);
+        return $cm ?: null;
+    }
+}
@@ -17,13 +17,14 @@
 namespace block_massaction\task;
 
 use block_massaction\actions;
+use block_massaction\duplication_jobs;
 use core\task\adhoc_task;
 use moodle_exception;
-use require_login_exception;
-use restore_controller_exception;
+use stdClass;
+use Throwable;
 
 /**
- * duplicate_task class: Adhoc task to process duplicating course modules from the block_massaction plugin.
+ * duplicate_task class: Adhoc task to process duplicating or moving course modules from the block_massaction plugin.
  *
  * @package    block_massaction
  * @copyright  2022 ISB Bayern
@@ -34,14 +35,32 @@ class duplicate_task extends adhoc_task {
     /**
      * Executes the duplication of multiple course modules.
      *
-     * @throws require_login_exception
-     * @throws restore_controller_exception if any of the duplication fails
-     * @throws moodle_exception
+     * Errors aborting the duplication are being recorded in the job instead of being thrown.
+     *
+     * @throws moodle_exception if the job cannot be updated
      */
     public function execute() {
         $data = $this->get_custom_data();
-        // We use sectionid for duplicating modules in the same course, but sectionnum for duplicating to another course.
-        if (!empty($data->courseid)) {
+        // Tasks which have been queued before jobs were tracked do not have a job.
+        $jobid = $data->jobid ?? 0;
+        $progresscallback = null;
+        if (!empty($jobid)) {
+            duplication_jobs::start($jobid);
+            $progresscallback = fn(int $cmid, ?string $error) => duplication_jobs::module_processed($jobid, $cmid, $error);
+        }
+
+        $error = null;
+        if (!empty($data->targetsectionids)) {
+            // The modules of whole sections are being duplicated to the sections created for the copies.
+            try {
+                $this->duplicate_to_sections($data, $progresscallback);
+            } catch (Throwable $e) {
+                // Add the error to log and complete the task, so the job does not stay running forever.
+                mtrace($e->getMessage());
+                $error = $e->getMessage();
+            }
+        } else if (!empty($data->courseid)) {
+            // We use sectionid for duplicating modules in the same course, but sectionnum for duplicating to another course.
             // If a courseid has been set we are duplicating to another course.
             $sectionnum = -1;
             if (property_exists($data, 'sectionnum')) {
@@ -50,19 +69,66 @@ class duplicate_task extends adhoc_task {
                 $sectionnum = $data->sectionnum;
             }
             try {
-                actions::duplicate_to_course((array) $data->modules, $data->courseid, $sectionnum);
-            } catch (moodle_exception $e) {
-                // Add the error to log and complete the task.
+                if (!empty($data->move)) {
+                    // The originals are only being removed after they have been copied to the other course.
+                    actions::move_to_course(
+                        (array) $data->modules,
+                        $data->courseid,
+                        $sectionnum,
+                        !empty($data->userdata),
+                        $progresscallback
+                    );
+                } else {
+                    actions::duplicate_to_course((array) $data->modules, $data->courseid, $sectionnum, $progresscallback);
+                }
+            } catch (Throwable $e) {
+                // Add the error to log and complete the task, so the job does not stay running forever.
                 mtrace($e->getMessage());
+                $error = $e->getMessage();
             }
         } else {
             // If no courseid has been set, we just duplicate in the same course.
             $sectionid = empty($data->sectionid) ? false : $data->sectionid;
             try {
-                actions::duplicate((array) $data->modules, $sectionid);
-            } catch (moodle_exception $e) {
-                // Add the error to log and complete the task.
+                actions::duplicate((array) $data->modules, $sectionid, $progresscallback);
+            } catch (Throwable $e) {
+                // Add the error to log and complete the task, so the job does not stay running forever.
                 mtrace($e->getMessage());
+                $error = $e->getMessage();
+            }
+        }
+
+        if (!empty($jobid)) {
+            duplication_jobs::finish($jobid, $error);
+        }
+    }
+
+    /**
+     * Duplicates each module to the section it has been assigned to.
+     *
+     * The sections are being identified by their id, because their numbers may have changed since the task has been queued.
+     *
+     * @param stdClass $data the custom data of the task, containing the modules, the target section ids indexed by course
+     *  module id and the id of the target course if the modules are being duplicated to another course
+     * @param callable|null $progresscallback called after each module, see {@see actions::duplicate()}
+     * @throws moodle_exception if one of the target sections does not exist anymore
+     */
+    private function duplicate_to_sections(stdClass $data, ?callable $progresscallback): void {
+        $targetcourseid = empty($data->courseid) ? 0 : (int) $data->courseid;
+        $modulesbysection = [];
+        foreach ((array) $data->modules as $module) {
+            $modulesbysection[(int) $data->targetsectionids->{$module->id}][$module->id] = $module;
+        }
+        foreach ($modulesbysection as $sectionid => $modules) {
+            $courseid = $targetcourseid ?: (int) reset($modules)->course;
+            $section = get_fast_modinfo($courseid)->get_section_info_by_id($sectionid);
+            if ($section === null) {
+                throw new moodle_exception('sectionnotexist', 'block_massaction');
+            }
+            if ($targetcourseid) {
+                actions::duplicate_to_course($modules, $targetcourseid, $section->section, $progresscallback);
+            } else {
+                actions::duplicate($modules, $section->section, $progresscallback);
             }
         }
     }
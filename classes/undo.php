@@ -0,0 +1,244 @@
+<?php
+// This file is part of Moodle - http://moodle.org/
+//
+// Moodle is free software: you can redistribute it and/or modify
+// it under the terms of the GNU General Public License as published by
+// the Free Software Foundation, either version 3 of the License, or
+// (at your option) any later version.
+//
+// Moodle is distributed in the hope that it will be useful,
+// but WITHOUT ANY WARRANTY; without even the implied warranty of
+// MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+// GNU General Public License for more details.
+//
+// You should have received a copy of the GNU General Public License
+// along with Moodle.  If not, see <http://www.gnu.org/licenses/>.
+
+namespace block_massaction;
+
+use cache;
+use coding_exception;
+use context_block;
+use core\event\course_module_updated;
+use core_courseformat\formatactions;
+use dml_exception;
+use moodle_exception;
+use required_capability_exception;
+
+/**
+ * undo class: Records the state of course modules before a mass action and restores it on request.
+ *
+ * Only the last action per course is being kept. The snapshot is stored in the session cache, so it is only available to the
+ * user who triggered the action.
+ *
+ * @package    block_massaction
+ * @copyright  2026 University of Regina
+ * @license    http://www.gnu.org/copyleft/gpl.html GNU GPL v3 or later
+ */
+class undo {
+    /** @var string[] the actions which can be reverted */
+    public const UNDOABLE_ACTIONS = [
+        'hide',
+        'show',
+        'makeavailable',
+        'moveleft',
+        'moveright',
+        'moveto',
+        'showdescription',
+        'hidedescription',
+        'rename',
+        'sort',
+    ];
+
+    /**
+     * Stores the current state of the given modules before the action is being applied to them.
+     *
+     * @param string $action the action which is about to be performed
+     * @param array $modules the module records the action will be applied to
+     * @param int $courseid the id of the course the modules belong to
+     * @throws dml_exception
+     */
+    public static function record_snapshot(string $action, array $modules, int $courseid): void {
+        global $DB;
+        if (empty($modules)) {
+            self::discard_snapshot($courseid);
+            return;
+        }
+
+        $cmids = array_map(fn($cm) => $cm->id, $modules);
+        $records = $DB->get_records_list(
+            'course_modules',
+            'id',
+            $cmids,
+            '',
+            'id, section, visible, visibleonpage, indent, showdescription'
+        );
+
+        $snapshot = [
+            'action' => $action,
+            'modules' => [],
+            'sections' => [],
+        ];
+        foreach ($records as $record) {
+            $snapshot['modules'][$record->id] = (array) $record;
+        }
+        // Names are not stored in the course_modules table, but in the instance tables of the modules.
+        if ($action === 'rename') {
+            $modinfo = get_fast_modinfo($courseid);
+            foreach ($cmids as $cmid) {
+                $snapshot['names'][$cmid] = $modinfo->get_cm($cmid)->name;
+            }
+        }
+        // To be able to restore the position of each module, we need the original order of all the affected sections.
+        $sectionids = array_unique(array_column($snapshot['modules'], 'section'));
+        foreach ($DB->get_records_list('course_sections', 'id', $sectionids, '', 'id, sequence') as $section) {
+            $snapshot['sections'][$section->id] = empty($section->sequence) ? [] : explode(',', $section->sequence);
+        }
+
+        self::get_cache()->set($courseid, $snapshot);
+    }
+
+    /**
+     * Returns the snapshot of the last undoable action in the given course.
+     *
+     * @param int $courseid the id of the course
+     * @return array|null the snapshot or null if there is nothing to undo
+     */
+    public static function get_snapshot(int $courseid): ?array {
+        $snapshot = self::get_cache()->get($courseid);
+        return $snapshot === false ? null : $snapshot;
+    }
+
+    /**
+     * Removes the snapshot of the given course, so the last action cannot be reverted anymore.
+     *
+     * @param int $courseid the id of the course
+     */
+    public static function discard_snapshot(int $courseid): void {
+        self::get_cache()->delete($courseid);
+    }
+
+    /**
+     * Returns the localized name of the action which has been recorded.
+     *
+     * @param string $action the name of the action
+     * @return string the name to display to the user
+     * @throws coding_exception
+     */
+    public static function get_action_name(string $action): string {
+        // The move action is labelled by its section select.
+        return get_string('action_' . ($action === 'moveto' ? 'movetosection' : $action), 'block_massaction');
+    }
+
+    /**
+     * Reverts the last recorded action in the course of the given block instance.
+     *
+     * Modules which have been deleted in the meantime are being skipped.
+     *
+     * @param context_block $blockcontext the context of the block instance
+     * @return array the ids of the course modules which have been restored
+     * @throws coding_exception
+     * @throws dml_exception
+     * @throws moodle_exception if there is nothing to undo
+     * @throws required_capability_exception if the user is not allowed to perform the original action
+     */
+    public static function revert(context_block $blockcontext): array {
+        global $CFG, $DB;
+        require_once($CFG->dirroot . '/course/lib.php');
+
+        $courseid = $blockcontext->get_course_context()->instanceid;
+        $snapshot = self::get_snapshot($courseid);
+        if ($snapshot === null) {
+            throw new moodle_exception('nothingtoundo', 'block_massaction');
+        }
+        actions::require_action_capabilities($snapshot['action'], $blockcontext);
+
+        // Positions have to be restored first: Moving a module into a hidden section also changes its visibility.
+        if ($snapshot['action'] === 'moveto' || $snapshot['action'] === 'sort') {
+            self::restore_positions($courseid, $snapshot['sections']);
+        }
+
+        $current = $DB->get_records_list(
+            'course_modules',
+            'id',
+            array_keys($snapshot['modules']),
+            '',
+            'id, course, visible, visibleonpage, indent, showdescription'
+        );
+        $current = array_filter($current, fn($cm) => $cm->course == $courseid);
+
+        foreach ($current as $cm) {
+            $prior = (object) $snapshot['modules'][$cm->id];
+            if ($cm->visible != $prior->visible || $cm->visibleonpage != $prior->visibleonpage) {
+                if (set_coursemodule_visible($cm->id, $prior->visible, $prior->visibleonpage)) {
+                    course_module_updated::create_from_cm(get_coursemodule_from_id(false, $cm->id))->trigger();
+                }
+            }
+            if ($cm->indent != $prior->indent) {
+                $DB->set_field('course_modules', 'indent', $prior->indent, ['id' => $cm->id]);
+            }
+            if ($cm->showdescription != $prior->showdescription) {
+                $DB->set_field('course_modules', 'showdescription', $prior->showdescription, ['id' => $cm->id]);
+            }
+        }
+        rebuild_course_cache($courseid);
+        foreach ($snapshot['names'] ?? [] as $cmid => $name) {
+            if (array_key_exists($cmid, $current) && get_fast_modinfo($courseid)->get_cm($cmid)->name !== $name) {
+                formatactions::cm($courseid)->rename($cmid, $name);
+            }
+        }
+        self::discard_snapshot($courseid);
+
+        return array_keys($current);
+    }
+
+    /**
+     * Restores the original order of the modules in the given sections.
+     *
+     * Beginning with the first module that has been moved away, the modules of the original sequence are being appended to
+     * the section again. Modules preceding the first moved module have not changed their position and are left untouched.
+     *
+     * @param int $courseid the id of the course
+     * @param array $sections the original sequences of module ids, indexed by section id
+     * @throws moodle_exception
+     */
+    private static function restore_positions(int $courseid, array $sections): void {
+        $modinfo = get_fast_modinfo($courseid);
+        $cmsbysectionnum = $modinfo->get_sections();
+        $currentsequences = [];
+        foreach ($modinfo->get_section_info_all() as $section) {
+            $currentsequences[$section->id] = $cmsbysectionnum[$section->section] ?? [];
+        }
+        $existingcms = $modinfo->get_cms();
+
+        foreach ($sections as $sectionid => $sequence) {
+            if (!array_key_exists($sectionid, $currentsequences)) {
+                // The section has been deleted in the meantime.
+                continue;
+            }
+            // Skip the modules which still are at their original position.
+            $unchanged = 0;
+            $currentsequence = array_values($currentsequences[$sectionid]);
+            while (
+                $unchanged < count($sequence) && $unchanged < count($currentsequence)
+                && $sequence[$unchanged] == $currentsequence[$unchanged]
+            ) {
+                $unchanged++;
+            }
+            foreach (array_slice($sequence, $unchanged) as $cmid) {
+                if (array_key_exists($cmid, $existingcms)) {
+                    formatactions::cm($courseid)->move_end_section($cmid, $sectionid);
+                }
+            }
+        }
+    }
+
+    /**
+     * Returns the cache the snapshots are being stored in.
+     *
+     * @return \cache_session the session cache
+     */
+    private static function get_cache(): \cache_session {
+        return cache::make('block_massaction', 'undo');
+    }
+}
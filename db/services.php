@@ -0,0 +1,82 @@
+<?php
+// This file is part of Moodle - http://moodle.org/
+//
+// Moodle is free software: you can redistribute it and/or modify
+// it under the terms of the GNU General Public License as published by
+// the Free Software Foundation, either version 3 of the License, or
+// (at your option) any later version.
+//
+// Moodle is distributed in the hope that it will be useful,
+// but WITHOUT ANY WARRANTY; without even the implied warranty of
+// MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+// GNU General Public License for more details.
+//
+// You should have received a copy of the GNU General Public License
+// along with Moodle.  If not, see <http://www.gnu.org/licenses/>.
+
+/**
+ * Mass Actions block external functions.
+ *
+ * @package    block_massaction
+ * @copyright  2026 University of Regina
+ * @license    http://www.gnu.org/copyleft/gpl.html GNU GPL v3 or later
+ */
+
+defined('MOODLE_INTERNAL') || die();
+
+$functions = [
+    'block_massaction_execute_action' => [
+        'classname' => 'block_massaction\external\execute_action',
+        'description' => 'Executes a mass action on the selected course modules.',
+        'type' => 'write',
+        'ajax' => true,
+    ],
+    'block_massaction_execute_section_action' => [
+        'classname' => 'block_massaction\external\execute_section_action',
+        'description' => 'Executes a mass action on the selected sections.',
+        'type' => 'write',
+        'ajax' => true,
+    ],
+    'block_massaction_undo_action' => [
+        'classname' => 'block_massaction\external\undo_action',
+        'description' => 'Reverts the last mass action in the course of the block instance.',
+        'type' => 'write',
+        'ajax' => true,
+    ],
+    'block_massaction_save_selection' => [
+        'classname' => 'block_massaction\external\save_selection',
+        'description' => 'Saves a named selection of course modules for the current user.',
+        'type' => 'write',
+        'ajax' => true,
+    ],
+    'block_massaction_delete_selection' => [
+        'classname' => 'block_massaction\external\delete_selection',
+        'description' => 'Deletes a saved selection of course modules of the current user.',
+        'type' => 'write',
+        'ajax' => true,
+    ],
+    'block_massaction_get_duplication_jobs' => [
+        'classname' => 'block_massaction\external\get_duplication_jobs',
+        'description' => 'Returns the status of the background duplications the current user has requested in the course.',
+        'type' => 'read',
+        'ajax' => true,
+    ],
+    'block_massaction_get_completion_tracked_modules' => [
+        'classname' => 'block_massaction\external\get_completion_tracked_modules',
+        'description' => 'Returns the course modules with completion tracking enabled in the course of the block instance.',
+        'type' => 'read',
+        'ajax' => true,
+    ],
+    'block_massaction_get_module_names' => [
+        'classname' => 'block_massaction\external\get_module_names',
+        'description' => 'Returns the names of the course modules in the course of the block instance as they have been entered.',
+        'type' => 'read',
+        'ajax' => true,
+    ],
+    'block_massaction_dismiss_duplication_job' => [
+        'classname' => 'block_massaction\external\dismiss_duplication_job',
+        'description' => 'Removes a finished background duplication from the list of the current user.',
+        'type' => 'write',
+        'ajax' => true,
+    ],
+];
@@ -33,6 +33,7 @@
  * @throws upgrade_exception
  */
 function xmldb_block_massaction_upgrade($oldversion, $block): bool {
+    global $DB;
 
     if ($oldversion < 2022000000) { // Stand-in function.
         upgrade_block_savepoint(true, 2022000000, 'massaction', false);
@@ -45,6 +46,75 @@ function xmldb_block_massaction_upgrade($oldversion, $block): bool {
         upgrade_block_savepoint(true, 2023041700, 'massaction', false);
     }
 
+    if ($oldversion < 2026101907) {
+        $dbman = $DB->get_manager();
+        $table = new xmldb_table('block_massaction_selections');
+        $table->add_field('id', XMLDB_TYPE_INTEGER, '10', null, XMLDB_NOTNULL, XMLDB_SEQUENCE, null);
+        $table->add_field('userid', XMLDB_TYPE_INTEGER, '10', null, XMLDB_NOTNULL, null, null);
+        $table->add_field('courseid', XMLDB_TYPE_INTEGER, '10', null, XMLDB_NOTNULL, null, null);
+        $table->add_field('name', XMLDB_TYPE_CHAR, '255', null, XMLDB_NOTNULL, null, null);
+        $table->add_field('moduleids', XMLDB_TYPE_TEXT, null, null, XMLDB_NOTNULL, null, null);
+        $table->add_field('timecreated', XMLDB_TYPE_INTEGER, '10', null, XMLDB_NOTNULL, null, '0');
+        $table->add_field('timemodified', XMLDB_TYPE_INTEGER, '10', null, XMLDB_NOTNULL, null, '0');
+        $table->add_key('primary', XMLDB_KEY_PRIMARY, ['id']);
+        $table->add_key('userid', XMLDB_KEY_FOREIGN, ['userid'], 'user', ['id']);
+        $table->add_key('courseid', XMLDB_KEY_FOREIGN, ['courseid'], 'course', ['id']);
+        $table->add_index('usercoursename', XMLDB_INDEX_UNIQUE, ['userid', 'courseid', 'name']);
+        if (!$dbman->table_exists($table)) {
+            $dbman->create_table($table);
+        }
+        upgrade_block_savepoint(true, 2026101907, 'massaction', false);
+    }
+
+    if ($oldversion < 2026101908) {
+        $dbman = $DB->get_manager();
+        $table = new xmldb_table('block_massaction_jobs');
+        $table->add_field('id', XMLDB_TYPE_INTEGER, '10', null, XMLDB_NOTNULL, XMLDB_SEQUENCE, null);
+        $table->add_field('userid', XMLDB_TYPE_INTEGER, '10', null, XMLDB_NOTNULL, null, null);
+        $table->add_field('courseid', XMLDB_TYPE_INTEGER, '10', null, XMLDB_NOTNULL, null, null);
+        $table->add_field('targetcourseid', XMLDB_TYPE_INTEGER, '10', null, XMLDB_NOTNULL, null, '0');
+        $table->add_field('status', XMLDB_TYPE_CHAR, '20', null, XMLDB_NOTNULL, null, null);
+        $table->add_field('total', XMLDB_TYPE_INTEGER, '10', null, XMLDB_NOTNULL, null, '0');
+        $table->add_field('processed', XMLDB_TYPE_INTEGER, '10', null, XMLDB_NOTNULL, null, '0');
+        $table->add_field('failures', XMLDB_TYPE_TEXT, null, null, null, null, null);
+        $table->add_field('error', XMLDB_TYPE_TEXT, null, null, null, null, null);
+        $table->add_field('timecreated', XMLDB_TYPE_INTEGER, '10', null, XMLDB_NOTNULL, null, '0');
+        $table->add_field('timemodified', XMLDB_TYPE_INTEGER, '10', null, XMLDB_NOTNULL, null, '0');
+        $table->add_key('primary', XMLDB_KEY_PRIMARY, ['id']);
+        $table->add_key('userid', XMLDB_KEY_FOREIGN, ['userid'], 'user', ['id']);
+        $table->add_key('courseid', XMLDB_KEY_FOREIGN, ['courseid'], 'course', ['id']);
+        if (!$dbman->table_exists($table)) {
+            $dbman->create_table($table);
+        }
+        upgrade_block_savepoint(true, 2026101908, 'massaction', false);
+    }
+
+    if ($oldversion < 2026101909) {
+        $dbman = $DB->get_manager();
+        $table = new xmldb_table('block_massaction_jobs');
+        $field = new xmldb_field('batchid', XMLDB_TYPE_INTEGER, '10', null, XMLDB_NOTNULL, null, '0', 'id');
+        if (!$dbman->field_exists($table, $field)) {
+            $dbman->add_field($table, $field);
+        }
+        $index = new xmldb_index('batchid', XMLDB_INDEX_NOTUNIQUE, ['batchid']);
+        if (!$dbman->index_exists($table, $index)) {
+            $dbman->add_index($table, $index);
+        }
+        // Jobs which have been queued before are a batch on their own.
+        $DB->execute('UPDATE {block_massaction_jobs} SET batchid = id WHERE batchid = 0');
+        upgrade_block_savepoint(true, 2026101909, 'massaction', false);
+    }
+
+    if ($oldversion < 2026101919) {
+        $dbman = $DB->get_manager();
+        $table = new xmldb_table('block_massaction_jobs');
+        $field = new xmldb_field('move', XMLDB_TYPE_INTEGER, '1', null, XMLDB_NOTNULL, null, '0', 'targetcourseid');
+        if (!$dbman->field_exists($table, $field)) {
+            $dbman->add_field($table, $field);
+        }
+        upgrade_block_savepoint(true, 2026101919, 'massaction', false);
+    }
+
     return true;
 }
 
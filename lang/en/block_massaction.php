@@ -22,66 +22,276 @@
  * @author     Philipp Memmel
  * @license    http://www.gnu.org/copyleft/gpl.html GNU GPL v3 or later
  */
+$string['action_competencies'] = 'Link competencies';
 $string['action_contentchangednotification'] = 'Send content changed notification';
 $string['action_delete'] = 'Delete';
+$string['action_deletesections'] = 'Delete sections';
 $string['action_duplicate'] = 'Duplicate';
+$string['action_duplicatesections'] = 'Duplicate sections';
+$string['action_duplicatesectionstocourse'] = 'Duplicate sections to another course';
 $string['action_duplicatetocourse'] = 'Duplicate to another course';
 $string['action_duplicatetosection'] = 'Duplicate to section';
+$string['action_exportbundle'] = 'Export as activity bundle';
 $string['action_hide'] = 'Hide';
 $string['action_hidedescription'] = 'Hide description';
+$string['action_hidesections'] = 'Hide sections';
+$string['action_importbundle'] = 'Import activity bundle';
 $string['action_makeavailable'] = 'Make available';
+$string['action_modulesettings'] = 'Change settings';
 $string['action_moveleft'] = 'Outdent (move left)';
 $string['action_moveright'] = 'Indent (move right)';
+$string['action_movesections'] = 'Move sections';
+$string['action_movetocourse'] = 'Move to another course';
 $string['action_movetosection'] = 'Move to section';
+$string['action_rename'] = 'Rename';
+$string['action_restrictaccess'] = 'Restrict access';
+$string['action_shiftdates'] = 'Shift dates';
 $string['action_show'] = 'Show';
 $string['action_showdescription'] = 'Show description';
+$string['action_showsections'] = 'Show sections';
+$string['action_sort'] = 'Sort within sections';
+$string['action_tags'] = 'Edit tags';
 $string['actionexecuted'] = 'The action you requested has been executed.';
 $string['applicablecourseformats'] = 'Applicable course formats';
 $string['applicablecourseformats_description'] = 'Mass Actions block will only be available for the selected course formats. <br />Preselected defaults are the ones tested and supported by the plugin maintainer. Add other formats at your own risk.';
-$string['backgroundtaskinformation'] = 'The action you demanded is being executed in the background. You can continue your work while waiting for it to finish.';
+$string['availability_apply'] = 'Apply restrictions';
+$string['availability_completion'] = 'Completion of activity';
+$string['availability_completion_help'] = 'Only activities with completion tracking enabled are listed. The condition is not being added to the selected activity itself.';
+$string['availability_completionstate'] = 'Required completion state';
+$string['availability_from'] = 'Available from';
+$string['availability_group'] = 'Group';
+$string['availability_grouping'] = 'Grouping';
+$string['availability_invaliddates'] = 'The end date has to be after the start date.';
+$string['availability_mode'] = 'Existing restrictions';
+$string['availability_mode_add'] = 'Keep and add the new restrictions';
+$string['availability_mode_clear'] = 'Remove all restrictions';
+$string['availability_mode_help'] = 'Defines what happens to the access restrictions the selected activities already have. When keeping them, the new restrictions are being added, so students have to meet both the existing and the new restrictions.';
+$string['availability_mode_replace'] = 'Replace with the new restrictions';
+$string['availability_noconditions'] = 'Please specify at least one restriction.';
+$string['availability_until'] = 'Available until';
+$string['availabilitydisabled'] = 'Restricting access is disabled on this site.';
+$string['backgroundtaskinformation'] = 'The action you demanded is being executed in the background. You can continue your work while waiting for it to finish. The progress is being shown in the Mass Actions block and you will be notified as soon as it has finished.';
+$string['backupnosupport'] = 'Activities of the type "{$a}" cannot be backed up and therefore cannot be exported.';
 $string['blockname'] = 'Mass Actions';
 $string['blocktitle'] = 'Mass Actions';
 $string['bulkeditingdisabled'] = 'To use this block, you need to enable bulk editing mode.';
-$string['choosecoursetoduplicateto'] = 'Choose the course you want to duplicate the selected course modules to';
+$string['bundlecreationfailed'] = 'The activity bundle could not be created.';
+$string['bundlerestorefailed'] = 'The activity "{$a}" of the bundle could not be restored.';
+$string['cachedef_results'] = 'Outcome of the last mass action for each course module';
+$string['cachedef_undo'] = 'Snapshot of the course modules before the last mass action';
+$string['cannotaddsection'] = 'You are not allowed to add the missing sections to the target course.';
+$string['choosecategoriestoduplicateto'] = 'Add all courses of these categories';
+$string['choosecategoriestoduplicateto_help'] = 'All courses of the chosen categories and their subcategories in which you are allowed to restore activities are added to the target courses. Use this to duplicate the selected activities to a number of parallel courses at once.';
+$string['choosecoursetoduplicateto'] = 'Choose the courses you want to duplicate the selected course modules to';
+$string['choosecoursetomoveto'] = 'Choose the course you want to move the selected course modules to';
 $string['choosesectiontoduplicateto'] = 'Choose the section you want the selected course modules to be duplicated to.';
-$string['choosetargetcourse'] = 'Choose target course';
+$string['choosetargetcourse'] = 'Choose target courses';
 $string['choosetargetsection'] = 'Choose target section';
+$string['competencies_apply'] = 'Apply to selected activities';
+$string['competencies_mode'] = 'Operation';
+$string['competencies_mode_link'] = 'Link the competencies to the selected activities';
+$string['competencies_mode_unlink'] = 'Unlink the competencies from the selected activities';
+$string['competencies_noselection'] = 'No competencies selected';
+$string['competenciesdisabled'] = 'Competencies are disabled on this site.';
 $string['confirmcourseselect'] = 'Choose course';
+$string['confirmmove'] = 'Move';
 $string['confirmsectionselect'] = 'Choose section';
+$string['datefield_allowsubmissionsfromdate'] = 'Allow submissions from';
+$string['datefield_assessmentend'] = 'Assessment closes';
+$string['datefield_assessmentstart'] = 'Assessment opens';
+$string['datefield_assesstimefinish'] = 'Ratings closed';
+$string['datefield_assesstimestart'] = 'Ratings open';
+$string['datefield_availability'] = 'Access restriction date';
+$string['datefield_available'] = 'Available from';
+$string['datefield_completionexpected'] = 'Expect completed on';
+$string['datefield_cutoffdate'] = 'Cut-off date';
+$string['datefield_deadline'] = 'Deadline';
+$string['datefield_duedate'] = 'Due date';
+$string['datefield_gradingduedate'] = 'Remind me to grade by';
+$string['datefield_override'] = 'User or group override';
+$string['datefield_submissionend'] = 'Submissions deadline';
+$string['datefield_submissionstart'] = 'Submissions open';
+$string['datefield_timeavailablefrom'] = 'Available from';
+$string['datefield_timeavailableto'] = 'Available to';
+$string['datefield_timeclose'] = 'Close';
+$string['datefield_timeopen'] = 'Open';
+$string['datefield_timeviewfrom'] = 'Read only from';
+$string['datefield_timeviewto'] = 'Read only to';
 $string['deletecheck'] = 'Confirm mass deletion';
 $string['deletecheckconfirm'] = 'Are you sure you want to delete the following module(s)?';
+$string['deletesavedselection'] = 'Delete saved selection';
+$string['deletesavedselection_confirm'] = 'Do you really want to delete the saved selection "{$a}"?';
+$string['deletesections_confirm'] = 'Do you really want to delete {$a} section(s) including all the activities and resources they contain?';
 $string['deselectall'] = 'Deselect all';
+$string['duplicatedsectionname'] = '{$a} (copy)';
 $string['duplicatefailed'] = 'Could not duplicate course module from id {$a}';
 $string['duplicatemaxactivities'] = 'Maximum amount of course modules to duplicate';
 $string['duplicatemaxactivities_description'] = 'Maximum amount of course modules which can be duplicated at the same time without running the process as background task. If set to "0" all duplication operations will be run as background task.';
+$string['duplicationjobs'] = 'Background duplications';
 $string['enablebulkediting'] = 'Enable bulk editing';
+$string['event:course_modules_competencies_changed'] = 'Competencies of course modules changed';
+$string['event:course_modules_content_changed_notified'] = 'Content changed notifications sent for course modules';
+$string['event:course_modules_dates_shifted'] = 'Dates of course modules shifted';
+$string['event:course_modules_deleted'] = 'Course modules deleted';
+$string['event:course_modules_description_hidden'] = 'Course module descriptions hidden';
+$string['event:course_modules_description_shown'] = 'Course module descriptions shown';
 $string['event:course_modules_duplicated'] = 'Course modules duplicated';
 $string['event:course_modules_duplicated_failed'] = 'Course modules failed to duplicate';
+$string['event:course_modules_exported'] = 'Course modules exported as activity bundle';
+$string['event:course_modules_hidden'] = 'Course modules hidden';
+$string['event:course_modules_imported'] = 'Course modules imported from activity bundle';
+$string['event:course_modules_indented'] = 'Course modules indented';
+$string['event:course_modules_made_available'] = 'Course modules made available';
+$string['event:course_modules_moved'] = 'Course modules moved to section';
+$string['event:course_modules_moved_to_course'] = 'Course modules moved to another course';
+$string['event:course_modules_renamed'] = 'Course modules renamed';
+$string['event:course_modules_restricted'] = 'Access restrictions of course modules changed';
+$string['event:course_modules_settings_changed'] = 'Settings of course modules changed';
+$string['event:course_modules_shown'] = 'Course modules shown';
+$string['event:course_modules_sorted'] = 'Course modules sorted';
+$string['event:course_modules_tags_changed'] = 'Tags of course modules changed';
+$string['event:course_sections_deleted'] = 'Course sections deleted';
+$string['event:course_sections_duplicated'] = 'Course sections duplicated';
+$string['event:course_sections_duplicated_to_course'] = 'Course sections duplicated to another course';
+$string['event:course_sections_hidden'] = 'Course sections hidden';
+$string['event:course_sections_moved'] = 'Course sections moved';
+$string['event:course_sections_shown'] = 'Course sections shown';
 $string['event:duplicated_completed_list'] = 'Completed {$a->list}.';
 $string['event:duplicated_description'] = 'cmid from \'{$a->src}\' to \'{$a->dst}\'';
 $string['event:duplicated_failed_description'] = 'Course module duplication failed. cmid: {$a->cmid} error: {$a->error}';
 $string['event:duplicated_failed_list'] = 'Failed {$a->list}.';
 $string['event:duplicated_summary'] = 'Course module duplication has been completed. Summary: {$a->countcomplete} Completed, {$a->countfailed} Failed.';
+$string['event:massaction_description'] = 'The user with id \'{$a->userid}\' performed the mass action \'{$a->action}\' on the course modules with ids {$a->cmids} in the course with id \'{$a->courseid}\'.';
+$string['event:massaction_sections_description'] = 'The user with id \'{$a->userid}\' performed the mass action \'{$a->action}\' on the sections with ids {$a->sectionids} in the course with id \'{$a->courseid}\'.';
+$string['exportbundle_filename'] = 'activities-{$a->course}-{$a->date}.zip';
+$string['filter'] = 'Select by filter';
+$string['filter_any'] = 'Any';
+$string['filter_completion'] = 'Completion tracking';
+$string['filter_completion_tracked'] = 'Completion tracking enabled';
+$string['filter_completion_untracked'] = 'Completion tracking disabled';
+$string['filter_deselect'] = 'Deselect matching';
+$string['filter_invalidregex'] = 'The name filter is not a valid regular expression';
+$string['filter_moduletype'] = 'Activity type';
+$string['filter_name'] = 'Name contains';
+$string['filter_nameregex'] = 'Use regular expression';
+$string['filter_nomatches'] = 'No activities match the filter';
+$string['filter_select'] = 'Select matching';
+$string['filter_visibility'] = 'Visibility';
+$string['filter_visibility_hidden'] = 'Hidden';
+$string['filter_visibility_stealth'] = 'Available but not shown on course page';
+$string['filter_visibility_visible'] = 'Visible';
+$string['generalsectionnotallowed'] = 'This action cannot be applied to the general section.';
+$string['history'] = 'Mass action history';
+$string['history_action'] = 'Action';
+$string['history_allactions'] = 'All actions';
+$string['history_deleted'] = 'Deleted';
+$string['history_empty'] = 'No mass actions have been logged in this course yet.';
+$string['history_modules'] = 'Course modules';
+$string['history_nologstore'] = 'The history is not available because no log store which can be read is enabled.';
+$string['history_sections'] = 'Sections';
+$string['history_time'] = 'Time';
+$string['history_unknownmodule'] = 'Course module {$a}';
+$string['history_user'] = 'User';
+$string['importbundle_done'] = '{$a} activities have been imported from the bundle.';
+$string['importbundle_file'] = 'Activity bundle';
+$string['importbundle_file_help'] = 'An activity bundle is a ZIP file exported by the mass actions block of this or another site. It contains a backup of each of the exported activities without any user data.';
+$string['importbundle_section'] = 'Import to section';
+$string['importbundle_sectionrestricted'] = 'You are not allowed to import activities to section {$a}.';
+$string['importbundle_sourcesection'] = 'Same section as in the original course';
+$string['includeuserdata'] = 'Include user data';
+$string['includeuserdata_help'] = 'If enabled, the user data of the course modules, e.g. submissions, grades or forum posts, is moved to the target course as well. Otherwise only the course modules and their content are moved and the user data is deleted together with the original course modules.';
 $string['invalidaction'] = 'Unknown action: {$a}';
+$string['invalidbundle'] = 'The uploaded file is not a valid activity bundle.';
 $string['invalidcourseid'] = 'Invalid course ID';
 $string['invalidcoursemodule'] = 'Invalid course module';
 $string['invalidmoduleid'] = 'Invalid module ID: {$a}';
+$string['invalidsectionid'] = 'The section with the id {$a} does not belong to this course.';
+$string['invalidsortrule'] = 'Unknown sort order or placement: {$a}';
+$string['invertselection'] = 'Invert selection';
+$string['job_failures'] = 'The following activities could not be duplicated:';
+$string['job_failures_move'] = 'The following activities could not be moved:';
+$string['job_incomplete'] = 'Not all of the activities have been processed.';
+$string['job_notification_batch'] = 'The activities of the course "{$a->coursename}" have been duplicated to {$a->count} courses:';
+$string['job_notification_batch_subject'] = 'Duplication from {$a->coursename} to {$a->count} courses finished';
+$string['job_notification_failed'] = 'The duplication of activities in the course "{$a->coursename}" has been aborted after {$a->duplicated} of {$a->total} activities have been duplicated.';
+$string['job_notification_failed_subject'] = 'Duplication in {$a->coursename} failed';
+$string['job_notification_finished'] = '{$a->duplicated} of {$a->total} activities in the course "{$a->coursename}" have been duplicated.';
+$string['job_notification_finished_subject'] = 'Duplication in {$a->coursename} finished';
+$string['job_notification_incomplete'] = 'Only {$a->duplicated} of {$a->total} activities in the course "{$a->coursename}" have been duplicated, the others have not been processed.';
+$string['job_notification_incomplete_subject'] = 'Duplication in {$a->coursename} incomplete';
+$string['job_notification_move_failed'] = 'Moving the activities of the course "{$a->coursename}" has been aborted after {$a->moved} of {$a->total} activities have been moved.';
+$string['job_notification_move_failed_subject'] = 'Moving activities from {$a->coursename} failed';
+$string['job_notification_move_finished'] = '{$a->moved} of {$a->total} activities of the course "{$a->coursename}" have been moved.';
+$string['job_notification_move_finished_subject'] = 'Moving activities from {$a->coursename} finished';
+$string['job_notification_move_incomplete'] = 'Only {$a->moved} of {$a->total} activities of the course "{$a->coursename}" have been moved, the others have not been processed.';
+$string['job_notification_move_incomplete_subject'] = 'Moving activities from {$a->coursename} incomplete';
+$string['job_notification_target'] = '{$a->coursename}: {$a->duplicated} of {$a->total} activities duplicated.';
+$string['job_progress'] = '{$a->processed} of {$a->total} activities processed';
+$string['job_status_failed'] = 'Failed';
+$string['job_status_finished'] = 'Finished';
+$string['job_status_pending'] = 'Waiting to be started';
+$string['job_status_running'] = 'Running';
+$string['job_title'] = 'Duplication requested on {$a}';
+$string['job_title_move'] = 'Move requested on {$a}';
 $string['jsonerror'] = 'Error coding: Invalid JSON format';
 $string['keepsectionnum'] = 'Keep original section number';
+$string['keyboardshortcuts'] = 'Keyboard shortcuts';
+$string['keyboardshortcuts_help'] = '<p>Hold the shift key while clicking the checkbox of a course module to select or deselect all course modules between the previously clicked one and this one.</p>
+<p>While bulk editing is enabled, the following shortcuts can be used as long as the cursor is not inside a text field:</p>
+<ul>
+<li>Alt+Shift+A: Select all</li>
+<li>Alt+Shift+N: Deselect all</li>
+<li>Alt+Shift+I: Invert selection</li>
+<li>Alt+Shift+H: Hide</li>
+<li>Alt+Shift+S: Show</li>
+<li>Alt+Shift+V: Make available</li>
+<li>Alt+Shift+D: Duplicate</li>
+<li>Alt+Shift+X: Delete</li>
+<li>Alt+Shift+L / Alt+Shift+R: Outdent / Indent</li>
+<li>Alt+Shift+O / Alt+Shift+P: Show / Hide description</li>
+<li>Alt+Shift+M: Move to the section chosen in the block</li>
+<li>Alt+Shift+C: Duplicate to the section chosen in the block</li>
+<li>Alt+Shift+K: Duplicate to another course</li>
+<li>Alt+Shift+J: Move to another course</li>
+<li>Alt+Shift+Q: Sort within sections as chosen in the block</li>
+<li>Alt+Shift+E: Restrict access</li>
+<li>Alt+Shift+T: Shift dates</li>
+<li>Alt+Shift+G: Change settings</li>
+<li>Alt+Shift+U: Send content changed notification</li>
+</ul>
+<p>Shortcuts of actions which are not available to you are ignored.</p>';
 $string['limittoenrolled'] = 'Limit target course list to courses in which the user is enrolled';
 $string['limittoenrolled_description'] = 'If enabled the course selection of the feature "Duplicate to another course" will be limited to courses in which the user is enrolled. Enabling this is recommended for instances with many courses, because not limiting the courses is likely to result in performance issues and timeouts. Disabling this option is at one own\'s risk.';
 $string['massaction:activityshowhide'] = 'MassAction: Show/Hide modules';
 $string['massaction:addinstance'] = 'Add a new Mass Actions Block';
+$string['massaction:bundles'] = 'MassAction: Export and import activity bundles';
+$string['massaction:competencies'] = 'MassAction: Link course competencies to multiple activities';
 $string['massaction:delete'] = 'MassAction: Delete modules';
 $string['massaction:descriptionshowhide'] = 'MassAction: Show/Hide Descriptions';
 $string['massaction:duplicate'] = 'MassAction: Duplicate modules';
 $string['massaction:duplicatetocourse'] = 'MassAction: Duplicate to Course';
 $string['massaction:indent'] = 'MassAction: Indent modules';
+$string['massaction:modulesettings'] = 'MassAction: Change module settings';
+$string['massaction:movetocourse'] = 'MassAction: Move to Course';
 $string['massaction:movetosection'] = 'MassAction: Move to Section';
+$string['massaction:rename'] = 'MassAction: Rename';
+$string['massaction:restrictaccess'] = 'MassAction: Restrict access';
+$string['massaction:sectionactions'] = 'MassAction: Apply actions to whole sections';
 $string['massaction:sendcontentchangednotifications'] = 'Send content changed notifications';
+$string['massaction:shiftdates'] = 'MassAction: Shift dates';
+$string['massaction:sort'] = 'MassAction: Sort within sections';
+$string['massaction:tags'] = 'MassAction: Edit the tags of multiple activities';
 $string['massaction:use'] = 'Use the Mass Actions block';
+$string['massaction:viewhistory'] = 'MassAction: View the history of mass actions in a course';
+$string['maxtargetcourses'] = 'Maximum amount of courses to duplicate to';
+$string['maxtargetcourses_description'] = 'Maximum amount of courses course modules can be duplicated to at the same time. Each of the courses gets a background task of its own. If set to "0" the amount of courses is not being limited.';
+$string['messageprovider:duplicationfinished'] = 'Result of duplicating activities in the background';
+$string['missingparam'] = 'A required parameter for this action is missing';
 $string['modulename'] = 'Activity name';
 $string['moduletype'] = 'Activity type';
+$string['movesections_after'] = 'After "{$a}"';
+$string['movesections_top'] = 'To the top';
+$string['movetocourse_incomplete'] = 'Only {$a->moved} of {$a->total} course modules could be copied to the target course. The other course modules have been kept in this course.';
 $string['multipleinstances'] = 'There must not be multiple instances of this block on the same page. <br />Please remove additional instances.';
 $string['newsection'] = 'New Section';
 $string['noaction'] = 'No action specified';
@@ -90,18 +300,171 @@ $string['nocaptobackup'] = 'You do not have sufficient permissions to perform a
 $string['nocaptorestore'] = 'You do not have sufficient permissions to perform a restore in the course';
 $string['noitemselected'] = 'Please select at least one item to apply the mass-action';
 $string['nomovingtargetselected'] = 'Please select a target section';
+$string['norenamepattern'] = 'Please enter a search term, a template, a prefix or a suffix for renaming the selected items';
+$string['nosections'] = 'This course does not have any sections besides the general section.';
+$string['nosectionselected'] = 'Please select at least one section to apply the mass-action';
+$string['noselectionchosen'] = 'Please choose a saved selection first.';
+$string['nosortruleselected'] = 'Please choose how to sort the selected items, or where to place them in their sections';
 $string['notargetcourseidspecified'] = 'No target course id has been specified';
+$string['notargetcourses'] = 'None of the chosen courses or categories contains a course you can duplicate the selected course modules to.';
+$string['nothingtoundo'] = 'There is no action which could be undone.';
+$string['onlyteachingcourses'] = 'Only add courses of these categories in which I am enrolled as editing teacher';
+$string['originsectionnotallowed'] = 'The activities must not be duplicated to the sections they have in the source course.';
 $string['pluginname'] = 'Mass Actions';
-$string['privacy:metadata'] = 'This block only offers the possibility to apply standard operations on multiple course modules at the same time.
-Thus, no data is being stored by this block.';
+$string['preview_after'] = 'Resulting state';
+$string['preview_before'] = 'Current state';
+$string['preview_confirm'] = 'Apply';
+$string['preview_copyafter'] = 'Copy after {$a}';
+$string['preview_copyin'] = 'Copy in {$a}';
+$string['preview_indent'] = 'Indent {$a}';
+$string['preview_module'] = 'Activity';
+$string['preview_position'] = 'Position {$a}';
+$string['preview_result_competencies'] = 'Competencies changed';
+$string['preview_result_contentchangednotification'] = 'Notification sent';
+$string['preview_result_delete'] = 'Deleted';
+$string['preview_result_deletesections'] = 'Deleted including its activities';
+$string['preview_result_duplicatetocourse'] = 'Copy in another course';
+$string['preview_result_exportbundle'] = 'Exported to a bundle';
+$string['preview_result_hidedescription'] = 'Description hidden';
+$string['preview_result_modulesettings'] = 'Settings changed';
+$string['preview_result_movetocourse'] = 'Moved to another course';
+$string['preview_result_restrictaccess'] = 'Access restrictions changed';
+$string['preview_result_shiftdates'] = 'Dates shifted';
+$string['preview_result_showdescription'] = 'Description shown';
+$string['preview_result_sort'] = 'Sorted within its section';
+$string['preview_result_tags'] = 'Tags changed';
+$string['preview_section'] = 'Section';
+$string['preview_title'] = 'Preview: {$a}';
+$string['previewactions'] = 'Actions with preview';
+$string['previewactions_description'] = 'Before executing one of the selected actions, the user is being shown a dialog listing the selected activities with their current and resulting state. The action is only being applied after the user has confirmed the dialog. Importing an activity bundle and the actions of other plugins cannot be previewed, as they do not change the selected activities or their changes are not known to the block.';
+$string['privacy:metadata:jobs'] = 'The duplications of course modules users have requested to be executed in the background.';
+$string['privacy:metadata:jobs:courseid'] = 'The course the duplicated course modules belong to';
+$string['privacy:metadata:jobs:error'] = 'The error which aborted the duplication';
+$string['privacy:metadata:jobs:failures'] = 'The course modules which could not be duplicated and the reason';
+$string['privacy:metadata:jobs:processed'] = 'The number of course modules which have been processed';
+$string['privacy:metadata:jobs:status'] = 'The status of the duplication';
+$string['privacy:metadata:jobs:targetcourseid'] = 'The course the course modules are being duplicated to';
+$string['privacy:metadata:jobs:timecreated'] = 'The time the duplication has been requested';
+$string['privacy:metadata:jobs:timemodified'] = 'The time the status has been updated';
+$string['privacy:metadata:jobs:total'] = 'The number of course modules to duplicate';
+$string['privacy:metadata:jobs:userid'] = 'The user who requested the duplication';
+$string['privacy:metadata:selections'] = 'The selections of course modules users have saved to restore them later.';
+$string['privacy:metadata:selections:courseid'] = 'The course the selected course modules belong to';
+$string['privacy:metadata:selections:moduleids'] = 'The ids of the selected course modules';
+$string['privacy:metadata:selections:name'] = 'The name the user has given the selection';
+$string['privacy:metadata:selections:timecreated'] = 'The time the selection has been saved';
+$string['privacy:metadata:selections:timemodified'] = 'The time the selection has been updated';
+$string['privacy:metadata:selections:userid'] = 'The user who saved the selection';
+$string['rename_apply'] = 'Rename selected items';
+$string['rename_find'] = 'Search for';
+$string['rename_invalidregex'] = 'The search term "{$a}" is not a valid regular expression.';
+$string['rename_nochanges'] = 'The names of the selected items would not change.';
+$string['rename_prefix'] = 'Add prefix';
+$string['rename_regex'] = 'Search term is a regular expression';
+$string['rename_regexfailed'] = 'Applying the regular expression "{$a->find}" failed: {$a->error}';
+$string['rename_replace'] = 'Replace with';
+$string['rename_replace_help'] = 'The text replacing each occurrence of the search term.
+
+If the search term is a regular expression, the following placeholders can be used:
+
+* $0: the whole text found
+* $1 to $9: the text found by the first to ninth group in parentheses
+* $$: a literal dollar sign
+
+Example: Searching for "Lab (\\d+)" and replacing with "Exercise $1" renames "Lab 3" to "Exercise 3".';
+$string['rename_suffix'] = 'Add suffix';
+$string['rename_template'] = 'Name template';
+$string['rename_template_help'] = 'Builds the new names from the following placeholders. Leave empty to keep the name after replacing the search term.
+
+* {name}: the name after replacing the search term
+* {n}: the position of the item among the selected items on the course page, starting at 1
+* {section}: the number of the section the item is in
+
+Example: "Week {section} – {n}: {name}"
+
+The prefix and the suffix are being added afterwards. The new names are being shown below before you apply them.';
+$string['restoresavedselection'] = 'Restore saved selection';
+$string['result_details'] = 'Details';
+$string['result_skipped_indentlimit'] = 'The indentation cannot be changed any further';
+$string['result_skipped_noconditions'] = 'None of the restrictions can be applied to this activity, for example because it would depend on its own completion';
+$string['result_skipped_nodates'] = 'This activity does not have any dates which can be shifted';
+$string['result_skipped_nodescription'] = 'This activity does not have a description which can be shown on the course page';
+$string['result_skipped_notificationhidden'] = 'No notification is being sent for hidden activities or hidden courses';
+$string['result_skipped_stealthdisabled'] = 'Stealth activities are disabled on this site';
+$string['result_skipped_unchanged'] = 'Nothing had to be changed';
+$string['result_status_failed'] = 'Failed';
+$string['result_status_skipped'] = 'Skipped';
+$string['result_status_success'] = 'Applied';
+$string['result_summary'] = '{$a->action}: applied to {$a->success}, skipped {$a->skipped}, failed for {$a->failed} activities';
+$string['savedselection_placeholder'] = 'Saved selections';
+$string['savedselection_restored'] = '{$a->count} activities of the selection "{$a->name}" have been selected.';
+$string['savedselections'] = 'Saved selections';
+$string['saveselection'] = 'Save selection';
+$string['saveselection_name'] = 'Name of the selection';
+$string['sectionactions'] = 'Sections';
 $string['sectionnotexist'] = 'Target section does not exist';
+$string['sectionnotmovable'] = 'The section "{$a}" cannot be moved: The general section and subsections stay where they are, and sections cannot be moved after themselves.';
 $string['sectionrestricted'] = 'Source section is restricted: You are not allowed to apply an action to activities in section {$a}.';
 $string['sectionselect'] = 'Section selection';
 $string['sectionselect_help'] = 'You can only select sections which include at least one course module.
 Additionally, when using the Tiles or One Topic course format you can only select sections which are currently visible.';
 $string['selectall'] = 'Select all';
 $string['selectallinsection'] = 'Select all in section';
+$string['selectionnameempty'] = 'Please enter a name for the selection.';
+$string['selectionsaved'] = 'The selection "{$a}" has been saved.';
+$string['settings_apply'] = 'Apply settings';
+$string['settings_completion'] = 'Completion tracking';
+$string['settings_completion_help'] = 'Activities for which students already have completion data are being skipped, so their progress is not lost.';
+$string['settings_completion_manual'] = 'Students can manually mark the activity as completed';
+$string['settings_completion_none'] = 'Do not indicate activity completion';
+$string['settings_completion_view'] = 'Completed as soon as students view the activity';
+$string['settings_idnumberprefix'] = 'ID number prefix';
+$string['settings_idnumberprefix_help'] = 'The selected activities get ID numbers consisting of this prefix and a consecutive number in the order of the activities on the course page. Numbers which are already being used by other activities are being left out. Leave empty to keep the current ID numbers.';
+$string['settings_nochange'] = 'No change';
+$string['settings_omitted'] = 'Some settings are not being offered, because they cannot be applied to all of the selected activities.';
+$string['settings_partlyapplied'] = 'Not all the settings have been applied: {$a}';
+$string['settings_skipped_completiondata'] = 'Students already have completion data for this activity';
+$string['settings_skipped_nogradeitem'] = 'This activity does not have a grade';
+$string['settings_skipped_unsupported'] = 'This activity does not support this setting';
+$string['shiftdates_anchordate'] = 'Earliest date';
+$string['shiftdates_confirm'] = 'The following dates will be changed:';
+$string['shiftdates_field'] = 'Date';
+$string['shiftdates_mode'] = 'Shift by';
+$string['shiftdates_mode_anchor'] = 'New earliest date';
+$string['shiftdates_mode_help'] = 'Either move all dates by a number of days, or move them so the earliest date of the selected activities falls on the given date. In both cases the distance between the dates is being kept.';
+$string['shiftdates_mode_offset'] = 'Number of days';
+$string['shiftdates_nochanges'] = 'The selected activities do not have any dates which could be shifted.';
+$string['shiftdates_nooffset'] = 'Please enter the number of days to shift the dates by.';
+$string['shiftdates_offsetdays'] = 'Days';
+$string['shiftdates_offsetdays_help'] = 'The dates keep their time of day, even if the daylight saving time changes in between. Use a negative number to move the dates back.';
+$string['shiftdates_preview'] = 'Show changes';
+$string['sort_by'] = 'Sort selected items by';
+$string['sort_by_duedate'] = 'Due date';
+$string['sort_by_name'] = 'Name';
+$string['sort_by_none'] = 'Keep current order';
+$string['sort_by_reverse'] = 'Reverse current order';
+$string['sort_by_type'] = 'Activity type';
+$string['sort_placement'] = 'Position in section';
+$string['sort_placement_bottom'] = 'Together at the bottom of the section';
+$string['sort_placement_keep'] = 'At their current positions';
+$string['sort_placement_top'] = 'Together at the top of the section';
 $string['sourcecourseidlost'] = 'Source course id could not be found';
+$string['summary_bysection'] = 'By section';
+$string['summary_bytype'] = 'By activity type';
+$string['summary_count'] = 'Selected: {$a}';
+$string['summary_deselect'] = 'Deselect {$a}';
+$string['summary_details'] = 'Show selection';
+$string['tags_apply'] = 'Apply to selected activities';
+$string['tags_mode'] = 'Operation';
+$string['tags_mode_add'] = 'Add the tags to the selected activities';
+$string['tags_mode_remove'] = 'Remove the tags from the selected activities';
+$string['tagsdisabled'] = 'Tags are disabled for activities on this site.';
+$string['targetcoursesdropped'] = 'You cannot duplicate the selected course modules to these courses: {$a}';
+$string['targetsectionrestricted'] = 'The activities must not be duplicated to section {$a} of the target course.';
+$string['toomanytargetcourses'] = 'The chosen courses and categories contain {$a->count} courses, but the course modules can only be duplicated to {$a->max} courses at once.';
+$string['undo'] = 'Undo';
+$string['undoavailable'] = 'Last action: {$a}';
+$string['undone'] = 'The last action has been undone.';
 $string['unusable'] = 'The mass action functionality cannot be used in this course format or the current theme';
 $string['usage'] = 'Usage of the Mass Actions Block';
 $string['usage_help'] = '<p>This block allows instructors to perform actions upon multiple resources or activities in the class view, rather than having to perform repeated actions on individual items.</p>
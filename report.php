@@ -0,0 +1,77 @@
+<?php
+// This file is part of Moodle - http://moodle.org/
+//
+// Moodle is free software: you can redistribute it and/or modify
+// it under the terms of the GNU General Public License as published by
+// the Free Software Foundation, either version 3 of the License, or
+// (at your option) any later version.
+//
+// Moodle is distributed in the hope that it will be useful,
+// but WITHOUT ANY WARRANTY; without even the implied warranty of
+// MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+// GNU General Public License for more details.
+//
+// You should have received a copy of the GNU General Public License
+// along with Moodle.  If not, see <http://www.gnu.org/licenses/>.
+
+/**
+ * Lists the mass actions which have been performed in the course of the block instance.
+ *
+ * @package    block_massaction
+ * @copyright  2026 University of Regina
+ * @license    http://www.gnu.org/copyleft/gpl.html GNU GPL v3 or later
+ */
+
+use block_massaction\action_history;
+
+require('../../config.php');
+
+$instanceid = required_param('instance_id', PARAM_INT);
+$eventfilter = optional_param('event', '', PARAM_ALPHANUMEXT);
+$page = optional_param('page', 0, PARAM_INT);
+
+$blockcontext = context_block::instance($instanceid);
+$context = $blockcontext->get_course_context();
+$course = get_course($context->instanceid);
+
+require_login($course);
+require_capability('block/massaction:viewhistory', $blockcontext);
+
+$baseurl = new moodle_url('/blocks/massaction/report.php', ['instance_id' => $instanceid]);
+$url = new moodle_url($baseurl, ['event' => $eventfilter]);
+$PAGE->set_url($url);
+$PAGE->set_context($context);
+$PAGE->set_pagelayout('report');
+$PAGE->set_title(get_string('history', 'block_massaction'));
+$PAGE->set_heading($course->fullname);
+
+echo $OUTPUT->header();
+echo $OUTPUT->heading(get_string('history', 'block_massaction'));
+
+$reader = action_history::get_reader();
+if ($reader === null) {
+    echo $OUTPUT->notification(get_string('history_nologstore', 'block_massaction'), 'warning');
+} else {
+    echo $OUTPUT->single_select(
+        $baseurl,
+        'event',
+        action_history::get_event_options(),
+        $eventfilter,
+        ['' => get_string('history_allactions', 'block_massaction')]
+    );
+    $total = action_history::count_entries($reader, $course->id, $eventfilter);
+    $entries = action_history::get_entries(
+        $reader,
+        $course->id,
+        $eventfilter,
+        $page * action_history::PER_PAGE,
+        action_history::PER_PAGE
+    );
+    echo $OUTPUT->render_from_template('block_massaction/history_report', [
+        'hasentries' => !empty($entries),
+        'entries' => $entries,
+    ]);
+    echo $OUTPUT->paging_bar($total, $page, action_history::PER_PAGE, $url);
+}
+
+echo $OUTPUT->footer();
@@ -44,6 +44,16 @@ if ($hassiteconfig) {
             )
         );
 
+        $settings->add(
+            new admin_setting_configtext(
+                'block_massaction/maxtargetcourses',
+                new lang_string('maxtargetcourses', 'block_massaction'),
+                new lang_string('maxtargetcourses_description', 'block_massaction'),
+                \block_massaction\actions::DEFAULT_MAX_TARGET_COURSES,
+                PARAM_INT
+            )
+        );
+
         $pluginmanager = \core_plugin_manager::instance();
         $plugins = [];
         foreach ($pluginmanager->get_plugins_of_type('format') as $pluginname => $plugin) {
@@ -70,6 +80,46 @@ if ($hassiteconfig) {
             )
         );
 
+        $previewactions = [
+            'hide' => new lang_string('action_hide', 'block_massaction'),
+            'show' => new lang_string('action_show', 'block_massaction'),
+            'makeavailable' => new lang_string('action_makeavailable', 'block_massaction'),
+            'moveleft' => new lang_string('action_moveleft', 'block_massaction'),
+            'moveright' => new lang_string('action_moveright', 'block_massaction'),
+            'moveto' => new lang_string('action_movetosection', 'block_massaction'),
+            'duplicate' => new lang_string('action_duplicate', 'block_massaction'),
+            'duplicateto' => new lang_string('action_duplicatetosection', 'block_massaction'),
+            'duplicatetocourse' => new lang_string('action_duplicatetocourse', 'block_massaction'),
+            'movetocourse' => new lang_string('action_movetocourse', 'block_massaction'),
+            'delete' => new lang_string('action_delete', 'block_massaction'),
+            'showdescription' => new lang_string('action_showdescription', 'block_massaction'),
+            'hidedescription' => new lang_string('action_hidedescription', 'block_massaction'),
+            'restrictaccess' => new lang_string('action_restrictaccess', 'block_massaction'),
+            'shiftdates' => new lang_string('action_shiftdates', 'block_massaction'),
+            'modulesettings' => new lang_string('action_modulesettings', 'block_massaction'),
+            'contentchangednotification' => new lang_string('action_contentchangednotification', 'block_massaction'),
+            'rename' => new lang_string('action_rename', 'block_massaction'),
+            'sort' => new lang_string('action_sort', 'block_massaction'),
+            'tags' => new lang_string('action_tags', 'block_massaction'),
+            'competencies' => new lang_string('action_competencies', 'block_massaction'),
+            'exportbundle' => new lang_string('action_exportbundle', 'block_massaction'),
+            'hidesections' => new lang_string('action_hidesections', 'block_massaction'),
+            'showsections' => new lang_string('action_showsections', 'block_massaction'),
+            'movesections' => new lang_string('action_movesections', 'block_massaction'),
+            'duplicatesections' => new lang_string('action_duplicatesections', 'block_massaction'),
+            'duplicatesectionstocourse' => new lang_string('action_duplicatesectionstocourse', 'block_massaction'),
+            'deletesections' => new lang_string('action_deletesections', 'block_massaction'),
+        ];
+        $settings->add(
+            new admin_setting_configmulticheckbox(
+                'block_massaction/previewactions',
+                new lang_string('previewactions', 'block_massaction'),
+                new lang_string('previewactions_description', 'block_massaction'),
+                [],
+                $previewactions
+            )
+        );
+
         $settings->add(
             new admin_setting_configcheckbox(
                 'block_massaction/limittoenrolled',
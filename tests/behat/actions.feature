@@ -37,25 +37,22 @@ Feature: Check if all the different type of actions of the mass actions block wo
     And I click on "Hide" "button" in the "Mass Actions" "block"
     Then "Test Activity1" activity should be hidden
     And "Test Activity4" activity should be hidden
-    When I click on "Enable bulk editing" "button"
-    And I click on "Test Activity1" "checkbox"
-    And I click on "Test Activity4" "checkbox"
-    And I click on "Show" "button" in the "Mass Actions" "block"
+    # The page is not being reloaded, so the selection is being kept.
+    When I click on "Show" "button" in the "Mass Actions" "block"
     Then "Test Activity1" activity should be visible
     And "Test Activity4" activity should be visible
-    When I click on "Enable bulk editing" "button"
-    And I click on "Test Activity1" "checkbox"
+    When I click on "Test Activity4" "checkbox"
     And I click on "Make available" "button" in the "Mass Actions" "block"
     Then I should see "Available but not shown on course page" in the "Test Activity1" "activity"
-    When I hide section "4"
+    When I reload the page
+    And I hide section "4"
     And I click on "Enable bulk editing" "button"
     And I click on "Test Activity4" "checkbox"
     And I click on "Test Activity5" "checkbox"
     And I click on "Make available" "button" in the "Mass Actions" "block"
     And I should see "Available but not shown on course page" in the "Test Activity4" "activity"
     And I should see "Available but not shown on course page" in the "Test Activity5" "activity"
-    When I click on "Enable bulk editing" "button"
-    And I click on "Test Activity5" "checkbox"
+    When I click on "Test Activity4" "checkbox"
     And I click on "Hide" "button" in the "Mass Actions" "block"
     And "Test Activity5" activity should be hidden
     And I log out
@@ -83,6 +80,115 @@ Feature: Check if all the different type of actions of the mass actions block wo
     Then I should see "Test Activity1" in the "#section-3" "css_element"
     And I should see "Test Activity4" in the "#section-3" "css_element"
 
+  @javascript
+  Scenario: Check if whole sections can be hidden and duplicated
+    When I click on "Sections" "button" in the "Mass Actions" "block"
+    And I click on "Section 4" "checkbox" in the "Mass Actions" "block"
+    And I click on "Hide sections" "button" in the "Mass Actions" "block"
+    Then section "4" should be hidden
+    And "Test Activity5" activity should be hidden
+    When I click on "Section 1" "checkbox" in the "Mass Actions" "block"
+    And I click on "Duplicate sections" "button" in the "Mass Actions" "block"
+    Then I should see "Test Activity2" in the "#section-2" "css_element"
+
+  @javascript
+  Scenario: Check if mass action 'sort within sections' works
+    Then "Test Activity4" "text" should appear before "Test Activity5" "text"
+    When I click on "Test Activity4" "checkbox"
+    And I click on "Test Activity5" "checkbox"
+    And I set the field "sort_by" in the "Mass Actions" "block" to "Reverse current order"
+    And I click on "sort_modules" "button" in the "Mass Actions" "block"
+    Then "Test Activity5" "text" should appear before "Test Activity4" "text"
+
+  @javascript
+  Scenario: Check if mass action 'rename' works
+    When I click on "Test Activity2" "checkbox"
+    And I click on "Test Activity4" "checkbox"
+    And I click on "Rename" "button" in the "Mass Actions" "block"
+    And I set the field "Search for" to "Test Activity"
+    And I set the field "Replace with" to "Lesson "
+    And I set the field "Name template" to "Week {section}: {name} ({n})"
+    Then I should see "Week 1: Lesson 2 (1)" in the "#block-massaction-rename-preview" "css_element"
+    And I should see "Week 4: Lesson 4 (2)" in the "#block-massaction-rename-preview" "css_element"
+    When I click on "Rename selected items" "button" in the "Mass Actions" "block"
+    Then I should see "Week 1: Lesson 2 (1)" in the "#section-1" "css_element"
+    And I should see "Week 4: Lesson 4 (2)" in the "#section-4" "css_element"
+    And I should see "Test Activity1" in the "#section-0" "css_element"
+
+  @javascript
+  Scenario: Check if the last mass action can be undone
+    When I click on "Test Activity1" "checkbox"
+    And I click on "Test Activity4" "checkbox"
+    And I set the field "target_section_moving" in the "Mass Actions" "block" to "3"
+    And I click on "move_to_section" "button" in the "Mass Actions" "block"
+    Then I should see "Test Activity4" in the "#section-3" "css_element"
+    # The undo notification is kept after reloading the page.
+    And I reload the page
+    And I should see "Last action: Move to section" in the "Mass Actions" "block"
+    And I click on "Undo" "button" in the "Mass Actions" "block"
+    And I should see "Test Activity1" in the "#section-0" "css_element"
+    And I should see "Test Activity4" in the "#section-4" "css_element"
+    And I should not see "Last action: Move to section" in the "Mass Actions" "block"
+
+  @javascript
+  Scenario: Check if an action which cannot be undone discards the last undoable action
+    When I click on "Test Activity1" "checkbox"
+    And I click on "Test Activity4" "checkbox"
+    And I click on "Hide" "button" in the "Mass Actions" "block"
+    Then I should see "Last action: Hide" in the "Mass Actions" "block"
+    And I click on "Edit tags" "button" in the "Mass Actions" "block"
+    And I set the field "Tags" to "Exam"
+    And I press "Apply to selected activities"
+    And I should not see "Last action: Hide" in the "Mass Actions" "block"
+    And "Undo" "button" should not exist in the "Mass Actions" "block"
+
+  @javascript
+  Scenario: Check if the preview dialog is shown before applying an action
+    Given the following config values are set as admin:
+      | config         | value | plugin           |
+      | previewactions | hide  | block_massaction |
+    And I reload the page
+    And I click on "Enable bulk editing" "button"
+    When I click on "Test Activity1" "checkbox"
+    And I click on "Hide" "button" in the "Mass Actions" "block"
+    Then I should see "Preview: Hide" in the ".modal-dialog" "css_element"
+    And I should see "Test Activity1" in the ".modal-dialog" "css_element"
+    And I should see "Visible" in the ".modal-dialog" "css_element"
+    And I should see "Hidden" in the ".modal-dialog" "css_element"
+    And I click on "Cancel" "button" in the ".modal-dialog" "css_element"
+    And "Test Activity1" activity should be visible
+    And I click on "Hide" "button" in the "Mass Actions" "block"
+    And I click on "Apply" "button" in the ".modal-dialog" "css_element"
+    And "Test Activity1" activity should be hidden
+
+  @javascript
+  Scenario: Check if mass action 'restrict access' works
+    Given the following "groups" exist:
+      | name    | course | idnumber |
+      | Group A | TC     | GA       |
+    And I reload the page
+    And I click on "Enable bulk editing" "button"
+    When I click on "Test Activity1" "checkbox"
+    And I click on "Test Activity4" "checkbox"
+    And I click on "Restrict access" "button" in the "Mass Actions" "block"
+    And I set the field "Group" to "Group A"
+    And I press "Apply restrictions"
+    Then I should see "Group A" in the "Test Activity1" "activity"
+    And I should see "Group A" in the "Test Activity4" "activity"
+    And I should not see "Group A" in the "Test Activity2" "activity"
+
+  @javascript
+  Scenario: Check if mass action 'edit tags' works
+    When I click on "Test Activity1" "checkbox"
+    And I click on "Test Activity4" "checkbox"
+    And I click on "Edit tags" "button" in the "Mass Actions" "block"
+    And I set the field "Tags" to "Exam"
+    And I press "Apply to selected activities"
+    And I am on the "Test Activity4" "page activity editing" page
+    Then the field "Tags" matches value "Exam"
+    And I am on the "Test Activity2" "page activity editing" page
+    And the field "Tags" matches value ""
+
   @javascript
   Scenario: Check if mass action 'delete' works
     When I click on "Test Activity1" "checkbox"
@@ -92,6 +198,22 @@ Feature: Check if all the different type of actions of the mass actions block wo
     Then I should not see "Test Activity1"
     And I should not see "Test Activity4"
 
+  @javascript
+  Scenario: Check if the performed mass actions are listed in the history
+    When I click on "Test Activity2" "checkbox"
+    And I click on "Test Activity4" "checkbox"
+    And I click on "Hide" "button" in the "Mass Actions" "block"
+    And "Test Activity4" activity should be hidden
+    And I click on "Delete" "button" in the "Mass Actions" "block"
+    And I click on "Delete" "button"
+    And I click on "Mass action history" "link" in the "Mass Actions" "block"
+    Then I should see "Course modules hidden" in the "#block-massaction-history" "css_element"
+    And I should see "Course modules deleted" in the "#block-massaction-history" "css_element"
+    And I should see "Test Activity4" in the "#block-massaction-history" "css_element"
+    And I should see "Mr Teacher" in the "#block-massaction-history" "css_element"
+    And I set the field "event" to "Course modules hidden"
+    And I should not see "Course modules deleted" in the "#block-massaction-history" "css_element"
+
   @javascript
   Scenario: Check if mass actions 'showdescription' and 'hidedescription' work
     When I am on "Test course" course homepage
@@ -103,7 +225,8 @@ Feature: Check if all the different type of actions of the mass actions block wo
     And I click on "Show description" "button" in the "Mass Actions" "block"
     Then I should see "Test page description1"
     And I should see "Test page description4"
-    When I click on "Enable bulk editing" "button"
+    When I reload the page
+    And I click on "Enable bulk editing" "button"
     And I click on "Test Activity1" "checkbox"
     And I click on "Test Activity4" "checkbox"
     And I click on "Hide description" "button" in the "Mass Actions" "block"
@@ -112,6 +235,17 @@ Feature: Check if all the different type of actions of the mass actions block wo
     And I should not see "Test page description1"
     And I should not see "Test page description4"
 
+  @javascript
+  Scenario: Check if the outcome of an action is shown for each activity
+    When I click on "Test Activity2" "checkbox"
+    And I click on "Test Activity3" "checkbox"
+    And I click on "Show description" "button" in the "Mass Actions" "block"
+    Then I should see "Show description: applied to 1, skipped 1, failed for 0 activities" in the "Mass Actions" "block"
+    And I should see "Test Activity3: Skipped" in the "#block-massaction-result" "css_element"
+    And "#section-2 .block-massaction-result-skipped" "css_element" should exist
+    When I click on "Dismiss notification" "button" in the "#block-massaction-result" "css_element"
+    Then "#section-2 .block-massaction-result-skipped" "css_element" should not exist
+
   @javascript
   Scenario: Check if mass action 'duplicate' works
     When I click on "Test Activity2" "checkbox"
@@ -121,6 +255,27 @@ Feature: Check if all the different type of actions of the mass actions block wo
     Then I should see "Test Activity2 (copy)" in the "#section-1" "css_element"
     And I should see "Test Activity4 (copy)" in the "#section-4" "css_element"
     And I should see "Test Activity5 (copy)" in the "#section-4" "css_element"
+
+  @javascript
+  Scenario: Check if the progress of a duplication running as background task is shown
+    Given the following config values are set as admin:
+      | config                 | value | plugin           |
+      | duplicatemaxactivities | 0     | block_massaction |
+    And I reload the page
+    And I click on "Enable bulk editing" "button"
+    When I click on "Test Activity2" "checkbox"
+    And I click on "Test Activity4" "checkbox"
+    And I click on "Duplicate" "button" in the "Mass Actions" "block"
+    Then I should see "Waiting to be started" in the "Mass Actions" "block"
+    And I should see "0 of 2 activities processed" in the "Mass Actions" "block"
+    And I run all adhoc tasks
+    And I reload the page
+    And I should see "Finished" in the "Mass Actions" "block"
+    And I should see "2 of 2 activities processed" in the "Mass Actions" "block"
+    And I should see "Test Activity2 (copy)" in the "#section-1" "css_element"
+    And I click on "Dismiss this notification" "button" in the "#block-massaction-jobs" "css_element"
+    And I should not see "Finished" in the "Mass Actions" "block"
+
   @javascript
   Scenario: Check if mass action 'duplicate to course' works (keeping sections)
     Given the following "courses" exist:
@@ -187,6 +342,63 @@ Feature: Check if all the different type of actions of the mass actions block wo
     And I should see "Test Activity4" in the "#section-3" "css_element"
     And I should see "Test Activity5" in the "#section-3" "css_element"
 
+  @javascript
+  Scenario: Check if mass action 'duplicate to course' works for all courses of a category
+    Given the following "categories" exist:
+      | name     | category | idnumber |
+      | Labs     | 0        | LABS     |
+    And the following "courses" exist:
+      | fullname      | shortname | numsections | format | category |
+      | Lab course 1  | LAB1      | 2           | topics | LABS     |
+      | Lab course 2  | LAB2      | 2           | topics | LABS     |
+      | Lab course 3  | LAB3      | 2           | topics | LABS     |
+    And the following "course enrolments" exist:
+      | user     | course | role           |
+      | teacher1 | LAB1   | editingteacher |
+      | teacher1 | LAB2   | editingteacher |
+      | teacher1 | LAB3   | student        |
+    When I click on "Test Activity2" "checkbox"
+    And I click on "Test Activity4" "checkbox"
+    And I click on "Duplicate to another course" "button" in the "Mass Actions" "block"
+    And I set the field "Add all courses of these categories" to "Labs"
+    And I click on "Choose course" "button"
+    Then I should see "Lab course 1"
+    And I should see "Lab course 2"
+    And I should not see "Lab course 3"
+    And I click on "Choose section" "button"
+    And I should see "Waiting to be started" in the "Mass Actions" "block"
+    And I run all adhoc tasks
+    And I am on "Lab course 1" course homepage
+    And I should see "Test Activity2" in the "#section-1" "css_element"
+    And I should see "Test Activity4" in the "#section-4" "css_element"
+    And I am on "Lab course 2" course homepage
+    And I should see "Test Activity2" in the "#section-1" "css_element"
+    And I should see "Test Activity4" in the "#section-4" "css_element"
+
+  @javascript
+  Scenario: Check if mass action 'move to course' works
+    Given the following "courses" exist:
+      | fullname        | shortname | numsections | format  |
+      | Test course 2   | TC2       | 2           | topics  |
+    And the following "course enrolments" exist:
+      | user     | course | role           |
+      | teacher1 | TC2    | editingteacher |
+    When I click on "Test Activity2" "checkbox"
+    And I click on "Test Activity4" "checkbox"
+    And I click on "Move to another course" "button" in the "Mass Actions" "block"
+    And I open the autocomplete suggestions list
+    And I click on "Test course 2" item in the autocomplete list
+    And I click on "Choose course" "button"
+    And I should not see "Include user data"
+    And I click on "Section 2" "radio"
+    And I click on "Move" "button"
+    Then I should not see "Test Activity2"
+    And I should not see "Test Activity4"
+    And I should see "Test Activity5" in the "#section-4" "css_element"
+    And I am on "Test course 2" course homepage
+    And I should see "Test Activity2" in the "#section-2" "css_element"
+    And I should see "Test Activity4" in the "#section-2" "css_element"
+
   @javascript
   Scenario: Check if mass action 'duplicate to section' works
     When I click on "Test Activity2" "checkbox"
@@ -208,9 +420,6 @@ Feature: Check if all the different type of actions of the mass actions block wo
     And I click on "Indent (move right)" "button" in the "Mass Actions" "block"
     Then "#section-1 li.modtype_page.indented" "css_element" should exist
     Then "#section-4 li.modtype_assign.indented" "css_element" should exist
-    When I click on "Enable bulk editing" "button"
-    And I click on "Test Activity2" "checkbox"
-    And I click on "Test Activity5" "checkbox"
-    And I click on "Outdent (move left)" "button" in the "Mass Actions" "block"
+    When I click on "Outdent (move left)" "button" in the "Mass Actions" "block"
     Then "#section-1 li.modtype_page.indented" "css_element" should not exist
     Then "#section-4 li.modtype_assign.indented" "css_element" should not exist
@@ -3,7 +3,7 @@ Feature: Check if in format_topics block properly disables the currently not act
 
   @javascript
   Scenario: Check if checkboxes are selected properly by choosing the section in the section selector and using the links
-    "Select all" and "Deselect all"
+    "Select all", "Deselect all" and "Invert selection"
     Given the following "courses" exist:
       | fullname        | shortname | numsections | format |
       | Test course     | TC        | 5           | topics |
@@ -46,6 +46,130 @@ Feature: Check if in format_topics block properly disables the currently not act
     Then the field "Test Activity3" matches value ""
     Then the field "Test Activity4" matches value ""
     Then the field "Test Activity5" matches value ""
+    When I set the field "target_section_selecting_all" to "1"
+    And I click on "Invert selection" "button" in the "Mass Actions" "block"
+    Then the field "Test Activity1" matches value ""
+    Then the field "Test Activity2" matches value ""
+    Then the field "Test Activity3" matches value ""
+    Then the field "Test Activity4" matches value "1"
+    Then the field "Test Activity5" matches value "1"
+
+  @javascript
+  Scenario: Check if checkboxes are selected properly by using the filter panel
+    Given the following "courses" exist:
+      | fullname        | shortname | numsections | format |
+      | Test course     | TC        | 5           | topics |
+    And the following "users" exist:
+      | username | firstname | lastname | email                |
+      | teacher1 | Mr        | Teacher  | teacher1@example.com |
+    And the following "course enrolments" exist:
+      | user     | course | role           |
+      | teacher1 | TC     | editingteacher |
+    And the following "activities" exist:
+      | activity | course | idnumber | name           | intro                 | section | visible |
+      | page     | TC     | 1        | Draft Page     | Test page description | 1       | 1       |
+      | page     | TC     | 2        | Final Page     | Test page description | 1       | 0       |
+      | assign   | TC     | 3        | Draft Assign   | Test assign           | 2       | 1       |
+      | assign   | TC     | 4        | Final Assign   | Test assign           | 4       | 0       |
+    When I log in as "teacher1"
+    And I am on "Test course" course homepage with editing mode on
+    And I add the "Mass Actions" block
+    And I click on "Enable bulk editing" "button"
+    And I wait "3" seconds
+    And I click on "Select by filter" "button" in the "Mass Actions" "block"
+    And I set the field "Activity type" in the "Mass Actions" "block" to "Assignment"
+    And I click on "Select matching" "button" in the "Mass Actions" "block"
+    Then the field "Draft Page" matches value ""
+    And the field "Final Page" matches value ""
+    And the field "Draft Assign" matches value "1"
+    And the field "Final Assign" matches value "1"
+    When I set the field "Visibility" in the "Mass Actions" "block" to "Hidden"
+    And I click on "Deselect matching" "button" in the "Mass Actions" "block"
+    Then the field "Draft Assign" matches value "1"
+    And the field "Final Assign" matches value ""
+    When I click on "Deselect all" "button" in the "Mass Actions" "block"
+    And I set the field "Activity type" in the "Mass Actions" "block" to "Any"
+    And I set the field "Visibility" in the "Mass Actions" "block" to "Any"
+    And I set the field "Name contains" in the "Mass Actions" "block" to "^draft"
+    And I set the field "Use regular expression" in the "Mass Actions" "block" to "1"
+    And I click on "Select matching" "button" in the "Mass Actions" "block"
+    Then the field "Draft Page" matches value "1"
+    And the field "Final Page" matches value ""
+    And the field "Draft Assign" matches value "1"
+    And the field "Final Assign" matches value ""
+
+  @javascript
+  Scenario: Check if the summary of the selected modules is updated and can be used to deselect modules
+    Given the following "courses" exist:
+      | fullname        | shortname | numsections | format |
+      | Test course     | TC        | 5           | topics |
+    And the following "users" exist:
+      | username | firstname | lastname | email                |
+      | teacher1 | Mr        | Teacher  | teacher1@example.com |
+    And the following "course enrolments" exist:
+      | user     | course | role           |
+      | teacher1 | TC     | editingteacher |
+    And the following "activities" exist:
+      | activity | course | idnumber | name           | intro                 | section |
+      | page     | TC     | 1        | Test Activity1 | Test page description | 1       |
+      | page     | TC     | 2        | Test Activity2 | Test page description | 1       |
+      | assign   | TC     | 3        | Test Activity3 | Test assign           | 4       |
+    When I log in as "teacher1"
+    And I am on "Test course" course homepage with editing mode on
+    And I add the "Mass Actions" block
+    And I click on "Enable bulk editing" "button"
+    And I wait "3" seconds
+    Then I should see "Selected: 0" in the "Mass Actions" "block"
+    When I click on "Test Activity1" "checkbox"
+    And I click on "Test Activity3" "checkbox"
+    Then I should see "Selected: 2" in the "Mass Actions" "block"
+    When I click on "Show selection" "button" in the "Mass Actions" "block"
+    Then I should see "Section 1 (1)" in the "#block-massaction-summary-details" "css_element"
+    And I should see "Section 4 (1)" in the "#block-massaction-summary-details" "css_element"
+    And I should see "Assignment (1)" in the "#block-massaction-summary-details" "css_element"
+    When I click on "Deselect Test Activity3" "button" in the "Mass Actions" "block"
+    Then I should see "Selected: 1" in the "Mass Actions" "block"
+    And the field "Test Activity1" matches value "1"
+    And the field "Test Activity3" matches value ""
+    When I click on "Select all" "button" in the "Mass Actions" "block"
+    Then I should see "Selected: 3" in the "Mass Actions" "block"
+    And I should see "Page (2)" in the "#block-massaction-summary-details" "css_element"
+
+  @javascript
+  Scenario: Check if a selection can be saved and restored
+    Given the following "courses" exist:
+      | fullname        | shortname | numsections | format |
+      | Test course     | TC        | 5           | topics |
+    And the following "users" exist:
+      | username | firstname | lastname | email                |
+      | teacher1 | Mr        | Teacher  | teacher1@example.com |
+    And the following "course enrolments" exist:
+      | user     | course | role           |
+      | teacher1 | TC     | editingteacher |
+    And the following "activities" exist:
+      | activity | course | idnumber | name           | intro                 | section |
+      | page     | TC     | 1        | Test Activity1 | Test page description | 1       |
+      | page     | TC     | 2        | Test Activity2 | Test page description | 1       |
+      | page     | TC     | 3        | Test Activity3 | Test page description | 4       |
+    When I log in as "teacher1"
+    And I am on "Test course" course homepage with editing mode on
+    And I add the "Mass Actions" block
+    And I click on "Enable bulk editing" "button"
+    And I wait "3" seconds
+    And I click on "Test Activity1" "checkbox"
+    And I click on "Test Activity3" "checkbox"
+    And I click on "Save selection" "button" in the "Mass Actions" "block"
+    And I set the field "Name of the selection" to "Exam preparation"
+    And I click on "Save changes" "button" in the "Save selection" "dialogue"
+    Then I should see "The selection \"Exam preparation\" has been saved."
+    When I reload the page
+    And I click on "Enable bulk editing" "button"
+    And I wait "3" seconds
+    And I click on "Test Activity2" "checkbox"
+    And I set the field "Restore saved selection" to "Exam preparation"
+    Then the field "Test Activity1" matches value "1"
+    And the field "Test Activity2" matches value ""
+    And the field "Test Activity3" matches value "1"
 
   @javascript
   Scenario Outline: Check if checkboxes are created properly for week, topic formats
@@ -21,6 +21,7 @@ use base_plan_exception;
 use base_setting_exception;
 use block_massaction;
 use block_massaction\hook\filter_sections_different_course;
+use block_massaction\hook\filter_sections_same_course;
 use coding_exception;
 use core\event\course_module_updated;
 use core\task\manager;
@@ -58,6 +59,8 @@ final class massaction_test extends advanced_testcase {
         $generator = $this->getDataGenerator();
         $this->setAdminUser();
         $this->resetAfterTest();
+        // The actions contributed by other plugins are being cached per course id, which is being reused between the tests.
+        action_registry::reset_caches();
 
         $teacher = $generator->create_user();
         $this->teacher = $teacher;
@@ -730,6 +733,60 @@ final class massaction_test extends advanced_testcase {
         return $targetcourseid;
     }
 
+    /**
+     * Tests moving modules to another course.
+     *
+     * @covers \block_massaction\actions::move_to_course
+     * @covers \block_massaction\massactionutils::duplicate_cm_to_course
+     * @return void
+     * @throws dml_exception
+     * @throws moodle_exception
+     */
+    public function test_move_modules_to_course(): void {
+        global $DB;
+        $targetcourseid = $this->setup_target_course_for_duplicating(2);
+        $sections = get_fast_modinfo($this->course->id)->get_sections();
+        // The first module of a section is an assignment. We delete its instance, so copying it fails.
+        [$failingcmid, $labelcmid, $pagecmid] = array_slice($sections[1], 0, 3);
+        $DB->delete_records('assign', ['id' => get_fast_modinfo($this->course->id)->get_cm($failingcmid)->instance]);
+        $selectedmodules = array_filter($this->get_test_course_modules(), function ($module) use ($sections) {
+            return in_array($module->id, array_slice($sections[1], 0, 3));
+        });
+
+        $movedcmids = block_massaction\actions::move_to_course($selectedmodules, $targetcourseid, 2);
+        $this->assertEqualsCanonicalizing([$labelcmid, $pagecmid], $movedcmids);
+        $this->assertCount(2, get_fast_modinfo($targetcourseid)->get_sections()[2]);
+        // Only the modules which have been copied are being deleted.
+        $notdeleted = 'id = ? AND deletioninprogress = 0';
+        $this->assertFalse($DB->record_exists_select('course_modules', $notdeleted, [$labelcmid]));
+        $this->assertFalse($DB->record_exists_select('course_modules', $notdeleted, [$pagecmid]));
+        $this->assertTrue($DB->record_exists_select('course_modules', $notdeleted, [$failingcmid]));
+
+        // Teachers are not allowed to backup user data by default.
+        $assigncmid = $sections[2][0];
+        $assignmodule = array_filter($this->get_test_course_modules(), fn($module) => $module->id == $assigncmid);
+        try {
+            block_massaction\actions::move_to_course($assignmodule, $targetcourseid, 1, true);
+            $this->fail('Moving user data without the capability should fail');
+        } catch (\required_capability_exception $e) {
+            $this->assertStringContainsString('moodle/backup:userinfo', $e->getMessage());
+        }
+        $this->assertTrue($DB->record_exists_select('course_modules', $notdeleted, [$assigncmid]));
+
+        $this->setAdminUser();
+        $student = $this->getDataGenerator()->create_and_enrol($this->course, 'student');
+        $this->getDataGenerator()->get_plugin_generator('mod_assign')->create_submission([
+            'userid' => $student->id,
+            'cmid' => $assigncmid,
+        ]);
+        block_massaction\actions::move_to_course($assignmodule, $targetcourseid, 1, true);
+        $movedcms = get_fast_modinfo($targetcourseid)->get_sections()[1];
+        $this->assertCount(1, $movedcms);
+        $movedassign = get_fast_modinfo($targetcourseid)->get_cm(reset($movedcms));
+        $submission = ['assignment' => $movedassign->instance, 'userid' => $student->id];
+        $this->assertTrue($DB->record_exists('assign_submission', $submission));
+    }
+
     /**
      * Tests the in- and outdentation of multiple modules.
      *
@@ -829,6 +886,876 @@ final class massaction_test extends advanced_testcase {
         }
     }
 
+    /**
+     * Tests setting the access restrictions of multiple modules.
+     *
+     * @covers \block_massaction\actions::set_availability
+     * @return void
+     * @throws dml_exception
+     * @throws moodle_exception
+     */
+    public function test_mass_set_availability(): void {
+        global $DB;
+        set_config('enableavailability', 1);
+        $group = $this->getDataGenerator()->create_group(['courseid' => $this->course->id]);
+        $selectedmoduleids[] = get_fast_modinfo($this->course->id)->get_sections()[1][0];
+        $selectedmoduleids[] = get_fast_modinfo($this->course->id)->get_sections()[2][1];
+        $selectedmodules = array_filter($this->get_test_course_modules(), function ($module) use ($selectedmoduleids) {
+            return in_array($module->id, $selectedmoduleids);
+        });
+        $getavailability = fn($cmid) => json_decode($DB->get_field('course_modules', 'availability', ['id' => $cmid]));
+
+        // Replace the (empty) restrictions.
+        $availablefrom = time() + DAYSECS;
+        block_massaction\actions::set_availability($selectedmodules, block_massaction\actions::AVAILABILITY_REPLACE,
+            (object) ['availablefrom' => $availablefrom, 'groupid' => $group->id]);
+        foreach ($selectedmoduleids as $cmid) {
+            $availability = $getavailability($cmid);
+            $this->assertEquals('&', $availability->op);
+            $this->assertCount(2, $availability->c);
+            $this->assertEquals('date', $availability->c[0]->type);
+            $this->assertEquals($availablefrom, $availability->c[0]->t);
+            $this->assertEquals('group', $availability->c[1]->type);
+            $this->assertEquals($group->id, $availability->c[1]->id);
+            // The restrictions have to be known to the course cache.
+            $this->assertNotEmpty(get_fast_modinfo($this->course->id)->get_cm($cmid)->availability);
+        }
+
+        // Adding conditions keeps the existing ones. Modules must not depend on their own completion.
+        $result = new action_result('restrictaccess', $selectedmodules);
+        block_massaction\actions::set_availability($selectedmodules, block_massaction\actions::AVAILABILITY_ADD,
+            (object) ['completioncmid' => $selectedmoduleids[0], 'completionstate' => COMPLETION_COMPLETE], $result);
+        $this->assertCount(2, $getavailability($selectedmoduleids[0])->c);
+        $availability = $getavailability($selectedmoduleids[1]);
+        $this->assertCount(3, $availability->c);
+        $this->assertCount(3, $availability->showc);
+        $this->assertEquals('completion', $availability->c[2]->type);
+        $this->assertEquals(action_result::SKIPPED, $result->get_outcomes()[$selectedmoduleids[0]]['status']);
+        $this->assertEquals(action_result::SUCCESS, $result->get_outcomes()[$selectedmoduleids[1]]['status']);
+
+        // Replacing the restrictions by a dependency on the own completion must not wipe the existing restrictions.
+        $result = new action_result('restrictaccess', $selectedmodules);
+        block_massaction\actions::set_availability($selectedmodules, block_massaction\actions::AVAILABILITY_REPLACE,
+            (object) ['completioncmid' => $selectedmoduleids[0], 'completionstate' => COMPLETION_COMPLETE], $result);
+        $this->assertCount(2, $getavailability($selectedmoduleids[0])->c);
+        $availability = $getavailability($selectedmoduleids[1]);
+        $this->assertCount(1, $availability->c);
+        $this->assertEquals('completion', $availability->c[0]->type);
+        $this->assertEquals(action_result::SKIPPED, $result->get_outcomes()[$selectedmoduleids[0]]['status']);
+        $this->assertEquals(get_string('result_skipped_noconditions', 'block_massaction'),
+            $result->get_outcomes()[$selectedmoduleids[0]]['message']);
+        $this->assertEquals(action_result::SUCCESS, $result->get_outcomes()[$selectedmoduleids[1]]['status']);
+
+        // Applying the same restrictions again does not change anything.
+        $result = new action_result('restrictaccess', $selectedmodules);
+        block_massaction\actions::set_availability($selectedmodules, block_massaction\actions::AVAILABILITY_REPLACE,
+            (object) ['completioncmid' => $selectedmoduleids[0], 'completionstate' => COMPLETION_COMPLETE], $result);
+        $this->assertEquals(get_string('result_skipped_unchanged', 'block_massaction'),
+            $result->get_outcomes()[$selectedmoduleids[1]]['message']);
+
+        // Restrictions which are not combined by 'all of' have to be nested.
+        $DB->set_field('course_modules', 'availability', json_encode(\core_availability\tree::get_root_json(
+            [\availability_group\condition::get_json($group->id), \availability_date\condition::get_json('>=', $availablefrom)],
+            \core_availability\tree::OP_OR
+        )), ['id' => $selectedmoduleids[0]]);
+        block_massaction\actions::set_availability($selectedmodules, block_massaction\actions::AVAILABILITY_ADD,
+            (object) ['availableuntil' => $availablefrom + WEEKSECS]);
+        $availability = $getavailability($selectedmoduleids[0]);
+        $this->assertEquals('&', $availability->op);
+        $this->assertCount(2, $availability->c);
+        $this->assertEquals('|', $availability->c[0]->op);
+        $this->assertEquals('date', $availability->c[1]->type);
+
+        block_massaction\actions::set_availability($selectedmodules, block_massaction\actions::AVAILABILITY_CLEAR, new stdClass());
+        foreach ($selectedmoduleids as $cmid) {
+            $this->assertNull($DB->get_field('course_modules', 'availability', ['id' => $cmid]));
+        }
+    }
+
+    /**
+     * Tests shifting the dates of multiple modules.
+     *
+     * @covers \block_massaction\date_shifter::shift
+     * @covers \block_massaction\date_shifter::get_anchor_offset
+     * @covers \block_massaction\date_shifter::get_changes
+     * @return void
+     * @throws dml_exception
+     * @throws moodle_exception
+     */
+    public function test_shift_dates(): void {
+        global $DB;
+        $duedate = make_timestamp(2026, 10, 5, 8);
+        // The first module of each section is an assignment, the second one a label.
+        $assigncmid = get_fast_modinfo($this->course->id)->get_sections()[1][0];
+        $labelcmid = get_fast_modinfo($this->course->id)->get_sections()[1][1];
+        $assigncm = get_coursemodule_from_id('assign', $assigncmid);
+        $DB->set_field('assign', 'duedate', $duedate, ['id' => $assigncm->instance]);
+        $DB->set_field('assign', 'cutoffdate', 0, ['id' => $assigncm->instance]);
+        $DB->set_field('assign', 'allowsubmissionsfromdate', $duedate - WEEKSECS, ['id' => $assigncm->instance]);
+        $DB->set_field('assign', 'gradingduedate', 0, ['id' => $assigncm->instance]);
+        $DB->set_field('course_modules', 'availability', json_encode(\core_availability\tree::get_root_json(
+            [\availability_date\condition::get_json('>=', $duedate - DAYSECS)]
+        )), ['id' => $labelcmid]);
+        $selectedmodules = array_filter($this->get_test_course_modules(), function ($module) use ($assigncmid, $labelcmid) {
+            return in_array($module->id, [$assigncmid, $labelcmid]);
+        });
+
+        // The earliest date is the start of the submissions.
+        $this->assertEquals(DAYSECS, block_massaction\date_shifter::get_anchor_offset($selectedmodules, $duedate - 6 * DAYSECS));
+
+        $changes = block_massaction\date_shifter::get_changes($selectedmodules, WEEKSECS);
+        $this->assertCount(2, $changes);
+        $this->assertCount(2, $changes[0]['dates']);
+        $this->assertEquals(userdate($duedate + WEEKSECS), $changes[0]['dates'][1]['after']);
+
+        // The overrides are being shifted as well.
+        $student = $this->getDataGenerator()->create_and_enrol($this->course, 'student');
+        $overrideid = $DB->insert_record('assign_overrides', (object) [
+            'assignid' => $assigncm->instance,
+            'userid' => $student->id,
+            'duedate' => $duedate + DAYSECS,
+        ]);
+
+        $result = new action_result('shiftdates', $selectedmodules);
+        block_massaction\date_shifter::shift($selectedmodules, WEEKSECS, 0, $result);
+        $this->assertEquals(2, $result->count(action_result::SUCCESS));
+        $this->assertEquals($duedate + DAYSECS + WEEKSECS, $DB->get_field('assign_overrides', 'duedate', ['id' => $overrideid]));
+        $this->assertNull($DB->get_field('assign_overrides', 'cutoffdate', ['id' => $overrideid]));
+        $assign = $DB->get_record('assign', ['id' => $assigncm->instance]);
+        $this->assertEquals($duedate + WEEKSECS, $assign->duedate);
+        $this->assertEquals($duedate, $assign->allowsubmissionsfromdate);
+        // Unset dates must not be touched.
+        $this->assertEquals(0, $assign->cutoffdate);
+        $availability = json_decode($DB->get_field('course_modules', 'availability', ['id' => $labelcmid]));
+        $this->assertEquals($duedate - DAYSECS + WEEKSECS, $availability->c[0]->t);
+        // The calendar event of the due date has to be moved as well.
+        $event = $DB->get_record('event', ['modulename' => 'assign', 'instance' => $assigncm->instance, 'eventtype' => 'due',
+            'userid' => 0, 'groupid' => 0]);
+        $this->assertEquals($duedate + WEEKSECS, $event->timestart);
+
+        // Modules without any dates are being skipped.
+        $pagecmid = get_fast_modinfo($this->course->id)->get_sections()[1][2];
+        $pagemodules = array_filter($this->get_test_course_modules(), fn($module) => $module->id == $pagecmid);
+        $result = new action_result('shiftdates', $pagemodules);
+        block_massaction\date_shifter::shift($pagemodules, WEEKSECS, 0, $result);
+        $this->assertEquals(1, $result->count(action_result::SKIPPED));
+
+        // Days are being added in the timezone of the user, so the dates keep their time of day across a change of the DST.
+        $this->setTimezone('Europe/London');
+        $duedate = make_timestamp(2026, 10, 20, 9);
+        $DB->set_field('assign', 'duedate', $duedate, ['id' => $assigncm->instance]);
+        $shifteddate = make_timestamp(2026, 10, 27, 9);
+        $this->assertEquals($duedate + WEEKSECS + HOURSECS, $shifteddate);
+        $changes = block_massaction\date_shifter::get_changes($selectedmodules, 0, 7);
+        $this->assertEquals(userdate($shifteddate), $changes[0]['dates'][1]['after']);
+        block_massaction\date_shifter::shift($selectedmodules, 0, 7);
+        $this->assertEquals($shifteddate, $DB->get_field('assign', 'duedate', ['id' => $assigncm->instance]));
+        block_massaction\date_shifter::shift($selectedmodules, 0, -7);
+        $this->assertEquals($duedate, $DB->get_field('assign', 'duedate', ['id' => $assigncm->instance]));
+    }
+
+    /**
+     * Tests applying common settings to multiple modules.
+     *
+     * @covers \block_massaction\module_settings::get_applicable_settings
+     * @covers \block_massaction\module_settings::apply
+     * @return void
+     * @throws dml_exception
+     * @throws moodle_exception
+     */
+    public function test_mass_module_settings(): void {
+        global $DB;
+        $this->setAdminUser();
+        set_config('enablecompletion', 1);
+        $DB->set_field('course', 'enablecompletion', 1, ['id' => $this->course->id]);
+        // First and third module of a section are an assignment and a page.
+        $sections = get_fast_modinfo($this->course->id)->get_sections();
+        $assignids = [$sections[1][0], $sections[2][0]];
+        $pageid = $sections[1][2];
+        $getmodules = fn(array $cmids) => array_filter($this->get_test_course_modules(), fn($cm) => in_array($cm->id, $cmids));
+
+        // Pages do not support groups or grades, so these settings must not be offered for a mixed selection.
+        $applicable = block_massaction\module_settings::get_applicable_settings($getmodules([...$assignids, $pageid]));
+        $this->assertContains('completion', $applicable);
+        $this->assertNotContains('groupmode', $applicable);
+        $this->assertNotContains('gradecategory', $applicable);
+        $this->assertContains('groupmode', block_massaction\module_settings::get_applicable_settings($getmodules($assignids)));
+
+        // Settings which are not applicable are being ignored.
+        $DB->set_field('course_modules', 'idnumber', 'W1-2', ['id' => $sections[3][0]]);
+        $result = new action_result('modulesettings', $getmodules([...$assignids, $pageid]));
+        block_massaction\module_settings::apply($getmodules([...$assignids, $pageid]), (object) [
+            'completion' => COMPLETION_TRACKING_MANUAL,
+            'groupmode' => SEPARATEGROUPS,
+            'idnumberprefix' => 'W1-',
+            'lang' => block_massaction\module_settings::NO_CHANGE,
+        ], $result);
+        $modinfo = get_fast_modinfo($this->course->id);
+        $this->assertEquals(COMPLETION_TRACKING_MANUAL, $modinfo->get_cm($assignids[0])->completion);
+        $this->assertEquals(COMPLETION_TRACKING_MANUAL, $modinfo->get_cm($pageid)->completion);
+        $this->assertEquals(NOGROUPS, $modinfo->get_cm($assignids[0])->groupmode);
+        // The id numbers are being assigned in course order: assignment in section 1, page in section 1, assignment in section 2.
+        // Numbers which are already being used by other activities are being left out.
+        $this->assertEquals('W1-1', $modinfo->get_cm($assignids[0])->idnumber);
+        $this->assertEquals('W1-3', $modinfo->get_cm($pageid)->idnumber);
+        $this->assertEquals('W1-4', $modinfo->get_cm($assignids[1])->idnumber);
+        $this->assertEquals(3, $result->count(action_result::SUCCESS));
+
+        // A setting which cannot be applied to a module does not keep the other settings from being applied.
+        $DB->insert_record('course_modules_completion', [
+            'coursemoduleid' => $assignids[0],
+            'userid' => $this->getDataGenerator()->create_user()->id,
+            'completionstate' => COMPLETION_COMPLETE,
+            'timemodified' => time(),
+        ]);
+        $result = new action_result('modulesettings', $getmodules($assignids));
+        block_massaction\module_settings::apply($getmodules($assignids), (object) [
+            'completion' => COMPLETION_TRACKING_NONE,
+            'groupmode' => SEPARATEGROUPS,
+        ], $result);
+        $modinfo = get_fast_modinfo($this->course->id);
+        $this->assertEquals(COMPLETION_TRACKING_MANUAL, $modinfo->get_cm($assignids[0])->completion);
+        $this->assertEquals(SEPARATEGROUPS, $modinfo->get_cm($assignids[0])->groupmode);
+        $this->assertEquals(COMPLETION_TRACKING_NONE, $modinfo->get_cm($assignids[1])->completion);
+        $outcomes = $result->get_outcomes();
+        $this->assertEquals(action_result::SUCCESS, $outcomes[$assignids[0]]['status']);
+        $this->assertStringContainsString(
+            get_string('settings_skipped_completiondata', 'block_massaction'),
+            $outcomes[$assignids[0]]['message']
+        );
+
+        // Modules which already have the requested settings are being reported as skipped.
+        $result = new action_result('modulesettings', $getmodules($assignids));
+        block_massaction\module_settings::apply($getmodules($assignids), (object) ['groupmode' => SEPARATEGROUPS], $result);
+        $this->assertEquals(2, $result->count(action_result::SKIPPED));
+    }
+
+    /**
+     * Tests renaming modules according to a pattern and reverting it.
+     *
+     * @covers \block_massaction\module_renamer::get_new_names
+     * @covers \block_massaction\module_renamer::rename
+     * @covers \block_massaction\module_renamer::apply_pattern
+     * @covers \block_massaction\external\get_module_names::execute
+     * @return void
+     * @throws dml_exception
+     * @throws moodle_exception
+     */
+    public function test_rename_modules(): void {
+        global $DB;
+        $this->setAdminUser();
+        $blockcontext = $this->add_block_instance();
+        $sections = get_fast_modinfo($this->course->id)->get_sections();
+        // Select the pages of section 2 and 1, the order of the selection must not matter for the numbering.
+        $selectedmoduleids = [$sections[2][2], $sections[1][2], $sections[1][5]];
+        $names = ['Lab 12 Sheet', 'Lab 3 Notes', 'Reading'];
+        foreach ($selectedmoduleids as $i => $cmid) {
+            $DB->set_field('page', 'name', $names[$i], ['id' => get_fast_modinfo($this->course->id)->get_cm($cmid)->instance]);
+        }
+        rebuild_course_cache($this->course->id);
+        $selectedmodules = array_filter($this->get_test_course_modules(), fn($cm) => in_array($cm->id, $selectedmoduleids));
+
+        // Plain replacement only returns the modules which change.
+        $pattern = (object) ['find' => 'Lab', 'replace' => 'Exercise'];
+        $newnames = block_massaction\module_renamer::get_new_names($selectedmodules, $pattern);
+        $this->assertEquals([$selectedmoduleids[0] => 'Exercise 12 Sheet', $selectedmoduleids[1] => 'Exercise 3 Notes'], $newnames);
+
+        // Regular expressions support back references.
+        $pattern = (object) ['find' => 'Lab (\d+)', 'replace' => 'Lab 0$1', 'regex' => 1];
+        $newnames = block_massaction\module_renamer::get_new_names($selectedmodules, $pattern);
+        $this->assertEquals('Lab 012 Sheet', $newnames[$selectedmoduleids[0]]);
+
+        // Only $0 to $9 and $$ are being expanded, the native syntax of PHP is being kept literally like in the JS preview.
+        $pattern = (object) ['find' => 'Lab (\d+)', 'replace' => '$$ $0 \1 ${1}', 'regex' => 1];
+        $this->assertEquals('$ Lab 3 \1 ${1} Notes', block_massaction\module_renamer::apply_pattern('Lab 3 Notes', $pattern, 1, 1));
+
+        // The numbering follows the course order, placeholders in the names themselves are being kept.
+        $pattern = (object) ['template' => 'Week {section} - {n}: {name}', 'prefix' => '[', 'suffix' => ']'];
+        $this->assertEquals('[Week 1 - 3: {n}]', block_massaction\module_renamer::apply_pattern('{n}', $pattern, 3, 1));
+        $newnames = block_massaction\module_renamer::get_new_names($selectedmodules, $pattern);
+        $this->assertEquals('[Week 1 - 1: Lab 3 Notes]', $newnames[$selectedmoduleids[1]]);
+        $this->assertEquals('[Week 1 - 2: Reading]', $newnames[$selectedmoduleids[2]]);
+        $this->assertEquals('[Week 2 - 3: Lab 12 Sheet]', $newnames[$selectedmoduleids[0]]);
+
+        try {
+            block_massaction\module_renamer::get_new_names($selectedmodules, (object) ['find' => 'Lab (', 'regex' => 1]);
+            $this->fail('Exception expected');
+        } catch (moodle_exception $e) {
+            $this->assertEquals('rename_invalidregex', $e->errorcode);
+        }
+
+        block_massaction\actions::perform_action('rename', $selectedmodules, $blockcontext, (object) ['rename' => $pattern]);
+        $modinfo = get_fast_modinfo($this->course->id);
+        foreach ($newnames as $cmid => $newname) {
+            $this->assertEquals($newname, $modinfo->get_cm($cmid)->name);
+        }
+
+        block_massaction\undo::revert($blockcontext);
+        $modinfo = get_fast_modinfo($this->course->id);
+        foreach ($selectedmoduleids as $i => $cmid) {
+            $this->assertEquals($names[$i], $modinfo->get_cm($cmid)->name);
+        }
+
+        // Modules whose name does not change are being reported as skipped.
+        $pattern = (object) ['find' => 'Lab', 'replace' => 'Exercise'];
+        block_massaction\actions::perform_action('rename', $selectedmodules, $blockcontext, (object) ['rename' => $pattern]);
+        $outcomes = array_column(action_result::pop($this->course->id)['modules'], 'status', 'cmid');
+        $this->assertEquals(action_result::SKIPPED, $outcomes[$selectedmoduleids[2]]);
+        $this->assertEquals(action_result::SUCCESS, $outcomes[$selectedmoduleids[0]]);
+        $this->assertEquals(action_result::SUCCESS, $outcomes[$selectedmoduleids[1]]);
+
+        // The preview is being based on the names as they have been entered, like the renaming itself.
+        $pageid = get_fast_modinfo($this->course->id)->get_cm($selectedmoduleids[2])->instance;
+        $DB->set_field('page', 'name', 'Q&A', ['id' => $pageid]);
+        rebuild_course_cache($this->course->id);
+        $names = array_column(block_massaction\external\get_module_names::execute($blockcontext->instanceid), 'name', 'id');
+        $this->assertEquals('Q&A', $names[$selectedmoduleids[2]]);
+    }
+
+    /**
+     * Tests reordering modules inside their sections and reverting it.
+     *
+     * @covers \block_massaction\module_sorter::get_new_sequences
+     * @covers \block_massaction\module_sorter::sort
+     * @return void
+     * @throws dml_exception
+     * @throws moodle_exception
+     */
+    public function test_sort_modules(): void {
+        global $DB;
+        $this->setAdminUser();
+        $blockcontext = $this->add_block_instance();
+        $modinfo = get_fast_modinfo($this->course->id);
+        $sectionsbefore = $modinfo->get_sections();
+        // Each section consists of assignment, label, page, assignment, label, page.
+        [$assign1, $label1, $page1, $assign2, $label2, $page2] = $sectionsbefore[1];
+        $sectionid = $modinfo->get_section_info(1)->id;
+        $names = [$assign1 => 'Week 10', $page1 => 'Week 2', $assign2 => 'Week 1'];
+        foreach ($names as $cmid => $name) {
+            $cm = $modinfo->get_cm($cmid);
+            $DB->set_field($cm->modname, 'name', $name, ['id' => $cm->instance]);
+        }
+        $DB->set_field('assign', 'duedate', 2000000000, ['id' => $modinfo->get_cm($assign1)->instance]);
+        $DB->set_field('assign', 'duedate', 1900000000, ['id' => $modinfo->get_cm($assign2)->instance]);
+        rebuild_course_cache($this->course->id);
+        $selectedmoduleids = [$assign1, $page1, $assign2, $sectionsbefore[2][0]];
+        $selectedmodules = array_filter($this->get_test_course_modules(), fn($cm) => in_array($cm->id, $selectedmoduleids));
+
+        $getsequence = fn(string $sortby, string $placement) =>
+            block_massaction\module_sorter::get_new_sequences($selectedmodules, $sortby, $placement)[$sectionid];
+        // Names are being sorted naturally and the selected modules keep their positions.
+        $this->assertEquals([$assign2, $label1, $page1, $assign1, $label2, $page2], $getsequence('name', 'keep'));
+        $this->assertEquals([$assign2, $page1, $assign1, $label1, $label2, $page2], $getsequence('reverse', 'top'));
+        // Modules of the same type keep their order.
+        $this->assertEquals([$label1, $label2, $page2, $assign1, $assign2, $page1], $getsequence('type', 'bottom'));
+        // Modules without a due date are being put last.
+        $this->assertEquals([$assign2, $assign1, $page1, $label1, $label2, $page2], $getsequence('duedate', 'top'));
+        $this->assertEquals([$assign1, $page1, $assign2, $label1, $label2, $page2], $getsequence('none', 'top'));
+
+        try {
+            block_massaction\module_sorter::get_new_sequences($selectedmodules, 'size', 'keep');
+            $this->fail('Exception expected');
+        } catch (moodle_exception $e) {
+            $this->assertEquals('invalidsortrule', $e->errorcode);
+        }
+
+        $data = (object) ['sortBy' => 'name', 'sortPlacement' => 'keep'];
+        block_massaction\actions::perform_action('sort', $selectedmodules, $blockcontext, $data);
+        $sections = get_fast_modinfo($this->course->id)->get_sections();
+        $this->assertEquals([$assign2, $label1, $page1, $assign1, $label2, $page2], $sections[1]);
+        // A single selected module in a section does not change its position.
+        $this->assertEquals($sectionsbefore[2], $sections[2]);
+        // The modules keeping their position are being reported as skipped.
+        $outcomes = array_column(action_result::pop($this->course->id)['modules'], 'status', 'cmid');
+        $this->assertEquals([
+            $assign1 => action_result::SUCCESS,
+            $page1 => action_result::SKIPPED,
+            $assign2 => action_result::SUCCESS,
+            $sectionsbefore[2][0] => action_result::SKIPPED,
+        ], array_replace(array_fill_keys($selectedmoduleids, ''), $outcomes));
+
+        block_massaction\undo::revert($blockcontext);
+        $this->assertEquals($sectionsbefore, get_fast_modinfo($this->course->id)->get_sections());
+    }
+
+    /**
+     * Tests hiding, duplicating, moving and deleting whole sections.
+     *
+     * @covers \block_massaction\section_actions::perform_action
+     * @covers \block_massaction\section_actions::get_sections
+     * @covers \block_massaction\section_actions::set_visibility
+     * @covers \block_massaction\section_actions::duplicate_to_course
+     * @return void
+     * @throws dml_exception
+     * @throws moodle_exception
+     */
+    public function test_section_actions(): void {
+        global $DB;
+        $this->setAdminUser();
+        $blockcontext = $this->add_block_instance();
+        $modinfo = get_fast_modinfo($this->course->id);
+        $sectionids = array_map(fn($section) => $section->id, $modinfo->get_section_info_all());
+        $DB->set_field('course_sections', 'name', 'Week 2', ['id' => $sectionids[2]]);
+        rebuild_course_cache($this->course->id);
+        $perform = fn(string $action, array $ids, int $target = 0) => block_massaction\section_actions::perform_action(
+            $action,
+            $ids,
+            $blockcontext,
+            (object) ['target' => $target]
+        );
+
+        // Hiding a section hides the modules it contains as well.
+        $perform('hidesections', [$sectionids[1], $sectionids[2]]);
+        $modinfo = get_fast_modinfo($this->course->id);
+        $this->assertEquals(0, $modinfo->get_section_info(2)->visible);
+        $this->assertEquals(0, $modinfo->get_cm($modinfo->get_sections()[2][0])->visible);
+        $perform('showsections', [$sectionids[1], $sectionids[2]]);
+        $this->assertEquals(1, get_fast_modinfo($this->course->id)->get_section_info(2)->visible);
+        // The outcome is being reported per section, sections keeping their visibility are being skipped.
+        $perform('showsections', [$sectionids[2], $sectionids[3]]);
+        $result = action_result::pop($this->course->id);
+        $this->assertEquals(0, $result['success']);
+        $this->assertEquals(2, $result['skipped']);
+        $this->assertEquals('Week 2', $result['modules'][0]['name']);
+
+        // The copy is being inserted directly after its original.
+        $perform('duplicatesections', [$sectionids[2]]);
+        $modinfo = get_fast_modinfo($this->course->id);
+        $copy = $modinfo->get_section_info(3);
+        $this->assertEquals('Week 2 (copy)', $copy->name);
+        $this->assertCount(6, $modinfo->get_sections()[3]);
+        $this->assertEquals($sectionids[3], $modinfo->get_section_info(4)->id);
+
+        // Moving keeps the order of the moved sections.
+        $perform('movesections', [$sectionids[1], $copy->id], 5);
+        $modinfo = get_fast_modinfo($this->course->id);
+        $order = array_map(fn($section) => $section->id, $modinfo->get_section_info_all());
+        $this->assertEquals([$sectionids[0], $sectionids[2], $sectionids[3], $sectionids[4], $sectionids[1], $copy->id,
+            $sectionids[5]], $order);
+
+        $perform('deletesections', [$sectionids[1], $copy->id]);
+        $modinfo = get_fast_modinfo($this->course->id);
+        $this->assertCount(5, $modinfo->get_section_info_all());
+        $this->assertCount(24, array_merge(...array_values($modinfo->get_sections())));
+
+        foreach (['hidesections', 'deletesections'] as $action) {
+            $perform($action, [$sectionids[0], $sectionids[4]]);
+            $result = action_result::pop($this->course->id);
+            $this->assertEquals(1, $result['success']);
+            $this->assertEquals(1, $result['failed']);
+            $this->assertEquals(get_string('generalsectionnotallowed', 'block_massaction'), $result['modules'][0]['message']);
+        }
+        // Called without a result, the general section still aborts the action.
+        try {
+            block_massaction\section_actions::set_visibility([get_fast_modinfo($this->course->id)->get_section_info(0)], false);
+            $this->fail('Exception expected');
+        } catch (moodle_exception $e) {
+            $this->assertEquals('generalsectionnotallowed', $e->errorcode);
+        }
+        $othercourse = $this->getDataGenerator()->create_course();
+        try {
+            $perform('hidesections', [get_fast_modinfo($othercourse->id)->get_section_info(0)->id]);
+            $this->fail('Exception expected');
+        } catch (moodle_exception $e) {
+            $this->assertEquals('invalidsectionid', $e->errorcode);
+        }
+
+        // Sections are being appended to the target course, keeping their names.
+        $targetcourseid = $this->setup_target_course_for_duplicating(2);
+        $sections = block_massaction\section_actions::get_sections($this->course->id, [$sectionids[2]]);
+        $result = new action_result('duplicatesectionstocourse', []);
+        block_massaction\section_actions::duplicate_to_course($sections, $targetcourseid, $result);
+        $targetmodinfo = get_fast_modinfo($targetcourseid);
+        $this->assertEquals('Week 2', $targetmodinfo->get_section_info(3)->name);
+        $this->assertCount(6, $targetmodinfo->get_sections()[3]);
+        $this->assertEquals(1, $result->count(action_result::SUCCESS));
+
+        // Deleting sections deletes the modules they contain, so it needs the capability to delete modules as well.
+        $teacher = $this->getDataGenerator()->create_and_enrol($this->course, 'editingteacher');
+        $roleid = $DB->get_field('role', 'id', ['shortname' => 'editingteacher']);
+        assign_capability('block/massaction:delete', CAP_PROHIBIT, $roleid, $blockcontext->id, true);
+        $this->setUser($teacher);
+        $this->assertTrue(has_capability('block/massaction:sectionactions', $blockcontext));
+        $this->expectException(\required_capability_exception::class);
+        $perform('deletesections', [$sectionids[3]]);
+    }
+
+    /**
+     * Tests the events logging the actions and reading them for the history report.
+     *
+     * @covers \block_massaction\actions::create_action_event
+     * @covers \block_massaction\actions::perform_action
+     * @covers \block_massaction\action_history::get_entries
+     * @covers \block_massaction\action_history::count_entries
+     * @return void
+     * @throws dml_exception
+     * @throws moodle_exception
+     */
+    public function test_action_events(): void {
+        global $DB;
+        $this->setAdminUser();
+        $blockcontext = $this->add_block_instance();
+        $coursecontext = \context_course::instance($this->course->id);
+        $modinfo = get_fast_modinfo($this->course->id);
+        $selectedmoduleids = array_slice($modinfo->get_sections()[1], 0, 3);
+        $selectedmodules = $DB->get_records_list('course_modules', 'id', $selectedmoduleids);
+
+        $sink = $this->redirectEvents();
+        actions::perform_action('hide', $selectedmodules, $blockcontext, new stdClass());
+        actions::perform_action('moveto', $selectedmodules, $blockcontext, (object) ['moveToTarget' => 2]);
+        actions::perform_action('rename', $selectedmodules, $blockcontext, (object) ['rename' => ['prefix' => 'New ']]);
+        $sections = get_fast_modinfo($this->course->id)->get_section_info_all();
+        block_massaction\section_actions::perform_action('hidesections', [$sections[4]->id], $blockcontext, new stdClass());
+        $events = array_values(array_filter(
+            $sink->get_events(),
+            fn($event) => $event instanceof \block_massaction\event\course_modules_action_base
+        ));
+        $sink->close();
+        $this->assertCount(4, $events);
+        $this->assertInstanceOf(\block_massaction\event\course_modules_hidden::class, $events[0]);
+        $this->assertEquals($coursecontext->id, $events[0]->contextid);
+        $this->assertEqualsCanonicalizing($selectedmoduleids, $events[0]->get_cmids());
+        $this->assertInstanceOf(\block_massaction\event\course_modules_moved::class, $events[1]);
+        $this->assertEquals(2, $events[1]->other['sectionnum']);
+        $this->assertInstanceOf(\block_massaction\event\course_modules_renamed::class, $events[2]);
+        $this->assertInstanceOf(\block_massaction\event\course_sections_hidden::class, $events[3]);
+        $this->assertEquals($sections[4]->id, $events[3]->other['sections'][0]['id']);
+        $this->assertEquals(get_fast_modinfo($this->course->id)->get_sections()[4] ?? [], $events[3]->get_cmids());
+
+        // Duplicating is being logged by the duplication events instead.
+        $this->assertNull(actions::create_action_event('duplicate', $selectedmodules, $coursecontext));
+
+        // The history is being read from the standard log store.
+        set_config('enabled_stores', 'logstore_standard', 'tool_log');
+        set_config('buffersize', 0, 'logstore_standard');
+        get_log_manager(true);
+        $reader = block_massaction\action_history::get_reader();
+        $this->assertNotNull($reader);
+
+        actions::perform_action('show', $selectedmodules, $blockcontext, new stdClass());
+        $deletedmodule = $DB->get_record('course_modules', ['id' => $modinfo->get_sections()[2][0]]);
+        $deletedname = $modinfo->get_cm($deletedmodule->id)->name;
+        $event = actions::create_action_event('delete', [$deletedmodule], $coursecontext);
+        actions::perform_deletion([$deletedmodule]);
+        $event->trigger();
+
+        $this->assertEquals(2, block_massaction\action_history::count_entries($reader, $this->course->id));
+        $entries = block_massaction\action_history::get_entries($reader, $this->course->id);
+        $this->assertEquals(get_string('event:course_modules_deleted', 'block_massaction'), $entries[0]['action']);
+        $this->assertEquals($deletedname, $entries[0]['modules'][0]['name']);
+        $this->assertTrue($entries[0]['modules'][0]['deleted']);
+        $this->assertCount(3, $entries[1]['modules']);
+        $this->assertFalse($entries[1]['modules'][0]['deleted']);
+
+        $entries = block_massaction\action_history::get_entries($reader, $this->course->id, 'course_modules_shown');
+        $this->assertCount(1, $entries);
+        $this->assertEquals(0, block_massaction\action_history::count_entries($reader, $this->course->id, 'unknown'));
+
+        // The duplication events are part of the history as well.
+        actions::perform_action('duplicate', [reset($selectedmodules)], $blockcontext, new stdClass());
+        $entries = block_massaction\action_history::get_entries($reader, $this->course->id, 'course_modules_duplicated');
+        $this->assertCount(1, $entries);
+        $this->assertEquals(
+            get_fast_modinfo($this->course->id)->get_cm(reset($selectedmodules)->id)->get_formatted_name(),
+            $entries[0]['modules'][0]['name']
+        );
+    }
+
+    /**
+     * Tests adding and removing tags and linking and unlinking competencies of multiple modules.
+     *
+     * @covers \block_massaction\actions::set_tags
+     * @covers \block_massaction\actions::set_competencies
+     * @return void
+     * @throws dml_exception
+     * @throws moodle_exception
+     */
+    public function test_set_tags_and_competencies(): void {
+        global $DB;
+        $this->setAdminUser();
+        $selectedmoduleids = array_slice(get_fast_modinfo($this->course->id)->get_sections()[1], 0, 3);
+        $selectedmodules = $DB->get_records_list('course_modules', 'id', $selectedmoduleids);
+
+        actions::set_tags($selectedmodules, actions::TAGS_ADD, ['Exam', 'Week 1']);
+        foreach ($selectedmoduleids as $cmid) {
+            $this->assertEqualsCanonicalizing(
+                ['Exam', 'Week 1'],
+                array_values(\core_tag_tag::get_item_tags_array('core', 'course_modules', $cmid))
+            );
+        }
+        actions::set_tags($selectedmodules, actions::TAGS_REMOVE, ['Exam']);
+        $this->assertEquals(
+            ['Week 1'],
+            array_values(\core_tag_tag::get_item_tags_array('core', 'course_modules', $selectedmoduleids[0]))
+        );
+
+        // Modules which already have the tag or do not have it at all are being skipped.
+        $result = new action_result('tags', $selectedmodules);
+        actions::set_tags($selectedmodules, actions::TAGS_ADD, ['week 1'], $result);
+        $this->assertEquals(3, $result->count(action_result::SKIPPED));
+        $result = new action_result('tags', $selectedmodules);
+        actions::set_tags([reset($selectedmodules)], actions::TAGS_ADD, ['Exam'], $result);
+        actions::set_tags($selectedmodules, actions::TAGS_REMOVE, ['Exam'], $result);
+        $this->assertEquals(1, $result->count(action_result::SUCCESS));
+        $this->assertEquals(2, $result->count(action_result::SKIPPED));
+
+        $lpgenerator = $this->getDataGenerator()->get_plugin_generator('core_competency');
+        $framework = $lpgenerator->create_framework();
+        $competency = $lpgenerator->create_competency(['competencyframeworkid' => $framework->get('id')]);
+        $othercompetency = $lpgenerator->create_competency(['competencyframeworkid' => $framework->get('id')]);
+        $lpgenerator->create_course_competency(['courseid' => $this->course->id, 'competencyid' => $competency->get('id')]);
+        $lpgenerator->create_course_competency(['courseid' => $this->course->id, 'competencyid' => $othercompetency->get('id')]);
+
+        $competencyids = [$competency->get('id'), $othercompetency->get('id')];
+        actions::set_competencies($selectedmodules, actions::COMPETENCIES_LINK, $competencyids);
+        // Linking the same competency again does not fail.
+        actions::set_competencies($selectedmodules, actions::COMPETENCIES_LINK, [$competency->get('id')]);
+        foreach ($selectedmoduleids as $cmid) {
+            $this->assertEquals(2, \core_competency\course_module_competency::count_records(['cmid' => $cmid]));
+        }
+        actions::set_competencies($selectedmodules, actions::COMPETENCIES_UNLINK, [$othercompetency->get('id')]);
+        $this->assertEquals([$competency->get('id')], array_map(
+            fn($modulecompetency) => $modulecompetency->get('competencyid'),
+            \core_competency\course_module_competency::get_records(['cmid' => $selectedmoduleids[0]])
+        ));
+
+        set_config('enabled', 0, 'core_competency');
+        $this->expectException(moodle_exception::class);
+        actions::set_competencies($selectedmodules, actions::COMPETENCIES_LINK, $competencyids);
+    }
+
+    /**
+     * Tests actions contributed by other plugins by the register_actions hook.
+     *
+     * @covers \block_massaction\action_registry::get_actions
+     * @covers \block_massaction\actions::get_action_capabilities
+     * @covers \block_massaction\actions::perform_action
+     * @return void
+     * @throws dml_exception
+     * @throws moodle_exception
+     */
+    public function test_plugin_actions(): void {
+        global $DB;
+        $this->setAdminUser();
+        $blockcontext = $this->add_block_instance();
+        $stampaction = new class extends plugin_action {
+            /**
+             * Returns the name of the action.
+             *
+             * @return string
+             */
+            public function get_name(): string {
+                return 'local_test_stamp';
+            }
+
+            /**
+             * Returns the label of the action.
+             *
+             * @return string
+             */
+            public function get_title(): string {
+                return 'Stamp';
+            }
+
+            /**
+             * Returns the capabilities needed for the action.
+             *
+             * @return array
+             */
+            public function get_capabilities(): array {
+                return ['moodle/course:manageactivities', 'block/massaction:use'];
+            }
+
+            /**
+             * Applies the action to the given course modules.
+             *
+             * @param array $modules the course module records
+             * @param \context_block $blockcontext the context of the block instance
+             * @param stdClass|null $formdata the submitted data of the form
+             * @param action_result $result the result to record the outcome of each module in
+             */
+            public function execute(
+                array $modules,
+                \context_block $blockcontext,
+                ?stdClass $formdata,
+                action_result $result
+            ): void {
+                global $DB;
+                foreach ($modules as $module) {
+                    if ($DB->get_field('course_modules', 'idnumber', ['id' => $module->id]) === 'stamped') {
+                        $result->add_skipped($module->id, 'Already stamped');
+                        continue;
+                    }
+                    $DB->set_field('course_modules', 'idnumber', 'stamped', ['id' => $module->id]);
+                }
+            }
+        };
+        $invalidaction = new class extends plugin_action {
+            /**
+             * Returns the name of the action.
+             *
+             * @return string
+             */
+            public function get_name(): string {
+                return 'hide';
+            }
+
+            /**
+             * Returns the label of the action.
+             *
+             * @return string
+             */
+            public function get_title(): string {
+                return 'Hide';
+            }
+
+            /**
+             * Returns the capabilities needed for the action.
+             *
+             * @return array
+             */
+            public function get_capabilities(): array {
+                return [];
+            }
+
+            /**
+             * Applies the action to the given course modules.
+             *
+             * @param array $modules the course module records
+             * @param \context_block $blockcontext the context of the block instance
+             * @param stdClass|null $formdata the submitted data of the form
+             * @param action_result $result the result to record the outcome of each module in
+             */
+            public function execute(
+                array $modules,
+                \context_block $blockcontext,
+                ?stdClass $formdata,
+                action_result $result
+            ): void {
+            }
+        };
+        $this->redirectHook(
+            \block_massaction\hook\register_actions::class,
+            function (\block_massaction\hook\register_actions $hook) use ($stampaction, $invalidaction): void {
+                $hook->add_action($stampaction);
+                $hook->add_action($invalidaction);
+            }
+        );
+
+        // The actions of the block itself cannot be replaced.
+        $this->assertEquals(['local_test_stamp'], array_keys(action_registry::get_actions($this->course->id)));
+        $this->assertDebuggingCalled('Invalid name of a mass action: hide');
+        $this->assertEquals(actions::ACTION_CAPABILITIES['hide'], actions::get_action_capabilities('hide', $blockcontext));
+        $this->assertEquals($stampaction->get_capabilities(), actions::get_action_capabilities('local_test_stamp', $blockcontext));
+        $this->assertNull(actions::get_action_capabilities('local_test_unknown', $blockcontext));
+
+        $selectedmoduleids = array_slice(get_fast_modinfo($this->course->id)->get_sections()[1], 0, 2);
+        $selectedmodules = $DB->get_records_list('course_modules', 'id', $selectedmoduleids);
+        $DB->set_field('course_modules', 'idnumber', 'stamped', ['id' => $selectedmoduleids[0]]);
+        actions::perform_action('local_test_stamp', $selectedmodules, $blockcontext, new stdClass());
+        $this->assertEquals(2, $DB->count_records('course_modules', ['idnumber' => 'stamped']));
+        // The modules the action has not recorded an outcome for are being considered successful.
+        $result = action_result::pop($this->course->id);
+        $this->assertEquals(1, $result['success']);
+        $this->assertEquals(1, $result['skipped']);
+
+        // The capabilities of the action are being checked.
+        $this->setUser($this->getDataGenerator()->create_user());
+        $this->assertFalse(actions::has_action_capabilities('local_test_stamp', $blockcontext));
+        $this->expectException(\required_capability_exception::class);
+        actions::perform_action('local_test_stamp', $selectedmodules, $blockcontext, new stdClass());
+    }
+
+    /**
+     * Tests exporting modules as activity bundle and importing the bundle into another course.
+     *
+     * @covers \block_massaction\bundle::export
+     * @covers \block_massaction\bundle::extract
+     * @covers \block_massaction\bundle::import
+     * @return void
+     * @throws dml_exception
+     * @throws moodle_exception
+     */
+    public function test_export_import_bundle(): void {
+        global $DB;
+        $this->setAdminUser();
+        $modinfo = get_fast_modinfo($this->course->id);
+        $selectedmoduleids = [$modinfo->get_sections()[1][0], $modinfo->get_sections()[3][2]];
+        $selectedmodules = $DB->get_records_list('course_modules', 'id', $selectedmoduleids);
+
+        $bundlepath = block_massaction\bundle::export($selectedmodules);
+        [$manifest] = block_massaction\bundle::extract($bundlepath);
+        $this->assertEquals(block_massaction\bundle::FORMAT, $manifest['format']);
+        $this->assertEquals([1, 3], array_column($manifest['activities'], 'sectionnum'));
+        $this->assertEquals(
+            array_map(fn($cmid) => $modinfo->get_cm($cmid)->name, $selectedmoduleids),
+            array_column($manifest['activities'], 'name')
+        );
+
+        // All activities are being added to the chosen section.
+        $targetcourseid = $this->setup_target_course_for_duplicating(1);
+        $newcmids = block_massaction\bundle::import($bundlepath, $targetcourseid, 1);
+        $targetmodinfo = get_fast_modinfo($targetcourseid);
+        $this->assertEquals($newcmids, $targetmodinfo->get_sections()[1]);
+        $this->assertEquals(
+            array_map(fn($cmid) => $modinfo->get_cm($cmid)->name, $selectedmoduleids),
+            array_map(fn($cmid) => $targetmodinfo->get_cm($cmid)->name, $newcmids)
+        );
+
+        // Missing sections are being created when keeping the original sections.
+        $newcmids = block_massaction\bundle::import($bundlepath, $targetcourseid, block_massaction\bundle::SOURCE_SECTION);
+        $targetmodinfo = get_fast_modinfo($targetcourseid);
+        $this->assertCount(4, $targetmodinfo->get_section_info_all());
+        $this->assertEquals([$newcmids[1]], $targetmodinfo->get_sections()[3]);
+        $this->assertCount(3, $targetmodinfo->get_sections()[1]);
+
+        $invalidpath = make_request_directory() . '/invalid.zip';
+        file_put_contents($invalidpath, 'no zip file');
+        try {
+            block_massaction\bundle::import($invalidpath, $targetcourseid, 1);
+            $this->fail('Exception expected');
+        } catch (moodle_exception $e) {
+            $this->assertEquals('invalidbundle', $e->errorcode);
+        }
+
+        // Section numbers beyond the maximum number of sections would create lots of sections.
+        [$manifest, $tempdir] = block_massaction\bundle::extract($bundlepath);
+        $manifest['activities'][1]['sectionnum'] = 100000;
+        file_put_contents($tempdir . '/' . block_massaction\bundle::MANIFEST, json_encode($manifest));
+        $files = [];
+        foreach (array_merge([block_massaction\bundle::MANIFEST], array_column($manifest['activities'], 'file')) as $file) {
+            $files[$file] = $tempdir . '/' . $file;
+        }
+        $invalidpath = make_request_directory() . '/invalid.zip';
+        get_file_packer('application/zip')->archive_to_pathname($files, $invalidpath);
+        try {
+            block_massaction\bundle::extract($invalidpath);
+            $this->fail('Exception expected');
+        } catch (moodle_exception $e) {
+            $this->assertEquals('invalidbundle', $e->errorcode);
+        }
+
+        // Sections filtered by the hook cannot be imported to, the other activities are still being imported.
+        $this->redirectHook(filter_sections_same_course::class, function (filter_sections_same_course $hook) {
+            $hook->remove_sectionnum(3);
+        });
+        try {
+            block_massaction\bundle::import($bundlepath, $targetcourseid, 3);
+            $this->fail('Exception expected');
+        } catch (moodle_exception $e) {
+            $this->assertEquals('importbundle_sectionrestricted', $e->errorcode);
+        }
+        $result = new action_result('importbundle', []);
+        $newcmids = block_massaction\bundle::import($bundlepath, $targetcourseid, block_massaction\bundle::SOURCE_SECTION, $result);
+        $this->assertCount(1, $newcmids);
+        $this->assertEquals(1, $result->count(action_result::SUCCESS));
+        $this->assertEquals(1, $result->count(action_result::FAILED));
+        // The failed activity is being listed first and has no course module.
+        $this->assertEquals([0, $newcmids[0]], array_column($result->export()['modules'], 'cmid'));
+        $this->assertCount(4, get_fast_modinfo($targetcourseid)->get_sections()[1]);
+        $this->stopHookRedirections();
+    }
+
     /**
      * Tests the sending of content changed notifications for multiple modules.
      *
@@ -870,6 +1797,498 @@ final class massaction_test extends advanced_testcase {
         }
     }
 
+    /**
+     * Tests the dispatching of actions which is shared by action.php and the external function.
+     *
+     * @covers \block_massaction\actions::perform_action
+     * @return void
+     * @throws coding_exception
+     * @throws dml_exception
+     * @throws moodle_exception
+     */
+    public function test_perform_action(): void {
+        $this->setAdminUser();
+        $blockcontext = $this->add_block_instance();
+
+        $selectedmoduleids[] = get_fast_modinfo($this->course->id)->get_sections()[1][0];
+        $selectedmoduleids[] = get_fast_modinfo($this->course->id)->get_sections()[2][2];
+        $selectedmodules = array_filter($this->get_test_course_modules(), function ($module) use ($selectedmoduleids) {
+            return in_array($module->id, $selectedmoduleids);
+        });
+
+        $queued = block_massaction\actions::perform_action('hide', $selectedmodules, $blockcontext, new stdClass());
+        $this->assertFalse($queued);
+        foreach ($selectedmoduleids as $cmid) {
+            $this->assertEquals(0, get_fast_modinfo($this->course->id)->get_cm($cmid)->visible);
+        }
+
+        // Duplicating more modules than configured has to be queued as background task.
+        set_config('duplicatemaxactivities', 1, 'block_massaction');
+        $queued = block_massaction\actions::perform_action('duplicate', $selectedmodules, $blockcontext, new stdClass());
+        $this->assertTrue($queued);
+        $this->assertCount(1, manager::get_adhoc_tasks('\block_massaction\task\duplicate_task'));
+
+        // The 'moveto' action needs a target section.
+        try {
+            block_massaction\actions::perform_action('moveto', $selectedmodules, $blockcontext, new stdClass());
+            $this->fail('Exception expected');
+        } catch (moodle_exception $e) {
+            $this->assertEquals('missingparam', $e->errorcode);
+        }
+
+        // Unknown actions must be rejected.
+        try {
+            block_massaction\actions::perform_action('unknownaction', $selectedmodules, $blockcontext, new stdClass());
+            $this->fail('Exception expected');
+        } catch (moodle_exception $e) {
+            $this->assertEquals('invalidaction', $e->errorcode);
+        }
+
+        // Modules of other courses must not be touched.
+        $othercourse = $this->getDataGenerator()->create_course();
+        $othermodule = $this->getDataGenerator()->create_module('page', ['course' => $othercourse->id]);
+        $othermodules = [$othermodule->cmid => get_coursemodule_from_id('', $othermodule->cmid)];
+        try {
+            block_massaction\actions::perform_action('hide', $othermodules, $blockcontext, new stdClass());
+            $this->fail('Exception expected');
+        } catch (moodle_exception $e) {
+            $this->assertEquals('invalidmoduleid', $e->errorcode);
+        }
+        $this->assertEquals(1, get_fast_modinfo($othercourse->id)->get_cm($othermodule->cmid)->visible);
+    }
+
+    /**
+     * Tests collecting the outcome of an action for each course module.
+     *
+     * @covers \block_massaction\action_result
+     * @covers \block_massaction\actions::perform_action
+     * @covers \block_massaction\actions::perform_moveto
+     * @return void
+     * @throws dml_exception
+     * @throws moodle_exception
+     */
+    public function test_action_result(): void {
+        $this->setAdminUser();
+        $blockcontext = $this->add_block_instance();
+
+        $sections = get_fast_modinfo($this->course->id)->get_sections();
+        // An assignment and a label of section 1 and a page of section 2.
+        $selectedmoduleids = [$sections[1][0], $sections[1][1], $sections[2][2]];
+        $getselectedmodules = fn() => array_filter($this->get_test_course_modules(),
+            fn($module) => in_array($module->id, $selectedmoduleids));
+
+        // Nothing has been done yet.
+        $this->assertNull(action_result::pop($this->course->id));
+
+        // The modules cannot be outdented any further, so all of them are being skipped.
+        actions::perform_action('moveleft', $getselectedmodules(), $blockcontext, new stdClass());
+        $result = action_result::pop($this->course->id);
+        $this->assertEquals(get_string('action_moveleft', 'block_massaction'), $result['actiontext']);
+        $this->assertEquals(0, $result['success']);
+        $this->assertEquals(3, $result['skipped']);
+        $this->assertEquals(0, $result['failed']);
+        $this->assertTrue($result['hasproblems']);
+        $this->assertEquals('warning', $result['alertclass']);
+        foreach ($result['modules'] as $module) {
+            $this->assertEquals(get_string('result_skipped_indentlimit', 'block_massaction'), $module['message']);
+        }
+        // The result is only being shown once.
+        $this->assertNull(action_result::pop($this->course->id));
+
+        // Labels do not have a description which could be shown.
+        actions::perform_action('showdescription', $getselectedmodules(), $blockcontext, new stdClass());
+        $result = action_result::pop($this->course->id);
+        $this->assertEquals(2, $result['success']);
+        $this->assertEquals(1, $result['skipped']);
+        // The problems are being listed first.
+        $this->assertEquals($sections[1][1], $result['modules'][0]['cmid']);
+        $this->assertEquals(action_result::SKIPPED, $result['modules'][0]['status']);
+
+        // Modules of restricted sections fail, but the other modules are being moved nevertheless.
+        $this->redirectHook(filter_sections_same_course::class, function (filter_sections_same_course $hook) {
+            $hook->remove_sectionnum(1);
+        });
+        actions::perform_action('moveto', $getselectedmodules(), $blockcontext, (object) ['moveToTarget' => 4]);
+        $result = action_result::pop($this->course->id);
+        $this->assertEquals(1, $result['success']);
+        $this->assertEquals(2, $result['failed']);
+        $this->assertEquals('danger', $result['alertclass']);
+        $modinfo = get_fast_modinfo($this->course->id);
+        $this->assertEquals(1, $modinfo->get_cm($sections[1][0])->sectionnum);
+        $this->assertEquals(1, $modinfo->get_cm($sections[1][1])->sectionnum);
+        $this->assertEquals(4, $modinfo->get_cm($sections[2][2])->sectionnum);
+
+        // Called without a result, the first failing module still aborts the action.
+        try {
+            actions::perform_moveto($getselectedmodules(), 3);
+            $this->fail('Exception expected');
+        } catch (moodle_exception $e) {
+            $this->assertEquals('sectionrestricted', $e->errorcode);
+        }
+
+        // Without any problems the details are not being expanded.
+        $this->stopHookRedirections();
+        actions::perform_action('hide', $getselectedmodules(), $blockcontext, new stdClass());
+        $result = action_result::pop($this->course->id);
+        $this->assertEquals(3, $result['success']);
+        $this->assertFalse($result['hasproblems']);
+    }
+
+    /**
+     * Tests reverting the last action.
+     *
+     * @covers \block_massaction\undo::record_snapshot
+     * @covers \block_massaction\undo::revert
+     * @return void
+     * @throws dml_exception
+     * @throws moodle_exception
+     */
+    public function test_undo(): void {
+        $this->setAdminUser();
+        $blockcontext = $this->add_block_instance();
+
+        $sectionsbefore = get_fast_modinfo($this->course->id)->get_sections();
+        $selectedmoduleids = [$sectionsbefore[1][0], $sectionsbefore[1][2], $sectionsbefore[3][1]];
+        $selectedmodules = array_filter($this->get_test_course_modules(), function ($module) use ($selectedmoduleids) {
+            return in_array($module->id, $selectedmoduleids);
+        });
+
+        // Nothing has been done yet, so there is nothing to undo.
+        $this->assertNull(block_massaction\undo::get_snapshot($this->course->id));
+        try {
+            block_massaction\undo::revert($blockcontext);
+            $this->fail('Exception expected');
+        } catch (moodle_exception $e) {
+            $this->assertEquals('nothingtoundo', $e->errorcode);
+        }
+
+        // Moving modules to another section has to be reverted including the original order of the modules.
+        block_massaction\actions::perform_action('moveto', $selectedmodules, $blockcontext, (object) ['moveToTarget' => 4]);
+        $this->assertNotEquals($sectionsbefore, get_fast_modinfo($this->course->id)->get_sections());
+        $this->assertEquals('moveto', block_massaction\undo::get_snapshot($this->course->id)['action']);
+        $restoredids = block_massaction\undo::revert($blockcontext);
+        $this->assertEqualsCanonicalizing($selectedmoduleids, $restoredids);
+        $this->assertEquals($sectionsbefore, get_fast_modinfo($this->course->id)->get_sections());
+        $this->assertNull(block_massaction\undo::get_snapshot($this->course->id));
+
+        // Only the state before the last action is being restored.
+        block_massaction\actions::perform_action('moveright', $selectedmodules, $blockcontext, new stdClass());
+        $selectedmodules = array_filter($this->get_test_course_modules(), function ($module) use ($selectedmoduleids) {
+            return in_array($module->id, $selectedmoduleids);
+        });
+        block_massaction\actions::perform_action('hide', $selectedmodules, $blockcontext, new stdClass());
+        block_massaction\undo::revert($blockcontext);
+        $modinfo = get_fast_modinfo($this->course->id);
+        foreach ($selectedmoduleids as $cmid) {
+            $this->assertEquals(1, $modinfo->get_cm($cmid)->visible);
+            $this->assertEquals(1, $modinfo->get_cm($cmid)->indent);
+        }
+
+        // Actions which cannot be reverted discard the last snapshot.
+        block_massaction\actions::perform_action('hide', $selectedmodules, $blockcontext, new stdClass());
+        block_massaction\actions::perform_action('contentchangednotification', $selectedmodules, $blockcontext, new stdClass());
+        $this->assertNull(block_massaction\undo::get_snapshot($this->course->id));
+    }
+
+    /**
+     * Tests saving, restoring and deleting named selections of course modules.
+     *
+     * @covers \block_massaction\saved_selections::save
+     * @covers \block_massaction\saved_selections::get_selections
+     * @covers \block_massaction\saved_selections::delete
+     * @covers \block_massaction\privacy\provider::delete_data_for_all_users_in_context
+     * @return void
+     * @throws dml_exception
+     * @throws moodle_exception
+     */
+    public function test_saved_selections(): void {
+        global $CFG, $DB;
+        require_once($CFG->dirroot . '/course/lib.php');
+        $teacher = $this->teacher;
+        $otherteacher = $this->getDataGenerator()->create_and_enrol($this->course, 'editingteacher');
+        $sections = get_fast_modinfo($this->course->id)->get_sections();
+        $selectedids = [$sections[1][0], $sections[1][1], $sections[2][3]];
+
+        $this->setUser($teacher);
+        $id = block_massaction\saved_selections::save($this->course->id, ' Week 1 ', $selectedids);
+        $selections = block_massaction\saved_selections::get_selections($this->course->id);
+        $this->assertEquals([['id' => $id, 'name' => 'Week 1', 'moduleids' => $selectedids]], $selections);
+
+        // Saving under the same name replaces the selection.
+        $this->assertEquals($id, block_massaction\saved_selections::save($this->course->id, 'Week 1', [$sections[1][0]]));
+        $selections = block_massaction\saved_selections::get_selections($this->course->id);
+        $this->assertEquals([$sections[1][0]], $selections[0]['moduleids']);
+
+        // Selections are being stored per user.
+        block_massaction\saved_selections::save($this->course->id, 'Week 1', $selectedids);
+        $this->setUser($otherteacher);
+        $this->assertEmpty(block_massaction\saved_selections::get_selections($this->course->id));
+        block_massaction\saved_selections::save($this->course->id, 'Readings', [$sections[3][0]]);
+        // Users cannot delete the selections of other users.
+        block_massaction\saved_selections::delete($this->course->id, $id);
+        $this->assertTrue($DB->record_exists(block_massaction\saved_selections::TABLE, ['id' => $id]));
+
+        // Modules which have been deleted are being dropped from the saved selection.
+        $this->setUser($teacher);
+        course_delete_module($sections[1][1]);
+        $selections = block_massaction\saved_selections::get_selections($this->course->id);
+        $this->assertEquals([$sections[1][0], $sections[2][3]], $selections[0]['moduleids']);
+        $this->assertEquals(
+            $sections[1][0] . ',' . $sections[2][3],
+            $DB->get_field(block_massaction\saved_selections::TABLE, 'moduleids', ['id' => $id])
+        );
+
+        // Modules of other courses cannot be saved.
+        $othercourse = $this->getDataGenerator()->create_course();
+        $othermodule = $this->getDataGenerator()->create_module('page', ['course' => $othercourse->id]);
+        try {
+            block_massaction\saved_selections::save($this->course->id, 'Other', [$othermodule->cmid]);
+            $this->fail('Exception expected');
+        } catch (moodle_exception $e) {
+            $this->assertEquals('invalidmoduleid', $e->errorcode);
+        }
+
+        block_massaction\saved_selections::delete($this->course->id, $id);
+        $this->assertEmpty(block_massaction\saved_selections::get_selections($this->course->id));
+
+        // Deleting the data in the course context removes the selections of all users.
+        block_massaction\privacy\provider::delete_data_for_all_users_in_context(\context_course::instance($this->course->id));
+        $this->assertEquals(0, $DB->count_records(block_massaction\saved_selections::TABLE));
+    }
+
+    /**
+     * Tests tracking the progress and reporting the result of duplications running as background task.
+     *
+     * @covers \block_massaction\duplication_jobs
+     * @covers \block_massaction\task\duplicate_task::execute
+     * @covers \block_massaction\section_actions::duplicate
+     * @return void
+     * @throws dml_exception
+     * @throws moodle_exception
+     */
+    public function test_duplication_jobs(): void {
+        global $DB, $USER;
+        $this->setAdminUser();
+        $blockcontext = $this->add_block_instance();
+        set_config('duplicatemaxactivities', 0, 'block_massaction');
+
+        // The first module of a section is an assignment. We delete its instance, so duplicating it fails.
+        $sections = get_fast_modinfo($this->course->id)->get_sections();
+        $selectedmoduleids = [$sections[1][0], $sections[1][2], $sections[2][2]];
+        $DB->delete_records('assign', ['id' => get_fast_modinfo($this->course->id)->get_cm($sections[1][0])->instance]);
+        $selectedmodules = array_filter($this->get_test_course_modules(), function ($module) use ($selectedmoduleids) {
+            return in_array($module->id, $selectedmoduleids);
+        });
+
+        $modulecount = count($this->get_test_course_modules());
+        $this->assertTrue(block_massaction\actions::perform_action('duplicate', $selectedmodules, $blockcontext, new stdClass()));
+        $jobs = block_massaction\duplication_jobs::get_jobs($this->course->id);
+        $this->assertCount(1, $jobs);
+        $this->assertEquals(block_massaction\duplication_jobs::STATUS_PENDING, $jobs[0]['status']);
+        $this->assertTrue($jobs[0]['active']);
+        $this->assertEquals(3, $jobs[0]['total']);
+        $this->assertEquals(0, $jobs[0]['processed']);
+        // Jobs cannot be dismissed before they have finished.
+        block_massaction\duplication_jobs::dismiss($this->course->id, $jobs[0]['id']);
+        $this->assertCount(1, block_massaction\duplication_jobs::get_jobs($this->course->id));
+
+        $sink = $this->redirectMessages();
+        $this->runAdhocTasks('\block_massaction\task\duplicate_task');
+        $messages = $sink->get_messages();
+        $sink->close();
+        $this->setAdminUser();
+
+        $jobs = block_massaction\duplication_jobs::get_jobs($this->course->id);
+        $this->assertEquals(block_massaction\duplication_jobs::STATUS_FINISHED, $jobs[0]['status']);
+        $this->assertFalse($jobs[0]['active']);
+        $this->assertEquals(3, $jobs[0]['processed']);
+        $this->assertEquals(100, $jobs[0]['percentage']);
+        $this->assertEquals('warning', $jobs[0]['alertclass']);
+        $this->assertCount(1, $jobs[0]['failures']);
+        $failedname = get_fast_modinfo($this->course->id)->get_cm($sections[1][0])->name;
+        $this->assertEquals($failedname, $jobs[0]['failures'][0]['modulename']);
+        $this->assertCount($modulecount + 2, $this->get_test_course_modules());
+
+        // The requesting user is being informed about the result.
+        $this->assertCount(1, $messages);
+        $this->assertEquals($USER->id, $messages[0]->useridto);
+        $this->assertEquals('duplicationfinished', $messages[0]->eventtype);
+        $this->assertStringContainsString('2 of 3', $messages[0]->fullmessage);
+
+        // A retried task starts counting all over again.
+        $jobid = $DB->get_field(block_massaction\duplication_jobs::TABLE, 'id', ['batchid' => $jobs[0]['id']]);
+        block_massaction\duplication_jobs::start($jobid);
+        $jobs = block_massaction\duplication_jobs::get_jobs($this->course->id);
+        $this->assertEquals(0, $jobs[0]['processed']);
+        $this->assertEmpty($jobs[0]['failures']);
+        $sink = $this->redirectMessages();
+        block_massaction\duplication_jobs::finish($jobid);
+        $sink->close();
+
+        block_massaction\duplication_jobs::dismiss($this->course->id, $jobs[0]['id']);
+        $this->assertEmpty(block_massaction\duplication_jobs::get_jobs($this->course->id));
+
+        // The copies of the sections are being created right away, their modules are being duplicated in the background.
+        $section = get_fast_modinfo($this->course->id)->get_section_info(2);
+        $sectionmodulecount = count(get_fast_modinfo($this->course->id)->get_sections()[2]);
+        $nextsectionid = get_fast_modinfo($this->course->id)->get_section_info(3)->id;
+        $this->assertTrue(
+            block_massaction\section_actions::perform_action('duplicatesections', [$section->id], $blockcontext, new stdClass())
+        );
+        $modinfo = get_fast_modinfo($this->course->id);
+        $this->assertEquals($nextsectionid, $modinfo->get_section_info(4)->id);
+        $this->assertArrayNotHasKey(3, $modinfo->get_sections());
+        $this->assertCount(1, block_massaction\duplication_jobs::get_jobs($this->course->id));
+        $sink = $this->redirectMessages();
+        $this->runAdhocTasks('\block_massaction\task\duplicate_task');
+        $sink->close();
+        $this->assertCount($sectionmodulecount, get_fast_modinfo($this->course->id)->get_sections()[3]);
+    }
+
+    /**
+     * Tests determining the target courses from the chosen courses and categories.
+     *
+     * @covers \block_massaction\actions::get_target_course_ids
+     * @covers \block_massaction\actions::get_max_target_courses
+     * @return void
+     * @throws dml_exception
+     * @throws moodle_exception
+     */
+    public function test_get_target_course_ids(): void {
+        $generator = $this->getDataGenerator();
+        $category = $generator->create_category();
+        $subcategory = $generator->create_category(['parent' => $category->id]);
+        $teachingcourse = $generator->create_course(['category' => $subcategory->id]);
+        $generator->enrol_user($this->teacher->id, $teachingcourse->id, 'editingteacher');
+        $othercourse = $generator->create_course(['category' => $category->id]);
+        $categorycourseids = [(int) $teachingcourse->id, (int) $othercourse->id];
+        sort($categorycourseids);
+
+        $this->setAdminUser();
+        // The source course is never a target.
+        $this->assertEquals(
+            [$othercourse->id],
+            block_massaction\actions::get_target_course_ids($this->course->id, [$this->course->id, $othercourse->id], [], false)
+        );
+        // Courses of subcategories are being included.
+        $this->assertEquals(
+            $categorycourseids,
+            block_massaction\actions::get_target_course_ids($this->course->id, [], [$category->id], false)
+        );
+        // The admin is not enrolled in any of the courses, the explicitly chosen course is being kept though.
+        $this->assertEmpty(block_massaction\actions::get_target_course_ids($this->course->id, [], [$category->id], true));
+        $this->assertEquals(
+            [$othercourse->id],
+            block_massaction\actions::get_target_course_ids($this->course->id, [$othercourse->id], [$category->id], true)
+        );
+        set_config('limittoenrolled', 1, 'block_massaction');
+        $this->assertEmpty(block_massaction\actions::get_target_course_ids($this->course->id, [], [$category->id], false));
+        set_config('limittoenrolled', 0, 'block_massaction');
+
+        // Courses the user cannot restore into are being skipped.
+        $this->setUser($this->teacher);
+        $this->assertEquals(
+            [$teachingcourse->id],
+            block_massaction\actions::get_target_course_ids($this->course->id, [], [$category->id], false)
+        );
+        $this->assertEmpty(block_massaction\actions::get_target_course_ids($this->course->id, [$othercourse->id], [], false));
+        // The explicitly chosen courses which have been skipped are being reported, the courses of the categories are not.
+        block_massaction\actions::get_target_course_ids(
+            $this->course->id,
+            [$othercourse->id, $teachingcourse->id],
+            [$category->id],
+            false,
+            $droppedcourseids
+        );
+        $this->assertEquals([$othercourse->id], $droppedcourseids);
+
+        // The number of target courses is limited.
+        $this->assertEquals(
+            block_massaction\actions::DEFAULT_MAX_TARGET_COURSES,
+            block_massaction\actions::get_max_target_courses()
+        );
+        set_config('maxtargetcourses', 1, 'block_massaction');
+        $this->assertEquals(1, block_massaction\actions::get_max_target_courses());
+    }
+
+    /**
+     * Tests duplicating modules to several courses at once.
+     *
+     * @covers \block_massaction\duplication_jobs::queue_to_courses
+     * @covers \block_massaction\duplication_jobs::get_jobs
+     * @return void
+     * @throws dml_exception
+     * @throws moodle_exception
+     */
+    public function test_duplicate_to_multiple_courses(): void {
+        global $DB;
+        $this->setUser($this->teacher);
+        $firsttargetcourseid = $this->setup_target_course_for_duplicating(2);
+        $secondtargetcourseid = $this->setup_target_course_for_duplicating(2);
+
+        $sections = get_fast_modinfo($this->course->id)->get_sections();
+        $selectedmoduleids = [$sections[1][1], $sections[1][2]];
+        $selectedmodules = array_filter($this->get_test_course_modules(), function ($module) use ($selectedmoduleids) {
+            return in_array($module->id, $selectedmoduleids);
+        });
+
+        $batchid = block_massaction\duplication_jobs::queue_to_courses(
+            $selectedmodules,
+            [$firsttargetcourseid => -1, $secondtargetcourseid => 0]
+        );
+        $this->assertEquals(2, $DB->count_records(block_massaction\duplication_jobs::TABLE, ['batchid' => $batchid]));
+        // The jobs are being displayed as one batch.
+        $jobs = block_massaction\duplication_jobs::get_jobs($this->course->id);
+        $this->assertCount(1, $jobs);
+        $this->assertEquals($batchid, $jobs[0]['id']);
+        $this->assertTrue($jobs[0]['active']);
+        $this->assertTrue($jobs[0]['hastargets']);
+        $this->assertCount(2, $jobs[0]['targets']);
+        $this->assertEquals(4, $jobs[0]['total']);
+
+        $sink = $this->redirectMessages();
+        $this->runAdhocTasks('\block_massaction\task\duplicate_task');
+        $messages = $sink->get_messages();
+        $sink->close();
+        $this->setUser($this->teacher);
+
+        $this->assertCount(2, get_fast_modinfo($firsttargetcourseid)->get_sections()[1]);
+        $this->assertCount(2, get_fast_modinfo($secondtargetcourseid)->get_sections()[0]);
+
+        $jobs = block_massaction\duplication_jobs::get_jobs($this->course->id);
+        $this->assertEquals(block_massaction\duplication_jobs::STATUS_FINISHED, $jobs[0]['status']);
+        $this->assertEquals('success', $jobs[0]['alertclass']);
+        $this->assertEquals(4, $jobs[0]['processed']);
+
+        // A single notification reports the result for all target courses.
+        $this->assertCount(1, $messages);
+        $this->assertStringContainsString('2 courses', $messages[0]->fullmessage);
+        $this->assertStringContainsString(get_course($secondtargetcourseid)->fullname, $messages[0]->fullmessage);
+
+        block_massaction\duplication_jobs::dismiss($this->course->id, $batchid);
+        $this->assertEquals(0, $DB->count_records(block_massaction\duplication_jobs::TABLE, ['batchid' => $batchid]));
+    }
+
+    /**
+     * Adds a massaction block instance to the test course.
+     *
+     * @return \context_block the context of the created block instance
+     */
+    private function add_block_instance(): \context_block {
+        global $DB;
+        $blockinstanceid = $DB->insert_record('block_instances', (object) [
+            'blockname' => 'massaction',
+            'parentcontextid' => \context_course::instance($this->course->id)->id,
+            'showinsubcontexts' => 0,
+            'pagetypepattern' => 'course-view-*',
+            'defaultregion' => 'side-pre',
+            'defaultweight' => 0,
+            'timecreated' => time(),
+            'timemodified' => time(),
+        ]);
+        return \context_block::instance($blockinstanceid);
+    }
+
     /**
      * Get all test course modules.
      *
@@ -966,16 +2385,26 @@ final class massaction_test extends advanced_testcase {
         // There is no module.
         $this->assertEmpty($targetcoursemodinfo->get_cms());
 
-        // Test keep origin section.
-        actions::duplicate_to_course($selectedmodules, $targetcourseid, -1);
+        // Test keep origin section, which is not allowed by the hook.
+        try {
+            actions::duplicate_to_course($selectedmodules, $targetcourseid, -1);
+            $this->fail('Exception expected');
+        } catch (moodle_exception $e) {
+            $this->assertEquals('originsectionnotallowed', $e->errorcode);
+        }
         $targetcoursemodinfo = get_fast_modinfo($targetcourseid);
         // Four sections (0 1 2 3).
         $this->assertCount(4, $targetcoursemodinfo->get_section_info_all());
         // There is no module as we cannot keep origin section.
         $this->assertEmpty($targetcoursemodinfo->get_cms());
 
-        // Test create new section.
-        actions::duplicate_to_course($selectedmodules, $targetcourseid, 4);
+        // Test create new section, which is not allowed by the hook either.
+        try {
+            actions::duplicate_to_course($selectedmodules, $targetcourseid, 4);
+            $this->fail('Exception expected');
+        } catch (moodle_exception $e) {
+            $this->assertEquals('cannotaddsection', $e->errorcode);
+        }
         $targetcoursemodinfo = get_fast_modinfo($targetcourseid);
         // Still four sections (0 1 2 3).
         $this->assertCount(4, $targetcoursemodinfo->get_section_info_all());
@@ -983,7 +2412,12 @@ final class massaction_test extends advanced_testcase {
         $this->assertEmpty($targetcoursemodinfo->get_cms());
 
         // Duplicate to section 3, which is restricted by the hook.
-        actions::duplicate_to_course($selectedmodules, $targetcourseid, 3);
+        try {
+            actions::duplicate_to_course($selectedmodules, $targetcourseid, 3);
+            $this->fail('Exception expected');
+        } catch (moodle_exception $e) {
+            $this->assertEquals('targetsectionrestricted', $e->errorcode);
+        }
         $targetcoursemodinfo = get_fast_modinfo($targetcourseid);
         // Still four sections (0 1 2 3).
         $this->assertCount(4, $targetcoursemodinfo->get_section_info_all());